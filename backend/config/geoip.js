@@ -0,0 +1,12 @@
+/**
+ * GeoIP configuration for visitor locations
+ * GEOIP_DATABASE is the path of a local MaxMind-format database (e.g. GeoLite2-City.mmdb, or a Country
+ * database for countries only). Lookups never leave the server; without a database visitors are not located
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const geoipConfig = {
+  databasePath: process.env.GEOIP_DATABASE || null
+};
@@ -0,0 +1,44 @@
+/**
+ * Message store configuration
+ * MESSAGE_STORE=mongo (default) keeps messages in MongoDB,
+ * MESSAGE_STORE=sql keeps them in the knex database so no MongoDB server is needed
+ */
+import dotenv from 'dotenv';
+import MongoMessageStore from '../models/stores/MongoMessageStore.js';
+import SqlMessageStore from '../models/stores/SqlMessageStore.js';
+
+dotenv.config();
+
+const STORES = {
+  mongo: MongoMessageStore,
+  sql: SqlMessageStore
+};
+
+export const MESSAGE_STORE_TYPES = Object.keys(STORES);
+
+let store = null;
+
+// Configured store type
+export function getMessageStoreType() {
+  const type = (process.env.MESSAGE_STORE || 'mongo').toLowerCase();
+  if (!STORES[type]) {
+    throw new Error(`Unknown MESSAGE_STORE "${type}" (expected ${MESSAGE_STORE_TYPES.join(' or ')})`);
+  }
+  return type;
+}
+
+// New store of a given type
+export function createMessageStore(type) {
+  if (!STORES[type]) {
+    throw new Error(`Unknown message store "${type}"`);
+  }
+  return new STORES[type]();
+}
+
+// Shared store of the configured type
+export function getMessageStore() {
+  if (!store) {
+    store = createMessageStore(getMessageStoreType());
+  }
+  return store;
+}
@@ -8,6 +8,7 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 let db;
+let memoryFallback = false;
 
 async function connectMongo() {
   try {
@@ -47,6 +48,13 @@ async function connectMongo() {
       await db.collection('messages').createIndex({ siteId: 1, sessionId: 1 });
       await db.collection('messages').createIndex({ createdAt: -1 });
       await db.collection('messages').createIndex({ siteId: 1, createdAt: -1 });
+      // Session history pages and the last message per session
+      await db.collection('messages').createIndex({ siteId: 1, sessionId: 1, createdAt: -1 });
+      // Retried sends carry the same client message id and must not be stored twice
+      await db.collection('messages').createIndex(
+        { siteId: 1, sessionId: 1, clientMessageId: 1 },
+        { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+      );
       console.log('✅ Indexes created successfully');
     } catch (indexError) {
       console.warn('⚠️  Some indexes may already exist:', indexError.message);
@@ -76,28 +84,36 @@ async function connectMongo() {
     
     // Fallback to in-memory storage
     console.log('🔄 Setting up in-memory storage fallback...');
+    memoryFallback = true;
     db = {
       messages: [],
       collection: (name) => ({
         insertOne: async (doc) => {
-          db[name].push({ ...doc, _id: Date.now().toString() });
-          return { insertedId: Date.now().toString() };
+          const _id = `${Date.now()}${Math.random().toString().slice(2, 8)}`;
+          db[name].push({ ...doc, _id });
+          return { insertedId: _id };
         },
-        find: (query = {}) => ({
-          sort: (sort) => ({ 
-            toArray: async () => {
-              let results = db[name].filter(item => {
-                for (const [key, value] of Object.entries(query)) {
-                  if (item[key] !== value) return false;
-                }
-                return true;
-              });
-              if (sort && sort.createdAt === -1) {
-                results = results.sort((a, b) => b.createdAt - a.createdAt);
-              }
-              return results;
-            }
-          })
+        insertMany: async (docs) => {
+          docs.forEach(doc => db[name].push(doc));
+          return { insertedCount: docs.length };
+        },
+        updateOne: async (query, update) => {
+          const item = db[name].find(doc => memoryMatch(doc, query));
+          if (!item) return { matchedCount: 0, modifiedCount: 0 };
+          Object.assign(item, update.$set || {});
+          Object.entries(update.$push || {}).forEach(([key, value]) => {
+            item[key] = [...(item[key] || []), value];
+          });
+          Object.entries(update.$pull || {}).forEach(([key, condition]) => {
+            item[key] = (item[key] || []).filter(element => !memoryMatch(element, condition));
+          });
+          return { matchedCount: 1, modifiedCount: 1 };
+        },
+        find: (query = {}) => memoryCursor(db[name].filter(item => memoryMatch(item, query))),
+        findOne: async (query = {}) => db[name].find(item => memoryMatch(item, query)) || null,
+        countDocuments: async (query = {}) => db[name].filter(item => memoryMatch(item, query)).length,
+        aggregate: (pipeline = []) => ({
+          toArray: async () => memoryAggregate(db[name], pipeline)
         }),
         createIndex: async () => {
           console.log('ℹ️  Index creation skipped in fallback mode');
@@ -107,7 +123,98 @@ async function connectMongo() {
   }
 }
 
-export { connectMongo, db as default };
+// In-memory fallback: the subset of MongoDB queries the message model uses
+function memoryCompare(a, b) {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+}
+
+function memoryMatch(item, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => memoryMatch(item, sub));
+    if (key === '$or') return condition.some(sub => memoryMatch(item, sub));
+
+    const value = item[key];
+    const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+      Object.keys(condition).length > 0 && Object.keys(condition).every(op => op.startsWith('$'));
+    if (!isOperator) return memoryCompare(value, condition) === 0;
+
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case '$ne': return memoryCompare(value, operand) !== 0;
+        case '$in': return operand.some(option => memoryCompare(value, option) === 0);
+        case '$lt': return value !== undefined && memoryCompare(value, operand) < 0;
+        case '$lte': return value !== undefined && memoryCompare(value, operand) <= 0;
+        case '$gt': return value !== undefined && memoryCompare(value, operand) > 0;
+        case '$gte': return value !== undefined && memoryCompare(value, operand) >= 0;
+        case '$type': return typeof value === operand;
+        case '$elemMatch': return Array.isArray(value) && value.some(element => memoryMatch(element, operand));
+        case '$not': return !memoryMatch({ value }, { value: operand });
+        default: return false;
+      }
+    });
+  });
+}
+
+function memorySort(items, sort) {
+  return [...items].sort((a, b) => {
+    for (const [key, direction] of Object.entries(sort)) {
+      const result = memoryCompare(a[key], b[key]) * direction;
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+function memoryCursor(items) {
+  let results = items;
+  const cursor = {
+    sort: (sort) => { results = memorySort(results, sort); return cursor; },
+    limit: (limit) => { results = results.slice(0, limit); return cursor; },
+    toArray: async () => results
+  };
+  return cursor;
+}
+
+function memoryAggregate(items, pipeline) {
+  return pipeline.reduce((results, stage) => {
+    if (stage.$match) return results.filter(item => memoryMatch(item, stage.$match));
+    if (stage.$sort) return memorySort(results, stage.$sort);
+    if (stage.$limit) return results.slice(0, stage.$limit);
+    if (stage.$group) {
+      // Only `$first: '$$ROOT'`, `$sum: <number>` and `$max: '$field'` accumulators are supported
+      const { _id: groupBy, ...fields } = stage.$group;
+      const groups = new Map();
+      results.forEach((item) => {
+        const key = item[groupBy.slice(1)];
+        const group = groups.get(key) || { _id: key };
+        Object.entries(fields).forEach(([field, accumulator]) => {
+          if ('$sum' in accumulator) {
+            group[field] = (group[field] || 0) + accumulator.$sum;
+          } else if (accumulator.$max) {
+            const value = item[accumulator.$max.slice(1)];
+            if (!(field in group) || memoryCompare(value, group[field]) > 0) group[field] = value;
+          } else if (!(field in group)) {
+            group[field] = item;
+          }
+        });
+        groups.set(key, group);
+      });
+      return [...groups.values()];
+    }
+    if (stage.$replaceRoot) return results.map(item => item[stage.$replaceRoot.newRoot.slice(1)]);
+    return results;
+  }, items);
+}
+
+// Auto-connect; `ready` settles once MongoDB or the in-memory fallback is usable
+const ready = connectMongo();
+
+// Whether messages only live in this process (MongoDB was unreachable)
+function isMemoryFallback() {
+  return memoryFallback;
+}
 
-// Auto-connect
-connectMongo();
\ No newline at end of file
+export { connectMongo, ready, isMemoryFallback, db as default };
\ No newline at end of file
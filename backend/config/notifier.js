@@ -0,0 +1,45 @@
+/**
+ * Notifier configuration for email notifications
+ * NOTIFIER=smtp sends through SMTP_HOST; NOTIFIER=stub keeps emails in memory and logs them.
+ * Without NOTIFIER, smtp is used when SMTP_HOST is set and the stub otherwise
+ */
+import dotenv from 'dotenv';
+import SmtpNotifier from '../services/notifiers/SmtpNotifier.js';
+import StubNotifier from '../services/notifiers/StubNotifier.js';
+
+dotenv.config();
+
+export const mailConfig = {
+  from: process.env.MAIL_FROM || 'Live Chat <no-reply@localhost>'
+};
+
+const DRIVERS = {
+  smtp: () => new SmtpNotifier({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465, STARTTLS otherwise
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: mailConfig.from
+  }),
+  stub: () => new StubNotifier({ from: mailConfig.from })
+};
+
+let notifier = null;
+
+// Configured notifier name
+export function getNotifierType() {
+  const type = (process.env.NOTIFIER || (process.env.SMTP_HOST ? 'smtp' : 'stub')).toLowerCase();
+  if (!DRIVERS[type]) {
+    throw new Error(`Unknown NOTIFIER "${type}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+  return type;
+}
+
+// Shared notifier of the configured type
+export function getNotifier() {
+  if (!notifier) {
+    notifier = DRIVERS[getNotifierType()]();
+  }
+  return notifier;
+}
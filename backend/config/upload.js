@@ -0,0 +1,62 @@
+/**
+ * Upload configuration for chat attachments
+ * Limits follow the `upload` section of config/app.js (same environment variables);
+ * UPLOAD_STORAGE=local (default) keeps files on disk, UPLOAD_STORAGE=s3 in an S3-compatible bucket
+ */
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import LocalStorageDriver from '../services/storage/LocalStorageDriver.js';
+import S3StorageDriver from '../services/storage/S3StorageDriver.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const uploadConfig = {
+  maxSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
+  maxFiles: parseInt(process.env.MAX_FILES_PER_REQUEST) || 1,
+  allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'],
+  maxDimensions: {
+    width: 4096,
+    height: 4096
+  },
+  thumbnail: {
+    width: 320,
+    height: 320
+  }
+};
+
+const DRIVERS = {
+  local: () => new LocalStorageDriver({
+    directory: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+    publicUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads'
+  }),
+  s3: () => new S3StorageDriver({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT, // For S3-compatible services (MinIO, R2, Spaces...)
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: process.env.S3_PUBLIC_URL
+  })
+};
+
+let driver = null;
+
+// Configured storage driver name
+export function getStorageType() {
+  const type = (process.env.UPLOAD_STORAGE || 'local').toLowerCase();
+  if (!DRIVERS[type]) {
+    throw new Error(`Unknown UPLOAD_STORAGE "${type}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+  return type;
+}
+
+// Shared storage driver of the configured type
+export function getStorageDriver() {
+  if (!driver) {
+    driver = DRIVERS[getStorageType()]();
+  }
+  return driver;
+}
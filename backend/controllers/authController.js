@@ -71,6 +71,7 @@ export async function getProfile(req, res, next) {
         email: user.email,
         name: user.name,
         role: user.role,
+        maxConcurrentChats: user.max_concurrent_chats,
         createdAt: user.created_at,
         updatedAt: user.updated_at
       }
@@ -83,11 +84,21 @@ export async function getProfile(req, res, next) {
 // Update user profile
 export async function updateProfile(req, res, next) {
   try {
-    const { name, email } = req.body;
+    const { name, email, maxConcurrentChats } = req.body;
     
     const updateData = {};
     if (name) updateData.name = name;
     if (email) updateData.email = email;
+    if (maxConcurrentChats !== undefined) {
+      const capacity = parseInt(maxConcurrentChats);
+      if (isNaN(capacity) || capacity < 1) {
+        return res.status(400).json({
+          error: 'invalid_capacity',
+          message: 'maxConcurrentChats must be a positive number'
+        });
+      }
+      updateData.max_concurrent_chats = capacity;
+    }
 
     const user = await authService.updateProfile(req.user.id, updateData);
     
@@ -97,7 +108,8 @@ export async function updateProfile(req, res, next) {
         id: user.id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        maxConcurrentChats: user.max_concurrent_chats
       }
     });
   } catch (error) {
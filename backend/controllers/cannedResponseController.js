@@ -0,0 +1,96 @@
+/**
+ * Canned Response Controller - handles canned response endpoints
+ * Saved replies (site-wide or personal) and their /shortcut expansion
+ */
+import CannedResponseService from '../services/CannedResponseService.js';
+
+const cannedResponseService = new CannedResponseService();
+
+// List canned responses visible to the agent, optionally by folder, tag or search text
+export async function getCannedResponses(req, res, next) {
+  try {
+    const { folder, tag, search } = req.query;
+
+    const { responses, folders } = await cannedResponseService.listResponses(req.site, req.user, {
+      folder: folder || null,
+      tag: tag || null,
+      search: search || null
+    });
+
+    res.json({
+      success: true,
+      data: { responses, folders }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Create canned response
+export async function createCannedResponse(req, res, next) {
+  try {
+    const response = await cannedResponseService.createResponse(req.site, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { response }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update canned response
+export async function updateCannedResponse(req, res, next) {
+  try {
+    const { responseId } = req.params;
+
+    const response = await cannedResponseService.updateResponse(req.site, req.user, responseId, req.body);
+
+    res.json({
+      success: true,
+      data: { response }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Delete canned response
+export async function deleteCannedResponse(req, res, next) {
+  try {
+    const { responseId } = req.params;
+
+    await cannedResponseService.deleteResponse(req.site, req.user, responseId);
+
+    res.json({
+      success: true,
+      message: 'Canned response deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Expand a canned response (by id or /shortcut) for a conversation
+export async function expandCannedResponse(req, res, next) {
+  try {
+    const { id, shortcut, sessionId } = req.body;
+
+    if (!id && !shortcut) {
+      return res.status(400).json({
+        error: 'missing_fields',
+        message: 'id or shortcut is required'
+      });
+    }
+
+    const { response, text } = await cannedResponseService.useResponse(req.site, req.user, { id, shortcut, sessionId });
+
+    res.json({
+      success: true,
+      data: { text, response }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
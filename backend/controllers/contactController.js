@@ -0,0 +1,278 @@
+/**
+ * Contact Controller - handles contact (CRM) endpoints
+ * Contacts with custom attributes, tags, notes and linked visitors, plus CSV import and export
+ */
+import ContactService from '../services/ContactService.js';
+import { FileRequiredError } from '../utils/ApiError.js';
+
+const contactService = new ContactService();
+
+// List filters from the query string: ?search=&tag=a,b&attributes[plan]=pro
+function parseContactQuery(query) {
+  return {
+    search: query.search || null,
+    tags: query.tag ? String(query.tag).split(',') : [],
+    attributes: query.attributes || {}
+  };
+}
+
+// List contacts, with the tags in use and the site's contact attributes
+export async function getContacts(req, res, next) {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { contacts, total, tags, attributes } = await contactService.listContacts(
+      req.site,
+      parseContactQuery(req.query),
+      page,
+      limit
+    );
+
+    res.json({
+      success: true,
+      data: {
+        contacts,
+        tags,
+        attributes,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get a contact with its visitors and notes
+export async function getContact(req, res, next) {
+  try {
+    const contact = await contactService.getContact(req.site, req.params.contactId);
+
+    res.json({
+      success: true,
+      data: { contact }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Create contact
+export async function createContact(req, res, next) {
+  try {
+    const contact = await contactService.createContact(req.site, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { contact }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update contact
+export async function updateContact(req, res, next) {
+  try {
+    const contact = await contactService.updateContact(req.site, req.params.contactId, req.body);
+
+    res.json({
+      success: true,
+      data: { contact }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Delete contact
+export async function deleteContact(req, res, next) {
+  try {
+    await contactService.deleteContact(req.site, req.params.contactId);
+
+    res.json({
+      success: true,
+      message: 'Contact deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Link a visitor to a contact
+export async function linkContactVisitor(req, res, next) {
+  try {
+    const { visitorId } = req.body;
+
+    if (!visitorId) {
+      return res.status(400).json({
+        error: 'missing_fields',
+        message: 'visitorId is required'
+      });
+    }
+
+    const contact = await contactService.linkVisitor(req.site, req.params.contactId, visitorId);
+
+    res.json({
+      success: true,
+      data: { contact }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Unlink a visitor from a contact
+export async function unlinkContactVisitor(req, res, next) {
+  try {
+    const { contactId, visitorId } = req.params;
+
+    const contact = await contactService.unlinkVisitor(req.site, contactId, visitorId);
+
+    res.json({
+      success: true,
+      data: { contact }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Add a note to a contact
+export async function createContactNote(req, res, next) {
+  try {
+    const note = await contactService.addNote(req.site, req.user, req.params.contactId, req.body.body);
+
+    res.status(201).json({
+      success: true,
+      data: { note }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update a note
+export async function updateContactNote(req, res, next) {
+  try {
+    const { contactId, noteId } = req.params;
+
+    const note = await contactService.updateNote(req.site, req.user, contactId, noteId, req.body.body);
+
+    res.json({
+      success: true,
+      data: { note }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Delete a note
+export async function deleteContactNote(req, res, next) {
+  try {
+    const { contactId, noteId } = req.params;
+
+    await contactService.deleteNote(req.site, req.user, contactId, noteId);
+
+    res.json({
+      success: true,
+      message: 'Note deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Download the contacts matching the list filters as CSV
+export async function exportContacts(req, res, next) {
+  try {
+    const csv = await contactService.exportContacts(req.site, parseContactQuery(req.query));
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="contacts-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Import contacts from an uploaded CSV file (multipart field `file`)
+export async function importContacts(req, res, next) {
+  try {
+    if (!req.file) {
+      throw new FileRequiredError();
+    }
+
+    const result = await contactService.importContacts(req.site, req.user, req.file.buffer.toString('utf8'));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// List the site's contact attributes
+export async function getContactAttributes(req, res, next) {
+  try {
+    const attributes = await contactService.listAttributes(req.site);
+
+    res.json({
+      success: true,
+      data: { attributes }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Create contact attribute
+export async function createContactAttribute(req, res, next) {
+  try {
+    const attribute = await contactService.createAttribute(req.site, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { attribute }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update contact attribute
+export async function updateContactAttribute(req, res, next) {
+  try {
+    const attribute = await contactService.updateAttribute(req.site, req.user, req.params.attributeId, req.body);
+
+    res.json({
+      success: true,
+      data: { attribute }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Delete contact attribute
+export async function deleteContactAttribute(req, res, next) {
+  try {
+    await contactService.deleteAttribute(req.site, req.user, req.params.attributeId);
+
+    res.json({
+      success: true,
+      message: 'Contact attribute deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -4,13 +4,54 @@
  */
 import SiteModel from '../models/SiteModel.js';
 import VisitorModel from '../models/VisitorModel.js';
+import UserModel from '../models/UserModel.js';
+import SiteAgentModel from '../models/SiteAgentModel.js';
 import MessageModel from '../models/MessageModel.js';
+import { CONVERSATION_STATUSES } from '../models/ConversationModel.js';
 import PaymentService from '../services/PaymentService.js';
+import ConversationService from '../services/ConversationService.js';
+import RoutingService, { ROUTING_STRATEGIES } from '../services/RoutingService.js';
+import TransferService from '../services/TransferService.js';
+import PrechatService from '../services/PrechatService.js';
+import SatisfactionService from '../services/SatisfactionService.js';
+import BusinessHoursService from '../services/BusinessHoursService.js';
+import VisitorJourneyService from '../services/VisitorJourneyService.js';
+import VisitorIdentityService from '../services/VisitorIdentityService.js';
+import { canSupervise } from '../middlewares/socketAuth.js';
+import { VisitorNotFoundError } from '../utils/ApiError.js';
 
 const siteModel = new SiteModel();
 const visitorModel = new VisitorModel();
+const userModel = new UserModel();
+const siteAgentModel = new SiteAgentModel();
 const messageModel = new MessageModel();
 const paymentService = new PaymentService();
+const conversationService = new ConversationService();
+const routingService = new RoutingService();
+const transferService = new TransferService();
+const prechatService = new PrechatService();
+const satisfactionService = new SatisfactionService();
+const businessHoursService = new BusinessHoursService();
+const journeyService = new VisitorJourneyService();
+const identityService = new VisitorIdentityService();
+
+// Prevent caching of dynamic dashboard data
+function setNoCacheHeaders(res) {
+  res.set({
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0',
+    'ETag': null,
+    'Last-Modified': null
+  });
+}
+
+// Parse a comma-separated list of ISO country codes; null when one is not a code
+function parseCountries(value) {
+  if (!value) return [];
+  const countries = String(value).split(',').map(code => code.trim().toUpperCase());
+  return countries.length <= 50 && countries.every(code => /^[A-Z]{2}$/.test(code)) ? countries : null;
+}
 
 // Get user dashboard data
 export async function getDashboard(req, res, next) {
@@ -32,7 +73,10 @@ export async function getDashboard(req, res, next) {
     try {
       // Get user's sites
       console.log('🔍 Fetching sites for user:', userId);
-      const sites = await siteModel.findByUserId(userId);
+      const sites = [
+        ...(await siteModel.findByUserId(userId)),
+        ...(await siteAgentModel.getUserSites(userId))
+      ];
       console.log('📋 Found sites:', sites.length);
       
       if (sites.length === 0) {
@@ -147,18 +191,35 @@ export async function getSiteAnalytics(req, res, next) {
   try {
     const { siteId } = req.params;
     const site = req.site; // Added by siteGuard middleware
+
+    const countries = parseCountries(req.query.country);
+    if (!countries) {
+      return res.status(400).json({
+        error: 'invalid_country',
+        message: 'country must be a comma-separated list of ISO country codes such as DE,FR'
+      });
+    }
     
     // Get visitors
-    const visitors = await visitorModel.getSiteVisitors(site.id, 100);
-    const activeVisitors = await visitorModel.getActiveVisitors(site.id);
+    const visitors = await visitorModel.getSiteVisitors(site.id, 100, { countries });
+    const activeVisitors = await visitorModel.getActiveVisitors(site.id, { countries });
     
     // Get recent messages
-    const recentMessages = await messageModel.getSiteMessages(siteId, 50);
+    const recentMessages = await messageModel.getSiteMessages(siteId, 50, { viewerId: req.user.id });
     const activeSessions = await messageModel.getActiveSessions(siteId, 30);
     
     // Get subscription status
     const subscription = await paymentService.getSubscriptionStatus(siteId);
 
+    // Post-chat ratings and reply times over the requested period (days, default 30)
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const csat = await satisfactionService.getAnalytics(site, days);
+    const firstResponse = await conversationService.getFirstResponseStats(site, days);
+    const visitorCountries = await visitorModel.getCountryBreakdown(
+      site.id,
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+    );
+
     // Set cache headers to prevent caching of dynamic analytics data
     res.set({
       'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -183,6 +244,9 @@ export async function getSiteAnalytics(req, res, next) {
           recentMessages: recentMessages.length,
           activeSessions: activeSessions.length
         },
+        csat,
+        firstResponse,
+        countries: visitorCountries,
         visitors,
         recentMessages,
         subscription
@@ -197,11 +261,20 @@ export async function getSiteAnalytics(req, res, next) {
 export async function getSiteVisitors(req, res, next) {
   try {
     const { siteId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
     const site = req.site;
+
+    const countries = parseCountries(req.query.country);
+    if (!countries) {
+      return res.status(400).json({
+        error: 'invalid_country',
+        message: 'country must be a comma-separated list of ISO country codes such as DE,FR'
+      });
+    }
     
-    const visitors = await visitorModel.getRecentVisitors(site.id, page, limit);
-    const totalCount = await visitorModel.getVisitorCount(site.id);
+    const visitors = await visitorModel.getRecentVisitors(site.id, page, limit, { countries });
+    const totalCount = await visitorModel.getVisitorCount(site.id, { countries });
     
     // Set cache headers to prevent caching of visitor data
     res.set({
@@ -217,8 +290,8 @@ export async function getSiteVisitors(req, res, next) {
       data: {
         visitors,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+          page,
+          limit,
           total: totalCount,
           pages: Math.ceil(totalCount / limit)
         }
@@ -229,32 +302,100 @@ export async function getSiteVisitors(req, res, next) {
   }
 }
 
+// Get a visitor's recent visits and the pages they viewed
+export async function getVisitorTimeline(req, res, next) {
+  try {
+    const { visitorId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const timeline = await journeyService.getTimeline(req.site, visitorId, limit);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Merge another visitor into this one, e.g. when an agent recognises a returning visitor
+export async function mergeVisitor(req, res, next) {
+  try {
+    const { visitorId } = req.params;
+    const { sourceVisitorId } = req.body;
+
+    if (!sourceVisitorId) {
+      return res.status(400).json({
+        error: 'missing_fields',
+        message: 'sourceVisitorId is required'
+      });
+    }
+
+    const [target, source] = await Promise.all([
+      visitorModel.findById(visitorId),
+      visitorModel.findById(sourceVisitorId)
+    ]);
+    if (!target || !source || Number(target.site_id) !== Number(req.site.id) ||
+      Number(source.site_id) !== Number(req.site.id)) {
+      throw new VisitorNotFoundError();
+    }
+
+    const visitor = await identityService.mergeVisitors(req.site, target, source);
+
+    res.json({
+      success: true,
+      data: { visitor, mergedVisitorId: source.id }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 // Get chat conversations
 export async function getChatConversations(req, res, next) {
   try {
     const { siteId } = req.params;
-    const site = req.site;
+    const { status, visitorId, since, until } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const statuses = status ? status.split(',') : [];
+    const invalid = statuses.filter(value => !CONVERSATION_STATUSES.includes(value));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'invalid_status',
+        message: `status must be one of: ${CONVERSATION_STATUSES.join(', ')}`
+      });
+    }
     
     // Get active sessions
     const activeSessions = await messageModel.getActiveSessions(siteId, 60);
     
-    // Get last message for each session
-    const conversations = await messageModel.getLastMessages(siteId, 20);
+    // Get conversation records with their last message
+    const { conversations, total } = await conversationService.listConversations(
+      siteId,
+      { status: statuses, visitorId, since, until },
+      page,
+      limit,
+      req.user.id
+    );
     
-    // Set cache headers to prevent caching of chat data
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'ETag': null,
-      'Last-Modified': null
-    });
+    setNoCacheHeaders(res);
     
     res.json({
       success: true,
       data: {
         activeSessions,
-        conversations
+        conversations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
       }
     });
   } catch (error) {
@@ -262,13 +403,139 @@ export async function getChatConversations(req, res, next) {
   }
 }
 
+// Get single conversation
+export async function getConversation(req, res, next) {
+  try {
+    const { siteId, conversationId } = req.params;
+
+    const conversation = await conversationService.getConversation(siteId, conversationId);
+    const visitor = await prechatService.getVisitorDetails(conversation.visitor_id);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: { conversation: { ...conversation, visitor } }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get the conversation of a chat session, with the visitor's pre-chat details
+export async function getSessionConversation(req, res, next) {
+  try {
+    const { siteId, sessionId } = req.params;
+
+    const conversation = await conversationService.getSessionConversation(siteId, sessionId);
+    const visitor = await prechatService.getVisitorDetails(conversation.visitor_id);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: { conversation: { ...conversation, visitor } }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Close conversation
+export async function closeConversation(req, res, next) {
+  try {
+    const { siteId, conversationId } = req.params;
+
+    const conversation = await conversationService.closeConversation(siteId, conversationId, req.user.id);
+
+    const socketService = req.app.get('socketService');
+    await socketService?.requestRating(siteId, conversation);
+    socketService?.broadcastToSession(siteId, conversation.session_id, 'session_closed', {
+      sessionId: conversation.session_id,
+      reason: 'Admin closed session'
+    });
+    socketService?.broadcastToAgents(siteId, 'conversation_updated', {
+      sessionId: conversation.session_id,
+      conversation
+    });
+    // The agent who owned it has capacity again
+    await socketService?.rebalance(siteId);
+
+    res.json({
+      success: true,
+      data: { conversation }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Reopen conversation
+export async function reopenConversation(req, res, next) {
+  try {
+    const { siteId, conversationId } = req.params;
+
+    const conversation = await conversationService.reopenConversation(siteId, conversationId);
+
+    req.app.get('socketService')?.broadcastToAgents(siteId, 'conversation_updated', {
+      sessionId: conversation.session_id,
+      conversation
+    });
+
+    res.json({
+      success: true,
+      data: { conversation }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Snooze conversation until a given time
+export async function snoozeConversation(req, res, next) {
+  try {
+    const { siteId, conversationId } = req.params;
+    const { until, minutes } = req.body;
+
+    const snoozedUntil = until
+      ? new Date(until)
+      : new Date(Date.now() + parseInt(minutes) * 60 * 1000);
+
+    if (isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+      return res.status(400).json({
+        error: 'invalid_snooze',
+        message: 'Provide a future "until" date or a positive number of "minutes"'
+      });
+    }
+
+    const conversation = await conversationService.snoozeConversation(siteId, conversationId, snoozedUntil);
+
+    req.app.get('socketService')?.broadcastToAgents(siteId, 'conversation_updated', {
+      sessionId: conversation.session_id,
+      conversation
+    });
+
+    res.json({
+      success: true,
+      data: { conversation }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 // Get chat messages for session
 export async function getChatMessages(req, res, next) {
   try {
     const { siteId, sessionId } = req.params;
-    const site = req.site;
+    const { before, after, limit } = req.query;
     
-    const messages = await messageModel.getSessionMessages(siteId, sessionId);
+    const { messages, pagination } = await messageModel.getMessagesPage(siteId, sessionId, {
+      before,
+      after,
+      limit,
+      viewerId: req.user.id
+    });
     
     // Set cache headers to prevent caching of message data
     res.set({
@@ -281,7 +548,354 @@ export async function getChatMessages(req, res, next) {
     
     res.json({
       success: true,
-      data: { messages }
+      data: { messages, pagination }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Claim conversation for the current agent
+export async function claimConversation(req, res, next) {
+  try {
+    const { siteId, conversationId } = req.params;
+
+    const conversation = await routingService.claimConversation(siteId, conversationId, req.user.id);
+
+    const socketService = req.app.get('socketService');
+    await socketService?.announceAssignment(siteId, conversation);
+    await socketService?.emitQueuePositions(siteId);
+
+    res.json({
+      success: true,
+      data: { conversation }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Transfer conversation to another agent and/or department
+export async function transferConversation(req, res, next) {
+  try {
+    const { siteId, conversationId } = req.params;
+    const { agentId, departmentId, note } = req.body;
+
+    if (!agentId && !departmentId) {
+      return res.status(400).json({
+        error: 'missing_fields',
+        message: 'agentId or departmentId is required'
+      });
+    }
+
+    const target = { agentId, departmentId, note: note || null };
+    const socketService = req.app.get('socketService');
+    const result = socketService
+      ? await socketService.transferConversation(siteId, conversationId, target, req.user.id)
+      : await transferService.transfer(siteId, conversationId, target, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        conversation: result.conversation,
+        transfer: result.transfer
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get transfer history for conversation
+export async function getConversationTransfers(req, res, next) {
+  try {
+    const { siteId, conversationId } = req.params;
+
+    const transfers = await transferService.getTransfers(siteId, conversationId);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: { transfers }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get routing settings for site
+export async function getRoutingSettings(req, res, next) {
+  try {
+    const routing = routingService.getRoutingSettings(req.site);
+    const queue = await routingService.getQueue(req.params.siteId);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: {
+        routing,
+        strategies: ROUTING_STRATEGIES,
+        queueLength: queue.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update routing settings for site
+export async function updateRoutingSettings(req, res, next) {
+  try {
+    const { siteId } = req.params;
+    const { strategy } = req.body;
+
+    if (!ROUTING_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        error: 'invalid_strategy',
+        message: `strategy must be one of: ${ROUTING_STRATEGIES.join(', ')}`
+      });
+    }
+
+    const routing = await routingService.updateRoutingSettings(siteId, { strategy });
+
+    // Switching away from manual may let queued visitors through
+    await req.app.get('socketService')?.rebalance(siteId);
+
+    res.json({
+      success: true,
+      data: { routing }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get business hours and holidays for site
+export async function getBusinessHours(req, res, next) {
+  try {
+    const businessHours = businessHoursService.getSchedule(req.site);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: {
+        businessHours,
+        status: businessHoursService.getStatus(businessHours)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update business hours and holidays for site
+export async function updateBusinessHours(req, res, next) {
+  try {
+    const { siteId } = req.params;
+    const { enabled, timezone, weekly, holidays } = req.body;
+
+    const businessHours = await businessHoursService.updateSchedule(siteId, { enabled, timezone, weekly, holidays });
+
+    res.json({
+      success: true,
+      data: {
+        businessHours,
+        status: businessHoursService.getStatus(businessHours)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get the identity verification settings for site, with the secret the customer's server signs user data with
+export async function getIdentitySettings(req, res, next) {
+  try {
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: { identity: identityService.getIdentitySettings(req.site) }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Create (or replace) the identity secret for site
+export async function rotateIdentitySecret(req, res, next) {
+  try {
+    const { siteId } = req.params;
+
+    const identity = await identityService.rotateIdentitySecret(siteId);
+
+    res.json({
+      success: true,
+      data: { identity }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Remove the identity secret for site (visitors can no longer be identified)
+export async function disableIdentity(req, res, next) {
+  try {
+    const { siteId } = req.params;
+
+    const identity = await identityService.disableIdentity(siteId);
+
+    res.json({
+      success: true,
+      data: { identity }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get post-chat survey settings for site
+export async function getSurveySettings(req, res, next) {
+  try {
+    const csat = satisfactionService.getSurveySettings(req.site);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: { csat }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update post-chat survey settings for site
+export async function updateSurveySettings(req, res, next) {
+  try {
+    const { siteId } = req.params;
+    const { enabled, scale, allowComment, question } = req.body;
+
+    const csat = await satisfactionService.updateSurveySettings(siteId, { enabled, scale, allowComment, question });
+
+    res.json({
+      success: true,
+      data: { csat }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get pre-chat form settings for site
+export async function getPrechatSettings(req, res, next) {
+  try {
+    const prechat = prechatService.getPrechatSettings(req.site);
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: { prechat }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update pre-chat form settings for site
+export async function updatePrechatSettings(req, res, next) {
+  try {
+    const { siteId } = req.params;
+    const { enabled, fields } = req.body;
+
+    const prechat = await prechatService.updatePrechatSettings(siteId, { enabled, fields });
+
+    res.json({
+      success: true,
+      data: { prechat }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get every live chat with wait time and assigned agent (supervisor view)
+export async function getActiveChats(req, res, next) {
+  try {
+    const { siteId } = req.params;
+
+    if (!(await canSupervise(req.user, req.site))) {
+      return res.status(403).json({
+        error: 'forbidden',
+        message: 'Supervisor access required'
+      });
+    }
+
+    const socketService = req.app.get('socketService');
+    const conversations = await conversationService.listActiveConversations(siteId);
+
+    const chats = conversations.map(conversation => ({
+      ...conversation,
+      visitorOnline: socketService
+        ? socketService.activeSessions.get(conversation.session_id)?.siteId === siteId
+        : false,
+      agent: conversation.agent && {
+        ...conversation.agent,
+        status: socketService ? socketService.presence.getSiteStatus(conversation.agent.id, siteId) : 'offline'
+      }
+    }));
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: { chats }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get agents and their presence for site
+export async function getSiteAgents(req, res, next) {
+  try {
+    const { siteId } = req.params;
+    const site = req.site;
+
+    const socketService = req.app.get('socketService');
+    const presence = socketService ? socketService.presence.getSiteAgents(siteId) : [];
+
+    // The site owner and the team are always listed, offline when not connected
+    const members = await siteAgentModel.getSiteMembers(site.id);
+    const agentIds = [...new Set([site.user_id, ...members.map(member => member.user_id), ...presence.map(agent => agent.userId)])];
+    const users = await userModel.getQuery().whereIn('id', agentIds);
+
+    const agents = users.map((user) => {
+      const entry = presence.find(agent => agent.userId === user.id);
+      return {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        status: entry ? entry.status : 'offline',
+        lastActivity: entry ? entry.lastActivity : null,
+        connections: entry ? entry.connections : 0,
+        maxConcurrentChats: user.max_concurrent_chats,
+        role: user.id === site.user_id ? 'owner' : members.find(member => member.user_id === user.id)?.role || null
+      };
+    });
+
+    setNoCacheHeaders(res);
+
+    res.json({
+      success: true,
+      data: {
+        agents,
+        availability: socketService ? await socketService.getAvailability(siteId) : { online: false, agentsOnline: 0 }
+      }
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,139 @@
+/**
+ * Department Controller - handles department management endpoints
+ * Departments group a site's agents for routing and transfers
+ */
+import DepartmentModel from '../models/DepartmentModel.js';
+import UserModel from '../models/UserModel.js';
+import { findAccessibleSite } from '../middlewares/socketAuth.js';
+import { DepartmentNotFoundError } from '../utils/ApiError.js';
+
+const departmentModel = new DepartmentModel();
+const userModel = new UserModel();
+
+// Agent ids that don't have access to the site
+async function findInvalidAgents(siteId, agentIds) {
+  const invalid = [];
+  for (const agentId of agentIds) {
+    const user = await userModel.findById(agentId);
+    if (!user || !(await findAccessibleSite(user, siteId))) {
+      invalid.push(agentId);
+    }
+  }
+  return invalid;
+}
+
+// Get departments for site
+export async function getDepartments(req, res, next) {
+  try {
+    const departments = await departmentModel.getSiteDepartments(req.site.id);
+
+    res.json({
+      success: true,
+      data: { departments }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Create department
+export async function createDepartment(req, res, next) {
+  try {
+    const { siteId } = req.params;
+    const { name, agentIds = [] } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        error: 'missing_fields',
+        message: 'Department name is required'
+      });
+    }
+
+    const invalid = await findInvalidAgents(siteId, agentIds);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'invalid_agents',
+        message: `Agents without access to this site: ${invalid.join(', ')}`
+      });
+    }
+
+    const department = await departmentModel.create({
+      site_id: req.site.id,
+      name: name.trim()
+    });
+    await departmentModel.setAgents(department.id, agentIds);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        department: {
+          ...department,
+          agentIds: await departmentModel.getAgentIds(department.id)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update department name and/or agents
+export async function updateDepartment(req, res, next) {
+  try {
+    const { siteId, departmentId } = req.params;
+    const { name, agentIds } = req.body;
+
+    const department = await departmentModel.findForSite(req.site.id, departmentId);
+    if (!department) {
+      throw new DepartmentNotFoundError();
+    }
+
+    if (agentIds) {
+      const invalid = await findInvalidAgents(siteId, agentIds);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'invalid_agents',
+          message: `Agents without access to this site: ${invalid.join(', ')}`
+        });
+      }
+      await departmentModel.setAgents(department.id, agentIds);
+    }
+
+    const updated = name && name.trim()
+      ? await departmentModel.update(department.id, { name: name.trim(), updated_at: new Date() })
+      : department;
+
+    res.json({
+      success: true,
+      data: {
+        department: {
+          ...updated,
+          agentIds: await departmentModel.getAgentIds(department.id)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Delete department
+export async function deleteDepartment(req, res, next) {
+  try {
+    const { departmentId } = req.params;
+
+    const department = await departmentModel.findForSite(req.site.id, departmentId);
+    if (!department) {
+      throw new DepartmentNotFoundError();
+    }
+
+    await departmentModel.delete(department.id);
+
+    res.json({
+      success: true,
+      message: 'Department deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
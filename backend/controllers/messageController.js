@@ -0,0 +1,157 @@
+/**
+ * Message Controller - handles message editing endpoints
+ * Agent attachments, editing and soft-deleting sent messages, reactions, revision history and the site's edit window
+ */
+import { MESSAGE_TYPES } from '../models/MessageModel.js';
+import MessageService from '../services/MessageService.js';
+import AttachmentService from '../services/AttachmentService.js';
+
+const messageService = new MessageService();
+const attachmentService = new AttachmentService();
+
+// Share a file in a conversation as an agent (type 'internal' keeps it from the visitor)
+export async function uploadAttachment(req, res, next) {
+  try {
+    const { siteId, sessionId } = req.params;
+    const { type = 'message' } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'missing_file',
+        message: 'A file is required (multipart field "file")'
+      });
+    }
+
+    if (!MESSAGE_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'invalid_type',
+        message: `type must be one of: ${MESSAGE_TYPES.join(', ')}`
+      });
+    }
+
+    const attachment = await attachmentService.storeAttachment(siteId, sessionId, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname
+    });
+
+    const message = await req.app.get('socketService').postMessage({
+      siteId,
+      sessionId,
+      sender: 'admin',
+      type,
+      text: attachmentService.normalizeCaption(req.body.caption),
+      attachment,
+      agentId: req.user.id,
+      timestamp: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { message }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Edit a message's text
+export async function editMessage(req, res, next) {
+  try {
+    const { sessionId, messageId } = req.params;
+
+    const message = await messageService.editMessage(req.site, sessionId, messageId, req.body.text, req.user);
+
+    req.app.get('socketService')?.publishMessageChange('message_updated', message);
+
+    res.json({
+      success: true,
+      data: { message }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Soft-delete a message
+export async function deleteMessage(req, res, next) {
+  try {
+    const { sessionId, messageId } = req.params;
+
+    const message = await messageService.deleteMessage(req.site, sessionId, messageId, req.user);
+
+    req.app.get('socketService')?.publishMessageChange('message_deleted', message);
+
+    res.json({
+      success: true,
+      data: { message }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Toggle the agent's emoji reaction on a message
+export async function reactToMessage(req, res, next) {
+  try {
+    const { siteId, sessionId, messageId } = req.params;
+
+    const message = await messageService.toggleReaction(siteId, sessionId, messageId, req.body.emoji, {
+      sender: 'admin',
+      userId: req.user.id
+    });
+
+    req.app.get('socketService')?.publishMessageChange('message_reacted', message);
+
+    res.json({
+      success: true,
+      data: { message }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get a message with its earlier versions
+export async function getMessageHistory(req, res, next) {
+  try {
+    const { siteId, sessionId, messageId } = req.params;
+
+    const { message, revisions } = await messageService.getMessageHistory(siteId, sessionId, messageId, req.user.id);
+
+    res.json({
+      success: true,
+      data: { message, revisions }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Get message settings for site
+export async function getMessageSettings(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: { messages: messageService.getMessageSettings(req.site) }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Update message settings for site
+export async function updateMessageSettings(req, res, next) {
+  try {
+    const { siteId } = req.params;
+    const { editWindowMinutes } = req.body;
+
+    const messages = await messageService.updateMessageSettings(siteId, { editWindowMinutes });
+
+    res.json({
+      success: true,
+      data: { messages }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -8,6 +8,7 @@ import PaymentService from '../services/PaymentService.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
+import { DASHBOARD_AUDIENCE } from '../utils/TokenManager.js';
 
 const userModel = new UserModel();
 const siteModel = new SiteModel();
@@ -156,7 +157,7 @@ export async function impersonateUser(req, res, next) {
         originalAdminEmail: req.user.email
       },
       process.env.JWT_SECRET,
-      { expiresIn: '1h' }
+      { expiresIn: '1h', audience: DASHBOARD_AUDIENCE }
     );
     
     console.log(`Admin ${req.user.email} is impersonating user ${user.email}`);
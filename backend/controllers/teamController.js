@@ -0,0 +1,98 @@
+/**
+ * Team Controller - handles site team endpoints
+ * The site owner adds agents and supervisors by the email of their account
+ */
+import SiteAgentModel, { SITE_AGENT_ROLES } from '../models/SiteAgentModel.js';
+import UserModel from '../models/UserModel.js';
+
+const siteAgentModel = new SiteAgentModel();
+const userModel = new UserModel();
+
+// Team member as returned by the API
+function formatMember(member) {
+  return {
+    userId: member.user_id,
+    name: member.name,
+    email: member.email,
+    role: member.role,
+    addedAt: member.created_at
+  };
+}
+
+// Get the site's team
+export async function getTeam(req, res, next) {
+  try {
+    const members = await siteAgentModel.getSiteMembers(req.site.id);
+
+    res.json({
+      success: true,
+      data: { members: members.map(formatMember) }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Add a user to the team, or change their role
+export async function setTeamMember(req, res, next) {
+  try {
+    const { email, role = 'agent' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: 'missing_fields',
+        message: 'email is required'
+      });
+    }
+    if (!SITE_AGENT_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'invalid_role',
+        message: `role must be one of: ${SITE_AGENT_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await userModel.findByEmail(email.trim());
+    if (!user) {
+      return res.status(404).json({
+        error: 'user_not_found',
+        message: 'No account uses this email; ask them to sign up first'
+      });
+    }
+    if (user.id === req.site.user_id) {
+      return res.status(400).json({
+        error: 'invalid_member',
+        message: 'The site owner always has full access'
+      });
+    }
+
+    await siteAgentModel.setMember(req.site.id, user.id, role);
+    const member = (await siteAgentModel.getSiteMembers(req.site.id)).find(entry => entry.user_id === user.id);
+
+    res.json({
+      success: true,
+      data: { member: formatMember(member) }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Remove a user from the team
+export async function removeTeamMember(req, res, next) {
+  try {
+    const removed = await siteAgentModel.removeMember(req.site.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'member_not_found',
+        message: 'This user is not on the site team'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Team member removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -4,19 +4,28 @@
  */
 import WidgetService from '../services/WidgetService.js';
 import MessageModel from '../models/MessageModel.js';
+import AttachmentService from '../services/AttachmentService.js';
+import PrechatService from '../services/PrechatService.js';
+import OfflineMessageService from '../services/OfflineMessageService.js';
+import SatisfactionService from '../services/SatisfactionService.js';
+import { PrechatRequiredError } from '../utils/ApiError.js';
 
 const widgetService = new WidgetService();
 const messageModel = new MessageModel();
+const attachmentService = new AttachmentService();
+const prechatService = new PrechatService();
+const offlineMessageService = new OfflineMessageService();
+const satisfactionService = new SatisfactionService();
 
 // Process visitor visit
 export async function processVisit(req, res, next) {
   try {
-    const { siteId, fingerprint } = req.body;
+    const { siteId, fingerprint, visitorToken, identity } = req.body;
     
-    if (!siteId || !fingerprint) {
+    if (!siteId || (!fingerprint && !visitorToken)) {
       return res.status(400).json({
         error: 'missing_fields',
-        message: 'siteId and fingerprint are required'
+        message: 'siteId and a visitorToken or fingerprint are required'
       });
     }
 
@@ -27,7 +36,7 @@ export async function processVisit(req, res, next) {
       page: req.body.page || '/'
     };
 
-    const result = await widgetService.processVisit(siteId, fingerprint, visitorData);
+    const result = await widgetService.processVisit(siteId, { visitorToken, fingerprint, identity }, visitorData);
     
     res.json({
       success: true,
@@ -51,10 +60,13 @@ export async function getSiteConfig(req, res, next) {
     }
 
     const config = await widgetService.getSiteConfig(siteId);
-    
+
+    // The widget shows the offline form instead of the chat while nobody can answer or the site is closed
+    const availability = await req.app.get('socketService').getAvailability(siteId);
+
     res.json({
       success: true,
-      data: config
+      data: { ...config, availability }
     });
   } catch (error) {
     next(error);
@@ -87,20 +99,34 @@ export async function getWidgetStatus(req, res, next) {
 // Track visitor activity
 export async function trackActivity(req, res, next) {
   try {
-    const { siteId, fingerprint, activity } = req.body;
+    const { siteId, fingerprint, visitorToken, activity, sessionId } = req.body;
     
-    if (!siteId || !fingerprint) {
+    if (!siteId || (!fingerprint && !visitorToken)) {
       return res.status(400).json({
         error: 'missing_fields',
-        message: 'siteId and fingerprint are required'
+        message: 'siteId and a visitorToken or fingerprint are required'
       });
     }
 
-    const visitor = await widgetService.trackActivity(siteId, fingerprint, activity);
+    const { visitor, journey } = await widgetService.trackActivity(
+      siteId,
+      { visitorToken, fingerprint },
+      activity,
+      sessionId
+    );
+
+    // Agents see which page the visitor is on as it changes
+    if (journey?.changed) {
+      req.app.get('socketService').broadcastToAgents(siteId, 'visitor_activity', {
+        visitorId: visitor.id,
+        sessionId: sessionId || null,
+        currentPage: journey.currentPage
+      });
+    }
     
     res.json({
       success: true,
-      data: { visitor }
+      data: { visitor, currentPage: journey?.currentPage || null }
     });
   } catch (error) {
     next(error);
@@ -110,20 +136,181 @@ export async function trackActivity(req, res, next) {
 // Get chat history for session
 export async function getChatHistory(req, res, next) {
   try {
-    const { siteId, sessionId } = req.query;
+    // The conversation comes from the verified session token, never from the query
+    const { siteId, sessionId } = req.visitorSession;
+    const { before, after, limit } = req.query;
+
+    // Internal notes never leave the dashboard
+    const { messages, pagination } = await messageModel.getMessagesPage(siteId, sessionId, {
+      before,
+      after,
+      limit,
+      includeInternal: false
+    });
     
-    if (!siteId || !sessionId) {
+    res.json({
+      success: true,
+      data: { messages, pagination }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Submit the pre-chat form before the first message
+export async function submitPrechat(req, res, next) {
+  try {
+    const { siteId, sessionId, visitorId } = req.visitorSession;
+    const answers = req.body.fields || {};
+
+    const result = await prechatService.submitForm(siteId, sessionId, visitorId, answers);
+    if (result.errors) {
+      return res.status(400).json({
+        error: 'invalid_prechat',
+        message: 'Please correct the highlighted fields',
+        fields: result.errors
+      });
+    }
+
+    // Agents see who is about to write before the first message arrives
+    req.app.get('socketService').broadcastToAgents(siteId, 'conversation_updated', {
+      sessionId,
+      conversation: result.conversation,
+      visitor: result.visitor
+    });
+
+    res.json({
+      success: true,
+      data: { visitor: result.visitor }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Identify the visitor of the session as a logged-in user of the customer's site (signed user data)
+export async function identifyVisitor(req, res, next) {
+  try {
+    const { siteId, sessionId, visitorId } = req.visitorSession;
+    const { user, signature } = req.body;
+
+    if (!user || !signature) {
       return res.status(400).json({
         error: 'missing_fields',
-        message: 'siteId and sessionId are required'
+        message: 'user and signature are required'
       });
     }
 
-    const messages = await messageModel.getSessionMessages(siteId, sessionId);
-    
+    const result = await widgetService.identifySession(siteId, sessionId, visitorId, { user, signature });
+    const visitor = prechatService.formatVisitor(result.visitor);
+
+    // Agents see who they are talking to as soon as the visitor logs in
+    req.app.get('socketService').broadcastToAgents(siteId, 'visitor_identified', {
+      sessionId,
+      visitor,
+      mergedVisitorIds: result.mergedVisitorIds
+    });
+
     res.json({
       success: true,
-      data: { messages }
+      data: {
+        sessionToken: result.sessionToken,
+        visitorToken: result.visitorToken,
+        visitor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Leave a message while no agent is online; the site owner is notified by email
+export async function submitOfflineMessage(req, res, next) {
+  try {
+    const { siteId, sessionId, visitorId } = req.visitorSession;
+    const { name, email, message: text } = req.body;
+
+    const submission = await offlineMessageService.submitMessage(siteId, sessionId, visitorId, { name, email, message: text });
+
+    // Stored and routed like a chat message, so it waits in the queue for the next agent
+    const message = await req.app.get('socketService').postMessage({
+      siteId,
+      sessionId,
+      sender: 'visitor',
+      type: 'message',
+      text: submission.text,
+      timestamp: new Date()
+    }, { visitorId });
+
+    // Not awaited: a slow mail server must not hold up the visitor
+    offlineMessageService.notifyOwner(submission.site, submission.visitor, message);
+
+    res.status(201).json({
+      success: true,
+      data: { message }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Rate the visitor's closed conversation (answer to `csat_request`)
+export async function submitRating(req, res, next) {
+  try {
+    const { siteId, sessionId, visitorId } = req.visitorSession;
+    const { score, comment } = req.body;
+
+    const { rating, conversation } = await satisfactionService.submitRating(siteId, sessionId, visitorId, { score, comment });
+
+    req.app.get('socketService').broadcastToAgents(siteId, 'conversation_rated', {
+      sessionId,
+      conversationId: conversation.id,
+      rating
+    });
+
+    res.json({
+      success: true,
+      data: { rating }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Share a file in the visitor's own conversation
+export async function uploadAttachment(req, res, next) {
+  try {
+    const { siteId, sessionId, visitorId } = req.visitorSession;
+
+    if (await prechatService.isFormRequired(siteId, visitorId)) {
+      throw new PrechatRequiredError();
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'missing_file',
+        message: 'A file is required (multipart field "file")'
+      });
+    }
+
+    const attachment = await attachmentService.storeAttachment(siteId, sessionId, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname
+    });
+
+    const message = await req.app.get('socketService').postMessage({
+      siteId,
+      sessionId,
+      sender: 'visitor',
+      type: 'message',
+      text: attachmentService.normalizeCaption(req.body.caption),
+      attachment,
+      timestamp: new Date()
+    }, { visitorId });
+
+    res.status(201).json({
+      success: true,
+      data: { message }
     });
   } catch (error) {
     next(error);
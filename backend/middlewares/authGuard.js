@@ -3,6 +3,7 @@
  * Protects routes that require authentication
  */
 import AuthService from '../services/AuthService.js';
+import TokenManager from '../utils/TokenManager.js';
 
 export default function authGuard(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -70,4 +71,32 @@ export function optionalAuth(req, res, next) {
   }
 
   next();
+}
+
+// Visitor guard - requires the widget session token from /api/widget/visit
+export function visitorSessionGuard(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({
+      error: 'No session token provided',
+      message: 'Authorization header with the widget session token is required'
+    });
+  }
+
+  const token = authHeader.startsWith('Bearer ')
+    ? authHeader.slice(7)
+    : authHeader;
+
+  try {
+    const { siteId, sessionId, visitorId } = TokenManager.verifyVisitorSessionToken(token);
+    req.visitorSession = { siteId, sessionId, visitorId };
+    req.siteId = siteId;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'invalid_session_token',
+      message: 'Invalid or expired session token'
+    });
+  }
 }
\ No newline at end of file
@@ -2,6 +2,8 @@
  * Global Error Handler - catches and formats all errors
  * Provides consistent error responses across the API
  */
+import { ApiError } from '../utils/ApiError.js';
+
 export default function errorHandler(err, req, res, next) {
   console.error('❌ Error:', err);
 
@@ -11,7 +13,11 @@ export default function errorHandler(err, req, res, next) {
   let error = 'server_error';
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err instanceof ApiError) {
+    status = err.statusCode;
+    message = err.publicMessage;
+    error = err.code;
+  } else if (err.name === 'ValidationError') {
     status = 400;
     message = err.message;
     error = 'validation_error';
@@ -19,22 +25,6 @@ export default function errorHandler(err, req, res, next) {
     status = 401;
     message = 'Unauthorized';
     error = 'unauthorized';
-  } else if (err.message === 'User already exists') {
-    status = 409;
-    message = 'User already exists';
-    error = 'user_exists';
-  } else if (err.message === 'Invalid credentials') {
-    status = 401;
-    message = 'Invalid email or password';
-    error = 'invalid_credentials';
-  } else if (err.message === 'Site not found') {
-    status = 404;
-    message = 'Site not found';
-    error = 'site_not_found';
-  } else if (err.message === 'Invalid token') {
-    status = 401;
-    message = 'Invalid or expired token';
-    error = 'invalid_token';
   } else if (err.code === 'SQLITE_CONSTRAINT') {
     status = 409;
     message = 'Database constraint violation';
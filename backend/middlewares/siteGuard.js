@@ -4,6 +4,7 @@
  */
 import SiteModel from '../models/SiteModel.js';
 import PaymentModel from '../models/PaymentModel.js';
+import { getSiteRole } from './socketAuth.js';
 
 export default function siteGuard(req, res, next) {
   const siteId = req.body.siteId || req.query.siteId || req.params.siteId;
@@ -68,9 +69,11 @@ export async function checkSiteOwnership(req, res, next) {
   }
 
   const siteModel = new SiteModel();
+  // Dashboard routes don't run siteGuard, so fall back to the route param
+  const siteId = req.siteId || req.params.siteId;
   
   try {
-    const site = await siteModel.findBySiteId(req.siteId);
+    const site = await siteModel.findBySiteId(siteId);
     if (!site) {
       return res.status(404).json({ 
         error: 'Site not found',
@@ -101,4 +104,42 @@ export async function checkSiteOwnership(req, res, next) {
       message: 'Failed to validate site ownership'
     });
   }
-}
\ No newline at end of file
+}
+
+// Check if user owns the site or is on its team (agents and supervisors); used by the chat endpoints
+export async function checkSiteAccess(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const siteModel = new SiteModel();
+  const siteId = req.siteId || req.params.siteId;
+
+  try {
+    const site = await siteModel.findBySiteId(siteId);
+    if (!site) {
+      return res.status(404).json({
+        error: 'Site not found',
+        message: 'Invalid site ID'
+      });
+    }
+
+    const role = await getSiteRole(req.user, site);
+    if (!role) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You do not have access to this site'
+      });
+    }
+
+    req.site = site;
+    req.siteRole = role;
+    next();
+  } catch (error) {
+    console.error('Site access check error:', error);
+    return res.status(500).json({
+      error: 'Internal error',
+      message: 'Failed to validate site access'
+    });
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Socket Auth - Socket.IO handshake authentication
+ * Agents present the dashboard JWT, visitors the signed session token from /api/widget/visit
+ */
+import AuthService from '../services/AuthService.js';
+import SiteModel from '../models/SiteModel.js';
+import SiteAgentModel from '../models/SiteAgentModel.js';
+import TokenManager from '../utils/TokenManager.js';
+
+const authService = new AuthService();
+const siteModel = new SiteModel();
+const siteAgentModel = new SiteAgentModel();
+
+// Build a handshake error; `data` is delivered to the client's connect_error handler
+function handshakeError(error, message) {
+  const err = new Error(message);
+  err.data = { error, message };
+  return err;
+}
+
+export default function socketAuth(socket, next) {
+  const { token, sessionToken } = socket.handshake.auth || {};
+
+  if (token) {
+    try {
+      socket.user = authService.verifyToken(token);
+      socket.userType = 'admin';
+      return next();
+    } catch (error) {
+      return next(handshakeError('invalid_token', 'Invalid or expired token'));
+    }
+  }
+
+  if (sessionToken) {
+    try {
+      const { siteId, sessionId, visitorId } = TokenManager.verifyVisitorSessionToken(sessionToken);
+      socket.visitorSession = { siteId, sessionId, visitorId };
+      socket.userType = 'visitor';
+      return next();
+    } catch (error) {
+      return next(handshakeError('invalid_session_token', 'Invalid or expired session token'));
+    }
+  }
+
+  next(handshakeError('unauthorized', 'A dashboard token or visitor session token is required'));
+}
+
+// A user's role on a site: 'admin' (platform admin), 'owner', a team role ('supervisor' or 'agent'), or null
+export async function getSiteRole(user, site) {
+  if (!user || !site) return null;
+  if (user.role === 'admin') return 'admin';
+  if (site.user_id === user.id) return 'owner';
+
+  const member = await siteAgentModel.findMember(site.id, user.id);
+  return member ? member.role : null;
+}
+
+// Resolve a site an authenticated agent may access, mirroring checkSiteAccess
+export async function findAccessibleSite(user, siteId) {
+  if (!user || !siteId) return null;
+
+  const site = await siteModel.findBySiteId(siteId);
+  if (!site) return null;
+
+  return (await getSiteRole(user, site)) ? site : null;
+}
+
+// Supervisors (platform admins, the site owner and team members with the supervisor role) may monitor, whisper
+// and barge into any chat on a site, and manage its shared settings
+export async function canSupervise(user, site) {
+  return ['admin', 'owner', 'supervisor'].includes(await getSiteRole(user, site));
+}
@@ -0,0 +1,30 @@
+/**
+ * Upload Middleware - parses a single multipart `file` field into memory
+ * Size and count limits come from config/upload.js; content checks happen in AttachmentService
+ */
+import multer from 'multer';
+import { uploadConfig } from '../config/upload.js';
+import { FileTooLargeError, UnexpectedUploadFieldError } from '../utils/ApiError.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploadConfig.maxSize,
+    files: uploadConfig.maxFiles
+  }
+}).single('file');
+
+// Multer errors as the API errors errorHandler answers with
+export function uploadAttachment(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return next(new FileTooLargeError());
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return next(new UnexpectedUploadFieldError());
+    }
+    next(error);
+  });
+}
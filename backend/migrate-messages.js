@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * 📦 Message Store Migration
+ *
+ * Copies chat messages between the MongoDB and SQL message stores, keeping their ids.
+ * Messages already in the target are skipped, so an interrupted run can simply be repeated.
+ *
+ * Usage: npm run messages:migrate -- --from mongo --to sql [--batch-size 500]
+ */
+
+import dotenv from 'dotenv';
+import { initializeDatabase } from './config/database-provider.js';
+import { createMessageStore, MESSAGE_STORE_TYPES } from './config/message-store.js';
+import { copyMessages } from './models/stores/MessageStore.js';
+
+// Load environment variables
+dotenv.config();
+
+// Read `--name value` options
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+async function migrateMessages({ from, to, batchSize }) {
+  if (!MESSAGE_STORE_TYPES.includes(from) || !MESSAGE_STORE_TYPES.includes(to) || from === to) {
+    throw new Error(`--from and --to must be two different stores (${MESSAGE_STORE_TYPES.join(', ')})`);
+  }
+
+  // Both stores need their connections: the knex database for SQL, MongoDB for mongo
+  await initializeDatabase();
+  const mongo = await import('./config/mongo.js');
+  await mongo.ready;
+  if (mongo.isMemoryFallback()) {
+    throw new Error('MongoDB is not reachable (check MONGO_URI)');
+  }
+
+  const source = createMessageStore(from);
+  const target = createMessageStore(to);
+
+  console.log(`🔄 Copying messages from ${from} to ${to}...`);
+  const { read, copied } = await copyMessages(source, target, {
+    batchSize,
+    onBatch: (totals) => console.log(`   ${totals.read} messages read, ${totals.copied} copied`)
+  });
+
+  console.log(`✅ Done: ${copied} of ${read} messages copied (${read - copied} already present)`);
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+try {
+  await migrateMessages({
+    from: options.from,
+    to: options.to,
+    batchSize: parseInt(options['batch-size']) || 500
+  });
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Message migration failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,27 @@
+/**
+ * Migration: Create conversations table
+ * One row per chat session with its lifecycle state and response timestamps
+ */
+export async function up(knex) {
+  await knex.schema.createTable('conversations', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.integer('visitor_id').unsigned().references('id').inTable('visitors').onDelete('SET NULL');
+    table.string('session_id').notNullable(); // Matches sessionId on MongoDB messages
+    table.enum('status', ['open', 'pending', 'assigned', 'snoozed', 'closed']).defaultTo('open');
+    table.dateTime('snoozed_until');
+    table.dateTime('first_response_at');
+    table.dateTime('resolved_at');
+    table.integer('closed_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.dateTime('last_message_at');
+    table.timestamps(true, true);
+
+    table.unique(['site_id', 'session_id']);
+    table.index(['site_id', 'status'], 'idx_conversations_site_status');
+    table.index('last_message_at', 'idx_conversations_last_message_at');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('conversations');
+}
@@ -0,0 +1,39 @@
+/**
+ * Migration: Add agent assignment and routing fields
+ * Conversation ownership, per-agent chat capacity and per-site settings
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('conversations', (table) => {
+    table.integer('assigned_agent_id').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.dateTime('assigned_at');
+    table.dateTime('queued_at'); // Set while waiting for a free agent
+    table.index(['site_id', 'assigned_agent_id'], 'idx_conversations_site_agent');
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.integer('max_concurrent_chats').unsigned().defaultTo(5);
+  });
+
+  // Site-level settings (routing strategy, widget options, ...)
+  await knex.schema.alterTable('sites', (table) => {
+    table.json('settings');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('conversations', (table) => {
+    table.dropIndex(['site_id', 'assigned_agent_id'], 'idx_conversations_site_agent');
+    table.dropForeign('assigned_agent_id');
+    table.dropColumn('assigned_agent_id');
+    table.dropColumn('assigned_at');
+    table.dropColumn('queued_at');
+  });
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('max_concurrent_chats');
+  });
+
+  await knex.schema.alterTable('sites', (table) => {
+    table.dropColumn('settings');
+  });
+}
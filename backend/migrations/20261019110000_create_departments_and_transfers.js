@@ -0,0 +1,51 @@
+/**
+ * Migration: Create departments and conversation transfer history
+ * Departments group a site's agents; transfers record every change of owner
+ */
+export async function up(knex) {
+  await knex.schema.createTable('departments', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.string('name').notNullable();
+    table.timestamps(true, true);
+
+    table.unique(['site_id', 'name']);
+  });
+
+  await knex.schema.createTable('department_agents', (table) => {
+    table.integer('department_id').unsigned().references('id').inTable('departments').onDelete('CASCADE');
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('CASCADE');
+
+    table.primary(['department_id', 'user_id']);
+  });
+
+  await knex.schema.alterTable('conversations', (table) => {
+    table.integer('department_id').unsigned().references('id').inTable('departments').onDelete('SET NULL');
+  });
+
+  await knex.schema.createTable('conversation_transfers', (table) => {
+    table.increments('id').primary();
+    table.integer('conversation_id').unsigned().references('id').inTable('conversations').onDelete('CASCADE');
+    table.integer('from_agent_id').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.integer('to_agent_id').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.integer('from_department_id').unsigned().references('id').inTable('departments').onDelete('SET NULL');
+    table.integer('to_department_id').unsigned().references('id').inTable('departments').onDelete('SET NULL');
+    table.integer('transferred_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.text('note');
+    table.timestamps(true, true);
+
+    table.index('conversation_id', 'idx_conversation_transfers_conversation');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('conversation_transfers');
+
+  await knex.schema.alterTable('conversations', (table) => {
+    table.dropForeign('department_id');
+    table.dropColumn('department_id');
+  });
+
+  await knex.schema.dropTableIfExists('department_agents');
+  await knex.schema.dropTableIfExists('departments');
+}
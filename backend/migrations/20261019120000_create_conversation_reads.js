@@ -0,0 +1,21 @@
+/**
+ * Migration: Create conversation read markers
+ * One read-up-to marker per participant: the visitor (user_id 0) or an agent
+ */
+export async function up(knex) {
+  await knex.schema.createTable('conversation_reads', (table) => {
+    table.increments('id').primary();
+    table.integer('conversation_id').unsigned().references('id').inTable('conversations').onDelete('CASCADE');
+    table.enu('reader', ['visitor', 'agent']).notNullable();
+    table.integer('user_id').unsigned().notNullable().defaultTo(0); // Agent id, 0 for the visitor
+    table.string('last_read_message_id');
+    table.dateTime('last_read_at').notNullable();
+    table.timestamps(true, true);
+
+    table.unique(['conversation_id', 'reader', 'user_id']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('conversation_reads');
+}
@@ -0,0 +1,27 @@
+/**
+ * Migration: Create chat_messages for the SQL message store
+ * The legacy `messages` table has two incompatible shapes depending on which initial
+ * schema ran, so the SQL store gets its own table mirroring the MongoDB documents
+ */
+export async function up(knex) {
+  await knex.schema.createTable('chat_messages', (table) => {
+    table.string('id', 24).primary(); // Same hex ids as MongoDB, so messages can move between stores
+    table.string('site_id', 50).notNullable(); // Public site ID, as in MongoDB
+    table.string('session_id').notNullable();
+    table.string('sender', 20).notNullable();
+    table.string('type', 20).notNullable().defaultTo('message');
+    table.string('client_message_id', 100);
+    table.text('text');
+    table.json('data'); // Any other document fields
+    table.dateTime('created_at', { precision: 3 }).notNullable();
+    table.dateTime('updated_at', { precision: 3 }).notNullable();
+
+    table.unique(['site_id', 'session_id', 'client_message_id'], 'uq_chat_messages_client_id');
+    table.index(['site_id', 'session_id', 'created_at'], 'idx_chat_messages_session');
+    table.index(['site_id', 'created_at'], 'idx_chat_messages_site');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('chat_messages');
+}
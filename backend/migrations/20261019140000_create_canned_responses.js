@@ -0,0 +1,26 @@
+/**
+ * Migration: Create canned responses
+ * Saved replies agents insert with a /shortcut; shared with the whole site (user_id null) or personal
+ */
+export async function up(knex) {
+  await knex.schema.createTable('canned_responses', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('CASCADE');
+    table.string('shortcut', 20).notNullable();
+    table.text('message').notNullable();
+    table.string('folder', 50);
+    table.json('tags');
+    table.integer('usage_count').unsigned().notNullable().defaultTo(0);
+    table.dateTime('last_used_at');
+    table.integer('created_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    table.unique(['site_id', 'user_id', 'shortcut']);
+    table.index(['site_id', 'shortcut'], 'idx_canned_responses_site_shortcut');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('canned_responses');
+}
@@ -0,0 +1,21 @@
+/**
+ * Migration: Store pre-chat form answers on visitors
+ * Name and email get their own columns; department and custom fields go to prechat_data
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.string('name');
+    table.string('email');
+    table.json('prechat_data');
+    table.dateTime('prechat_submitted_at');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.dropColumn('prechat_submitted_at');
+    table.dropColumn('prechat_data');
+    table.dropColumn('email');
+    table.dropColumn('name');
+  });
+}
@@ -0,0 +1,15 @@
+/**
+ * Migration: Record where a conversation started
+ * 'chat' for live chat, 'offline_form' for messages left while no agent was online (answered by email)
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('conversations', (table) => {
+    table.string('source', 20).notNullable().defaultTo('chat');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('conversations', (table) => {
+    table.dropColumn('source');
+  });
+}
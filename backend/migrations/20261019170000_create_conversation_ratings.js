@@ -0,0 +1,25 @@
+/**
+ * Migration: Create conversation ratings
+ * One post-chat satisfaction rating per conversation, credited to the agent who handled it
+ */
+export async function up(knex) {
+  await knex.schema.createTable('conversation_ratings', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.integer('conversation_id').unsigned().references('id').inTable('conversations').onDelete('CASCADE');
+    table.integer('agent_id').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.integer('visitor_id').unsigned().references('id').inTable('visitors').onDelete('SET NULL');
+    table.string('scale', 10).notNullable(); // thumbs | stars
+    table.integer('score').notNullable(); // thumbs: 0 or 1, stars: 1-5
+    table.boolean('satisfied').notNullable();
+    table.text('comment');
+    table.timestamps(true, true);
+
+    table.unique(['conversation_id']);
+    table.index(['site_id', 'created_at'], 'idx_conversation_ratings_site_created');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('conversation_ratings');
+}
@@ -0,0 +1,45 @@
+/**
+ * Migration: Create visitor sessions and page views
+ * A visitor session is one visit (ended by 30 minutes without activity); page views record the path through it
+ */
+export async function up(knex) {
+  await knex.schema.createTable('visitor_sessions', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.integer('visitor_id').unsigned().references('id').inTable('visitors').onDelete('CASCADE');
+    table.string('chat_session_id'); // Session of the widget's chat during this visit
+    table.text('landing_page');
+    table.text('referrer');
+    table.json('utm');
+    table.integer('page_count').unsigned().notNullable().defaultTo(0);
+    table.dateTime('started_at').notNullable();
+    table.dateTime('last_activity_at').notNullable();
+    table.dateTime('ended_at');
+
+    table.index(['visitor_id', 'last_activity_at'], 'idx_visitor_sessions_visitor_activity');
+  });
+
+  await knex.schema.createTable('page_views', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.integer('visitor_id').unsigned().references('id').inTable('visitors').onDelete('CASCADE');
+    table.integer('visitor_session_id').unsigned().references('id').inTable('visitor_sessions').onDelete('CASCADE');
+    table.text('url').notNullable();
+    table.string('path', 500);
+    table.string('title', 500);
+    table.text('referrer');
+    table.json('utm');
+    table.dateTime('viewed_at').notNullable();
+    table.dateTime('last_seen_at').notNullable();
+    table.dateTime('left_at');
+    table.integer('duration_seconds').unsigned();
+
+    table.index(['visitor_session_id', 'viewed_at'], 'idx_page_views_session_viewed');
+    table.index(['visitor_id', 'viewed_at'], 'idx_page_views_visitor_viewed');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('page_views');
+  await knex.schema.dropTableIfExists('visitor_sessions');
+}
@@ -0,0 +1,28 @@
+/**
+ * Migration: Store where a visitor is, resolved offline from their IP address
+ * `located_ip` is the address the location belongs to, so a visitor is only looked up again when it changes
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.string('country', 2); // ISO 3166-1 alpha-2 code
+    table.string('region', 100);
+    table.string('city', 100);
+    table.string('timezone', 64);
+    table.string('located_ip', 45);
+    table.timestamp('located_at');
+
+    table.index(['site_id', 'country'], 'idx_visitors_site_country');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.dropIndex(['site_id', 'country'], 'idx_visitors_site_country');
+    table.dropColumn('country');
+    table.dropColumn('region');
+    table.dropColumn('city');
+    table.dropColumn('timezone');
+    table.dropColumn('located_ip');
+    table.dropColumn('located_at');
+  });
+}
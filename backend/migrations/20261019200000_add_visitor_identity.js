@@ -0,0 +1,24 @@
+/**
+ * Migration: Stable visitor identity
+ * `token_issued_at` marks visitors whose browser holds a visitor token; a merged visitor points at the record
+ * that took over its conversations and history
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.timestamp('token_issued_at');
+    table.integer('merged_into_id').unsigned().references('id').inTable('visitors').onDelete('SET NULL');
+    table.timestamp('merged_at');
+
+    table.index(['merged_into_id'], 'idx_visitors_merged_into');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.dropForeign(['merged_into_id']);
+    table.dropIndex(['merged_into_id'], 'idx_visitors_merged_into');
+    table.dropColumn('token_issued_at');
+    table.dropColumn('merged_into_id');
+    table.dropColumn('merged_at');
+  });
+}
@@ -0,0 +1,23 @@
+/**
+ * Migration: Identified visitors
+ * A visitor identified by the customer's site (signed user data) carries that site's account id
+ * in `external_id`, with the attributes it sent
+ */
+export async function up(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.string('external_id', 255);
+    table.json('user_attributes');
+    table.timestamp('identified_at');
+
+    table.unique(['site_id', 'external_id'], { indexName: 'uq_visitors_site_external_id' });
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.dropUnique(['site_id', 'external_id'], 'uq_visitors_site_external_id');
+    table.dropColumn('external_id');
+    table.dropColumn('user_attributes');
+    table.dropColumn('identified_at');
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Migration: Create contacts
+ * A contact is a named person in a site's CRM, linked to the visitor records of their browsers. Sites define their
+ * own contact attributes (string, number, date, enum); values, tags and agent notes live in tables of their own
+ */
+export async function up(knex) {
+  await knex.schema.createTable('contacts', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.string('name', 255).notNullable();
+    table.string('email', 255);
+    table.string('phone', 50);
+    table.string('company', 255);
+    table.integer('created_by').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    table.unique(['site_id', 'email'], 'uq_contacts_site_email');
+    table.index(['site_id', 'name'], 'idx_contacts_site_name');
+  });
+
+  await knex.schema.createTable('contact_attributes', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.string('key', 50).notNullable();
+    table.string('label', 100).notNullable();
+    table.enu('type', ['string', 'number', 'date', 'enum']).notNullable();
+    table.json('options'); // Allowed values of an enum attribute
+    table.integer('position').unsigned().notNullable().defaultTo(0);
+    table.timestamps(true, true);
+
+    table.unique(['site_id', 'key']);
+  });
+
+  await knex.schema.createTable('contact_attribute_values', (table) => {
+    table.increments('id').primary();
+    table.integer('contact_id').unsigned().references('id').inTable('contacts').onDelete('CASCADE');
+    table.integer('attribute_id').unsigned().references('id').inTable('contact_attributes').onDelete('CASCADE');
+    table.string('value', 500).notNullable(); // Numbers as written by String(), dates as YYYY-MM-DD
+
+    table.unique(['contact_id', 'attribute_id']);
+    table.index(['attribute_id', 'value'], 'idx_contact_attribute_values_attribute_value');
+  });
+
+  await knex.schema.createTable('contact_tags', (table) => {
+    table.increments('id').primary();
+    table.integer('contact_id').unsigned().references('id').inTable('contacts').onDelete('CASCADE');
+    table.string('tag', 30).notNullable();
+
+    table.unique(['contact_id', 'tag']);
+    table.index(['tag'], 'idx_contact_tags_tag');
+  });
+
+  await knex.schema.createTable('contact_notes', (table) => {
+    table.increments('id').primary();
+    table.integer('contact_id').unsigned().references('id').inTable('contacts').onDelete('CASCADE');
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('SET NULL');
+    table.text('body').notNullable();
+    table.timestamps(true, true);
+
+    table.index(['contact_id', 'created_at'], 'idx_contact_notes_contact_created');
+  });
+
+  await knex.schema.alterTable('visitors', (table) => {
+    table.integer('contact_id').unsigned().references('id').inTable('contacts').onDelete('SET NULL');
+
+    table.index(['contact_id'], 'idx_visitors_contact');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('visitors', (table) => {
+    table.dropForeign(['contact_id']);
+    table.dropIndex(['contact_id'], 'idx_visitors_contact');
+    table.dropColumn('contact_id');
+  });
+  await knex.schema.dropTableIfExists('contact_notes');
+  await knex.schema.dropTableIfExists('contact_tags');
+  await knex.schema.dropTableIfExists('contact_attribute_values');
+  await knex.schema.dropTableIfExists('contact_attributes');
+  await knex.schema.dropTableIfExists('contacts');
+}
@@ -0,0 +1,20 @@
+/**
+ * Migration: Create site agents
+ * Team members a site owner adds to a site: agents handle chats, supervisors may also monitor, whisper and barge in
+ */
+export async function up(knex) {
+  await knex.schema.createTable('site_agents', (table) => {
+    table.increments('id').primary();
+    table.integer('site_id').unsigned().references('id').inTable('sites').onDelete('CASCADE');
+    table.integer('user_id').unsigned().references('id').inTable('users').onDelete('CASCADE');
+    table.enu('role', ['agent', 'supervisor']).notNullable().defaultTo('agent');
+    table.timestamps(true, true);
+
+    table.unique(['site_id', 'user_id'], 'uq_site_agents_site_user');
+    table.index('user_id', 'idx_site_agents_user');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('site_agents');
+}
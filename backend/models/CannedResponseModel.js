@@ -0,0 +1,103 @@
+/**
+ * Canned Response Model - saved replies for a site's agents
+ * Site-wide responses have no user_id; personal ones belong to one agent and win over
+ * a site-wide response with the same shortcut
+ */
+import BaseModel from './BaseModel.js';
+
+// Parse tags (JSON column, string on some drivers)
+function withTags(response) {
+  if (!response) return response;
+  const tags = typeof response.tags === 'string' ? JSON.parse(response.tags) : response.tags;
+  return { ...response, tags: tags || [] };
+}
+
+export default class CannedResponseModel extends BaseModel {
+  constructor() {
+    super('canned_responses');
+  }
+
+  // Find a response by id, scoped to a site
+  async findForSite(siteId, id) {
+    return withTags(await this.findOne({ site_id: siteId, id }));
+  }
+
+  // Responses an agent can use: the site's shared ones and their own
+  visibleTo(siteId, userId) {
+    return this.getQuery()
+      .where({ site_id: siteId })
+      .where(query => query.whereNull('user_id').orWhere('user_id', userId));
+  }
+
+  // List responses visible to an agent, filtered by folder, tag, or a search over shortcut and text
+  async getVisibleResponses(siteId, userId, { folder = null, tag = null, search = null } = {}) {
+    const query = this.visibleTo(siteId, userId)
+      .orderBy('folder', 'asc')
+      .orderBy('shortcut', 'asc');
+
+    if (folder) {
+      query.where({ folder });
+    }
+    if (search) {
+      const pattern = `%${search.toLowerCase()}%`;
+      query.where(builder => builder
+        .where('shortcut', 'like', pattern)
+        .orWhereRaw('LOWER(message) LIKE ?', [pattern]));
+    }
+
+    const responses = (await query).map(withTags);
+    return tag ? responses.filter(response => response.tags.includes(tag)) : responses;
+  }
+
+  // Find the response a shortcut expands to for an agent (their own first)
+  async findByShortcut(siteId, userId, shortcut) {
+    const matches = await this.visibleTo(siteId, userId).where({ shortcut });
+    const own = matches.find(response => response.user_id !== null);
+    return withTags(own || matches[0]);
+  }
+
+  // Whether a shortcut is already taken in a scope (user_id null = site-wide)
+  async shortcutExists(siteId, userId, shortcut, exceptId = null) {
+    const query = this.getQuery().where({ site_id: siteId, shortcut });
+    if (userId === null) {
+      query.whereNull('user_id');
+    } else {
+      query.where({ user_id: userId });
+    }
+    if (exceptId) {
+      query.whereNot({ id: exceptId });
+    }
+    return !!(await query.first());
+  }
+
+  // Create a response
+  async createResponse(data) {
+    return withTags(await this.create({ ...data, tags: JSON.stringify(data.tags || []) }));
+  }
+
+  // Update a response
+  async updateResponse(id, data) {
+    const changes = { ...data, updated_at: new Date() };
+    if (data.tags) {
+      changes.tags = JSON.stringify(data.tags);
+    }
+    return withTags(await this.update(id, changes));
+  }
+
+  // Count one more use
+  async recordUse(id) {
+    await this.getQuery()
+      .where({ id })
+      .update({ usage_count: this.db.raw('usage_count + 1'), last_used_at: new Date() });
+    return withTags(await this.findById(id));
+  }
+
+  // Distinct folders of the responses visible to an agent
+  async getFolders(siteId, userId) {
+    const rows = await this.visibleTo(siteId, userId)
+      .whereNotNull('folder')
+      .distinct('folder')
+      .orderBy('folder', 'asc');
+    return rows.map(row => row.folder);
+  }
+}
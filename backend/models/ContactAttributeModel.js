@@ -0,0 +1,61 @@
+/**
+ * Contact Attribute Model - custom contact fields defined per site
+ * Each attribute has a key used by the API and CSV files, a label for the dashboard and a type:
+ * string, number, date or enum (one of `options`)
+ */
+import BaseModel from './BaseModel.js';
+
+// Parse options (JSON column, string on some drivers)
+function withOptions(attribute) {
+  if (!attribute) return attribute;
+  const options = typeof attribute.options === 'string' ? JSON.parse(attribute.options) : attribute.options;
+  return { ...attribute, options: options || null };
+}
+
+export default class ContactAttributeModel extends BaseModel {
+  constructor() {
+    super('contact_attributes');
+  }
+
+  // Find an attribute by id, scoped to a site
+  async findForSite(siteId, id) {
+    return withOptions(await this.findOne({ site_id: siteId, id }));
+  }
+
+  // Attributes of a site in display order
+  async getSiteAttributes(siteId) {
+    const attributes = await this.getQuery()
+      .where({ site_id: siteId })
+      .orderBy('position', 'asc')
+      .orderBy('id', 'asc');
+    return attributes.map(withOptions);
+  }
+
+  // Whether a key is already used on a site
+  async keyExists(siteId, key) {
+    return !!(await this.findOne({ site_id: siteId, key }));
+  }
+
+  // Create an attribute
+  async createAttribute(data) {
+    return withOptions(await this.create({
+      ...data,
+      options: data.options ? JSON.stringify(data.options) : null
+    }));
+  }
+
+  // Update an attribute's label, options or position
+  async updateAttribute(id, data) {
+    const changes = { ...data, updated_at: new Date() };
+    if (data.options !== undefined) {
+      changes.options = data.options ? JSON.stringify(data.options) : null;
+    }
+    return withOptions(await this.update(id, changes));
+  }
+
+  // Delete an attribute with its values
+  async deleteAttribute(id) {
+    await this.db('contact_attribute_values').where({ attribute_id: id }).del();
+    return this.delete(id);
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Contact Model - named people in a site's CRM
+ * Tags and custom attribute values are kept in contact_tags and contact_attribute_values; visitors point at their
+ * contact through visitors.contact_id
+ */
+import BaseModel from './BaseModel.js';
+
+export default class ContactModel extends BaseModel {
+  constructor() {
+    super('contacts');
+  }
+
+  // Find a contact by id, scoped to a site
+  async findForSite(siteId, id) {
+    return this.findOne({ site_id: siteId, id });
+  }
+
+  // Find a contact of a site by email (stored lowercase)
+  async findByEmail(siteId, email) {
+    return this.findOne({ site_id: siteId, email });
+  }
+
+  // List contacts for a site with optional filters, by name
+  async getSiteContacts(siteId, filters = {}, page = 1, perPage = 20) {
+    const offset = (page - 1) * perPage;
+
+    return this.applyFilters(this.getQuery().where({ site_id: siteId }), filters)
+      .orderBy('name', 'asc')
+      .orderBy('id', 'asc')
+      .offset(offset)
+      .limit(perPage);
+  }
+
+  // All contacts of a site matching the filters (for export)
+  async getAllSiteContacts(siteId, filters = {}) {
+    return this.applyFilters(this.getQuery().where({ site_id: siteId }), filters)
+      .orderBy('name', 'asc')
+      .orderBy('id', 'asc');
+  }
+
+  // Count contacts for a site with optional filters
+  async countSiteContacts(siteId, filters = {}) {
+    const result = await this.applyFilters(this.getQuery().where({ site_id: siteId }), filters)
+      .count('* as count')
+      .first();
+    return parseInt(result.count);
+  }
+
+  // Apply list filters shared by listing, counting and export: a search over name, email, phone and company,
+  // tags (all must match) and attribute values by attribute id
+  applyFilters(query, { search = null, tags = [], attributes = {} } = {}) {
+    if (search) {
+      const pattern = `%${search.toLowerCase()}%`;
+      query.where(builder => builder
+        .whereRaw('LOWER(name) LIKE ?', [pattern])
+        .orWhere('email', 'like', pattern)
+        .orWhere('phone', 'like', pattern)
+        .orWhereRaw('LOWER(company) LIKE ?', [pattern]));
+    }
+    for (const tag of tags) {
+      query.whereExists(this.db('contact_tags')
+        .whereRaw('contact_tags.contact_id = contacts.id')
+        .where('contact_tags.tag', tag));
+    }
+    for (const [attributeId, value] of Object.entries(attributes)) {
+      query.whereExists(this.db('contact_attribute_values')
+        .whereRaw('contact_attribute_values.contact_id = contacts.id')
+        .where({ 'contact_attribute_values.attribute_id': attributeId, 'contact_attribute_values.value': value }));
+    }
+    return query;
+  }
+
+  // Tags of contacts, as a Map of contact id to sorted tags
+  async getTags(contactIds) {
+    const tags = new Map(contactIds.map(id => [id, []]));
+    if (contactIds.length === 0) return tags;
+
+    const rows = await this.db('contact_tags')
+      .whereIn('contact_id', contactIds)
+      .orderBy('tag', 'asc');
+    for (const row of rows) {
+      tags.get(row.contact_id)?.push(row.tag);
+    }
+    return tags;
+  }
+
+  // Replace the tags of a contact
+  async setTags(contactId, tags) {
+    await this.db('contact_tags').where({ contact_id: contactId }).del();
+
+    const unique = [...new Set(tags)];
+    if (unique.length > 0) {
+      await this.db('contact_tags').insert(unique.map(tag => ({ contact_id: contactId, tag })));
+    }
+  }
+
+  // Distinct tags used by a site's contacts
+  async getSiteTags(siteId) {
+    const rows = await this.db('contact_tags')
+      .join('contacts', 'contacts.id', 'contact_tags.contact_id')
+      .where('contacts.site_id', siteId)
+      .distinct('contact_tags.tag')
+      .orderBy('contact_tags.tag', 'asc');
+    return rows.map(row => row.tag);
+  }
+
+  // Stored attribute values of contacts, as a Map of contact id to rows ({ attribute_id, value })
+  async getAttributeValues(contactIds) {
+    const values = new Map(contactIds.map(id => [id, []]));
+    if (contactIds.length === 0) return values;
+
+    const rows = await this.db('contact_attribute_values')
+      .whereIn('contact_id', contactIds)
+      .select('contact_id', 'attribute_id', 'value');
+    for (const row of rows) {
+      values.get(row.contact_id)?.push(row);
+    }
+    return values;
+  }
+
+  // Set attribute values of a contact by attribute id; null removes a value, attributes not given are kept
+  async setAttributeValues(contactId, values) {
+    for (const [attributeId, value] of Object.entries(values)) {
+      await this.db('contact_attribute_values').where({ contact_id: contactId, attribute_id: attributeId }).del();
+      if (value !== null) {
+        await this.db('contact_attribute_values').insert({ contact_id: contactId, attribute_id: attributeId, value });
+      }
+    }
+  }
+
+  // Visitors linked to a contact, most recently seen first
+  async getVisitors(contactId) {
+    return this.db('visitors')
+      .where({ contact_id: contactId })
+      .whereNull('merged_into_id')
+      .orderBy('last_seen', 'desc');
+  }
+
+  // Number of visitors linked to each contact, as a Map of contact id to count
+  async countVisitors(contactIds) {
+    const counts = new Map(contactIds.map(id => [id, 0]));
+    if (contactIds.length === 0) return counts;
+
+    const rows = await this.db('visitors')
+      .whereIn('contact_id', contactIds)
+      .whereNull('merged_into_id')
+      .groupBy('contact_id')
+      .select('contact_id')
+      .count('* as count');
+    for (const row of rows) {
+      counts.set(row.contact_id, parseInt(row.count));
+    }
+    return counts;
+  }
+
+  // Link a visitor to a contact, or unlink it (contactId null)
+  async linkVisitor(visitorId, contactId) {
+    await this.db('visitors').where({ id: visitorId }).update({ contact_id: contactId });
+  }
+
+  // Delete a contact; its visitors stay, unlinked
+  async deleteContact(id) {
+    await this.db('visitors').where({ contact_id: id }).update({ contact_id: null });
+    await this.db('contact_tags').where({ contact_id: id }).del();
+    await this.db('contact_attribute_values').where({ contact_id: id }).del();
+    await this.db('contact_notes').where({ contact_id: id }).del();
+    return this.delete(id);
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Contact Note Model - notes agents keep on a contact
+ */
+import BaseModel from './BaseModel.js';
+
+export default class ContactNoteModel extends BaseModel {
+  constructor() {
+    super('contact_notes');
+  }
+
+  // Find a note of a contact
+  async findForContact(contactId, id) {
+    return this.findOne({ contact_id: contactId, id });
+  }
+
+  // Notes of a contact with their author's name, newest first
+  async getContactNotes(contactId) {
+    return this.getQuery()
+      .leftJoin('users', 'users.id', 'contact_notes.user_id')
+      .where('contact_notes.contact_id', contactId)
+      .orderBy('contact_notes.created_at', 'desc')
+      .orderBy('contact_notes.id', 'desc')
+      .select('contact_notes.*', 'users.name as author_name');
+  }
+}
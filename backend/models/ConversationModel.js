@@ -0,0 +1,214 @@
+/**
+ * Conversation Model - tracks chat sessions and their lifecycle
+ * Messages stay in MongoDB; this table holds state, ownership and timings
+ */
+import BaseModel from './BaseModel.js';
+
+export const CONVERSATION_STATUSES = ['open', 'pending', 'assigned', 'snoozed', 'closed'];
+
+// Statuses of a live chat (not parked or finished)
+export const ACTIVE_STATUSES = ['open', 'pending', 'assigned'];
+
+export default class ConversationModel extends BaseModel {
+  constructor() {
+    super('conversations');
+  }
+
+  // Find conversation by site (numeric id) and session
+  async findBySession(siteId, sessionId) {
+    return this.findOne({ site_id: siteId, session_id: sessionId });
+  }
+
+  // Find conversation by id, scoped to a site
+  async findForSite(siteId, id) {
+    return this.findOne({ site_id: siteId, id });
+  }
+
+  // Find or create the conversation for a session
+  async findOrCreate(siteId, sessionId, conversationData = {}) {
+    const existing = await this.findBySession(siteId, sessionId);
+    if (existing) return existing;
+
+    return this.create({
+      site_id: siteId,
+      session_id: sessionId,
+      status: 'open',
+      ...conversationData
+    });
+  }
+
+  // Latest unfinished offline-form conversation of a visitor, picked up again when they return
+  async findResumable(siteId, visitorId) {
+    return this.getQuery()
+      .where({ site_id: siteId, visitor_id: visitorId, source: 'offline_form' })
+      .whereNot('status', 'closed')
+      .orderBy('created_at', 'desc')
+      .orderBy('id', 'desc')
+      .first();
+  }
+
+  // Start and first reply of the conversations answered since a date
+  async getResponseTimes(siteId, since) {
+    return this.getQuery()
+      .where({ site_id: siteId })
+      .whereNotNull('first_response_at')
+      .where('created_at', '>=', since)
+      .select('assigned_agent_id', 'created_at', 'first_response_at');
+  }
+
+  // List conversations for a site with optional filters
+  async getSiteConversations(siteId, filters = {}, page = 1, perPage = 20) {
+    const offset = (page - 1) * perPage;
+
+    return this.applyFilters(this.getQuery().where({ site_id: siteId }), filters)
+      .orderBy('last_message_at', 'desc')
+      .orderBy('id', 'desc')
+      .offset(offset)
+      .limit(perPage);
+  }
+
+  // Count conversations for a site with optional filters
+  async countSiteConversations(siteId, filters = {}) {
+    const result = await this.applyFilters(this.getQuery().where({ site_id: siteId }), filters)
+      .count('* as count')
+      .first();
+    return parseInt(result.count);
+  }
+
+  // Apply list filters shared by listing and counting
+  applyFilters(query, { status, visitorId, since, until } = {}) {
+    const statuses = [].concat(status || []);
+    if (statuses.length > 0) {
+      query.whereIn('status', statuses);
+    }
+    if (visitorId) {
+      query.where('visitor_id', visitorId);
+    }
+    if (since) {
+      query.where('last_message_at', '>=', since);
+    }
+    if (until) {
+      query.where('last_message_at', '<=', until);
+    }
+    return query;
+  }
+
+  // Record activity on the conversation
+  async touch(id, data = {}) {
+    return this.update(id, {
+      last_message_at: new Date(),
+      updated_at: new Date(),
+      ...data
+    });
+  }
+
+  // Close conversation
+  async close(id, closedBy = null) {
+    return this.update(id, {
+      status: 'closed',
+      resolved_at: new Date(),
+      closed_by: closedBy,
+      snoozed_until: null,
+      queued_at: null,
+      updated_at: new Date()
+    });
+  }
+
+  // Reopen conversation
+  async reopen(id) {
+    return this.update(id, {
+      status: 'open',
+      resolved_at: null,
+      closed_by: null,
+      snoozed_until: null,
+      updated_at: new Date()
+    });
+  }
+
+  // Snooze conversation until a given time
+  async snooze(id, until) {
+    return this.update(id, {
+      status: 'snoozed',
+      snoozed_until: until,
+      updated_at: new Date()
+    });
+  }
+
+  // Assign conversation to an agent
+  async assign(id, agentId) {
+    return this.update(id, {
+      status: 'assigned',
+      assigned_agent_id: agentId,
+      assigned_at: new Date(),
+      queued_at: null,
+      updated_at: new Date()
+    });
+  }
+
+  // Release the current agent so the conversation can be routed again
+  async unassign(id, data = {}) {
+    return this.update(id, {
+      status: 'open',
+      assigned_agent_id: null,
+      assigned_at: null,
+      updated_at: new Date(),
+      ...data
+    });
+  }
+
+  // Put conversation in the waiting queue
+  async enqueue(id) {
+    const conversation = await this.findById(id);
+    return this.update(id, {
+      status: 'pending',
+      queued_at: conversation.queued_at || new Date(),
+      updated_at: new Date()
+    });
+  }
+
+  // Conversations waiting for an agent, oldest first
+  async getQueue(siteId) {
+    return this.getQuery()
+      .where({ site_id: siteId, status: 'pending' })
+      .whereNotNull('queued_at')
+      .orderBy('queued_at', 'asc')
+      .orderBy('id', 'asc');
+  }
+
+  // Conversations that are waiting for or talking to an agent, oldest first
+  async getActiveConversations(siteId) {
+    return this.getQuery()
+      .where({ site_id: siteId })
+      .whereIn('status', ACTIVE_STATUSES)
+      .orderBy('created_at', 'asc')
+      .orderBy('id', 'asc');
+  }
+
+  // Count open assignments per agent on a site
+  async getAgentLoads(siteId, agentIds) {
+    if (agentIds.length === 0) return new Map();
+
+    const rows = await this.getQuery()
+      .where({ site_id: siteId, status: 'assigned' })
+      .whereIn('assigned_agent_id', agentIds)
+      .groupBy('assigned_agent_id')
+      .select('assigned_agent_id')
+      .count('* as count');
+
+    const loads = new Map(agentIds.map(id => [id, 0]));
+    rows.forEach(row => loads.set(row.assigned_agent_id, parseInt(row.count)));
+    return loads;
+  }
+
+  // Reopen snoozed conversations whose snooze has expired
+  async wakeSnoozed(siteId) {
+    return this.getQuery()
+      .where({ site_id: siteId, status: 'snoozed' })
+      .where('snoozed_until', '<=', new Date())
+      .update({
+        status: 'open',
+        snoozed_until: null,
+        updated_at: new Date()
+      });
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Conversation Rating Model - post-chat satisfaction ratings
+ * One row per conversation; a visitor rating again (e.g. adding a comment) updates it
+ */
+import BaseModel from './BaseModel.js';
+
+export default class ConversationRatingModel extends BaseModel {
+  constructor() {
+    super('conversation_ratings');
+  }
+
+  // Find the rating of a conversation
+  async findByConversation(conversationId) {
+    return this.findOne({ conversation_id: conversationId });
+  }
+
+  // Create or replace the rating of a conversation
+  async saveRating(data) {
+    const existing = await this.findByConversation(data.conversation_id);
+    if (existing) {
+      return this.update(existing.id, { ...data, updated_at: new Date() });
+    }
+    return this.create(data);
+  }
+
+  // Ratings given on a site since a date, oldest first
+  async getSiteRatings(siteId, since) {
+    return this.getQuery()
+      .where({ site_id: siteId })
+      .where('created_at', '>=', since)
+      .orderBy('created_at', 'asc')
+      .select('agent_id', 'scale', 'score', 'satisfied', 'created_at');
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Conversation Read Model - read-up-to markers per participant
+ * The visitor is stored with user_id 0, agents with their user id
+ */
+import BaseModel from './BaseModel.js';
+
+export default class ConversationReadModel extends BaseModel {
+  constructor() {
+    super('conversation_reads');
+  }
+
+  // Get one participant's marker
+  async getMarker(conversationId, reader, userId = 0) {
+    return this.findOne({ conversation_id: conversationId, reader, user_id: userId });
+  }
+
+  // Move a participant's marker forward (never backwards)
+  async markRead(conversationId, reader, userId = 0, { messageId = null, readAt = new Date() } = {}) {
+    const existing = await this.getMarker(conversationId, reader, userId);
+
+    if (!existing) {
+      return this.create({
+        conversation_id: conversationId,
+        reader,
+        user_id: userId,
+        last_read_message_id: messageId,
+        last_read_at: readAt
+      });
+    }
+
+    if (new Date(existing.last_read_at) >= new Date(readAt)) {
+      return existing;
+    }
+
+    return this.update(existing.id, {
+      last_read_message_id: messageId,
+      last_read_at: readAt,
+      updated_at: new Date()
+    });
+  }
+
+  // Markers of one participant for several conversations, as conversation id -> last read time
+  async getReadTimes(conversationIds, reader, userId = 0) {
+    if (conversationIds.length === 0) return new Map();
+
+    const rows = await this.getQuery()
+      .whereIn('conversation_id', conversationIds)
+      .where({ reader, user_id: userId })
+      .select('conversation_id', 'last_read_at');
+
+    return new Map(rows.map(row => [row.conversation_id, new Date(row.last_read_at)]));
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Conversation Transfer Model - history of conversation hand-offs
+ * One row per transfer between agents and/or departments
+ */
+import BaseModel from './BaseModel.js';
+
+export default class ConversationTransferModel extends BaseModel {
+  constructor() {
+    super('conversation_transfers');
+  }
+
+  // Record a transfer
+  async record(transferData) {
+    return this.create(transferData);
+  }
+
+  // Get transfer history for a conversation, oldest first
+  async getConversationTransfers(conversationId) {
+    return this.getQuery()
+      .where({ conversation_id: conversationId })
+      .orderBy('created_at', 'asc')
+      .orderBy('id', 'asc');
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Department Model - groups of agents within a site
+ * Used to route and transfer conversations to a team (e.g. Sales, Support)
+ */
+import BaseModel from './BaseModel.js';
+
+export default class DepartmentModel extends BaseModel {
+  constructor() {
+    super('departments');
+  }
+
+  // Find department by id, scoped to a site
+  async findForSite(siteId, id) {
+    return this.findOne({ site_id: siteId, id });
+  }
+
+  // Get departments for a site with their agent ids
+  async getSiteDepartments(siteId) {
+    const departments = await this.getQuery()
+      .where({ site_id: siteId })
+      .orderBy('name', 'asc');
+
+    return Promise.all(
+      departments.map(async (department) => ({
+        ...department,
+        agentIds: await this.getAgentIds(department.id)
+      }))
+    );
+  }
+
+  // Get agent ids in a department
+  async getAgentIds(departmentId) {
+    const rows = await this.db('department_agents')
+      .where({ department_id: departmentId })
+      .select('user_id');
+    return rows.map(row => row.user_id);
+  }
+
+  // Replace the agents of a department
+  async setAgents(departmentId, agentIds) {
+    await this.db('department_agents').where({ department_id: departmentId }).del();
+
+    const ids = [...new Set(agentIds)];
+    if (ids.length > 0) {
+      await this.db('department_agents').insert(
+        ids.map(userId => ({ department_id: departmentId, user_id: userId }))
+      );
+    }
+  }
+
+  // Check if an agent belongs to a department
+  async hasAgent(departmentId, userId) {
+    const row = await this.db('department_agents')
+      .where({ department_id: departmentId, user_id: userId })
+      .first();
+    return !!row;
+  }
+}
@@ -1,12 +1,118 @@
 /**
  * Message Model - handles chat messages
- * Messages stored in MongoDB for real-time performance
+ * Storage is delegated to the configured message store (MongoDB or SQL, see config/message-store.js)
  */
-import db from '../config/mongo.js';
+import { getMessageStore } from '../config/message-store.js';
+import { MAX_PAGE_SIZE } from './stores/MessageStore.js';
+import { InvalidCursorError } from '../utils/ApiError.js';
+
+// Message types: regular chat messages, and internal notes only agents can see
+export const MESSAGE_TYPES = ['message', 'internal'];
+
+export { MAX_PAGE_SIZE };
+
+// Structured payloads (`message.payload`, typed by `payload.type`): agents send `quick_replies`
+// button sets and `card`s; a visitor's choice comes back as a message with a `quick_reply_selection`
+const MAX_QUICK_REPLIES = 10;
+
+// A trimmed string of at most `max` characters, or undefined when empty
+function optionalString(value, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > max) {
+    throw new Error('Invalid message payload');
+  }
+  return value.trim();
+}
+
+// Only absolute http(s) links, so a card can never carry a script URL
+function optionalUrl(value) {
+  const url = optionalString(value, 2000);
+  if (url === undefined) return undefined;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid message payload');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Invalid message payload');
+  }
+  return parsed.href;
+}
+
+// Validate a payload an agent sends and keep only the known fields
+export function normalizePayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Invalid message payload');
+  }
+
+  if (payload.type === 'quick_replies') {
+    const options = payload.options;
+    if (!Array.isArray(options) || options.length === 0 || options.length > MAX_QUICK_REPLIES) {
+      throw new Error('Invalid message payload');
+    }
+
+    const normalized = options.map((option, index) => {
+      const label = optionalString(option?.label, 80);
+      if (!label) {
+        throw new Error('Invalid message payload');
+      }
+      return {
+        id: optionalString(option.id, 50) || String(index + 1),
+        label,
+        value: optionalString(option.value, 200) || label
+      };
+    });
+    if (new Set(normalized.map(option => option.id)).size !== normalized.length) {
+      throw new Error('Invalid message payload');
+    }
+
+    return { type: 'quick_replies', options: normalized, selectedOptionId: null };
+  }
+
+  if (payload.type === 'card') {
+    const title = optionalString(payload.title, 200);
+    if (!title) {
+      throw new Error('Invalid message payload');
+    }
+
+    const card = {
+      type: 'card',
+      title,
+      description: optionalString(payload.description, 1000),
+      url: optionalUrl(payload.url),
+      imageUrl: optionalUrl(payload.imageUrl),
+      buttonLabel: optionalString(payload.buttonLabel, 40)
+    };
+    return Object.fromEntries(Object.entries(card).filter(([, value]) => value !== undefined));
+  }
+
+  // quick_reply_selection is only ever created by the server
+  throw new Error('Invalid message payload');
+}
+
+// Whispers are only for the supervisor who wrote them and the agent they were sent to;
+// `viewerId` is the agent reading (null for anyone else)
+export function isVisibleTo(message, viewerId) {
+  if (!message.whisper) return true;
+  return viewerId !== null && viewerId !== undefined &&
+    [message.fromAgentId, message.toAgentId].some(agentId => String(agentId) === String(viewerId));
+}
+
+// Previous versions of edited/deleted messages are only served through getMessageHistory
+function withoutRevisions({ revisions, ...message }) {
+  return message;
+}
 
 export default class MessageModel {
-  constructor() {
-    this.collection = 'messages';
+  constructor(store = null) {
+    this.customStore = store;
+  }
+
+  // Get the message store
+  get store() {
+    return this.customStore || getMessageStore();
   }
 
   // Create message
@@ -17,73 +123,163 @@ export default class MessageModel {
       updatedAt: new Date()
     };
 
-    const result = await db.collection(this.collection).insertOne(message);
-    return { ...message, _id: result.insertedId };
+    return this.store.insert(message);
   }
 
-  // Get messages for session
-  async getSessionMessages(siteId, sessionId, limit = 100) {
-    const messages = await db.collection(this.collection)
-      .find({ siteId, sessionId })
-      .sort({ createdAt: -1 })
-      .toArray();
-    
-    return messages.reverse(); // Oldest first
+  // Get the latest messages for session, oldest first, as seen by agent `viewerId`
+  async getSessionMessages(siteId, sessionId, limit = 100, { viewerId = null } = {}) {
+    const messages = await this.store.findSessionMessages(siteId, sessionId, { limit });
+    return messages
+      .filter(message => isVisibleTo(message, viewerId))
+      .map(withoutRevisions)
+      .reverse(); // Oldest first
   }
 
-  // Get recent messages for site
-  async getSiteMessages(siteId, limit = 50) {
-    const messages = await db.collection(this.collection)
-      .find({ siteId })
-      .sort({ createdAt: -1 })
-      .toArray();
-    
-    return messages;
+  // Get recent messages for site, as seen by agent `viewerId`
+  async getSiteMessages(siteId, limit = 50, { viewerId = null } = {}) {
+    const messages = await this.store.findSiteMessages(siteId, { limit });
+    return messages.filter(message => isVisibleTo(message, viewerId)).map(withoutRevisions);
   }
 
-  // Get messages by visitor session
-  async getVisitorMessages(siteId, sessionId) {
-    return this.getSessionMessages(siteId, sessionId);
+  // Get the latest messages by visitor session, without internal notes
+  async getVisitorMessages(siteId, sessionId, limit = 100) {
+    const messages = await this.store.findSessionMessages(siteId, sessionId, { limit, includeInternal: false });
+    return messages.map(withoutRevisions).reverse(); // Oldest first
   }
 
-  // Get active conversations (distinct session IDs with recent messages)
-  async getActiveSessions(siteId, minutes = 30) {
-    const since = new Date(Date.now() - minutes * 60 * 1000);
-    
-    const messages = await db.collection(this.collection)
-      .find({ 
-        siteId, 
-        createdAt: { $gte: since } 
-      })
-      .toArray();
-    
-    const sessions = [...new Set(messages.map(msg => msg.sessionId))];
-    return sessions;
-  }
-
-  // Get last message for each session
-  async getLastMessages(siteId, limit = 20) {
-    const messages = await this.getSiteMessages(siteId, 1000); // Get more to group
-    
-    const sessionMap = new Map();
-    messages.forEach(msg => {
-      const existing = sessionMap.get(msg.sessionId);
-      if (!existing || msg.createdAt > existing.createdAt) {
-        sessionMap.set(msg.sessionId, msg);
+  // Resolve a pagination cursor (message id or timestamp) to a position in the session
+  async resolveCursor(siteId, sessionId, cursor) {
+    const message = await this.findSessionMessage(siteId, sessionId, cursor);
+    if (message) {
+      return { createdAt: message.createdAt, _id: message._id };
+    }
+
+    const timestamp = Date.parse(cursor);
+    if (isNaN(timestamp)) {
+      throw new InvalidCursorError();
+    }
+    return { createdAt: new Date(timestamp) };
+  }
+
+  // One page of a session's messages, oldest first.
+  // `before` pages back from a message id/timestamp (default: from the newest),
+  // `after` pages forward; cursors are returned for the next request in either direction.
+  // Whispers the agent `viewerId` is not part of are left out
+  async getMessagesPage(siteId, sessionId, { before = null, after = null, limit = 50, includeInternal = true, viewerId = null } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+    // Paging forward reads oldest first, everything else newest first
+    const forward = !!after && !before;
+
+    const rows = await this.store.findSessionMessages(siteId, sessionId, {
+      before: before ? await this.resolveCursor(siteId, sessionId, before) : null,
+      after: after ? await this.resolveCursor(siteId, sessionId, after) : null,
+      includeInternal,
+      order: forward ? 'asc' : 'desc',
+      limit: pageSize + 1
+    });
+
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize).map(withoutRevisions);
+    const ordered = forward ? page : page.reverse();
+
+    // Cursors come from the unfiltered page, so a page of hidden whispers still moves them on
+    return {
+      messages: ordered.filter(message => isVisibleTo(message, viewerId)),
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        direction: forward ? 'after' : 'before',
+        before: ordered.length > 0 ? ordered[0]._id : before,
+        after: ordered.length > 0 ? ordered[ordered.length - 1]._id : after
       }
+    };
+  }
+
+  // Messages of a session written after a given message, oldest first;
+  // null when the cursor message is unknown (the caller should resend full history).
+  // Whispers the agent `viewerId` is not part of are left out
+  async getMessagesAfter(siteId, sessionId, messageId, { includeInternal = true, viewerId = null } = {}) {
+    const cursor = await this.findSessionMessage(siteId, sessionId, messageId);
+    if (!cursor) return null;
+
+    const messages = await this.store.findSessionMessages(siteId, sessionId, {
+      after: { createdAt: cursor.createdAt, _id: cursor._id },
+      includeInternal,
+      order: 'asc'
     });
+    return messages.filter(message => isVisibleTo(message, viewerId)).map(withoutRevisions);
+  }
+
+  // Find a message a client already sent, by its client-generated id
+  async findByClientMessageId(siteId, sessionId, clientMessageId) {
+    return this.store.findByClientMessageId(siteId, sessionId, clientMessageId);
+  }
+
+  // Find a message of a session by id
+  async findSessionMessage(siteId, sessionId, messageId) {
+    if (!messageId) return null;
+    return this.store.findSessionMessage(siteId, sessionId, messageId);
+  }
+
+  // Change a stored message, keeping what it looked like before as a revision.
+  // Returns the updated message without its revisions, or null if it does not exist
+  async updateMessage(siteId, sessionId, messageId, changes, revision) {
+    const message = await this.store.update(siteId, sessionId, messageId, { ...changes, updatedAt: new Date() }, revision);
+    return message && withoutRevisions(message);
+  }
 
-    return Array.from(sessionMap.values())
-      .sort((a, b) => b.createdAt - a.createdAt)
-      .slice(0, limit);
+  // Add a reaction, or take it back when its reactor already left the same emoji, atomically.
+  // Returns the updated message without its revisions, or null if it does not exist
+  async toggleReaction(siteId, sessionId, messageId, reaction, { maxEmojis }) {
+    const message = await this.store.toggleReaction(siteId, sessionId, messageId, reaction, { maxEmojis });
+    return message && withoutRevisions(message);
+  }
+
+  // A message with every earlier version of it, oldest first
+  async getMessageHistory(siteId, sessionId, messageId) {
+    const message = await this.findSessionMessage(siteId, sessionId, messageId);
+    if (!message) return null;
+
+    const { revisions = [], ...current } = message;
+    return { message: current, revisions };
+  }
+
+  // Unread counts of several sessions at once, as session id -> count; `sinceBySession` holds each session's
+  // read marker (session id -> date)
+  async countUnreadForSessions(siteId, sessionIds, sinceBySession = new Map(), { fromSender = 'visitor' } = {}) {
+    if (sessionIds.length === 0) return new Map();
+
+    const counts = await this.store.countMessagesBySession(siteId, sessionIds, { sender: fromSender, since: sinceBySession });
+    return new Map(sessionIds.map(sessionId => [sessionId, counts.get(sessionId) || 0]));
+  }
+
+  // Get active conversations (distinct session IDs with recent messages), most recently active first
+  async getActiveSessions(siteId, minutes = 30, limit = 100) {
+    const since = new Date(Date.now() - minutes * 60 * 1000);
+    return this.store.findActiveSessionIds(siteId, { since, limit });
+  }
+
+  // Last message of each session, newest conversations first; a whisper agent `viewerId` may not see is left out
+  async getLastMessages(siteId, limit = 20, { sessionIds = null, includeInternal = true, viewerId = null } = {}) {
+    const messages = await this.store.findLastMessages(siteId, { sessionIds, includeInternal, limit });
+    return messages.filter(message => isVisibleTo(message, viewerId)).map(withoutRevisions);
+  }
+
+  // Last message for each of the given sessions, as session id -> message
+  async getLastMessagesForSessions(siteId, sessionIds, options = {}) {
+    if (sessionIds.length === 0) return new Map();
+
+    const messages = await this.getLastMessages(siteId, sessionIds.length, { ...options, sessionIds });
+    return new Map(messages.map(msg => [msg.sessionId, msg]));
   }
 
   // Delete old messages (for cleanup)
   async deleteOldMessages(siteId, days = 90) {
     const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-    
+
     // This would need proper MongoDB delete implementation
     // For now, we'll just return count (simulated)
     return 0;
   }
-}
\ No newline at end of file
+}
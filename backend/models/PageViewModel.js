@@ -0,0 +1,52 @@
+/**
+ * Page View Model - pages a visitor looked at, with time on page
+ * A page view stays open (no left_at) while it is the visitor's current page
+ */
+import BaseModel from './BaseModel.js';
+import { withUtm } from './VisitorSessionModel.js';
+
+export default class PageViewModel extends BaseModel {
+  constructor() {
+    super('page_views');
+  }
+
+  // The page a visitor is on, if any
+  async findCurrent(visitorId) {
+    return withUtm(await this.getQuery()
+      .where({ visitor_id: visitorId })
+      .whereNull('left_at')
+      .orderBy('viewed_at', 'desc')
+      .orderBy('id', 'desc')
+      .first());
+  }
+
+  // Record a page view
+  async record(data) {
+    return withUtm(await this.create({
+      ...data,
+      utm: data.utm ? JSON.stringify(data.utm) : null
+    }));
+  }
+
+  // Still on the page
+  async touch(id, at) {
+    return withUtm(await this.update(id, { last_seen_at: at }));
+  }
+
+  // Left the page; time on page runs until `at`
+  async leave(pageView, at) {
+    const duration = Math.max(0, Math.round((new Date(at) - new Date(pageView.viewed_at)) / 1000));
+    return withUtm(await this.update(pageView.id, { left_at: at, duration_seconds: duration }));
+  }
+
+  // Page views of some sessions, oldest first
+  async getSessionPageViews(sessionIds) {
+    if (sessionIds.length === 0) return [];
+
+    const pageViews = await this.getQuery()
+      .whereIn('visitor_session_id', sessionIds)
+      .orderBy('viewed_at', 'asc')
+      .orderBy('id', 'asc');
+    return pageViews.map(withUtm);
+  }
+}
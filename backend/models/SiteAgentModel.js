@@ -0,0 +1,55 @@
+/**
+ * Site Agent Model - a site's team members and their role
+ * The site owner and platform admins are not listed here; they always have full access
+ */
+import BaseModel from './BaseModel.js';
+
+// Team roles: agents handle chats, supervisors may also monitor, whisper and barge in
+export const SITE_AGENT_ROLES = ['agent', 'supervisor'];
+
+export default class SiteAgentModel extends BaseModel {
+  constructor() {
+    super('site_agents');
+  }
+
+  // Membership of a user on a site (by internal site id)
+  async findMember(siteId, userId) {
+    return this.findOne({ site_id: siteId, user_id: userId });
+  }
+
+  // Members of a site with their name and email, by name
+  async getSiteMembers(siteId) {
+    return this.db(this.table)
+      .join('users', 'users.id', `${this.table}.user_id`)
+      .where(`${this.table}.site_id`, siteId)
+      .select(`${this.table}.*`, 'users.name', 'users.email')
+      .orderBy('users.name', 'asc');
+  }
+
+  // Sites a user is a member of, with their role as `team_role`
+  async getUserSites(userId) {
+    return this.db('sites')
+      .join(this.table, `${this.table}.site_id`, 'sites.id')
+      .where(`${this.table}.user_id`, userId)
+      .select('sites.*', `${this.table}.role as team_role`);
+  }
+
+  // Add a member, or change the role of an existing one
+  async setMember(siteId, userId, role) {
+    const existing = await this.findMember(siteId, userId);
+    if (existing) {
+      return this.update(existing.id, { role, updated_at: new Date() });
+    }
+    return this.create({ site_id: siteId, user_id: userId, role });
+  }
+
+  // Remove a member and take them out of the site's departments; returns whether they were one
+  async removeMember(siteId, userId) {
+    const deleted = await this.db(this.table).where({ site_id: siteId, user_id: userId }).del();
+    await this.db('department_agents')
+      .where({ user_id: userId })
+      .whereIn('department_id', this.db('departments').where({ site_id: siteId }).select('id'))
+      .del();
+    return deleted > 0;
+  }
+}
@@ -37,6 +37,23 @@ export default class SiteModel extends BaseModel {
     return this.update(site.id, { status });
   }
 
+  // Parse site settings (JSON column, string on some drivers)
+  getSettings(site) {
+    if (!site || !site.settings) return {};
+    return typeof site.settings === 'string' ? JSON.parse(site.settings) : site.settings;
+  }
+
+  // Merge a settings section into the site's settings
+  async updateSettings(siteId, section, values) {
+    const site = await this.findBySiteId(siteId);
+    if (!site) return null;
+
+    const settings = this.getSettings(site);
+    settings[section] = { ...settings[section], ...values };
+
+    return this.update(site.id, { settings: JSON.stringify(settings) });
+  }
+
   // Check if site is active
   isActive(site) {
     return site.status === 'active';
@@ -5,6 +5,17 @@
 import BaseModel from './BaseModel.js';
 import db from '../config/db.js';
 
+// Tables whose rows follow a visitor into the record it is merged into
+const VISITOR_TABLES = ['conversations', 'conversation_ratings', 'visitor_sessions', 'page_views'];
+
+// Merged visitors are only kept so old tokens and fingerprints find the visitor they became
+const MAX_MERGE_HOPS = 5;
+
+// Limit a visitors query to some countries (ISO codes)
+function whereCountries(query, countries) {
+  return countries?.length ? query.whereIn('country', countries) : query;
+}
+
 export default class VisitorModel extends BaseModel {
   constructor() {
     super('visitors');
@@ -36,23 +47,69 @@ export default class VisitorModel extends BaseModel {
   }
 
   // Get visitors for a site
-  async getSiteVisitors(siteId, limit = 100) {
-    return db('visitors')
+  async getSiteVisitors(siteId, limit = 100, { countries } = {}) {
+    return whereCountries(db('visitors'), countries)
       .where({ site_id: siteId })
+      .whereNull('merged_into_id')
       .orderBy('last_seen', 'desc')
       .limit(limit);
   }
 
   // Get active visitors (seen in last 5 minutes)
-  async getActiveVisitors(siteId) {
+  async getActiveVisitors(siteId, { countries } = {}) {
     const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
     
-    return db('visitors')
+    return whereCountries(db('visitors'), countries)
       .where({ site_id: siteId })
+      .whereNull('merged_into_id')
       .where('last_seen', '>', fiveMinutesAgo)
       .orderBy('last_seen', 'desc');
   }
 
+  // Visitors seen since a date per country, most visitors first (country null when not located)
+  async getCountryBreakdown(siteId, since) {
+    const rows = await this.getQuery()
+      .where({ site_id: siteId })
+      .whereNull('merged_into_id')
+      .where('last_seen', '>=', since)
+      .groupBy('country')
+      .select('country')
+      .count('* as visitors')
+      .orderBy('visitors', 'desc');
+    return rows.map(row => ({ country: row.country || null, visitors: parseInt(row.visitors) }));
+  }
+
+  // The visitor a merged visitor became (the visitor itself when it was not merged)
+  async resolveMerged(visitor) {
+    let current = visitor;
+    for (let hops = 0; current?.merged_into_id && hops < MAX_MERGE_HOPS; hops++) {
+      current = await this.findById(current.merged_into_id);
+    }
+    return current || null;
+  }
+
+  // Move a visitor's conversations, ratings and journey to another visitor and mark it as merged into it.
+  // `details` fills in the target's missing fields (name, email, ...); `sourceChanges` clears what moved over
+  async mergeInto(source, target, details = {}, sourceChanges = {}) {
+    await this.db.transaction(async (trx) => {
+      for (const table of VISITOR_TABLES) {
+        await trx(table).where({ visitor_id: source.id }).update({ visitor_id: target.id });
+      }
+      // Visitors merged into the source earlier now point at the target directly
+      await trx(this.table).where({ merged_into_id: source.id }).update({ merged_into_id: target.id });
+      // The source is updated first so unique values can move to the target
+      await trx(this.table).where({ id: source.id }).update({
+        ...sourceChanges,
+        merged_into_id: target.id,
+        merged_at: new Date()
+      });
+      if (Object.keys(details).length > 0) {
+        await trx(this.table).where({ id: target.id }).update(details);
+      }
+    });
+    return this.findById(target.id);
+  }
+
   // Update visitor metadata
   async updateMeta(visitorId, meta) {
     const visitor = await this.findById(visitorId);
@@ -62,17 +119,39 @@ export default class VisitorModel extends BaseModel {
     return this.update(visitorId, { meta: JSON.stringify(updatedMeta) });
   }
 
+  // Pre-chat answers of a visitor (JSON column, string on some drivers)
+  getPrechatData(visitor) {
+    if (!visitor || !visitor.prechat_data) return null;
+    return typeof visitor.prechat_data === 'string' ? JSON.parse(visitor.prechat_data) : visitor.prechat_data;
+  }
+
+  // Save a submitted pre-chat form; name and email only overwrite when given
+  async savePrechat(visitorId, { name, email, data }) {
+    return this.update(visitorId, {
+      ...(name ? { name } : {}),
+      ...(email ? { email } : {}),
+      prechat_data: JSON.stringify(data),
+      prechat_submitted_at: new Date()
+    });
+  }
+
   // Get visitor count for site
-  async getVisitorCount(siteId) {
-    return this.count({ site_id: siteId });
+  async getVisitorCount(siteId, { countries } = {}) {
+    const result = await whereCountries(this.getQuery(), countries)
+      .where({ site_id: siteId })
+      .whereNull('merged_into_id')
+      .count('* as count')
+      .first();
+    return parseInt(result.count);
   }
 
   // Get recent visitors with pagination
-  async getRecentVisitors(siteId, page = 1, perPage = 20) {
+  async getRecentVisitors(siteId, page = 1, perPage = 20, { countries } = {}) {
     const offset = (page - 1) * perPage;
     
-    return db('visitors')
+    return whereCountries(db('visitors'), countries)
       .where({ site_id: siteId })
+      .whereNull('merged_into_id')
       .orderBy('last_seen', 'desc')
       .offset(offset)
       .limit(perPage);
@@ -0,0 +1,62 @@
+/**
+ * Visitor Session Model - one visit to a site, from the first page view until 30 minutes without activity
+ */
+import BaseModel from './BaseModel.js';
+
+// Parse UTM parameters (JSON column, string on some drivers)
+export function withUtm(row) {
+  if (!row) return row;
+  const utm = typeof row.utm === 'string' ? JSON.parse(row.utm) : row.utm;
+  return { ...row, utm: utm || null };
+}
+
+export default class VisitorSessionModel extends BaseModel {
+  constructor() {
+    super('visitor_sessions');
+  }
+
+  // Latest session of a visitor
+  async findLatest(visitorId) {
+    return withUtm(await this.getQuery()
+      .where({ visitor_id: visitorId })
+      .orderBy('last_activity_at', 'desc')
+      .orderBy('id', 'desc')
+      .first());
+  }
+
+  // Start a session
+  async start(data) {
+    return withUtm(await this.create({
+      ...data,
+      utm: data.utm ? JSON.stringify(data.utm) : null
+    }));
+  }
+
+  // Record activity in a session; a page view also counts towards its pages
+  async touch(id, { at, pageView = false, chatSessionId = null }) {
+    const updates = { last_activity_at: at };
+    if (chatSessionId) {
+      updates.chat_session_id = chatSessionId;
+    }
+    if (pageView) {
+      updates.page_count = this.db.raw('page_count + 1');
+    }
+    await this.getQuery().where({ id }).update(updates);
+    return withUtm(await this.findById(id));
+  }
+
+  // Close a session at its last activity
+  async end(session) {
+    return withUtm(await this.update(session.id, { ended_at: session.last_activity_at }));
+  }
+
+  // Most recent sessions of a visitor
+  async getVisitorSessions(visitorId, limit = 10) {
+    const sessions = await this.getQuery()
+      .where({ visitor_id: visitorId })
+      .orderBy('started_at', 'desc')
+      .orderBy('id', 'desc')
+      .limit(limit);
+    return sessions.map(withUtm);
+  }
+}
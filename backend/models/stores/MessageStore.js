@@ -0,0 +1,105 @@
+/**
+ * Message Store - storage interface behind MessageModel
+ * Implemented by MongoMessageStore and SqlMessageStore; messages are plain objects
+ * with `_id`, siteId, sessionId, sender, type, text, createdAt and updatedAt
+ */
+
+import { InvalidReactionError } from '../../utils/ApiError.js';
+
+// Largest page a client may request
+export const MAX_PAGE_SIZE = 200;
+
+// Whether a stored reaction is `reaction`'s reactor's own reaction with the same emoji
+export function isSameReaction(stored, reaction) {
+  return stored.emoji === reaction.emoji &&
+    stored.sender === reaction.sender &&
+    String(stored.userId) === String(reaction.userId);
+}
+
+// Check that `reaction` may be added: a message carries at most `maxEmojis` different emojis
+export function checkReactionLimit(reactions, reaction, maxEmojis) {
+  const emojis = new Set(reactions.map(stored => stored.emoji));
+  if (!emojis.has(reaction.emoji) && emojis.size >= maxEmojis) {
+    throw new InvalidReactionError();
+  }
+}
+
+// Copy every message of one store into another, keeping ids; `onBatch` gets the running totals.
+// Returns { read, copied }: messages already in the target are read but not copied
+export async function copyMessages(source, target, { batchSize = 500, onBatch = null } = {}) {
+  let read = 0;
+  let copied = 0;
+
+  for await (const batch of source.iterateAll(batchSize)) {
+    copied += await target.importMessages(batch);
+    read += batch.length;
+    if (onBatch) onBatch({ read, copied });
+  }
+
+  return { read, copied };
+}
+
+export default class MessageStore {
+  // Store a new message; throws DuplicateMessageError when its clientMessageId was already stored
+  async insert(message) {
+    throw new Error('Not implemented');
+  }
+
+  // Apply `changes` to a stored message, appending `revision` to its `revisions`; returns the updated message
+  async update(siteId, sessionId, messageId, changes, revision = null) {
+    throw new Error('Not implemented');
+  }
+
+  // Add `reaction` ({ emoji, sender, userId, at }) to a message, or take it back when its reactor already left that
+  // emoji, in one atomic step so concurrent reactions are never lost. Returns the updated message, or null
+  async toggleReaction(siteId, sessionId, messageId, reaction, { maxEmojis }) {
+    throw new Error('Not implemented');
+  }
+
+  // Copy messages from another store, keeping their ids; returns how many were new
+  async importMessages(messages) {
+    throw new Error('Not implemented');
+  }
+
+  // Every message, oldest first, in batches (used to migrate between stores)
+  async *iterateAll(batchSize = 500) {
+    throw new Error('Not implemented');
+  }
+
+  // Find one message of a session by id
+  async findSessionMessage(siteId, sessionId, messageId) {
+    throw new Error('Not implemented');
+  }
+
+  // Find one message of a session by its client-generated id
+  async findByClientMessageId(siteId, sessionId, clientMessageId) {
+    throw new Error('Not implemented');
+  }
+
+  // Messages of a session, newest first, after `filters`:
+  // { before, after } positions ({ createdAt, _id? }), includeInternal, order ('asc' | 'desc'), limit
+  async findSessionMessages(siteId, sessionId, filters = {}) {
+    throw new Error('Not implemented');
+  }
+
+  // Latest messages of a site, newest first
+  async findSiteMessages(siteId, { since = null, limit = null } = {}) {
+    throw new Error('Not implemented');
+  }
+
+  // Count one sender's visible messages in each of `sessionIds` after its time in the `since` map (session id ->
+  // date, none for the whole session); returns session id -> count, leaving out sessions without any
+  async countMessagesBySession(siteId, sessionIds, { sender, since = new Map() }) {
+    throw new Error('Not implemented');
+  }
+
+  // Ids of the sessions with messages since a time, most recently active first
+  async findActiveSessionIds(siteId, { since, limit = 100 }) {
+    throw new Error('Not implemented');
+  }
+
+  // Newest message of each session (optionally only `sessionIds`), newest sessions first
+  async findLastMessages(siteId, { sessionIds = null, includeInternal = true, limit = 20 } = {}) {
+    throw new Error('Not implemented');
+  }
+}
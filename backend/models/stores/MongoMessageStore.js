@@ -0,0 +1,238 @@
+/**
+ * MongoDB Message Store - messages as documents in the `messages` collection
+ * Falls back to the in-memory store of config/mongo.js when MongoDB is unreachable
+ */
+import { ObjectId } from 'mongodb';
+import MessageStore, { checkReactionLimit } from './MessageStore.js';
+import { DuplicateMessageError } from '../../utils/ApiError.js';
+
+// Matches messages a visitor may see (older messages have no type)
+const VISITOR_VISIBLE = { type: { $ne: 'internal' } };
+
+// Message ids arrive as strings from clients
+function toObjectId(id) {
+  return ObjectId.isValid(id) && String(id).length === 24 ? new ObjectId(String(id)) : id;
+}
+
+// Query matching messages strictly before or after a position
+function positionQuery(position, direction) {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  if (!position._id) {
+    return { createdAt: { [op]: position.createdAt } };
+  }
+
+  // Messages stored in the same millisecond are ordered by id
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: toObjectId(position._id) } }
+    ]
+  };
+}
+
+export default class MongoMessageStore extends MessageStore {
+  constructor() {
+    super();
+    this.collectionName = 'messages';
+  }
+
+  // Get the collection once MongoDB (or the fallback) is connected;
+  // imported lazily so SQL deployments never open a MongoDB connection
+  async collection() {
+    const mongo = await import('../../config/mongo.js');
+    await mongo.ready;
+    return mongo.default.collection(this.collectionName);
+  }
+
+  // Store a new message
+  async insert(message) {
+    const collection = await this.collection();
+    try {
+      const result = await collection.insertOne(message);
+      return { ...message, _id: result.insertedId };
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new DuplicateMessageError();
+      }
+      throw error;
+    }
+  }
+
+  // Apply changes to a stored message, keeping its previous version in `revisions`
+  async update(siteId, sessionId, messageId, changes, revision = null) {
+    const collection = await this.collection();
+    const filter = { siteId, sessionId, _id: toObjectId(messageId) };
+
+    await collection.updateOne(filter, {
+      $set: changes,
+      ...(revision ? { $push: { revisions: revision } } : {})
+    });
+    return collection.findOne(filter);
+  }
+
+  // Toggle a reaction with $pull and $push on the reactions array; the push only applies while the reactor's
+  // reaction is still missing, so two concurrent toggles of the same reaction cannot add it twice
+  async toggleReaction(siteId, sessionId, messageId, reaction, { maxEmojis }) {
+    const collection = await this.collection();
+    const filter = { siteId, sessionId, _id: toObjectId(messageId) };
+    const own = { emoji: reaction.emoji, sender: reaction.sender, userId: reaction.userId };
+
+    const taken = await collection.updateOne(
+      { ...filter, reactions: { $elemMatch: own } },
+      { $pull: { reactions: own }, $set: { updatedAt: new Date() } }
+    );
+    if (taken.modifiedCount === 0) {
+      const message = await collection.findOne(filter);
+      if (!message) return null;
+
+      checkReactionLimit(message.reactions || [], reaction, maxEmojis);
+      await collection.updateOne(
+        { ...filter, reactions: { $not: { $elemMatch: own } } },
+        { $push: { reactions: reaction }, $set: { updatedAt: new Date() } }
+      );
+    }
+    return collection.findOne(filter);
+  }
+
+  // Copy messages from another store, keeping their ids
+  async importMessages(messages) {
+    if (messages.length === 0) return 0;
+
+    const collection = await this.collection();
+    const docs = messages.map(message => ({ ...message, _id: toObjectId(message._id) }));
+    const existing = await collection
+      .find({ _id: { $in: docs.map(doc => doc._id) } })
+      .toArray();
+    const existingIds = new Set(existing.map(doc => String(doc._id)));
+    const fresh = docs.filter(doc => !existingIds.has(String(doc._id)));
+    if (fresh.length === 0) return 0;
+
+    try {
+      const result = await collection.insertMany(fresh, { ordered: false });
+      return result.insertedCount;
+    } catch (error) {
+      // Messages whose clientMessageId is already stored are skipped
+      if (error.code === 11000) {
+        return error.insertedCount || 0;
+      }
+      throw error;
+    }
+  }
+
+  // Every message, oldest first, in batches
+  async *iterateAll(batchSize = 500) {
+    const collection = await this.collection();
+    let position = null;
+
+    while (true) {
+      const batch = await collection
+        .find(position ? positionQuery(position, 'after') : {})
+        .sort({ createdAt: 1, _id: 1 })
+        .limit(batchSize)
+        .toArray();
+      if (batch.length === 0) return;
+
+      yield batch;
+
+      const last = batch[batch.length - 1];
+      position = { createdAt: last.createdAt, _id: last._id };
+    }
+  }
+
+  // Find one message of a session by id
+  async findSessionMessage(siteId, sessionId, messageId) {
+    const collection = await this.collection();
+    return collection.findOne({ siteId, sessionId, _id: toObjectId(messageId) });
+  }
+
+  // Find one message of a session by its client-generated id
+  async findByClientMessageId(siteId, sessionId, clientMessageId) {
+    const collection = await this.collection();
+    return collection.findOne({ siteId, sessionId, clientMessageId });
+  }
+
+  // Messages of a session between positions, in creation order or reversed
+  async findSessionMessages(siteId, sessionId, { before = null, after = null, includeInternal = true, order = 'desc', limit = null } = {}) {
+    const conditions = [{ siteId, sessionId }];
+    if (!includeInternal) conditions.push(VISITOR_VISIBLE);
+    if (before) conditions.push(positionQuery(before, 'before'));
+    if (after) conditions.push(positionQuery(after, 'after'));
+
+    const direction = order === 'asc' ? 1 : -1;
+    const collection = await this.collection();
+    const cursor = collection
+      .find({ $and: conditions })
+      .sort({ createdAt: direction, _id: direction });
+
+    return (limit ? cursor.limit(limit) : cursor).toArray();
+  }
+
+  // Latest messages of a site, newest first
+  async findSiteMessages(siteId, { since = null, limit = null } = {}) {
+    const collection = await this.collection();
+    const cursor = collection
+      .find({ siteId, ...(since ? { createdAt: { $gte: since } } : {}) })
+      .sort({ createdAt: -1, _id: -1 });
+
+    return (limit ? cursor.limit(limit) : cursor).toArray();
+  }
+
+  // Count one sender's visible messages in several sessions with one grouped aggregation
+  async countMessagesBySession(siteId, sessionIds, { sender, since = new Map() }) {
+    const whole = sessionIds.filter(sessionId => !since.get(sessionId));
+    const after = sessionIds.filter(sessionId => since.get(sessionId));
+    const sessions = [
+      ...(whole.length > 0 ? [{ sessionId: { $in: whole } }] : []),
+      ...after.map(sessionId => ({ sessionId, createdAt: { $gt: since.get(sessionId) } }))
+    ];
+
+    const collection = await this.collection();
+    const rows = await collection
+      .aggregate([
+        { $match: { siteId, sender, ...VISITOR_VISIBLE, $or: sessions } },
+        { $group: { _id: '$sessionId', count: { $sum: 1 } } }
+      ])
+      .toArray();
+
+    return new Map(rows.map(row => [row._id, row.count]));
+  }
+
+  // Ids of the sessions with messages since a time, grouped in the database
+  async findActiveSessionIds(siteId, { since, limit = 100 }) {
+    const collection = await this.collection();
+    const rows = await collection
+      .aggregate([
+        { $match: { siteId, createdAt: { $gte: since } } },
+        { $group: { _id: '$sessionId', lastCreatedAt: { $max: '$createdAt' } } },
+        { $sort: { lastCreatedAt: -1 } },
+        { $limit: limit }
+      ])
+      .toArray();
+
+    return rows.map(row => row._id);
+  }
+
+  // Newest message of each session. Sorting on the (siteId, sessionId, createdAt) index
+  // lets MongoDB pick each session's newest message without reading the rest of its history
+  async findLastMessages(siteId, { sessionIds = null, includeInternal = true, limit = 20 } = {}) {
+    const match = { siteId };
+    if (sessionIds) {
+      match.sessionId = { $in: sessionIds };
+    }
+    if (!includeInternal) {
+      Object.assign(match, VISITOR_VISIBLE);
+    }
+
+    const collection = await this.collection();
+    return collection
+      .aggregate([
+        { $match: match },
+        { $sort: { siteId: 1, sessionId: 1, createdAt: -1 } },
+        { $group: { _id: '$sessionId', message: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$message' } },
+        { $sort: { createdAt: -1 } },
+        { $limit: limit }
+      ])
+      .toArray();
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * SQL Message Store - messages in the `chat_messages` table through knex
+ * Works on SQLite, PostgreSQL and MySQL; ids are MongoDB-style hex strings
+ */
+import { ObjectId } from 'mongodb';
+import { getDatabase } from '../../config/database-provider.js';
+import MessageStore, { isSameReaction, checkReactionLimit } from './MessageStore.js';
+import { DuplicateMessageError } from '../../utils/ApiError.js';
+
+// Columns with their own place in the table; every other field goes into `data`
+const COLUMNS = {
+  _id: 'id',
+  siteId: 'site_id',
+  sessionId: 'session_id',
+  sender: 'sender',
+  type: 'type',
+  clientMessageId: 'client_message_id',
+  text: 'text',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+// Date fields kept in `data`, revived when read back
+const DATE_FIELDS = ['timestamp', 'editedAt', 'deletedAt'];
+
+// Unique constraint violations across SQLite, PostgreSQL and MySQL
+function isUniqueViolation(error) {
+  return error.code === 'ER_DUP_ENTRY' ||
+    error.code === '23505' ||
+    /UNIQUE constraint failed/.test(error.message);
+}
+
+// Message object -> table row
+function toRow(message) {
+  const data = {};
+  Object.entries(message).forEach(([key, value]) => {
+    if (!(key in COLUMNS)) data[key] = value;
+  });
+
+  return {
+    id: String(message._id),
+    site_id: message.siteId,
+    session_id: message.sessionId,
+    sender: message.sender,
+    type: message.type || 'message',
+    client_message_id: message.clientMessageId || null,
+    text: message.text ?? null,
+    data: JSON.stringify(data),
+    created_at: new Date(message.createdAt),
+    updated_at: new Date(message.updatedAt || message.createdAt)
+  };
+}
+
+// Table row -> message object, shaped like the MongoDB documents
+function fromRow(row) {
+  const data = typeof row.data === 'string' ? JSON.parse(row.data) : (row.data || {});
+  DATE_FIELDS.forEach((field) => {
+    if (data[field]) data[field] = new Date(data[field]);
+  });
+
+  return {
+    _id: row.id,
+    siteId: row.site_id,
+    sessionId: row.session_id,
+    sender: row.sender,
+    type: row.type,
+    text: row.text,
+    ...(row.client_message_id ? { clientMessageId: row.client_message_id } : {}),
+    ...data,
+    createdAt: new Date(row.created_at),
+    updatedAt: new Date(row.updated_at)
+  };
+}
+
+export default class SqlMessageStore extends MessageStore {
+  constructor() {
+    super();
+    this.table = 'chat_messages';
+  }
+
+  // Get database instance
+  get db() {
+    return getDatabase();
+  }
+
+  // Restrict a query to rows strictly before or after a position
+  wherePosition(query, position, direction) {
+    const op = direction === 'before' ? '<' : '>';
+    const createdAt = new Date(position.createdAt);
+    if (!position._id) {
+      return query.where('created_at', op, createdAt);
+    }
+
+    // Messages stored in the same millisecond are ordered by id
+    return query.where(function () {
+      this.where('created_at', op, createdAt)
+        .orWhere(function () {
+          this.where('created_at', createdAt).andWhere('id', op, String(position._id));
+        });
+    });
+  }
+
+  // Store a new message
+  async insert(message) {
+    const stored = { ...message, _id: new ObjectId().toHexString() };
+    try {
+      await this.db(this.table).insert(toRow(stored));
+      return stored;
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new DuplicateMessageError();
+      }
+      throw error;
+    }
+  }
+
+  // Apply changes to a stored message, keeping its previous version in `revisions`
+  async update(siteId, sessionId, messageId, changes, revision = null) {
+    return this.db.transaction(async (trx) => {
+      const row = await trx(this.table)
+        .where({ site_id: siteId, session_id: sessionId, id: String(messageId) })
+        .forUpdate()
+        .first();
+      if (!row) return null;
+
+      const message = fromRow(row);
+      const updated = {
+        ...message,
+        ...changes,
+        ...(revision ? { revisions: [...(message.revisions || []), revision] } : {})
+      };
+      const { id, ...columns } = toRow(updated);
+
+      await trx(this.table).where({ id }).update(columns);
+      return fromRow({ ...row, ...columns });
+    });
+  }
+
+  // Toggle a reaction on the message row locked for the transaction, so concurrent toggles wait for each other
+  async toggleReaction(siteId, sessionId, messageId, reaction, { maxEmojis }) {
+    return this.db.transaction(async (trx) => {
+      const row = await trx(this.table)
+        .where({ site_id: siteId, session_id: sessionId, id: String(messageId) })
+        .forUpdate()
+        .first();
+      if (!row) return null;
+
+      const message = fromRow(row);
+      const reactions = message.reactions || [];
+      let updated;
+      if (reactions.some(stored => isSameReaction(stored, reaction))) {
+        updated = reactions.filter(stored => !isSameReaction(stored, reaction));
+      } else {
+        checkReactionLimit(reactions, reaction, maxEmojis);
+        updated = [...reactions, reaction];
+      }
+
+      const { id, ...columns } = toRow({ ...message, reactions: updated, updatedAt: new Date() });
+      await trx(this.table).where({ id }).update(columns);
+      return fromRow({ ...row, ...columns });
+    });
+  }
+
+  // Copy messages from another store, keeping their ids
+  async importMessages(messages) {
+    if (messages.length === 0) return 0;
+
+    const rows = messages.map(toRow);
+    const existingIds = new Set(await this.db(this.table)
+      .whereIn('id', rows.map(row => row.id))
+      .pluck('id'));
+    const fresh = rows.filter(row => !existingIds.has(row.id));
+    if (fresh.length === 0) return 0;
+
+    // Messages whose clientMessageId is already stored are skipped, so count the rows that actually landed
+    await this.db(this.table).insert(fresh).onConflict().ignore();
+    const inserted = await this.db(this.table)
+      .whereIn('id', fresh.map(row => row.id))
+      .count('id as count')
+      .first();
+    return parseInt(inserted.count) || 0;
+  }
+
+  // Every message, oldest first, in batches
+  async *iterateAll(batchSize = 500) {
+    let position = null;
+
+    while (true) {
+      let query = this.db(this.table);
+      if (position) query = this.wherePosition(query, position, 'after');
+      const rows = await query
+        .orderBy([{ column: 'created_at', order: 'asc' }, { column: 'id', order: 'asc' }])
+        .limit(batchSize);
+      if (rows.length === 0) return;
+
+      const batch = rows.map(fromRow);
+      yield batch;
+
+      const last = batch[batch.length - 1];
+      position = { createdAt: last.createdAt, _id: last._id };
+    }
+  }
+
+  // Find one message of a session by id
+  async findSessionMessage(siteId, sessionId, messageId) {
+    const row = await this.db(this.table)
+      .where({ site_id: siteId, session_id: sessionId, id: String(messageId) })
+      .first();
+    return row ? fromRow(row) : null;
+  }
+
+  // Find one message of a session by its client-generated id
+  async findByClientMessageId(siteId, sessionId, clientMessageId) {
+    const row = await this.db(this.table)
+      .where({ site_id: siteId, session_id: sessionId, client_message_id: clientMessageId })
+      .first();
+    return row ? fromRow(row) : null;
+  }
+
+  // Messages of a session between positions, in creation order or reversed
+  async findSessionMessages(siteId, sessionId, { before = null, after = null, includeInternal = true, order = 'desc', limit = null } = {}) {
+    let query = this.db(this.table).where({ site_id: siteId, session_id: sessionId });
+    if (!includeInternal) query = query.whereNot('type', 'internal');
+    if (before) query = this.wherePosition(query, before, 'before');
+    if (after) query = this.wherePosition(query, after, 'after');
+
+    query = query.orderBy([{ column: 'created_at', order }, { column: 'id', order }]);
+    if (limit) query = query.limit(limit);
+
+    const rows = await query;
+    return rows.map(fromRow);
+  }
+
+  // Latest messages of a site, newest first
+  async findSiteMessages(siteId, { since = null, limit = null } = {}) {
+    let query = this.db(this.table).where({ site_id: siteId });
+    if (since) query = query.where('created_at', '>=', since);
+
+    query = query.orderBy([{ column: 'created_at', order: 'desc' }, { column: 'id', order: 'desc' }]);
+    if (limit) query = query.limit(limit);
+
+    const rows = await query;
+    return rows.map(fromRow);
+  }
+
+  // Count one sender's visible messages in several sessions with one grouped query
+  async countMessagesBySession(siteId, sessionIds, { sender, since = new Map() }) {
+    const whole = sessionIds.filter(sessionId => !since.get(sessionId));
+    const after = sessionIds.filter(sessionId => since.get(sessionId));
+
+    const rows = await this.db(this.table)
+      .where({ site_id: siteId, sender })
+      .whereNot('type', 'internal')
+      .where(function () {
+        if (whole.length > 0) this.orWhereIn('session_id', whole);
+        for (const sessionId of after) {
+          this.orWhere(function () {
+            this.where('session_id', sessionId).where('created_at', '>', since.get(sessionId));
+          });
+        }
+      })
+      .groupBy('session_id')
+      .select('session_id')
+      .count('id as count');
+
+    return new Map(rows.map(row => [row.session_id, parseInt(row.count) || 0]));
+  }
+
+  // Ids of the sessions with messages since a time, grouped in the database
+  async findActiveSessionIds(siteId, { since, limit = 100 }) {
+    const rows = await this.db(this.table)
+      .where({ site_id: siteId })
+      .where('created_at', '>=', since)
+      .groupBy('session_id')
+      .select('session_id')
+      .max('created_at as last_created_at')
+      .orderBy('last_created_at', 'desc')
+      .limit(limit);
+
+    return rows.map(row => row.session_id);
+  }
+
+  // Newest message of each session: join each session's latest creation time back onto its rows
+  async findLastMessages(siteId, { sessionIds = null, includeInternal = true, limit = 20 } = {}) {
+    const scope = (query, prefix = '') => {
+      query.where(`${prefix}site_id`, siteId);
+      if (sessionIds) query.whereIn(`${prefix}session_id`, sessionIds);
+      if (!includeInternal) query.whereNot(`${prefix}type`, 'internal');
+      return query;
+    };
+
+    const latest = scope(this.db(this.table))
+      .select('session_id')
+      .max('created_at as last_created_at')
+      .groupBy('session_id')
+      .orderBy('last_created_at', 'desc')
+      .limit(limit)
+      .as('latest');
+
+    const rows = await scope(this.db(`${this.table} as m`), 'm.')
+      .join(latest, function () {
+        this.on('m.session_id', 'latest.session_id').andOn('m.created_at', 'latest.last_created_at');
+      })
+      .select('m.*')
+      .orderBy([{ column: 'm.created_at', order: 'desc' }, { column: 'm.id', order: 'desc' }]);
+
+    // Two messages stored in the same millisecond: keep the later id
+    const seen = new Set();
+    return rows
+      .filter((row) => {
+        if (seen.has(row.session_id)) return false;
+        seen.add(row.session_id);
+        return true;
+      })
+      .map(fromRow);
+  }
+}
@@ -7,13 +7,82 @@ import {
   getDashboard,
   getSiteAnalytics,
   getSiteVisitors,
+  getVisitorTimeline,
+  mergeVisitor,
   getChatConversations,
+  getConversation,
+  getSessionConversation,
+  closeConversation,
+  reopenConversation,
+  snoozeConversation,
+  claimConversation,
+  transferConversation,
+  getConversationTransfers,
+  getRoutingSettings,
+  updateRoutingSettings,
+  getPrechatSettings,
+  updatePrechatSettings,
+  getSurveySettings,
+  updateSurveySettings,
+  getBusinessHours,
+  updateBusinessHours,
+  getIdentitySettings,
+  rotateIdentitySecret,
+  disableIdentity,
+  getSiteAgents,
+  getActiveChats,
   getChatMessages,
   createPayment,
   getPaymentHistory
 } from '../controllers/dashboardController.js';
+import {
+  getDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+} from '../controllers/departmentController.js';
+import {
+  getTeam,
+  setTeamMember,
+  removeTeamMember
+} from '../controllers/teamController.js';
+import {
+  uploadAttachment,
+  editMessage,
+  deleteMessage,
+  reactToMessage,
+  getMessageHistory,
+  getMessageSettings,
+  updateMessageSettings
+} from '../controllers/messageController.js';
+import {
+  getCannedResponses,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  expandCannedResponse
+} from '../controllers/cannedResponseController.js';
+import {
+  getContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact,
+  linkContactVisitor,
+  unlinkContactVisitor,
+  createContactNote,
+  updateContactNote,
+  deleteContactNote,
+  exportContacts,
+  importContacts,
+  getContactAttributes,
+  createContactAttribute,
+  updateContactAttribute,
+  deleteContactAttribute
+} from '../controllers/contactController.js';
 import authGuard from '../middlewares/authGuard.js';
-import { checkSiteOwnership } from '../middlewares/siteGuard.js';
+import { checkSiteOwnership, checkSiteAccess } from '../middlewares/siteGuard.js';
+import { uploadAttachment as parseUpload } from '../middlewares/upload.js';
 
 const router = express.Router();
 
@@ -26,11 +95,69 @@ router.get('/', getDashboard);
 // Get all user's sites
 router.get('/sites', getDashboard);
 
-// Site-specific routes
+// Site-specific routes: settings need the owner (checkSiteOwnership), chat work any team member (checkSiteAccess)
 router.get('/sites/:siteId/analytics', checkSiteOwnership, getSiteAnalytics);
-router.get('/sites/:siteId/visitors', checkSiteOwnership, getSiteVisitors);
-router.get('/sites/:siteId/conversations', checkSiteOwnership, getChatConversations);
-router.get('/sites/:siteId/messages/:sessionId', checkSiteOwnership, getChatMessages);
+router.get('/sites/:siteId/visitors', checkSiteAccess, getSiteVisitors);
+router.get('/sites/:siteId/visitors/:visitorId/timeline', checkSiteAccess, getVisitorTimeline);
+router.post('/sites/:siteId/visitors/:visitorId/merge', checkSiteAccess, mergeVisitor);
+router.get('/sites/:siteId/conversations', checkSiteAccess, getChatConversations);
+router.get('/sites/:siteId/conversations/:conversationId', checkSiteAccess, getConversation);
+router.post('/sites/:siteId/conversations/:conversationId/close', checkSiteAccess, closeConversation);
+router.post('/sites/:siteId/conversations/:conversationId/reopen', checkSiteAccess, reopenConversation);
+router.post('/sites/:siteId/conversations/:conversationId/snooze', checkSiteAccess, snoozeConversation);
+router.post('/sites/:siteId/conversations/:conversationId/claim', checkSiteAccess, claimConversation);
+router.post('/sites/:siteId/conversations/:conversationId/transfer', checkSiteAccess, transferConversation);
+router.get('/sites/:siteId/conversations/:conversationId/transfers', checkSiteAccess, getConversationTransfers);
+router.get('/sites/:siteId/routing', checkSiteOwnership, getRoutingSettings);
+router.put('/sites/:siteId/routing', checkSiteOwnership, updateRoutingSettings);
+router.get('/sites/:siteId/prechat', checkSiteOwnership, getPrechatSettings);
+router.put('/sites/:siteId/prechat', checkSiteOwnership, updatePrechatSettings);
+router.get('/sites/:siteId/csat', checkSiteOwnership, getSurveySettings);
+router.put('/sites/:siteId/csat', checkSiteOwnership, updateSurveySettings);
+router.get('/sites/:siteId/business-hours', checkSiteOwnership, getBusinessHours);
+router.put('/sites/:siteId/business-hours', checkSiteOwnership, updateBusinessHours);
+router.get('/sites/:siteId/identity', checkSiteOwnership, getIdentitySettings);
+router.post('/sites/:siteId/identity/secret', checkSiteOwnership, rotateIdentitySecret);
+router.delete('/sites/:siteId/identity/secret', checkSiteOwnership, disableIdentity);
+router.get('/sites/:siteId/agents', checkSiteAccess, getSiteAgents);
+router.get('/sites/:siteId/supervision', checkSiteAccess, getActiveChats);
+router.get('/sites/:siteId/team', checkSiteOwnership, getTeam);
+router.put('/sites/:siteId/team', checkSiteOwnership, setTeamMember);
+router.delete('/sites/:siteId/team/:userId', checkSiteOwnership, removeTeamMember);
+router.get('/sites/:siteId/departments', checkSiteAccess, getDepartments);
+router.post('/sites/:siteId/departments', checkSiteOwnership, createDepartment);
+router.put('/sites/:siteId/departments/:departmentId', checkSiteOwnership, updateDepartment);
+router.delete('/sites/:siteId/departments/:departmentId', checkSiteOwnership, deleteDepartment);
+router.get('/sites/:siteId/messages/:sessionId', checkSiteAccess, getChatMessages);
+router.get('/sites/:siteId/sessions/:sessionId/conversation', checkSiteAccess, getSessionConversation);
+router.post('/sites/:siteId/messages/:sessionId/attachments', checkSiteAccess, parseUpload, uploadAttachment);
+router.patch('/sites/:siteId/messages/:sessionId/:messageId', checkSiteAccess, editMessage);
+router.delete('/sites/:siteId/messages/:sessionId/:messageId', checkSiteAccess, deleteMessage);
+router.post('/sites/:siteId/messages/:sessionId/:messageId/reactions', checkSiteAccess, reactToMessage);
+router.get('/sites/:siteId/messages/:sessionId/:messageId/history', checkSiteAccess, getMessageHistory);
+router.get('/sites/:siteId/message-settings', checkSiteOwnership, getMessageSettings);
+router.put('/sites/:siteId/message-settings', checkSiteOwnership, updateMessageSettings);
+router.get('/sites/:siteId/canned-responses', checkSiteAccess, getCannedResponses);
+router.post('/sites/:siteId/canned-responses', checkSiteAccess, createCannedResponse);
+router.post('/sites/:siteId/canned-responses/expand', checkSiteAccess, expandCannedResponse);
+router.put('/sites/:siteId/canned-responses/:responseId', checkSiteAccess, updateCannedResponse);
+router.delete('/sites/:siteId/canned-responses/:responseId', checkSiteAccess, deleteCannedResponse);
+router.get('/sites/:siteId/contacts', checkSiteAccess, getContacts);
+router.post('/sites/:siteId/contacts', checkSiteAccess, createContact);
+router.get('/sites/:siteId/contacts/export', checkSiteAccess, exportContacts);
+router.post('/sites/:siteId/contacts/import', checkSiteAccess, parseUpload, importContacts);
+router.get('/sites/:siteId/contacts/:contactId', checkSiteAccess, getContact);
+router.put('/sites/:siteId/contacts/:contactId', checkSiteAccess, updateContact);
+router.delete('/sites/:siteId/contacts/:contactId', checkSiteAccess, deleteContact);
+router.post('/sites/:siteId/contacts/:contactId/visitors', checkSiteAccess, linkContactVisitor);
+router.delete('/sites/:siteId/contacts/:contactId/visitors/:visitorId', checkSiteAccess, unlinkContactVisitor);
+router.post('/sites/:siteId/contacts/:contactId/notes', checkSiteAccess, createContactNote);
+router.put('/sites/:siteId/contacts/:contactId/notes/:noteId', checkSiteAccess, updateContactNote);
+router.delete('/sites/:siteId/contacts/:contactId/notes/:noteId', checkSiteAccess, deleteContactNote);
+router.get('/sites/:siteId/contact-attributes', checkSiteAccess, getContactAttributes);
+router.post('/sites/:siteId/contact-attributes', checkSiteAccess, createContactAttribute);
+router.put('/sites/:siteId/contact-attributes/:attributeId', checkSiteAccess, updateContactAttribute);
+router.delete('/sites/:siteId/contact-attributes/:attributeId', checkSiteAccess, deleteContactAttribute);
 router.post('/sites/:siteId/payments', checkSiteOwnership, createPayment);
 router.get('/sites/:siteId/payments', checkSiteOwnership, getPaymentHistory);
 
@@ -9,9 +9,16 @@ import {
   getWidgetStatus,
   trackActivity,
   getChatHistory,
-  getActiveVisitors
+  getActiveVisitors,
+  uploadAttachment,
+  submitPrechat,
+  identifyVisitor,
+  submitOfflineMessage,
+  submitRating
 } from '../controllers/widgetController.js';
 import siteGuard, { checkSiteActive } from '../middlewares/siteGuard.js';
+import { visitorSessionGuard } from '../middlewares/authGuard.js';
+import { uploadAttachment as parseUpload } from '../middlewares/upload.js';
 
 const router = express.Router();
 
@@ -21,6 +28,11 @@ router.post('/activity', siteGuard, checkSiteActive, trackActivity);
 router.get('/status/:siteId', getWidgetStatus);
 router.get('/config/:siteId', getSiteConfig);
 router.get('/visitors/:siteId', getActiveVisitors);
-router.get('/history', getChatHistory);
+router.get('/history', visitorSessionGuard, getChatHistory);
+router.post('/prechat', visitorSessionGuard, checkSiteActive, submitPrechat);
+router.post('/identify', visitorSessionGuard, checkSiteActive, identifyVisitor);
+router.post('/offline-message', visitorSessionGuard, checkSiteActive, submitOfflineMessage);
+router.post('/rating', visitorSessionGuard, checkSiteActive, submitRating);
+router.post('/attachments', visitorSessionGuard, checkSiteActive, parseUpload, uploadAttachment);
 
 export default router;
\ No newline at end of file
@@ -31,6 +31,13 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+
+// Behind a proxy (Railway, nginx) the visitor's address comes from X-Forwarded-For; TRUST_PROXY=1 trusts one hop
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
   cors: {
@@ -75,9 +82,9 @@ app.use(express.json({
   type: ['application/json', 'text/plain'] // Accept both JSON and plain text
 }));
 
-// Raw body parser for debugging
+// Raw body parser for debugging (file uploads are left to the upload middleware)
 app.use((req, res, next) => {
-  if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
+  if ((req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') && !req.is('multipart/form-data')) {
     let data = '';
     req.on('data', chunk => {
       data += chunk;
@@ -172,8 +179,13 @@ try {
   process.exit(1);
 }
 
-// Import MongoDB
-import './config/mongo.js';
+// Connect MongoDB when it holds the chat messages
+import { getMessageStoreType } from './config/message-store.js';
+import { getStorageType, getStorageDriver } from './config/upload.js';
+const messageStoreType = getMessageStoreType();
+if (messageStoreType === 'mongo') {
+  await import('./config/mongo.js');
+}
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -188,10 +200,22 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     database: dbType,
+    messageStore: messageStoreType,
     mongodb: process.env.MONGO_URI ? 'configured' : 'not configured'
   });
 });
 
+// Attachments kept by the local storage driver; nosniff so a file is never rendered as another type
+if (getStorageType() === 'local') {
+  app.use('/uploads', express.static(getStorageDriver().directory, {
+    index: false,
+    setHeaders: (res) => {
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.set('Content-Security-Policy', "default-src 'none'");
+    }
+  }));
+}
+
 // Demo page
 app.get('/demo.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'demo.html'));
@@ -283,6 +307,9 @@ app.get('*', (req, res) => {
 const socketService = new SocketService(io);
 socketService.initialize();
 
+// Expose to controllers that push updates after REST actions
+app.set('socketService', socketService);
+
 // Error handling middleware
 app.use(errorHandler);
 
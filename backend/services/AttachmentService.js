@@ -0,0 +1,162 @@
+/**
+ * Attachment Service - validates and stores files shared in chat
+ * The type comes from the file's magic bytes; images are re-encoded (dropping EXIF/GPS metadata)
+ * and get a thumbnail. Files are written through the configured storage driver
+ */
+import sharp from 'sharp';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { uploadConfig, getStorageDriver } from '../config/upload.js';
+import FileSignature from '../utils/FileSignature.js';
+import {
+  FileRequiredError,
+  FileTooLargeError,
+  UnsupportedFileTypeError,
+  InvalidImageError,
+  ImageTooLargeError
+} from '../utils/ApiError.js';
+
+// Output format per detected image type
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Storage keys only contain safe characters
+function safeSegment(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 100);
+}
+
+// Storage keys of an attachment's file and thumbnail, under its site and session
+function storageKeys(siteId, sessionId, id, extension, hasThumbnail) {
+  const base = `${safeSegment(siteId)}/${safeSegment(sessionId)}/${safeSegment(id)}`;
+  return {
+    key: `${base}.${extension}`,
+    thumbnailKey: hasThumbnail ? `${base}_thumb.webp` : null
+  };
+}
+
+// Display name: the uploaded name without any path, control characters or a misleading extension
+function displayName(originalName, extension) {
+  const base = path.basename(String(originalName || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/\.[^.]*$/, '')
+    .trim()
+    .slice(0, 200);
+  return `${base || 'attachment'}.${extension}`;
+}
+
+export default class AttachmentService {
+  constructor(storage = null) {
+    this.customStorage = storage;
+  }
+
+  // Get the storage driver
+  get storage() {
+    return this.customStorage || getStorageDriver();
+  }
+
+  // Check an uploaded file and return what should be stored
+  async processFile(buffer) {
+    if (!buffer || buffer.length === 0) {
+      throw new FileRequiredError();
+    }
+    if (buffer.length > uploadConfig.maxSize) {
+      throw new FileTooLargeError();
+    }
+
+    const type = FileSignature.detect(buffer);
+    if (!type || !uploadConfig.allowedTypes.includes(type.mime)) {
+      throw new UnsupportedFileTypeError();
+    }
+
+    if (!FileSignature.isImage(type.mime)) {
+      return { ...type, buffer };
+    }
+
+    // Animated GIF/WebP keep their frames
+    const animated = type.mime === 'image/gif' || type.mime === 'image/webp';
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer, { animated }).metadata();
+    } catch (error) {
+      throw new InvalidImageError();
+    }
+
+    // Checked from the header, before any pixels are decoded
+    const { width: maxWidth, height: maxHeight } = uploadConfig.maxDimensions;
+    if (metadata.width > maxWidth || (metadata.pageHeight || metadata.height) > maxHeight) {
+      throw new ImageTooLargeError();
+    }
+
+    // Re-encoding applies the EXIF orientation and writes no metadata at all
+    const image = await sharp(buffer, { animated })
+      .rotate()
+      .toFormat(IMAGE_FORMATS[type.mime])
+      .toBuffer();
+    const cleaned = await sharp(image, { animated }).metadata();
+
+    const thumbnail = await sharp(image)
+      .resize(uploadConfig.thumbnail.width, uploadConfig.thumbnail.height, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return {
+      ...type,
+      buffer: image,
+      thumbnail,
+      width: cleaned.width,
+      height: cleaned.pageHeight || cleaned.height
+    };
+  }
+
+  // Optional text sent along with an attachment
+  normalizeCaption(caption) {
+    return typeof caption === 'string' ? caption.trim().slice(0, 1000) : '';
+  }
+
+  // Validate and store a file shared in a session; returns the attachment to put on the message
+  async storeAttachment(siteId, sessionId, { buffer, originalName }) {
+    const file = await this.processFile(buffer);
+
+    const id = uuidv4();
+    const { key, thumbnailKey } = storageKeys(siteId, sessionId, id, file.extension, !!file.thumbnail);
+
+    await this.storage.put(key, file.buffer, file.mime);
+    if (thumbnailKey) {
+      try {
+        await this.storage.put(thumbnailKey, file.thumbnail, 'image/webp');
+      } catch (error) {
+        await this.storage.remove(key).catch(() => {});
+        throw error;
+      }
+    }
+
+    return {
+      id,
+      name: displayName(originalName, file.extension),
+      mimeType: file.mime,
+      size: file.buffer.length,
+      url: this.storage.getUrl(key),
+      ...(thumbnailKey ? {
+        thumbnailUrl: this.storage.getUrl(thumbnailKey),
+        width: file.width,
+        height: file.height
+      } : {})
+    };
+  }
+
+  // Delete the stored files of an attachment; the keys follow from its site, session, id and name
+  async removeAttachment(siteId, sessionId, attachment) {
+    const extension = path.extname(attachment.name).slice(1);
+    const { key, thumbnailKey } = storageKeys(siteId, sessionId, attachment.id, extension, !!attachment.thumbnailUrl);
+
+    await this.storage.remove(key);
+    if (thumbnailKey) {
+      await this.storage.remove(thumbnailKey);
+    }
+  }
+}
@@ -5,6 +5,8 @@
 import jwt from 'jsonwebtoken';
 import UserModel from '../models/UserModel.js';
 import SiteModel from '../models/SiteModel.js';
+import { DASHBOARD_AUDIENCE } from '../utils/TokenManager.js';
+import { UserExistsError, InvalidCredentialsError, InvalidTokenError } from '../utils/ApiError.js';
 
 export default class AuthService {
   constructor() {
@@ -19,7 +21,7 @@ export default class AuthService {
     // Check if user exists
     const existingUser = await this.userModel.findByEmail(email);
     if (existingUser) {
-      throw new Error('User already exists');
+      throw new UserExistsError();
     }
 
     // Create user
@@ -60,7 +62,7 @@ export default class AuthService {
     // Verify credentials
     const isValid = await this.userModel.verifyPassword(email, password);
     if (!isValid) {
-      throw new Error('Invalid credentials');
+      throw new InvalidCredentialsError();
     }
 
     // Get user
@@ -90,11 +92,20 @@ export default class AuthService {
 
   // Verify JWT token
   verifyToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
+      throw new InvalidTokenError();
+    }
+
+    // Widget session and visitor id tokens share the secret but carry their own audience; they never grant
+    // dashboard access. Dashboard tokens signed before the audience was added have none
+    if (decoded.aud !== undefined && decoded.aud !== DASHBOARD_AUDIENCE) {
       throw new Error('Invalid token');
     }
+
+    return decoded;
   }
 
   // Generate JWT token
@@ -106,7 +117,7 @@ export default class AuthService {
         role: user.role 
       },
       process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+      { expiresIn: '7d', audience: DASHBOARD_AUDIENCE }
     );
   }
 
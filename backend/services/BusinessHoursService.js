@@ -0,0 +1,245 @@
+/**
+ * Business Hours Service - weekly opening hours and holidays per site
+ * The schedule lives in the `businessHours` section of the site settings. Times are wall-clock times in the
+ * site's IANA timezone; a holiday replaces the weekly hours of its date (closed unless it lists hours)
+ */
+import SiteModel from '../models/SiteModel.js';
+import { SiteNotFoundError, InvalidBusinessHoursError, InvalidTimezoneError } from '../utils/ApiError.js';
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_INTERVALS_PER_DAY = 4;
+const MAX_HOLIDAYS = 100;
+
+// Look ahead at most this many days for the next opening
+const MAX_LOOKAHEAD_DAYS = 400;
+
+// Minutes since midnight of an HH:MM time
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Calendar date parts of a YYYY-MM-DD string, checked to be a real date
+function parseDate(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return null;
+  const [year, month, day] = date.split('-').map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  return check.getUTCMonth() === month - 1 && check.getUTCDate() === day ? { year, month, day } : null;
+}
+
+// YYYY-MM-DD of calendar date parts
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// The calendar date `days` after the given one
+function addDays({ year, month, day }, days) {
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+}
+
+// Wall-clock date and time of an instant in a timezone
+function zonedParts(instant, timezone) {
+  return Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(new Date(instant))
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  );
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+function timezoneOffset(instant, timezone) {
+  const { year, month, day, hour, minute, second } = zonedParts(instant, timezone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+// The instant at which the clocks in a timezone show a date and minute of the day
+function zonedTimeToInstant(date, minutes, timezone) {
+  const guess = Date.UTC(date.year, date.month - 1, date.day) + minutes * 60 * 1000;
+  const first = guess - timezoneOffset(guess, timezone);
+  // Across a DST change the offset at the result may differ from the one at the guess
+  return guess - timezoneOffset(first, timezone);
+}
+
+export default class BusinessHoursService {
+  constructor() {
+    this.siteModel = new SiteModel();
+  }
+
+  // Schedule for a site record; without one the site is always open
+  getSchedule(site) {
+    const hours = this.siteModel.getSettings(site).businessHours || {};
+    return {
+      enabled: hours.enabled === true,
+      timezone: hours.timezone || 'UTC',
+      weekly: hours.weekly || {},
+      holidays: hours.holidays || []
+    };
+  }
+
+  // Check a list of { open, close } intervals for one day
+  normalizeIntervals(intervals) {
+    if (!Array.isArray(intervals) || intervals.length > MAX_INTERVALS_PER_DAY) {
+      throw new InvalidBusinessHoursError();
+    }
+
+    const normalized = intervals.map((interval) => {
+      if (!interval || !TIME_PATTERN.test(interval.open) || !TIME_PATTERN.test(interval.close) ||
+        toMinutes(interval.open) >= toMinutes(interval.close)) {
+        throw new InvalidBusinessHoursError();
+      }
+      return { open: interval.open, close: interval.close };
+    }).sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+    // Overlapping intervals would count the same time twice
+    for (let i = 1; i < normalized.length; i++) {
+      if (toMinutes(normalized[i].open) < toMinutes(normalized[i - 1].close)) {
+        throw new InvalidBusinessHoursError();
+      }
+    }
+    return normalized;
+  }
+
+  // Update the schedule of a site
+  async updateSchedule(siteId, { enabled, timezone, weekly, holidays }) {
+    const values = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') throw new InvalidBusinessHoursError();
+      values.enabled = enabled;
+    }
+
+    if (timezone !== undefined) {
+      if (typeof timezone !== 'string') throw new InvalidTimezoneError();
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        throw new InvalidTimezoneError();
+      }
+      values.timezone = timezone;
+    }
+
+    if (weekly !== undefined) {
+      if (!weekly || typeof weekly !== 'object' || Object.keys(weekly).some(day => !WEEKDAYS.includes(day))) {
+        throw new InvalidBusinessHoursError();
+      }
+      values.weekly = Object.fromEntries(
+        WEEKDAYS.map(day => [day, this.normalizeIntervals(weekly[day] || [])])
+      );
+    }
+
+    if (holidays !== undefined) {
+      if (!Array.isArray(holidays) || holidays.length > MAX_HOLIDAYS) {
+        throw new InvalidBusinessHoursError();
+      }
+      values.holidays = holidays.map((holiday) => {
+        if (!holiday || !parseDate(holiday.date) ||
+          (holiday.name !== undefined && (typeof holiday.name !== 'string' || holiday.name.length > 100))) {
+          throw new InvalidBusinessHoursError();
+        }
+        return {
+          date: holiday.date,
+          name: holiday.name?.trim() || null,
+          hours: this.normalizeIntervals(holiday.hours || [])
+        };
+      }).sort((a, b) => a.date.localeCompare(b.date));
+
+      if (new Set(values.holidays.map(holiday => holiday.date)).size !== values.holidays.length) {
+        throw new InvalidBusinessHoursError();
+      }
+    }
+
+    const site = await this.siteModel.updateSettings(siteId, 'businessHours', values);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return this.getSchedule(site);
+  }
+
+  // Opening intervals of one local date as [start, end] instants
+  getDayIntervals(schedule, date) {
+    const holiday = schedule.holidays.find(entry => entry.date === formatDate(date));
+    const weekday = WEEKDAYS[new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()];
+    const intervals = holiday ? holiday.hours || [] : schedule.weekly[weekday] || [];
+
+    return intervals.map(({ open, close }) => [
+      zonedTimeToInstant(date, toMinutes(open), schedule.timezone),
+      zonedTimeToInstant(date, toMinutes(close), schedule.timezone)
+    ]);
+  }
+
+  // Local calendar date of an instant in the schedule's timezone
+  localDate(schedule, instant) {
+    const { year, month, day } = zonedParts(instant, schedule.timezone);
+    return { year, month, day };
+  }
+
+  // Whether the site is open at an instant, when it closes and when it next opens
+  getStatus(schedule, at = new Date()) {
+    const now = at.getTime();
+    if (!schedule.enabled) {
+      return { open: true, closesAt: null, nextOpenAt: null };
+    }
+
+    let date = this.localDate(schedule, now);
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++, date = addDays(date, 1)) {
+      for (const [start, end] of this.getDayIntervals(schedule, date)) {
+        if (now >= start && now < end) {
+          return { open: true, closesAt: new Date(end), nextOpenAt: null };
+        }
+        if (start > now) {
+          return { open: false, closesAt: null, nextOpenAt: new Date(start) };
+        }
+      }
+    }
+    return { open: false, closesAt: null, nextOpenAt: null };
+  }
+
+  // Milliseconds between two instants that fall within business hours
+  businessTimeBetween(schedule, from, to) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (!(end > start)) return 0;
+    if (!schedule.enabled) return end - start;
+
+    const lastDate = formatDate(this.localDate(schedule, end));
+    let total = 0;
+    let date = this.localDate(schedule, start);
+
+    // Bounded so a years-old conversation cannot stall the analytics
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS && formatDate(date) <= lastDate; i++, date = addDays(date, 1)) {
+      for (const [open, close] of this.getDayIntervals(schedule, date)) {
+        total += Math.max(0, Math.min(close, end) - Math.max(open, start));
+      }
+    }
+    return total;
+  }
+
+  // Status of a site record for the widget (an unknown site has no schedule)
+  getSiteStatus(site, at = new Date()) {
+    const schedule = this.getSchedule(site);
+    return {
+      enabled: schedule.enabled,
+      timezone: schedule.timezone,
+      ...this.getStatus(schedule, at)
+    };
+  }
+
+  // Status of a site by its public id
+  async getSiteStatusById(siteId, at = new Date()) {
+    return this.getSiteStatus(await this.siteModel.findBySiteId(siteId), at);
+  }
+}
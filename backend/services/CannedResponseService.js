@@ -0,0 +1,191 @@
+/**
+ * Canned Response Service - saved replies with /shortcut expansion
+ * Any agent keeps personal responses; site-wide ones are managed by supervisors.
+ * Templates may use {{visitor.name}}, {{visitor.email}}, {{agent.name}}, {{agent.email}} and
+ * {{site.domain}}, with an optional fallback: {{visitor.name|there}}
+ */
+import CannedResponseModel from '../models/CannedResponseModel.js';
+import ConversationModel from '../models/ConversationModel.js';
+import VisitorModel from '../models/VisitorModel.js';
+import UserModel from '../models/UserModel.js';
+import { canSupervise } from '../middlewares/socketAuth.js';
+import {
+  CannedResponseNotFoundError,
+  InvalidShortcutError,
+  InvalidCannedResponseError,
+  DuplicateShortcutError,
+  CannedResponseChangeForbiddenError
+} from '../utils/ApiError.js';
+
+const SHORTCUT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,19}$/;
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_TAGS = 10;
+const VARIABLE_PATTERN = /\{\{\s*(visitor|agent|site)\.([a-z]+)\s*(?:\|([^}]*))?\}\}/g;
+
+export default class CannedResponseService {
+  constructor() {
+    this.cannedResponseModel = new CannedResponseModel();
+    this.conversationModel = new ConversationModel();
+    this.visitorModel = new VisitorModel();
+    this.userModel = new UserModel();
+  }
+
+  // Shortcuts are stored lowercase without the leading slash
+  normalizeShortcut(shortcut) {
+    const normalized = typeof shortcut === 'string' ? shortcut.trim().replace(/^\//, '').toLowerCase() : '';
+    if (!SHORTCUT_PATTERN.test(normalized)) {
+      throw new InvalidShortcutError();
+    }
+    return normalized;
+  }
+
+  // Validate the editable fields present in `data`
+  normalizeFields(data) {
+    const fields = {};
+
+    if (data.shortcut !== undefined) {
+      fields.shortcut = this.normalizeShortcut(data.shortcut);
+    }
+    if (data.message !== undefined) {
+      if (typeof data.message !== 'string' || !data.message.trim() || data.message.length > MAX_MESSAGE_LENGTH) {
+        throw new InvalidCannedResponseError();
+      }
+      fields.message = data.message.trim();
+    }
+    if (data.folder !== undefined) {
+      if (data.folder !== null && (typeof data.folder !== 'string' || data.folder.trim().length > 50)) {
+        throw new InvalidCannedResponseError();
+      }
+      fields.folder = data.folder?.trim() || null;
+    }
+    if (data.tags !== undefined) {
+      if (!Array.isArray(data.tags) || data.tags.length > MAX_TAGS ||
+        data.tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > 30)) {
+        throw new InvalidCannedResponseError();
+      }
+      fields.tags = [...new Set(data.tags.map(tag => tag.trim().toLowerCase()))];
+    }
+
+    return fields;
+  }
+
+  // Whether a user may change a response: their own, or a site-wide one as supervisor
+  async canManage(response, user, site) {
+    return response.user_id === null
+      ? canSupervise(user, site)
+      : String(response.user_id) === String(user.id);
+  }
+
+  // Responses an agent can use, with the folders they are filed under
+  async listResponses(site, user, filters = {}) {
+    const [responses, folders] = await Promise.all([
+      this.cannedResponseModel.getVisibleResponses(site.id, user.id, filters),
+      this.cannedResponseModel.getFolders(site.id, user.id)
+    ]);
+    return { responses, folders };
+  }
+
+  // Create a response; `scope` is 'personal' (default) or 'site'
+  async createResponse(site, user, data) {
+    const scope = data.scope || 'personal';
+    if (scope !== 'personal' && scope !== 'site') {
+      throw new InvalidCannedResponseError();
+    }
+    if (scope === 'site' && !(await canSupervise(user, site))) {
+      throw new CannedResponseChangeForbiddenError();
+    }
+
+    const fields = this.normalizeFields(data);
+    if (!fields.shortcut || !fields.message) {
+      throw new InvalidCannedResponseError();
+    }
+
+    const userId = scope === 'site' ? null : user.id;
+    if (await this.cannedResponseModel.shortcutExists(site.id, userId, fields.shortcut)) {
+      throw new DuplicateShortcutError();
+    }
+
+    return this.cannedResponseModel.createResponse({
+      site_id: site.id,
+      user_id: userId,
+      created_by: user.id,
+      ...fields
+    });
+  }
+
+  // Load a response the user may change, or throw why not
+  async findManageableResponse(site, user, id) {
+    const response = await this.cannedResponseModel.findForSite(site.id, id);
+    if (!response || (response.user_id !== null && String(response.user_id) !== String(user.id))) {
+      throw new CannedResponseNotFoundError();
+    }
+    if (!(await this.canManage(response, user, site))) {
+      throw new CannedResponseChangeForbiddenError();
+    }
+    return response;
+  }
+
+  // Update a response's shortcut, text, folder or tags
+  async updateResponse(site, user, id, data) {
+    const response = await this.findManageableResponse(site, user, id);
+    const fields = this.normalizeFields(data);
+
+    if (fields.shortcut && fields.shortcut !== response.shortcut &&
+      await this.cannedResponseModel.shortcutExists(site.id, response.user_id, fields.shortcut, response.id)) {
+      throw new DuplicateShortcutError();
+    }
+
+    return this.cannedResponseModel.updateResponse(response.id, fields);
+  }
+
+  // Delete a response
+  async deleteResponse(site, user, id) {
+    const response = await this.findManageableResponse(site, user, id);
+    await this.cannedResponseModel.delete(response.id);
+  }
+
+  // Values for the template variables of a conversation
+  async buildContext(site, user, sessionId) {
+    const [agent, conversation] = await Promise.all([
+      this.userModel.findById(user.id),
+      sessionId ? this.conversationModel.findBySession(site.id, sessionId) : null
+    ]);
+    const visitor = conversation?.visitor_id
+      ? await this.visitorModel.findById(conversation.visitor_id)
+      : null;
+
+    return {
+      visitor: { name: visitor?.name, email: visitor?.email },
+      agent: { name: agent?.name, email: agent?.email },
+      site: { domain: site.domain }
+    };
+  }
+
+  // Fill in the variables of a template; unknown variables are left as written
+  expand(template, context) {
+    return template.replace(VARIABLE_PATTERN, (match, scope, field, fallback) => {
+      if (!Object.hasOwn(context[scope], field)) return match;
+      return context[scope][field] || (fallback ?? '').trim();
+    });
+  }
+
+  // Expand a response (by id or /shortcut) for a conversation and count the use
+  async useResponse(site, user, { id = null, shortcut = null, sessionId = null }) {
+    const response = id
+      ? await this.cannedResponseModel.findForSite(site.id, id)
+      : await this.cannedResponseModel.findByShortcut(site.id, user.id, this.normalizeShortcut(shortcut));
+
+    // Another agent's personal responses stay private
+    if (!response || (response.user_id !== null && String(response.user_id) !== String(user.id))) {
+      throw new CannedResponseNotFoundError();
+    }
+
+    const context = await this.buildContext(site, user, sessionId);
+    const updated = await this.cannedResponseModel.recordUse(response.id);
+
+    return {
+      response: updated,
+      text: this.expand(response.message, context)
+    };
+  }
+}
@@ -0,0 +1,599 @@
+/**
+ * Contact Service - the site's CRM: contacts, their custom attributes, tags, notes and linked visitors
+ * Any agent of a site works with contacts; the attribute definitions are managed by supervisors.
+ * Contacts can be exported to and imported from CSV (one column per field, tags separated by ";")
+ */
+import ContactModel from '../models/ContactModel.js';
+import ContactAttributeModel from '../models/ContactAttributeModel.js';
+import ContactNoteModel from '../models/ContactNoteModel.js';
+import VisitorModel from '../models/VisitorModel.js';
+import Csv from '../utils/Csv.js';
+import { canSupervise } from '../middlewares/socketAuth.js';
+import {
+  VisitorNotFoundError,
+  ContactNotFoundError,
+  InvalidContactError,
+  InvalidContactFilterError,
+  DuplicateContactEmailError,
+  AttributeNotFoundError,
+  InvalidContactAttributeError,
+  DuplicateAttributeKeyError,
+  ContactAttributeChangeForbiddenError,
+  NoteNotFoundError,
+  InvalidNoteError,
+  NoteChangeForbiddenError,
+  InvalidCsvError
+} from '../utils/ApiError.js';
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'date', 'enum'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TAGS = 20;
+const MAX_ATTRIBUTES = 50;
+const MAX_OPTIONS = 50;
+const MAX_VALUE_LENGTH = 500;
+const MAX_NOTE_LENGTH = 5000;
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_ERRORS = 100;
+
+// Columns every contact CSV has; custom attributes follow under their keys
+const CSV_FIELDS = ['name', 'email', 'phone', 'company', 'tags'];
+
+// A trimmed string of at most `max` characters, null when empty; throws an `InvalidError` for anything else
+function optionalText(value, max, InvalidError) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.trim().length > max) {
+    throw new InvalidError();
+  }
+  return value.trim() || null;
+}
+
+export default class ContactService {
+  constructor() {
+    this.contactModel = new ContactModel();
+    this.attributeModel = new ContactAttributeModel();
+    this.noteModel = new ContactNoteModel();
+    this.visitorModel = new VisitorModel();
+  }
+
+  // Validate the contact fields present in `data`; attribute values are checked against the site's attributes
+  normalizeFields(data, attributes) {
+    const fields = {};
+
+    if (data.name !== undefined) {
+      fields.name = optionalText(data.name, 255, InvalidContactError);
+      if (!fields.name) throw new InvalidContactError();
+    }
+    if (data.email !== undefined) {
+      fields.email = optionalText(data.email, 255, InvalidContactError)?.toLowerCase() || null;
+      if (fields.email && !EMAIL_PATTERN.test(fields.email)) throw new InvalidContactError();
+    }
+    if (data.phone !== undefined) {
+      fields.phone = optionalText(data.phone, 50, InvalidContactError);
+    }
+    if (data.company !== undefined) {
+      fields.company = optionalText(data.company, 255, InvalidContactError);
+    }
+    if (data.tags !== undefined) {
+      if (!Array.isArray(data.tags) || data.tags.length > MAX_TAGS ||
+        data.tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > 30)) {
+        throw new InvalidContactError();
+      }
+      fields.tags = [...new Set(data.tags.map(tag => tag.trim().toLowerCase()))];
+    }
+    if (data.attributes !== undefined) {
+      if (!data.attributes || typeof data.attributes !== 'object' || Array.isArray(data.attributes)) {
+        throw new InvalidContactError();
+      }
+      fields.attributes = {};
+      for (const [key, value] of Object.entries(data.attributes)) {
+        const attribute = attributes.find(candidate => candidate.key === key);
+        if (!attribute) throw new InvalidContactError();
+        fields.attributes[attribute.id] = this.normalizeValue(attribute, value, InvalidContactError);
+      }
+    }
+
+    return fields;
+  }
+
+  // Stored form of an attribute value (null or '' clears it)
+  normalizeValue(attribute, value, InvalidError) {
+    if (value === null || value === undefined || (typeof value === 'string' && !value.trim())) {
+      return null;
+    }
+    const text = typeof value === 'string' ? value.trim() : value;
+
+    switch (attribute.type) {
+      case 'number': {
+        const number = typeof text === 'number' || typeof text === 'string' ? Number(text) : NaN;
+        if (!Number.isFinite(number)) throw new InvalidError();
+        return String(number);
+      }
+      case 'date': {
+        const valid = typeof text === 'string' && DATE_PATTERN.test(text) &&
+          !Number.isNaN(Date.parse(`${text}T00:00:00Z`)) &&
+          new Date(`${text}T00:00:00Z`).toISOString().startsWith(text);
+        if (!valid) throw new InvalidError();
+        return text;
+      }
+      case 'enum':
+        if (!attribute.options?.includes(text)) throw new InvalidError();
+        return text;
+      default:
+        if (typeof text !== 'string' || text.length > MAX_VALUE_LENGTH) throw new InvalidError();
+        return text;
+    }
+  }
+
+  // Attribute values of a contact keyed by attribute key; numbers come back as numbers
+  formatAttributes(attributes, rows) {
+    const values = {};
+    for (const row of rows) {
+      const attribute = attributes.find(candidate => candidate.id === row.attribute_id);
+      if (attribute) {
+        values[attribute.key] = attribute.type === 'number' ? Number(row.value) : row.value;
+      }
+    }
+    return values;
+  }
+
+  // Contact as returned by the API
+  formatContact(contact, { tags = [], attributes = {}, visitorCount = 0 } = {}) {
+    return {
+      id: contact.id,
+      name: contact.name,
+      email: contact.email,
+      phone: contact.phone,
+      company: contact.company,
+      tags,
+      attributes,
+      visitorCount,
+      createdBy: contact.created_by,
+      createdAt: contact.created_at,
+      updatedAt: contact.updated_at
+    };
+  }
+
+  // Format contacts with their tags, attribute values and visitor counts
+  async formatContacts(contacts, attributes) {
+    const ids = contacts.map(contact => contact.id);
+    const [tags, values, visitorCounts] = await Promise.all([
+      this.contactModel.getTags(ids),
+      this.contactModel.getAttributeValues(ids),
+      this.contactModel.countVisitors(ids)
+    ]);
+
+    return contacts.map(contact => this.formatContact(contact, {
+      tags: tags.get(contact.id),
+      attributes: this.formatAttributes(attributes, values.get(contact.id)),
+      visitorCount: visitorCounts.get(contact.id)
+    }));
+  }
+
+  // Turn list filters from the query string into model filters: attribute values are matched in stored form
+  async parseFilters(site, { search = null, tags = [], attributes = {} } = {}, siteAttributes = null) {
+    const definitions = siteAttributes || await this.attributeModel.getSiteAttributes(site.id);
+    const filters = {
+      search: typeof search === 'string' && search.trim() ? search.trim() : null,
+      tags: [].concat(tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean),
+      attributes: {}
+    };
+
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      throw new InvalidContactFilterError();
+    }
+    for (const [key, value] of Object.entries(attributes)) {
+      const attribute = definitions.find(candidate => candidate.key === key);
+      const stored = attribute && typeof value === 'string'
+        ? this.normalizeValue(attribute, value, InvalidContactFilterError)
+        : null;
+      if (stored === null) throw new InvalidContactFilterError();
+      filters.attributes[attribute.id] = stored;
+    }
+
+    return filters;
+  }
+
+  // List a site's contacts with the tags in use and the site's attributes
+  async listContacts(site, query = {}, page = 1, perPage = 20) {
+    const attributes = await this.attributeModel.getSiteAttributes(site.id);
+    const filters = await this.parseFilters(site, query, attributes);
+
+    const [contacts, total, tags] = await Promise.all([
+      this.contactModel.getSiteContacts(site.id, filters, page, perPage),
+      this.contactModel.countSiteContacts(site.id, filters),
+      this.contactModel.getSiteTags(site.id)
+    ]);
+
+    return {
+      contacts: await this.formatContacts(contacts, attributes),
+      total,
+      tags,
+      attributes
+    };
+  }
+
+  // Load a contact of the site, or throw
+  async findContact(site, id) {
+    const contact = await this.contactModel.findForSite(site.id, id);
+    if (!contact) {
+      throw new ContactNotFoundError();
+    }
+    return contact;
+  }
+
+  // A contact with its linked visitors and notes
+  async getContact(site, id) {
+    const contact = await this.findContact(site, id);
+    const attributes = await this.attributeModel.getSiteAttributes(site.id);
+    const [[formatted], visitors, notes] = await Promise.all([
+      this.formatContacts([contact], attributes),
+      this.contactModel.getVisitors(contact.id),
+      this.noteModel.getContactNotes(contact.id)
+    ]);
+
+    return {
+      ...formatted,
+      visitors: visitors.map(visitor => ({
+        id: visitor.id,
+        name: visitor.name || null,
+        email: visitor.email || null,
+        externalId: visitor.external_id || null,
+        country: visitor.country || null,
+        city: visitor.city || null,
+        lastSeen: visitor.last_seen
+      })),
+      notes: notes.map(note => this.formatNote(note))
+    };
+  }
+
+  // Emails are unique per site
+  async checkEmailAvailable(site, email, exceptId = null) {
+    if (!email) return;
+    const existing = await this.contactModel.findByEmail(site.id, email);
+    if (existing && Number(existing.id) !== Number(exceptId)) {
+      throw new DuplicateContactEmailError();
+    }
+  }
+
+  // Store the fields of a new or changed contact
+  async saveContact(site, contact, fields, createdBy = null) {
+    const { tags, attributes, ...columns } = fields;
+
+    const saved = contact
+      ? (Object.keys(columns).length > 0
+        ? await this.contactModel.update(contact.id, { ...columns, updated_at: new Date() })
+        : contact)
+      : await this.contactModel.create({ site_id: site.id, created_by: createdBy, ...columns });
+
+    if (tags) {
+      await this.contactModel.setTags(saved.id, tags);
+    }
+    if (attributes) {
+      await this.contactModel.setAttributeValues(saved.id, attributes);
+    }
+    return saved;
+  }
+
+  // Create a contact, optionally linking visitors to it (`visitorIds`)
+  async createContact(site, user, data) {
+    const attributes = await this.attributeModel.getSiteAttributes(site.id);
+    const fields = this.normalizeFields(data, attributes);
+    if (!fields.name) {
+      throw new InvalidContactError();
+    }
+    await this.checkEmailAvailable(site, fields.email);
+
+    const visitors = await Promise.all([].concat(data.visitorIds || []).map(id => this.findVisitor(site, id)));
+
+    const contact = await this.saveContact(site, null, fields, user.id);
+    for (const visitor of visitors) {
+      await this.contactModel.linkVisitor(visitor.id, contact.id);
+    }
+    return this.getContact(site, contact.id);
+  }
+
+  // Update a contact's fields, tags or attribute values (attributes not given are kept)
+  async updateContact(site, id, data) {
+    const contact = await this.findContact(site, id);
+    const attributes = await this.attributeModel.getSiteAttributes(site.id);
+    const fields = this.normalizeFields(data, attributes);
+    await this.checkEmailAvailable(site, fields.email, contact.id);
+
+    await this.saveContact(site, contact, fields);
+    return this.getContact(site, contact.id);
+  }
+
+  // Delete a contact; its visitors are kept
+  async deleteContact(site, id) {
+    const contact = await this.findContact(site, id);
+    await this.contactModel.deleteContact(contact.id);
+  }
+
+  // A visitor of the site, as it is after any merges
+  async findVisitor(site, visitorId) {
+    const visitor = await this.visitorModel.resolveMerged(await this.visitorModel.findById(visitorId));
+    if (!visitor || Number(visitor.site_id) !== Number(site.id)) {
+      throw new VisitorNotFoundError();
+    }
+    return visitor;
+  }
+
+  // Link a visitor to a contact (a visitor belongs to one contact at a time)
+  async linkVisitor(site, contactId, visitorId) {
+    const contact = await this.findContact(site, contactId);
+    const visitor = await this.findVisitor(site, visitorId);
+    await this.contactModel.linkVisitor(visitor.id, contact.id);
+    return this.getContact(site, contact.id);
+  }
+
+  // Unlink a visitor from a contact
+  async unlinkVisitor(site, contactId, visitorId) {
+    const contact = await this.findContact(site, contactId);
+    const visitor = await this.findVisitor(site, visitorId);
+    if (Number(visitor.contact_id) !== Number(contact.id)) {
+      throw new VisitorNotFoundError();
+    }
+    await this.contactModel.linkVisitor(visitor.id, null);
+    return this.getContact(site, contact.id);
+  }
+
+  // Note as returned by the API
+  formatNote(note) {
+    return {
+      id: note.id,
+      body: note.body,
+      userId: note.user_id,
+      authorName: note.author_name || null,
+      createdAt: note.created_at,
+      updatedAt: note.updated_at
+    };
+  }
+
+  // Check a note's text
+  normalizeNote(body) {
+    if (typeof body !== 'string' || !body.trim() || body.length > MAX_NOTE_LENGTH) {
+      throw new InvalidNoteError();
+    }
+    return body.trim();
+  }
+
+  // Add a note to a contact
+  async addNote(site, user, contactId, body) {
+    const contact = await this.findContact(site, contactId);
+    const note = await this.noteModel.create({
+      contact_id: contact.id,
+      user_id: user.id,
+      body: this.normalizeNote(body)
+    });
+    return this.formatNote(note);
+  }
+
+  // Load a note the user may change: their own, or any note as supervisor
+  async findManageableNote(site, user, contactId, noteId) {
+    const contact = await this.findContact(site, contactId);
+    const note = await this.noteModel.findForContact(contact.id, noteId);
+    if (!note) {
+      throw new NoteNotFoundError();
+    }
+    if (String(note.user_id) !== String(user.id) && !(await canSupervise(user, site))) {
+      throw new NoteChangeForbiddenError();
+    }
+    return note;
+  }
+
+  // Change the text of a note
+  async updateNote(site, user, contactId, noteId, body) {
+    const note = await this.findManageableNote(site, user, contactId, noteId);
+    return this.formatNote(await this.noteModel.update(note.id, {
+      body: this.normalizeNote(body),
+      updated_at: new Date()
+    }));
+  }
+
+  // Delete a note
+  async deleteNote(site, user, contactId, noteId) {
+    const note = await this.findManageableNote(site, user, contactId, noteId);
+    await this.noteModel.delete(note.id);
+  }
+
+  // Validate the attribute fields present in `data`; the key and type are only set on creation
+  normalizeAttribute(data, type) {
+    const fields = {};
+
+    if (data.label !== undefined) {
+      fields.label = optionalText(data.label, 100, InvalidContactAttributeError);
+      if (!fields.label) throw new InvalidContactAttributeError();
+    }
+    if (data.position !== undefined) {
+      if (!Number.isInteger(data.position) || data.position < 0 || data.position > 1000) {
+        throw new InvalidContactAttributeError();
+      }
+      fields.position = data.position;
+    }
+    if (data.options !== undefined || (type === 'enum' && data.key !== undefined)) {
+      const options = data.options;
+      if (type !== 'enum' || !Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS ||
+        options.some(option => typeof option !== 'string' || !option.trim() || option.trim().length > 100)) {
+        throw new InvalidContactAttributeError();
+      }
+      fields.options = [...new Set(options.map(option => option.trim()))];
+    }
+
+    return fields;
+  }
+
+  // Attribute definitions are site configuration: supervisors only
+  async checkCanManageAttributes(site, user) {
+    if (!(await canSupervise(user, site))) {
+      throw new ContactAttributeChangeForbiddenError();
+    }
+  }
+
+  // Attributes of a site in display order
+  async listAttributes(site) {
+    return this.attributeModel.getSiteAttributes(site.id);
+  }
+
+  // Define a new contact attribute
+  async createAttribute(site, user, data) {
+    await this.checkCanManageAttributes(site, user);
+
+    const key = typeof data.key === 'string' ? data.key.trim().toLowerCase() : '';
+    if (!KEY_PATTERN.test(key) || CSV_FIELDS.includes(key) || !ATTRIBUTE_TYPES.includes(data.type)) {
+      throw new InvalidContactAttributeError();
+    }
+    const fields = this.normalizeAttribute({ label: key, ...data, key }, data.type);
+
+    const attributes = await this.attributeModel.getSiteAttributes(site.id);
+    if (attributes.length >= MAX_ATTRIBUTES) {
+      throw new InvalidContactAttributeError();
+    }
+    if (await this.attributeModel.keyExists(site.id, key)) {
+      throw new DuplicateAttributeKeyError();
+    }
+
+    return this.attributeModel.createAttribute({
+      site_id: site.id,
+      key,
+      type: data.type,
+      position: attributes.length,
+      ...fields
+    });
+  }
+
+  // Change an attribute's label, position or (enum) options
+  async updateAttribute(site, user, id, data) {
+    await this.checkCanManageAttributes(site, user);
+
+    const attribute = await this.attributeModel.findForSite(site.id, id);
+    if (!attribute) {
+      throw new AttributeNotFoundError();
+    }
+    if ((data.key !== undefined && data.key !== attribute.key) ||
+      (data.type !== undefined && data.type !== attribute.type)) {
+      throw new InvalidContactAttributeError();
+    }
+
+    const { key, ...changes } = data;
+    return this.attributeModel.updateAttribute(attribute.id, this.normalizeAttribute(changes, attribute.type));
+  }
+
+  // Delete an attribute and every contact's value for it
+  async deleteAttribute(site, user, id) {
+    await this.checkCanManageAttributes(site, user);
+
+    const attribute = await this.attributeModel.findForSite(site.id, id);
+    if (!attribute) {
+      throw new AttributeNotFoundError();
+    }
+    await this.attributeModel.deleteAttribute(attribute.id);
+  }
+
+  // Contacts matching the filters as CSV: id, the standard fields, one column per attribute, visitors and created
+  async exportContacts(site, query = {}) {
+    const attributes = await this.attributeModel.getSiteAttributes(site.id);
+    const filters = await this.parseFilters(site, query, attributes);
+    const contacts = await this.formatContacts(await this.contactModel.getAllSiteContacts(site.id, filters), attributes);
+
+    const header = ['id', ...CSV_FIELDS, ...attributes.map(attribute => attribute.key), 'visitors', 'created_at'];
+    const rows = contacts.map(contact => [
+      contact.id,
+      contact.name,
+      contact.email,
+      contact.phone,
+      contact.company,
+      contact.tags.join(';'),
+      ...attributes.map(attribute => contact.attributes[attribute.key] ?? ''),
+      contact.visitorCount,
+      contact.createdAt ? new Date(contact.createdAt).toISOString() : ''
+    ]);
+
+    return Csv.stringify([header, ...rows]);
+  }
+
+  // Import contacts from CSV. Columns are matched by name (attributes by key or label); a row updates the contact
+  // with its `id` or `email` and creates one otherwise. Empty cells leave a field as it is. Rows that fail are
+  // reported and skipped
+  async importContacts(site, user, text) {
+    const rows = Csv.parse(text);
+    if (rows.length < 2 || rows.length - 1 > MAX_IMPORT_ROWS) {
+      throw new InvalidCsvError();
+    }
+
+    const attributes = await this.attributeModel.getSiteAttributes(site.id);
+    const columns = rows[0].map((cell) => {
+      const name = cell.trim().toLowerCase();
+      if (name === 'id' || CSV_FIELDS.includes(name)) return { field: name };
+      const attribute = attributes.find(candidate => candidate.key === name || candidate.label.toLowerCase() === name);
+      return attribute ? { attribute } : null;
+    });
+    if (!columns.some(column => column?.field === 'name' || column?.field === 'email')) {
+      throw new InvalidCsvError();
+    }
+
+    const summary = {
+      created: 0,
+      updated: 0,
+      ignoredColumns: rows[0].filter((cell, index) => !columns[index]).map(cell => cell.trim()),
+      errors: []
+    };
+
+    for (let index = 1; index < rows.length; index++) {
+      try {
+        const result = await this.importRow(site, user, columns, rows[index], attributes);
+        summary[result]++;
+      } catch (error) {
+        if (summary.errors.length < MAX_IMPORT_ERRORS) {
+          // Row numbers as seen in a spreadsheet (the header is row 1)
+          summary.errors.push({ row: index + 1, message: error.message });
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  // Import one CSV row; returns 'created' or 'updated'
+  async importRow(site, user, columns, cells, attributes) {
+    const data = {};
+    const values = {};
+    let id = null;
+
+    columns.forEach((column, index) => {
+      const cell = (cells[index] || '').trim();
+      if (!column || !cell) return;
+      if (column.field === 'id') {
+        id = cell;
+      } else if (column.field === 'tags') {
+        data.tags = cell.split(';').map(tag => tag.trim()).filter(Boolean);
+      } else if (column.field) {
+        data[column.field] = cell;
+      } else {
+        values[column.attribute.key] = cell;
+      }
+    });
+    if (Object.keys(values).length > 0) {
+      data.attributes = values;
+    }
+
+    const fields = this.normalizeFields(data, attributes);
+    const existing = (id && await this.contactModel.findForSite(site.id, id)) ||
+      (fields.email && await this.contactModel.findByEmail(site.id, fields.email));
+
+    if (existing) {
+      await this.checkEmailAvailable(site, fields.email, existing.id);
+      await this.saveContact(site, existing, fields);
+      return 'updated';
+    }
+
+    // A contact needs a name; the email stands in when the row has none
+    fields.name = fields.name || fields.email;
+    if (!fields.name) {
+      throw new InvalidContactError();
+    }
+    await this.saveContact(site, null, fields, user.id);
+    return 'created';
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Conversation Service - conversation lifecycle management
+ * Keeps the conversations table in step with chat activity
+ */
+import ConversationModel from '../models/ConversationModel.js';
+import SiteModel from '../models/SiteModel.js';
+import MessageModel from '../models/MessageModel.js';
+import UserModel from '../models/UserModel.js';
+import ConversationReadModel from '../models/ConversationReadModel.js';
+import BusinessHoursService from './BusinessHoursService.js';
+import { SiteNotFoundError, ConversationNotFoundError, MessageNotFoundError } from '../utils/ApiError.js';
+
+export default class ConversationService {
+  constructor() {
+    this.conversationModel = new ConversationModel();
+    this.siteModel = new SiteModel();
+    this.messageModel = new MessageModel();
+    this.userModel = new UserModel();
+    this.readModel = new ConversationReadModel();
+    this.businessHoursService = new BusinessHoursService();
+  }
+
+  // Resolve the numeric site record from the public site ID
+  async getSite(siteId) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return site;
+  }
+
+  // Get conversation for a session, creating it if needed
+  async getOrCreateForSession(siteId, sessionId, visitorId = null) {
+    const site = await this.getSite(siteId);
+    return this.conversationModel.findOrCreate(site.id, sessionId, {
+      visitor_id: visitorId
+    });
+  }
+
+  // Update the conversation after a message was stored
+  async recordMessage(siteId, sessionId, message, visitorId = null) {
+    const conversation = await this.getOrCreateForSession(siteId, sessionId, visitorId);
+    const updates = {};
+
+    if (message.sender === 'visitor' && ['closed', 'snoozed'].includes(conversation.status)) {
+      // A visitor writing back brings the conversation back to the inbox
+      Object.assign(updates, {
+        status: 'open',
+        resolved_at: null,
+        closed_by: null,
+        snoozed_until: null
+      });
+    }
+
+    // Internal notes are not a reply to the visitor
+    if (message.sender === 'admin' && message.type !== 'internal' && !conversation.first_response_at) {
+      updates.first_response_at = new Date();
+    }
+
+    return this.conversationModel.touch(conversation.id, updates);
+  }
+
+  // List conversations for a site, with the last message of each
+  // and, when an agent is given, how many visitor messages they haven't read
+  async listConversations(siteId, filters = {}, page = 1, perPage = 20, agentId = null) {
+    const site = await this.getSite(siteId);
+
+    await this.conversationModel.wakeSnoozed(site.id);
+
+    const [conversations, total] = await Promise.all([
+      this.conversationModel.getSiteConversations(site.id, filters, page, perPage),
+      this.conversationModel.countSiteConversations(site.id, filters)
+    ]);
+
+    const readTimes = agentId
+      ? await this.readModel.getReadTimes(conversations.map(c => c.id), 'agent', agentId)
+      : new Map();
+
+    const lastMessages = await this.messageModel.getLastMessagesForSessions(
+      siteId,
+      conversations.map(conversation => conversation.session_id),
+      { viewerId: agentId }
+    );
+
+    const unreadCounts = agentId
+      ? await this.messageModel.countUnreadForSessions(
+        siteId,
+        conversations.map(conversation => conversation.session_id),
+        new Map(conversations.map(conversation => [conversation.session_id, readTimes.get(conversation.id)]))
+      )
+      : null;
+
+    const withMessages = conversations.map(conversation => ({
+      ...conversation,
+      lastMessage: lastMessages.get(conversation.session_id) || null,
+      unreadCount: unreadCounts ? unreadCounts.get(conversation.session_id) : undefined
+    }));
+
+    return { conversations: withMessages, total };
+  }
+
+  // Live conversations with how long the visitor has waited and who is handling them
+  async listActiveConversations(siteId) {
+    const site = await this.getSite(siteId);
+    const conversations = await this.conversationModel.getActiveConversations(site.id);
+
+    const agentIds = [...new Set(conversations.map(c => c.assigned_agent_id).filter(Boolean))];
+    const agents = agentIds.length > 0
+      ? await this.userModel.getQuery().whereIn('id', agentIds).select('id', 'name')
+      : [];
+
+    const now = Date.now();
+    return conversations.map((conversation) => {
+      // Waiting starts when the visitor entered the queue (or wrote first) and ends on assignment
+      const waitingSince = new Date(conversation.queued_at || conversation.created_at).getTime();
+      const waitedUntil = conversation.status === 'assigned' && conversation.assigned_at
+        ? new Date(conversation.assigned_at).getTime()
+        : now;
+
+      return {
+        ...conversation,
+        waitSeconds: Math.max(0, Math.round((waitedUntil - waitingSince) / 1000)),
+        agent: agents.find(agent => agent.id === conversation.assigned_agent_id) || null
+      };
+    });
+  }
+
+  // Record that a participant has read a session up to a message (or up to now)
+  async markRead(siteId, sessionId, { reader, userId = 0, messageId = null }) {
+    const conversation = await this.findForSession(siteId, sessionId);
+    if (!conversation) return null;
+
+    let readAt = new Date();
+    if (messageId) {
+      const message = await this.messageModel.findSessionMessage(siteId, sessionId, messageId);
+      if (!message) {
+        throw new MessageNotFoundError();
+      }
+      readAt = new Date(message.createdAt);
+    }
+
+    return this.readModel.markRead(conversation.id, reader, userId, { messageId, readAt });
+  }
+
+  // Get the conversation behind a chat session, or null
+  async findForSession(siteId, sessionId) {
+    const site = await this.getSite(siteId);
+    return this.conversationModel.findBySession(site.id, sessionId);
+  }
+
+  // Get a single conversation on a site
+  async getConversation(siteId, conversationId) {
+    const site = await this.getSite(siteId);
+    const conversation = await this.conversationModel.findForSite(site.id, conversationId);
+    if (!conversation) {
+      throw new ConversationNotFoundError();
+    }
+    return conversation;
+  }
+
+  // Get the conversation behind a chat session
+  async getSessionConversation(siteId, sessionId) {
+    const site = await this.getSite(siteId);
+    const conversation = await this.conversationModel.findBySession(site.id, sessionId);
+    if (!conversation) {
+      throw new ConversationNotFoundError();
+    }
+    return conversation;
+  }
+
+  // Time to first agent reply over the last `days` days; only business hours count when the site has a schedule
+  async getFirstResponseStats(site, days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const schedule = this.businessHoursService.getSchedule(site);
+    const rows = await this.conversationModel.getResponseTimes(site.id, since);
+
+    const seconds = rows
+      .map(row => Math.round(this.businessHoursService.businessTimeBetween(schedule, row.created_at, row.first_response_at) / 1000))
+      .sort((a, b) => a - b);
+    const middle = Math.floor(seconds.length / 2);
+
+    return {
+      days,
+      businessHoursOnly: schedule.enabled,
+      conversations: seconds.length,
+      averageSeconds: seconds.length
+        ? Math.round(seconds.reduce((sum, value) => sum + value, 0) / seconds.length)
+        : null,
+      medianSeconds: seconds.length
+        ? (seconds.length % 2 ? seconds[middle] : Math.round((seconds[middle - 1] + seconds[middle]) / 2))
+        : null
+    };
+  }
+
+  // Close conversation by id
+  async closeConversation(siteId, conversationId, userId = null) {
+    const conversation = await this.getConversation(siteId, conversationId);
+    return this.conversationModel.close(conversation.id, userId);
+  }
+
+  // Close the conversation behind a chat session
+  async closeSession(siteId, sessionId, userId = null) {
+    const site = await this.getSite(siteId);
+    const conversation = await this.conversationModel.findBySession(site.id, sessionId);
+    if (!conversation) return null;
+
+    return this.conversationModel.close(conversation.id, userId);
+  }
+
+  // Reopen conversation by id
+  async reopenConversation(siteId, conversationId) {
+    const conversation = await this.getConversation(siteId, conversationId);
+    return this.conversationModel.reopen(conversation.id);
+  }
+
+  // Snooze conversation by id
+  async snoozeConversation(siteId, conversationId, until) {
+    const conversation = await this.getConversation(siteId, conversationId);
+    return this.conversationModel.snooze(conversation.id, until);
+  }
+}
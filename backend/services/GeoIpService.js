@@ -0,0 +1,95 @@
+/**
+ * GeoIP Service - country, region, city and timezone of a visitor from their IP address
+ * Reads a local MaxMind-format database (see config/geoip.js) with `maxmind`, an optional dependency
+ * of the backend; nothing is sent over the network
+ */
+import net from 'net';
+import VisitorModel from '../models/VisitorModel.js';
+import { geoipConfig } from '../config/geoip.js';
+
+// Open databases by path, shared by all instances
+const readers = new Map();
+
+export default class GeoIpService {
+  constructor(databasePath = geoipConfig.databasePath) {
+    this.databasePath = databasePath;
+    this.visitorModel = new VisitorModel();
+  }
+
+  // Whether a database is configured
+  get enabled() {
+    return !!this.databasePath;
+  }
+
+  // Get the database reader, opening it on first use; null when it cannot be opened
+  async getReader() {
+    if (!readers.has(this.databasePath)) {
+      readers.set(this.databasePath, this.openDatabase().catch((error) => {
+        console.error('❌ GeoIP database unavailable, visitors will not be located:', error.message);
+        return null;
+      }));
+    }
+    return readers.get(this.databasePath);
+  }
+
+  // Load maxmind and read the database file
+  async openDatabase() {
+    let maxmind;
+    try {
+      maxmind = (await import('maxmind')).default;
+    } catch (error) {
+      throw new Error('GeoIP lookups require the maxmind package');
+    }
+    return maxmind.open(this.databasePath);
+  }
+
+  // Plain IPv4/IPv6 address, or null (IPv4 clients may show up as ::ffff:1.2.3.4)
+  normalizeIp(ip) {
+    if (typeof ip !== 'string') return null;
+    const address = ip.trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    return net.isIP(address) ? address : null;
+  }
+
+  // Location of an IP address, or null when it is unknown (private ranges, missing database...)
+  async lookup(ip) {
+    const address = this.normalizeIp(ip);
+    if (!this.enabled || !address) return null;
+
+    const reader = await this.getReader();
+    const record = reader?.get(address);
+    if (!record) return null;
+
+    const country = record.country?.iso_code || record.registered_country?.iso_code || null;
+    const location = {
+      country,
+      region: record.subdivisions?.[0]?.names?.en || null,
+      city: record.city?.names?.en || null,
+      timezone: record.location?.time_zone || null
+    };
+    return Object.values(location).some(Boolean) ? location : null;
+  }
+
+  // Store the location of a visitor's IP address; failures are logged, never thrown
+  async enrichVisitor(visitor) {
+    const address = this.normalizeIp(visitor?.ip_address);
+    if (!this.enabled || !address || visitor.located_ip === address) return visitor;
+
+    try {
+      // Without a readable database the visitor is left to be located later
+      if (!(await this.getReader())) return visitor;
+
+      const location = await this.lookup(address);
+      return await this.visitorModel.update(visitor.id, {
+        country: location?.country || null,
+        region: location?.region?.slice(0, 100) || null,
+        city: location?.city?.slice(0, 100) || null,
+        timezone: location?.timezone || null,
+        located_ip: address,
+        located_at: new Date()
+      });
+    } catch (error) {
+      console.error('❌ Error locating visitor:', error);
+      return visitor;
+    }
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Message Service - editing, soft-deleting and reacting to sent messages
+ * Authors may change their own messages within the site's edit window; supervisors may
+ * delete any message. Every change keeps the previous text as a revision for agents.
+ * Reactions and quick-reply choices change a message without touching its text
+ */
+import MessageModel, { isVisibleTo } from '../models/MessageModel.js';
+import SiteModel from '../models/SiteModel.js';
+import AttachmentService from './AttachmentService.js';
+import { canSupervise } from '../middlewares/socketAuth.js';
+import {
+  SiteNotFoundError,
+  MessageNotFoundError,
+  MessageTextRequiredError,
+  MessageDeletedError,
+  MessageChangeForbiddenError,
+  EditWindowExpiredError,
+  InvalidEditWindowError,
+  InvalidReactionError,
+  InvalidQuickReplyError,
+  QuickReplyAnsweredError
+} from '../utils/ApiError.js';
+
+export const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const MAX_EDIT_WINDOW_MINUTES = 7 * 24 * 60;
+const MAX_REACTION_EMOJIS = 20;
+
+// A single emoji (including skin tones, flags and ZWJ sequences), nothing else
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+const PICTOGRAPH_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+export default class MessageService {
+  constructor() {
+    this.messageModel = new MessageModel();
+    this.siteModel = new SiteModel();
+    this.attachmentService = new AttachmentService();
+  }
+
+  // Message settings for a site record
+  getMessageSettings(site) {
+    const messages = this.siteModel.getSettings(site).messages || {};
+    return {
+      editWindowMinutes: Number.isInteger(messages.editWindowMinutes)
+        ? messages.editWindowMinutes
+        : DEFAULT_EDIT_WINDOW_MINUTES
+    };
+  }
+
+  // Update message settings for a site; an edit window of 0 turns editing off
+  async updateMessageSettings(siteId, { editWindowMinutes }) {
+    if (!Number.isInteger(editWindowMinutes) || editWindowMinutes < 0 || editWindowMinutes > MAX_EDIT_WINDOW_MINUTES) {
+      throw new InvalidEditWindowError();
+    }
+
+    const site = await this.siteModel.updateSettings(siteId, 'messages', { editWindowMinutes });
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return this.getMessageSettings(site);
+  }
+
+  // Whether an agent wrote a message (whispers record their author as fromAgentId)
+  isAuthor(message, user) {
+    const authorId = message.agentId ?? message.fromAgentId;
+    return message.sender === 'admin' && authorId !== undefined && String(authorId) === String(user.id);
+  }
+
+  // Load a message an agent is allowed to change, or throw why not
+  async findChangeableMessage(site, sessionId, messageId, user, action) {
+    const message = await this.messageModel.findSessionMessage(site.site_id, sessionId, messageId);
+    if (!message || !isVisibleTo(message, user.id)) {
+      throw new MessageNotFoundError();
+    }
+    if (message.deletedAt) {
+      throw new MessageDeletedError();
+    }
+
+    // Supervisors moderate: they can remove anything, but only rewrite their own words
+    if (action === 'delete' && await canSupervise(user, site)) {
+      return message;
+    }
+    if (!this.isAuthor(message, user)) {
+      throw new MessageChangeForbiddenError();
+    }
+
+    const { editWindowMinutes } = this.getMessageSettings(site);
+    const age = Date.now() - new Date(message.createdAt).getTime();
+    if (age > editWindowMinutes * 60 * 1000) {
+      throw new EditWindowExpiredError();
+    }
+
+    return message;
+  }
+
+  // Replace a message's text
+  async editMessage(site, sessionId, messageId, text, user) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new MessageTextRequiredError();
+    }
+
+    const message = await this.findChangeableMessage(site, sessionId, messageId, user, 'edit');
+    if (message.text === text.trim()) {
+      return message;
+    }
+
+    const now = new Date();
+    return this.messageModel.updateMessage(site.site_id, sessionId, messageId, {
+      text: text.trim(),
+      editedAt: now,
+      editedBy: user.id
+    }, {
+      action: 'edited',
+      text: message.text,
+      at: now,
+      by: user.id
+    });
+  }
+
+  // Soft-delete a message: it stays in the transcript as a placeholder, its text moves into the revisions.
+  // An attachment is removed from storage and a card or quick-reply set is dropped along with the text
+  async deleteMessage(site, sessionId, messageId, user) {
+    const message = await this.findChangeableMessage(site, sessionId, messageId, user, 'delete');
+
+    const now = new Date();
+    const deleted = await this.messageModel.updateMessage(site.site_id, sessionId, messageId, {
+      text: null,
+      attachment: null,
+      payload: null,
+      deletedAt: now,
+      deletedBy: user.id
+    }, {
+      action: 'deleted',
+      text: message.text,
+      at: now,
+      by: user.id
+    });
+
+    // The message no longer points at the file, so a failed removal only leaves an orphan behind
+    if (message.attachment) {
+      try {
+        await this.attachmentService.removeAttachment(site.site_id, sessionId, message.attachment);
+      } catch (error) {
+        console.error('❌ Error removing attachment:', error);
+      }
+    }
+
+    return deleted;
+  }
+
+  // Add a reaction, or take it back when the reactor already left the same emoji.
+  // `reactor` is { sender: 'visitor' } or { sender: 'admin', userId }; visitors never see internal notes
+  async toggleReaction(siteId, sessionId, messageId, emoji, reactor) {
+    if (typeof emoji !== 'string' || emoji.length > 32 || !EMOJI_PATTERN.test(emoji) || !PICTOGRAPH_PATTERN.test(emoji)) {
+      throw new InvalidReactionError();
+    }
+
+    const message = await this.messageModel.findSessionMessage(siteId, sessionId, messageId);
+    if (!message || (reactor.sender === 'visitor' && message.type === 'internal') || !isVisibleTo(message, reactor.userId)) {
+      throw new MessageNotFoundError();
+    }
+    if (message.deletedAt) {
+      throw new MessageDeletedError();
+    }
+
+    // The store adds or removes it in one step, so reactions arriving together are all kept
+    const reaction = {
+      emoji,
+      sender: reactor.sender,
+      userId: reactor.sender === 'admin' ? reactor.userId : null,
+      at: new Date()
+    };
+    const updated = await this.messageModel.toggleReaction(siteId, sessionId, messageId, reaction, {
+      maxEmojis: MAX_REACTION_EMOJIS
+    });
+    if (!updated) {
+      throw new MessageNotFoundError();
+    }
+    return updated;
+  }
+
+  // Record the visitor's answer to a quick-reply message; each set can be answered once.
+  // Returns the updated quick-reply message and the chosen option
+  async chooseQuickReply(siteId, sessionId, messageId, optionId) {
+    const message = await this.messageModel.findSessionMessage(siteId, sessionId, messageId);
+    if (!message || message.type === 'internal' || message.deletedAt) {
+      throw new MessageNotFoundError();
+    }
+
+    const option = message.payload?.type === 'quick_replies'
+      ? message.payload.options.find(candidate => candidate.id === optionId)
+      : null;
+    if (!option) {
+      throw new InvalidQuickReplyError();
+    }
+    if (message.payload.selectedOptionId) {
+      throw new QuickReplyAnsweredError();
+    }
+
+    const updated = await this.messageModel.updateMessage(siteId, sessionId, messageId, {
+      payload: { ...message.payload, selectedOptionId: option.id, selectedAt: new Date() }
+    });
+    return { message: updated, option };
+  }
+
+  // A message with its earlier versions; whispers only for the two agents involved
+  async getMessageHistory(siteId, sessionId, messageId, viewerId) {
+    const history = await this.messageModel.getMessageHistory(siteId, sessionId, messageId);
+    if (!history || !isVisibleTo(history.message, viewerId)) {
+      throw new MessageNotFoundError();
+    }
+    return history;
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Offline Message Service - "leave a message" while no agent is online
+ * A submission starts (or continues) an `offline_form` conversation and emails the site owner;
+ * agent replies reach the visitor by email while they are away, and the thread resumes on their next visit
+ */
+import SiteModel from '../models/SiteModel.js';
+import VisitorModel from '../models/VisitorModel.js';
+import UserModel from '../models/UserModel.js';
+import ConversationModel from '../models/ConversationModel.js';
+import { getNotifier, mailConfig } from '../config/notifier.js';
+import { SiteNotFoundError, InvalidOfflineMessageError } from '../utils/ApiError.js';
+
+const MAX_MESSAGE_LENGTH = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export default class OfflineMessageService {
+  constructor(notifier = null) {
+    this.customNotifier = notifier;
+    this.siteModel = new SiteModel();
+    this.visitorModel = new VisitorModel();
+    this.userModel = new UserModel();
+    this.conversationModel = new ConversationModel();
+  }
+
+  // Get the notifier
+  get notifier() {
+    return this.customNotifier || getNotifier();
+  }
+
+  // Check the form fields: an email to answer to and the message itself
+  normalizeSubmission({ name, email, message }) {
+    if (typeof email !== 'string' || email.trim().length > 255 || !EMAIL_PATTERN.test(email.trim())) {
+      throw new InvalidOfflineMessageError();
+    }
+    if (typeof message !== 'string' || !message.trim() || message.trim().length > MAX_MESSAGE_LENGTH) {
+      throw new InvalidOfflineMessageError();
+    }
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > 255)) {
+      throw new InvalidOfflineMessageError();
+    }
+
+    return {
+      name: name?.trim() || null,
+      email: email.trim().toLowerCase(),
+      text: message.trim()
+    };
+  }
+
+  // Record who left the message and mark the session's conversation as an offline one.
+  // The message itself is posted by the caller so it is delivered and routed like any other
+  async submitMessage(siteId, sessionId, visitorId, data) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+
+    const { name, email, text } = this.normalizeSubmission(data);
+
+    const visitor = await this.visitorModel.update(visitorId, {
+      ...(name ? { name } : {}),
+      email,
+      updated_at: new Date()
+    });
+
+    let conversation = await this.conversationModel.findOrCreate(site.id, sessionId, {
+      visitor_id: visitorId,
+      source: 'offline_form'
+    });
+    if (conversation.source !== 'offline_form') {
+      conversation = await this.conversationModel.update(conversation.id, {
+        source: 'offline_form',
+        updated_at: new Date()
+      });
+    }
+
+    return { site, visitor, conversation, text };
+  }
+
+  // Email the site owner about a message left on their site; failures are logged, never thrown
+  async notifyOwner(site, visitor, message) {
+    try {
+      const owner = await this.userModel.findById(site.user_id);
+      if (!owner?.email) return false;
+
+      const from = visitor.name ? `${visitor.name} <${visitor.email}>` : visitor.email;
+      await this.notifier.send({
+        to: owner.email,
+        subject: `New message on ${site.domain}`,
+        text: [
+          `${from} left a message while no agent was online:`,
+          '',
+          message.text,
+          '',
+          'Reply from the dashboard and the answer will be emailed to the visitor.'
+        ].join('\n'),
+        replyTo: visitor.email,
+        headers: this.threadHeaders(site, message.sessionId)
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Error sending offline message notification:', error);
+      return false;
+    }
+  }
+
+  // Agent replies in offline conversations are emailed; internal notes and whispers never are
+  shouldEmailReply(message, conversation) {
+    return conversation?.source === 'offline_form' &&
+      message.sender === 'admin' &&
+      message.type === 'message' &&
+      !message.whisper;
+  }
+
+  // Email an agent's reply to the visitor; failures are logged, never thrown
+  async emailReply(message, conversation) {
+    try {
+      const [visitor, site, agent] = await Promise.all([
+        conversation.visitor_id ? this.visitorModel.findById(conversation.visitor_id) : null,
+        this.siteModel.findById(conversation.site_id),
+        message.agentId ? this.userModel.findById(message.agentId) : null
+      ]);
+      if (!visitor?.email || !site) return false;
+
+      const lines = [`${agent?.name || site.domain} replied to your message:`, ''];
+      if (message.text) {
+        lines.push(message.text, '');
+      }
+      if (message.attachment) {
+        lines.push(`(Attachment: ${message.attachment.name})`, '');
+      }
+      lines.push(`Visit https://${site.domain} to continue the conversation.`);
+
+      await this.notifier.send({
+        to: visitor.email,
+        subject: `Re: Your message to ${site.domain}`,
+        text: lines.join('\n'),
+        headers: this.threadHeaders(site, message.sessionId)
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Error emailing reply:', error);
+      return false;
+    }
+  }
+
+  // Emails about one conversation reference the same id so mail clients keep them in one thread
+  threadHeaders(site, sessionId) {
+    const mailDomain = mailConfig.from.match(/@([^>\s]+)/)?.[1] || 'localhost';
+    const threadId = `<${site.site_id}.${sessionId}@${mailDomain}>`;
+    return { 'In-Reply-To': threadId, References: threadId };
+  }
+}
@@ -4,6 +4,7 @@
  */
 import PaymentModel from '../models/PaymentModel.js';
 import SiteModel from '../models/SiteModel.js';
+import { SiteNotFoundError } from '../utils/ApiError.js';
 
 export default class PaymentService {
   constructor() {
@@ -15,7 +16,7 @@ export default class PaymentService {
   async createPayment(siteId, amount, currency = 'USD', days = 30) {
     const site = await this.siteModel.findBySiteId(siteId);
     if (!site) {
-      throw new Error('Site not found');
+      throw new SiteNotFoundError();
     }
 
     const payment = await this.paymentModel.createPayment(
@@ -49,7 +50,7 @@ export default class PaymentService {
   async getSitePayments(siteId) {
     const site = await this.siteModel.findBySiteId(siteId);
     if (!site) {
-      throw new Error('Site not found');
+      throw new SiteNotFoundError();
     }
 
     return this.paymentModel.getSitePayments(site.id);
@@ -59,7 +60,7 @@ export default class PaymentService {
   async getSubscriptionStatus(siteId) {
     const site = await this.siteModel.findBySiteId(siteId);
     if (!site) {
-      throw new Error('Site not found');
+      throw new SiteNotFoundError();
     }
 
     const hasActivePayment = await this.paymentModel.hasActivePayment(site.id);
@@ -97,7 +98,7 @@ export default class PaymentService {
   async cancelSubscription(siteId) {
     const site = await this.siteModel.findBySiteId(siteId);
     if (!site) {
-      throw new Error('Site not found');
+      throw new SiteNotFoundError();
     }
 
     // Suspend site
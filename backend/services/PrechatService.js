@@ -0,0 +1,274 @@
+/**
+ * Pre-chat Service - the form visitors fill in before their first message
+ * Fields live in the `prechat` section of the site settings; answers are stored on the visitor
+ * (name and email in their own columns, department and custom fields in prechat_data)
+ */
+import SiteModel from '../models/SiteModel.js';
+import VisitorModel from '../models/VisitorModel.js';
+import ConversationModel from '../models/ConversationModel.js';
+import DepartmentModel from '../models/DepartmentModel.js';
+import { SiteNotFoundError, InvalidPrechatFormError, PrechatDisabledError } from '../utils/ApiError.js';
+
+const FIELD_TYPES = ['text', 'textarea', 'email', 'phone', 'number', 'select', 'checkbox', 'department'];
+const MAX_FIELDS = 20;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{5,20}$/;
+
+// Built-in fields map to the visitor record and routing, so their type is fixed
+const RESERVED_KEYS = { name: 'text', email: 'email', department: 'department' };
+
+const DEFAULT_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text', required: true },
+  { key: 'email', label: 'Email', type: 'email', required: true }
+];
+
+export default class PrechatService {
+  constructor() {
+    this.siteModel = new SiteModel();
+    this.visitorModel = new VisitorModel();
+    this.conversationModel = new ConversationModel();
+    this.departmentModel = new DepartmentModel();
+  }
+
+  // Pre-chat settings for a site record
+  getPrechatSettings(site) {
+    const prechat = this.siteModel.getSettings(site).prechat || {};
+    return {
+      enabled: prechat.enabled === true,
+      fields: Array.isArray(prechat.fields) ? prechat.fields : DEFAULT_FIELDS
+    };
+  }
+
+  // Check a field definition and keep only the known properties
+  normalizeField(field) {
+    if (!field || typeof field !== 'object' || !KEY_PATTERN.test(field.key) || !FIELD_TYPES.includes(field.type)) {
+      throw new InvalidPrechatFormError();
+    }
+    if (typeof field.label !== 'string' || !field.label.trim() || field.label.trim().length > 100) {
+      throw new InvalidPrechatFormError();
+    }
+
+    const reservedType = RESERVED_KEYS[field.key];
+    if ((reservedType && field.type !== reservedType) || (!reservedType && field.type === 'department')) {
+      throw new InvalidPrechatFormError();
+    }
+
+    const normalized = {
+      key: field.key,
+      label: field.label.trim(),
+      type: field.type,
+      required: field.required === true
+    };
+
+    if (field.type === 'select') {
+      const options = field.options;
+      if (!Array.isArray(options) || options.length === 0 || options.length > 50 ||
+        options.some(option => typeof option !== 'string' || !option.trim() || option.trim().length > 100)) {
+        throw new InvalidPrechatFormError();
+      }
+      normalized.options = [...new Set(options.map(option => option.trim()))];
+    }
+
+    if (field.maxLength !== undefined) {
+      if (!Number.isInteger(field.maxLength) || field.maxLength < 1 || field.maxLength > 5000) {
+        throw new InvalidPrechatFormError();
+      }
+      normalized.maxLength = field.maxLength;
+    }
+
+    return normalized;
+  }
+
+  // Update the pre-chat settings of a site
+  async updatePrechatSettings(siteId, { enabled, fields }) {
+    const values = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        throw new InvalidPrechatFormError();
+      }
+      values.enabled = enabled;
+    }
+
+    if (fields !== undefined) {
+      if (!Array.isArray(fields) || fields.length > MAX_FIELDS) {
+        throw new InvalidPrechatFormError();
+      }
+      values.fields = fields.map(field => this.normalizeField(field));
+      if (new Set(values.fields.map(field => field.key)).size !== values.fields.length) {
+        throw new InvalidPrechatFormError();
+      }
+    }
+
+    const site = await this.siteModel.updateSettings(siteId, 'prechat', values);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return this.getPrechatSettings(site);
+  }
+
+  // The form as the widget shows it, with the site's departments as choices
+  async getPublicForm(site) {
+    const { enabled, fields } = this.getPrechatSettings(site);
+    if (!enabled) {
+      return { enabled: false, fields: [] };
+    }
+
+    const departments = fields.some(field => field.type === 'department')
+      ? await this.departmentModel.getSiteDepartments(site.id)
+      : [];
+
+    return {
+      enabled: true,
+      fields: fields
+        // A department picker without departments would be an empty dropdown
+        .filter(field => field.type !== 'department' || departments.length > 0)
+        .map(field => field.type === 'department'
+          ? { ...field, options: departments.map(department => ({ value: department.id, label: department.name })) }
+          : field)
+    };
+  }
+
+  // Check one answer; returns [value, error]
+  async validateValue(site, field, raw) {
+    const empty = raw === undefined || raw === null || raw === '' || (field.type === 'checkbox' && raw === false);
+    if (empty) {
+      return [undefined, field.required ? 'This field is required' : null];
+    }
+
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+    switch (field.type) {
+      case 'text':
+      case 'textarea': {
+        const maxLength = field.maxLength || (field.type === 'text' ? 255 : 2000);
+        if (typeof text !== 'string') return [undefined, 'Must be text'];
+        if (!text) return [undefined, field.required ? 'This field is required' : null];
+        return text.length > maxLength ? [undefined, `Must be at most ${maxLength} characters`] : [text, null];
+      }
+      case 'email':
+        return typeof text === 'string' && text.length <= 255 && EMAIL_PATTERN.test(text)
+          ? [text.toLowerCase(), null]
+          : [undefined, 'Enter a valid email address'];
+      case 'phone':
+        return typeof text === 'string' && PHONE_PATTERN.test(text)
+          ? [text, null]
+          : [undefined, 'Enter a valid phone number'];
+      case 'number': {
+        const number = typeof text === 'number' ? text : Number(text);
+        return typeof text !== 'boolean' && text !== '' && Number.isFinite(number)
+          ? [number, null]
+          : [undefined, 'Enter a number'];
+      }
+      case 'select':
+        return field.options.includes(text) ? [text, null] : [undefined, 'Choose one of the options'];
+      case 'checkbox':
+        return typeof raw === 'boolean' ? [raw, null] : [undefined, 'Must be true or false'];
+      case 'department': {
+        const departmentId = parseInt(raw);
+        const department = Number.isInteger(departmentId)
+          ? await this.departmentModel.findForSite(site.id, departmentId)
+          : null;
+        return department ? [department.id, null] : [undefined, 'Choose one of the departments'];
+      }
+      default:
+        return [undefined, null];
+    }
+  }
+
+  // Validate submitted answers against the site's form; fields not on the form are ignored
+  async validateSubmission(site, answers = {}) {
+    const { fields } = await this.getPublicForm(site);
+    const values = { custom: {} };
+    const errors = {};
+
+    for (const field of fields) {
+      const [value, error] = await this.validateValue(site, field, answers[field.key]);
+      if (error) {
+        errors[field.key] = error;
+      } else if (value !== undefined) {
+        if (field.key === 'name') values.name = value;
+        else if (field.key === 'email') values.email = value;
+        else if (field.type === 'department') values.departmentId = value;
+        else values.custom[field.key] = value;
+      }
+    }
+
+    return { values, errors };
+  }
+
+  // Store the answers of a visitor's pre-chat form; the chosen department is applied to their conversation.
+  // Returns { errors } when an answer is invalid
+  async submitForm(siteId, sessionId, visitorId, answers) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    if (!this.getPrechatSettings(site).enabled) {
+      throw new PrechatDisabledError();
+    }
+
+    const { values, errors } = await this.validateSubmission(site, answers);
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+
+    const visitor = await this.visitorModel.savePrechat(visitorId, {
+      name: values.name,
+      email: values.email,
+      data: {
+        departmentId: values.departmentId ?? null,
+        fields: values.custom
+      }
+    });
+
+    // The conversation starts now so agents see who is about to write, and routing uses the department
+    let conversation = await this.conversationModel.findOrCreate(site.id, sessionId, { visitor_id: visitorId });
+    if (values.departmentId && !conversation.department_id && conversation.status !== 'closed') {
+      conversation = await this.conversationModel.update(conversation.id, {
+        department_id: values.departmentId,
+        updated_at: new Date()
+      });
+    }
+
+    return { visitor: this.formatVisitor(visitor), conversation };
+  }
+
+  // Whether a visitor still has to fill in the form before chatting
+  async isFormRequired(siteId, visitorId) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site || !this.getPrechatSettings(site).enabled) return false;
+
+    const visitor = visitorId ? await this.visitorModel.findById(visitorId) : null;
+    return !visitor?.prechat_submitted_at;
+  }
+
+  // Visitor details for a conversation header
+  async getVisitorDetails(visitorId) {
+    return visitorId ? this.formatVisitor(await this.visitorModel.findById(visitorId)) : null;
+  }
+
+  // Visitor details shown to agents
+  formatVisitor(visitor) {
+    if (!visitor) return null;
+
+    const prechat = this.visitorModel.getPrechatData(visitor);
+    const attributes = typeof visitor.user_attributes === 'string'
+      ? JSON.parse(visitor.user_attributes)
+      : visitor.user_attributes;
+    return {
+      id: visitor.id,
+      name: visitor.name || null,
+      email: visitor.email || null,
+      // Set when the customer's site identified the visitor with signed user data
+      externalId: visitor.external_id || null,
+      identified: !!visitor.identified_at,
+      // Contact (CRM) the visitor is linked to
+      contactId: visitor.contact_id || null,
+      attributes: attributes || null,
+      prechat: prechat
+        ? { ...prechat, submittedAt: visitor.prechat_submitted_at }
+        : null
+    };
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Presence Service - in-memory agent availability
+ * Tracks every socket (tab/device) of an agent and derives one status per agent
+ */
+
+export const PRESENCE_STATUSES = ['online', 'away', 'busy', 'offline'];
+
+// Statuses an agent can pick by hand; offline is derived from having no sockets
+export const SELECTABLE_STATUSES = ['online', 'away', 'busy'];
+
+// Agents idle this long are shown as away
+const AWAY_AFTER_MS = parseInt(process.env.AGENT_AWAY_AFTER_MS) || 5 * 60 * 1000;
+
+export default class PresenceService {
+  constructor(awayAfterMs = AWAY_AFTER_MS) {
+    this.awayAfterMs = awayAfterMs;
+    this.agents = new Map(); // userId -> presence entry
+  }
+
+  getEntry(userId) {
+    if (!this.agents.has(userId)) {
+      this.agents.set(userId, {
+        userId,
+        sockets: new Map(), // socketId -> Set of site IDs
+        sites: new Set(),
+        status: 'online',
+        lastActivity: new Date(),
+        lastKnownStatus: 'offline'
+      });
+    }
+    return this.agents.get(userId);
+  }
+
+  // Register a new agent socket
+  connect(userId, socketId) {
+    const entry = this.getEntry(userId);
+    entry.sockets.set(socketId, new Set());
+    entry.lastActivity = new Date();
+  }
+
+  // Record that an agent socket is watching a site
+  joinSite(userId, socketId, siteId) {
+    const entry = this.getEntry(userId);
+    if (!entry.sockets.has(socketId)) {
+      entry.sockets.set(socketId, new Set());
+    }
+    entry.sockets.get(socketId).add(siteId);
+    entry.sites.add(siteId);
+  }
+
+  // Sites watched by one agent socket
+  getSocketSites(userId, socketId) {
+    const sites = this.agents.get(userId)?.sockets.get(socketId);
+    return sites ? [...sites] : [];
+  }
+
+  // Status of an agent as seen from one site
+  getSiteStatus(userId, siteId) {
+    return this.getSiteAgents(siteId).find(agent => agent.userId === userId)?.status || 'offline';
+  }
+
+  // Drop an agent socket; the agent goes offline with the last one
+  disconnect(userId, socketId) {
+    const entry = this.agents.get(userId);
+    if (!entry) return;
+
+    entry.sockets.delete(socketId);
+    if (entry.sockets.size === 0) {
+      // A fresh connection starts online again
+      entry.status = 'online';
+    }
+  }
+
+  // Any agent interaction resets the inactivity timer
+  touch(userId) {
+    const entry = this.agents.get(userId);
+    if (entry) {
+      entry.lastActivity = new Date();
+    }
+  }
+
+  // Manually chosen status
+  setStatus(userId, status) {
+    if (!SELECTABLE_STATUSES.includes(status)) {
+      throw new Error('Invalid presence status');
+    }
+
+    const entry = this.getEntry(userId);
+    entry.status = status;
+    entry.lastActivity = new Date();
+  }
+
+  // Effective status: offline without sockets, otherwise chosen status with auto-away
+  getStatus(userId) {
+    const entry = this.agents.get(userId);
+    if (!entry || entry.sockets.size === 0) return 'offline';
+    if (entry.status !== 'online') return entry.status;
+
+    const idleFor = Date.now() - entry.lastActivity.getTime();
+    return idleFor >= this.awayAfterMs ? 'away' : 'online';
+  }
+
+  // Agents whose effective status changed since the last call
+  collectChanges() {
+    const changes = [];
+
+    this.agents.forEach((entry) => {
+      const status = this.getStatus(entry.userId);
+      if (status !== entry.lastKnownStatus) {
+        entry.lastKnownStatus = status;
+        changes.push({ userId: entry.userId, status, sites: [...entry.sites] });
+      }
+    });
+
+    return changes;
+  }
+
+  // Presence of every agent that has watched a site
+  getSiteAgents(siteId) {
+    return Array.from(this.agents.values())
+      .filter(entry => entry.sites.has(siteId))
+      .map((entry) => {
+        const connections = Array.from(entry.sockets.values()).filter(sites => sites.has(siteId)).length;
+        return {
+          userId: entry.userId,
+          status: connections > 0 ? this.getStatus(entry.userId) : 'offline',
+          lastActivity: entry.lastActivity,
+          connections
+        };
+      });
+  }
+
+  // Agents connected to a site and accepting new chats
+  getAvailableAgentIds(siteId) {
+    return this.getSiteAgents(siteId)
+      .filter(agent => agent.status === 'online')
+      .map(agent => agent.userId);
+  }
+
+  // Whether the widget should offer live chat
+  isSiteAvailable(siteId) {
+    return this.getAvailableAgentIds(siteId).length > 0;
+  }
+}
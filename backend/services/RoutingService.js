@@ -0,0 +1,175 @@
+/**
+ * Routing Service - assigns conversations to agents
+ * Round-robin, least-busy or manual claim, bounded by each agent's chat capacity
+ */
+import ConversationModel from '../models/ConversationModel.js';
+import SiteModel from '../models/SiteModel.js';
+import UserModel from '../models/UserModel.js';
+import DepartmentModel from '../models/DepartmentModel.js';
+import {
+  SiteNotFoundError,
+  ConversationNotFoundError,
+  AgentAtCapacityError,
+  ConversationClosedError
+} from '../utils/ApiError.js';
+
+export const ROUTING_STRATEGIES = ['round_robin', 'least_busy', 'manual'];
+const DEFAULT_STRATEGY = 'round_robin';
+const DEFAULT_CAPACITY = 5;
+
+export default class RoutingService {
+  constructor() {
+    this.conversationModel = new ConversationModel();
+    this.siteModel = new SiteModel();
+    this.userModel = new UserModel();
+    this.departmentModel = new DepartmentModel();
+    this.lastAssigned = new Map(); // site id -> last agent picked by round-robin
+  }
+
+  // Routing settings for a site record
+  getRoutingSettings(site) {
+    const routing = this.siteModel.getSettings(site).routing || {};
+    return {
+      strategy: ROUTING_STRATEGIES.includes(routing.strategy) ? routing.strategy : DEFAULT_STRATEGY
+    };
+  }
+
+  // Update routing settings for a site
+  async updateRoutingSettings(siteId, { strategy }) {
+    if (!ROUTING_STRATEGIES.includes(strategy)) {
+      throw new Error('Invalid routing strategy');
+    }
+
+    const site = await this.siteModel.updateSettings(siteId, 'routing', { strategy });
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return this.getRoutingSettings(site);
+  }
+
+  // Agents from `agentIds` that still have room for another chat, with their load
+  async getAvailableAgents(site, agentIds) {
+    const ids = [...new Set(agentIds)];
+    if (ids.length === 0) return [];
+
+    const [loads, agents] = await Promise.all([
+      this.conversationModel.getAgentLoads(site.id, ids),
+      this.userModel.getQuery().whereIn('id', ids).select('id', 'max_concurrent_chats')
+    ]);
+
+    return agents
+      .map(agent => ({
+        id: agent.id,
+        load: loads.get(agent.id) || 0,
+        capacity: agent.max_concurrent_chats ?? DEFAULT_CAPACITY
+      }))
+      .filter(agent => agent.load < agent.capacity)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  // Pick an agent according to the site's strategy, or null when nobody can take it
+  async pickAgent(site, agentIds) {
+    const { strategy } = this.getRoutingSettings(site);
+    if (strategy === 'manual') return null;
+
+    const available = await this.getAvailableAgents(site, agentIds);
+    if (available.length === 0) return null;
+
+    if (strategy === 'least_busy') {
+      return available.reduce((best, agent) => (agent.load < best.load ? agent : best)).id;
+    }
+
+    // Round-robin: first agent after the one picked last time
+    const last = this.lastAssigned.get(site.id);
+    const next = available.find(agent => agent.id > last) || available[0];
+    this.lastAssigned.set(site.id, next.id);
+    return next.id;
+  }
+
+  // Online agents allowed to take a conversation (its department's members, if it has one)
+  async getCandidateAgentIds(conversation, onlineAgentIds) {
+    if (!conversation.department_id) return onlineAgentIds;
+
+    const members = await this.departmentModel.getAgentIds(conversation.department_id);
+    return onlineAgentIds.filter(id => members.includes(id));
+  }
+
+  // Route a conversation: assign it to an online agent or queue it
+  async routeConversation(siteId, conversation, onlineAgentIds) {
+    if (conversation.status === 'assigned' || conversation.status === 'closed') {
+      return { conversation, assigned: false, queued: false };
+    }
+
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+
+    const candidates = await this.getCandidateAgentIds(conversation, onlineAgentIds);
+    const agentId = await this.pickAgent(site, candidates);
+    if (agentId) {
+      const assigned = await this.conversationModel.assign(conversation.id, agentId);
+      return { conversation: assigned, assigned: true, queued: false };
+    }
+
+    const queued = await this.conversationModel.enqueue(conversation.id);
+    return { conversation: queued, assigned: false, queued: true };
+  }
+
+  // Manually claim (or hand out) a conversation, respecting capacity
+  async claimConversation(siteId, conversationId, agentId) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+
+    const conversation = await this.conversationModel.findForSite(site.id, conversationId);
+    if (!conversation) {
+      throw new ConversationNotFoundError();
+    }
+    if (conversation.status === 'closed') {
+      throw new ConversationClosedError();
+    }
+    if (conversation.assigned_agent_id === agentId && conversation.status === 'assigned') {
+      return conversation;
+    }
+
+    const available = await this.getAvailableAgents(site, [agentId]);
+    if (available.length === 0) {
+      throw new AgentAtCapacityError();
+    }
+
+    return this.conversationModel.assign(conversation.id, agentId);
+  }
+
+  // Assign queued conversations to agents that have capacity, oldest first
+  async drainQueue(siteId, onlineAgentIds) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) return [];
+
+    const { strategy } = this.getRoutingSettings(site);
+    if (strategy === 'manual') return [];
+
+    const queue = await this.conversationModel.getQueue(site.id);
+    const assignments = [];
+
+    for (const conversation of queue) {
+      const candidates = await this.getCandidateAgentIds(conversation, onlineAgentIds);
+      const agentId = await this.pickAgent(site, candidates);
+      // Another department's agents may still be free, so keep going
+      if (!agentId) continue;
+
+      assignments.push(await this.conversationModel.assign(conversation.id, agentId));
+    }
+
+    return assignments;
+  }
+
+  // Current waiting queue for a site (public site ID)
+  async getQueue(siteId) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) return [];
+
+    return this.conversationModel.getQueue(site.id);
+  }
+}
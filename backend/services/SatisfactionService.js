@@ -0,0 +1,194 @@
+/**
+ * Satisfaction Service - post-chat rating (CSAT)
+ * The survey lives in the `csat` section of the site settings: thumbs up/down or 1-5 stars,
+ * optionally with a comment. A rating counts as satisfied for a thumbs up or 4-5 stars
+ */
+import SiteModel from '../models/SiteModel.js';
+import UserModel from '../models/UserModel.js';
+import ConversationModel from '../models/ConversationModel.js';
+import ConversationRatingModel from '../models/ConversationRatingModel.js';
+import {
+  SiteNotFoundError,
+  InvalidRatingError,
+  RatingNotAvailableError,
+  InvalidSurveySettingsError
+} from '../utils/ApiError.js';
+
+const SCALES = ['thumbs', 'stars'];
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_QUESTION_LENGTH = 200;
+const DEFAULT_QUESTION = 'How would you rate this conversation?';
+
+export default class SatisfactionService {
+  constructor() {
+    this.siteModel = new SiteModel();
+    this.userModel = new UserModel();
+    this.conversationModel = new ConversationModel();
+    this.ratingModel = new ConversationRatingModel();
+  }
+
+  // Survey settings for a site record
+  getSurveySettings(site) {
+    const csat = this.siteModel.getSettings(site).csat || {};
+    return {
+      enabled: csat.enabled !== false,
+      scale: SCALES.includes(csat.scale) ? csat.scale : 'stars',
+      allowComment: csat.allowComment !== false,
+      question: csat.question || DEFAULT_QUESTION
+    };
+  }
+
+  // Update the survey settings of a site
+  async updateSurveySettings(siteId, { enabled, scale, allowComment, question }) {
+    const values = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') throw new InvalidSurveySettingsError();
+      values.enabled = enabled;
+    }
+    if (scale !== undefined) {
+      if (!SCALES.includes(scale)) throw new InvalidSurveySettingsError();
+      values.scale = scale;
+    }
+    if (allowComment !== undefined) {
+      if (typeof allowComment !== 'boolean') throw new InvalidSurveySettingsError();
+      values.allowComment = allowComment;
+    }
+    if (question !== undefined) {
+      if (question !== null && (typeof question !== 'string' || question.trim().length > MAX_QUESTION_LENGTH)) {
+        throw new InvalidSurveySettingsError();
+      }
+      values.question = question?.trim() || null;
+    }
+
+    const site = await this.siteModel.updateSettings(siteId, 'csat', values);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return this.getSurveySettings(site);
+  }
+
+  // The survey to show a visitor after their conversation closed, or null when the site has none
+  async getSurveyRequest(siteId, conversation) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site || !conversation) return null;
+
+    const { enabled, scale, allowComment, question } = this.getSurveySettings(site);
+    if (!enabled) return null;
+
+    return {
+      sessionId: conversation.session_id,
+      conversationId: conversation.id,
+      scale,
+      allowComment,
+      question
+    };
+  }
+
+  // Check a score on the given scale; returns whether it counts as satisfied
+  scoreSatisfied(scale, score) {
+    if (scale === 'thumbs' && (score === 0 || score === 1)) return score === 1;
+    if (scale === 'stars' && Number.isInteger(score) && score >= 1 && score <= 5) return score >= 4;
+    throw new InvalidRatingError();
+  }
+
+  // Store a visitor's rating of their closed conversation; rating again replaces it
+  async submitRating(siteId, sessionId, visitorId, { score, comment }) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+
+    const settings = this.getSurveySettings(site);
+    const conversation = await this.conversationModel.findBySession(site.id, sessionId);
+    if (!settings.enabled || !conversation || conversation.status !== 'closed') {
+      throw new RatingNotAvailableError();
+    }
+
+    // Thumbs may arrive as booleans
+    const value = typeof score === 'boolean' ? Number(score) : score;
+    const satisfied = this.scoreSatisfied(settings.scale, value);
+
+    if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      throw new InvalidRatingError();
+    }
+
+    const rating = await this.ratingModel.saveRating({
+      site_id: site.id,
+      conversation_id: conversation.id,
+      agent_id: conversation.assigned_agent_id || conversation.closed_by || null,
+      visitor_id: visitorId || conversation.visitor_id || null,
+      scale: settings.scale,
+      score: value,
+      satisfied,
+      comment: settings.allowComment ? comment?.trim() || null : null
+    });
+
+    return { rating: this.formatRating(rating), conversation };
+  }
+
+  // Rating as returned by the API
+  formatRating(rating) {
+    return {
+      id: rating.id,
+      conversationId: rating.conversation_id,
+      agentId: rating.agent_id,
+      scale: rating.scale,
+      score: rating.score,
+      satisfied: !!rating.satisfied,
+      comment: rating.comment,
+      createdAt: rating.created_at,
+      updatedAt: rating.updated_at
+    };
+  }
+
+  // Share of satisfied ratings as a percentage (null without ratings)
+  summarize(ratings) {
+    const responses = ratings.length;
+    const satisfied = ratings.filter(rating => rating.satisfied).length;
+    const stars = ratings.filter(rating => rating.scale === 'stars');
+
+    return {
+      responses,
+      satisfied,
+      csat: responses ? Math.round((satisfied / responses) * 1000) / 10 : null,
+      averageStars: stars.length
+        ? Math.round((stars.reduce((sum, rating) => sum + rating.score, 0) / stars.length) * 100) / 100
+        : null
+    };
+  }
+
+  // CSAT for the last `days` days: overall, per day and per agent
+  async getAnalytics(site, days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const ratings = (await this.ratingModel.getSiteRatings(site.id, since))
+      .map(rating => ({ ...rating, satisfied: !!rating.satisfied }));
+
+    const byDay = new Map();
+    const byAgent = new Map();
+    for (const rating of ratings) {
+      const day = new Date(rating.created_at).toISOString().slice(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(rating);
+
+      if (rating.agent_id) {
+        if (!byAgent.has(rating.agent_id)) byAgent.set(rating.agent_id, []);
+        byAgent.get(rating.agent_id).push(rating);
+      }
+    }
+
+    const agents = await Promise.all(
+      [...byAgent.entries()].map(async ([agentId, agentRatings]) => {
+        const agent = await this.userModel.findById(agentId);
+        return { agentId, name: agent?.name || null, ...this.summarize(agentRatings) };
+      })
+    );
+
+    return {
+      days,
+      ...this.summarize(ratings),
+      overTime: [...byDay.entries()].map(([date, dayRatings]) => ({ date, ...this.summarize(dayRatings) })),
+      byAgent: agents.sort((a, b) => b.responses - a.responses)
+    };
+  }
+}
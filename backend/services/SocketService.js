@@ -1,62 +1,203 @@
 /**
  * Socket.IO Service - handles real-time chat messaging
  * Manages chat rooms and message broadcasting
+ *
+ * Room model:
+ * - session_<siteId>_<sessionId>: one conversation (the visitor plus the agents handling it)
+ * - agents_<siteId>: agents only, receives inbox-level updates for the whole site
+ * - agent_<userId>: every socket (tab/device) of one agent
+ * - visitors_<siteId>: every visitor on a site, for availability updates
  */
-import MessageModel from '../models/MessageModel.js';
+import MessageModel, { MESSAGE_TYPES, normalizePayload } from '../models/MessageModel.js';
+import UserModel from '../models/UserModel.js';
+import ConversationService from './ConversationService.js';
+import RoutingService from './RoutingService.js';
+import PresenceService from './PresenceService.js';
+import TransferService from './TransferService.js';
+import MessageService from './MessageService.js';
+import PrechatService from './PrechatService.js';
+import OfflineMessageService from './OfflineMessageService.js';
+import SatisfactionService from './SatisfactionService.js';
+import BusinessHoursService from './BusinessHoursService.js';
+import socketAuth, { findAccessibleSite, canSupervise } from '../middlewares/socketAuth.js';
+import { DuplicateMessageError } from '../utils/ApiError.js';
 
 export default class SocketService {
   constructor(io) {
     this.io = io;
     this.messageModel = new MessageModel();
-    this.activeSessions = new Map(); // Track active chat sessions
+    this.userModel = new UserModel();
+    this.conversationService = new ConversationService();
+    this.routingService = new RoutingService();
+    this.transferService = new TransferService();
+    this.messageService = new MessageService();
+    this.prechatService = new PrechatService();
+    this.offlineMessageService = new OfflineMessageService();
+    this.satisfactionService = new SatisfactionService();
+    this.businessHoursService = new BusinessHoursService();
+    this.presence = new PresenceService();
+    this.activeSessions = new Map(); // Track active visitor sessions
+    this.presenceTimer = null;
   }
 
   // Initialize Socket.IO event handlers
   initialize() {
+    // Every connection must authenticate as an agent or a visitor
+    this.io.use(socketAuth);
+
+    // Periodically apply auto-away to idle agents
+    this.presenceTimer = setInterval(() => this.syncPresence(), 30 * 1000);
+    this.presenceTimer.unref?.();
+
     this.io.on('connection', (socket) => {
       console.log('🔌 New client connected:', socket.id);
 
+      if (socket.userType === 'admin') {
+        socket.data.userId = socket.user.id;
+        socket.join(this.agentRoom(socket.user.id));
+        this.presence.connect(socket.user.id, socket.id);
+
+        // Any agent interaction counts as activity for auto-away
+        socket.onAny(() => this.presence.touch(socket.user.id));
+      }
+
       // Join site room
-      socket.on('join_site', async (data) => {
-        const { siteId, sessionId, userType = 'visitor' } = data;
-        const room = `site_${siteId}`;
+      socket.on('join_site', async (data = {}) => {
+        const { siteId, lastMessageId } = data;
+        const userType = socket.userType;
+
+        if (userType === 'visitor') {
+          const session = socket.visitorSession;
+          if (siteId !== session.siteId || (data.sessionId && data.sessionId !== session.sessionId)) {
+            this.emitError(socket, 'join_site', 'session_mismatch', 'Session token does not match the requested site or session');
+            return;
+          }
+        } else if (!(await findAccessibleSite(socket.user, siteId))) {
+          this.emitError(socket, 'join_site', 'forbidden', 'You do not have access to this site');
+          return;
+        }
+
+        const sessionId = userType === 'visitor' ? socket.visitorSession.sessionId : data.sessionId;
+
+        if (!sessionId) {
+          this.emitError(socket, 'join_site', 'missing_session', 'sessionId is required');
+          return;
+        }
+
+        const room = this.sessionRoom(siteId, sessionId);
         
         socket.join(room);
         socket.siteId = siteId;
         socket.sessionId = sessionId;
-        socket.userType = userType;
-        
-        console.log(`👥 ${userType} joined room: ${room}`);
-        
-        // Track active session
-        if (!this.activeSessions.has(sessionId)) {
+
+        if (userType === 'admin') {
+          socket.join(this.agentsRoom(siteId));
+          await this.agentJoinedSite(socket, siteId);
+        } else {
+          socket.join(this.visitorsRoom(siteId));
+          socket.emit('agent_availability', await this.getAvailability(siteId));
+
+          // Track active visitor session (a reconnect replaces the old socket)
           this.activeSessions.set(sessionId, {
             siteId,
             socketId: socket.id,
             userType,
-            joinedAt: new Date()
+            joinedAt: this.activeSessions.get(sessionId)?.joinedAt || new Date()
           });
         }
+        
+        console.log(`👥 ${userType} joined room: ${room}`);
+
+        // A reconnecting client gets exactly what it missed since its last seen message,
+        // anyone else the recent history (visitors never see internal notes, agents only their own whispers)
+        const viewerId = userType === 'visitor' ? null : socket.user.id;
+        const missed = lastMessageId
+          ? await this.messageModel.getMessagesAfter(siteId, sessionId, lastMessageId, {
+            includeInternal: userType !== 'visitor',
+            viewerId
+          })
+          : null;
 
-        // Send recent messages to new participant
-        const recentMessages = await this.messageModel.getSessionMessages(siteId, sessionId, 20);
-        socket.emit('chat_history', recentMessages);
+        if (missed) {
+          socket.emit('missed_messages', { sessionId, lastMessageId, messages: missed });
+        } else {
+          const recentMessages = userType === 'visitor'
+            ? await this.messageModel.getVisitorMessages(siteId, sessionId, 20)
+            : await this.messageModel.getSessionMessages(siteId, sessionId, 20, { viewerId });
+          socket.emit('chat_history', recentMessages);
+        }
 
-        // Notify others in room
-        socket.to(room).emit('user_joined', {
+        // Notify the conversation and the site's agents
+        const joined = {
           sessionId,
           userType,
           timestamp: new Date()
-        });
+        };
+        socket.to(room).emit('user_joined', joined);
+        if (userType === 'visitor') {
+          socket.to(this.agentsRoom(siteId)).emit('user_joined', joined);
+        }
       });
 
-      // Handle incoming messages
-      socket.on('send_message', async (data) => {
-        const { text, sessionId } = data;
+      // Handle incoming messages; the optional ack confirms delivery to the server
+      socket.on('send_message', async (data = {}, ack) => {
+        const reject = (error, message) => {
+          this.emitError(socket, 'send_message', error, message);
+          if (typeof ack === 'function') ack({ success: false, error, message });
+        };
+        const acknowledge = (saved, duplicate = false) => {
+          if (typeof ack === 'function') {
+            ack({
+              success: true,
+              messageId: saved._id,
+              clientMessageId: saved.clientMessageId,
+              createdAt: saved.createdAt,
+              duplicate
+            });
+          }
+        };
+
+        const { text, type = 'message', clientMessageId, payload } = data;
         const siteId = socket.siteId;
+        // Visitors can only ever write into their own session
+        const sessionId = socket.userType === 'visitor' ? socket.sessionId : data.sessionId;
         
         if (!siteId || !sessionId) {
-          socket.emit('error', { message: 'Not joined to any site' });
+          reject('not_joined', 'Not joined to any site');
+          return;
+        }
+
+        if (!MESSAGE_TYPES.includes(type) || (type === 'internal' && socket.userType !== 'admin')) {
+          reject('invalid_type', 'Invalid message type');
+          return;
+        }
+
+        // Quick replies and cards are sent by agents, to the visitor
+        let structured = null;
+        if (payload !== undefined && payload !== null) {
+          if (socket.userType !== 'admin' || type !== 'message') {
+            reject('invalid_payload', 'Only agents can send quick replies or cards to the visitor');
+            return;
+          }
+          try {
+            structured = normalizePayload(payload);
+          } catch (error) {
+            reject('invalid_payload', 'Invalid quick replies or card');
+            return;
+          }
+        }
+
+        // A card can stand on its own; its title is the text shown in transcripts
+        const messageText = typeof text === 'string' && text.trim()
+          ? text.trim()
+          : (structured?.type === 'card' ? structured.title : '');
+        if (!messageText) {
+          reject('invalid_message', 'Message text is required');
+          return;
+        }
+
+        if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > 100)) {
+          reject('invalid_client_message_id', 'clientMessageId must be a non-empty string');
           return;
         }
 
@@ -64,29 +205,111 @@ export default class SocketService {
           siteId,
           sessionId,
           sender: socket.userType || 'visitor',
-          text: text.trim(),
-          timestamp: new Date()
+          type,
+          text: messageText,
+          timestamp: new Date(),
+          // Agents can later edit or delete what they wrote
+          ...(socket.userType === 'admin' ? { agentId: socket.user.id } : {}),
+          ...(structured ? { payload: structured } : {}),
+          ...(clientMessageId ? { clientMessageId } : {})
         };
 
         try {
+          // Sites with a pre-chat form hear from a visitor once it is filled in
+          if (socket.userType === 'visitor' && !socket.data.prechatDone) {
+            if (await this.prechatService.isFormRequired(siteId, socket.visitorSession?.visitorId)) {
+              reject('prechat_required', 'Please fill in the pre-chat form first');
+              return;
+            }
+            socket.data.prechatDone = true;
+          }
+
+          // A retried send is acknowledged again but neither stored nor delivered twice
+          const existing = clientMessageId
+            ? await this.messageModel.findByClientMessageId(siteId, sessionId, clientMessageId)
+            : null;
+          if (existing) {
+            acknowledge(existing, true);
+            return;
+          }
+
           // Save message to database
           const savedMessage = await this.messageModel.create(message);
+          const conversation = await this.recordConversationMessage(savedMessage, socket.visitorSession?.visitorId);
+
+          acknowledge(savedMessage);
+
+          // Agents replying from the inbox become participants of the conversation
+          const room = this.sessionRoom(siteId, sessionId);
+          socket.join(room);
+
+          await this.deliverMessage(savedMessage, conversation);
           
-          // Broadcast to room
-          const room = `site_${siteId}`;
-          this.io.to(room).emit('new_message', savedMessage);
-          
-          console.log(`💬 Message in ${room} from ${socket.userType}: ${text}`);
+          console.log(`💬 Message in ${room} from ${socket.userType}: ${messageText}`);
         } catch (error) {
+          // Two retries raced past the lookup; the unique index kept the first one
+          if (error instanceof DuplicateMessageError && clientMessageId) {
+            const stored = await this.messageModel.findByClientMessageId(siteId, sessionId, clientMessageId);
+            if (stored) {
+              acknowledge(stored, true);
+              return;
+            }
+          }
+
           console.error('❌ Error saving message:', error);
-          socket.emit('error', { message: 'Failed to send message' });
+          reject('send_failed', 'Failed to send message');
+        }
+      });
+
+      // Record a read-up-to marker and show it to the other side
+      socket.on('mark_read', async (data = {}) => {
+        const { messageId } = data;
+        const siteId = socket.siteId;
+        const isVisitor = socket.userType === 'visitor';
+        const sessionId = isVisitor ? socket.sessionId : data.sessionId;
+
+        if (!siteId || !sessionId) {
+          this.emitError(socket, 'mark_read', 'not_joined', 'Not joined to any site');
+          return;
+        }
+
+        try {
+          const marker = await this.conversationService.markRead(siteId, sessionId, {
+            reader: isVisitor ? 'visitor' : 'agent',
+            userId: isVisitor ? 0 : socket.user.id,
+            messageId
+          });
+          if (!marker) return;
+
+          const receipt = {
+            sessionId,
+            reader: marker.reader,
+            userId: isVisitor ? null : marker.user_id,
+            lastReadMessageId: marker.last_read_message_id,
+            readAt: marker.last_read_at
+          };
+
+          // The visitor's receipts reach every agent's inbox; an agent's reach the visitor and their own tabs
+          const room = this.sessionRoom(siteId, sessionId);
+          if (isVisitor) {
+            this.io.to(room).to(this.agentsRoom(siteId)).emit('messages_read', receipt);
+          } else {
+            this.io.to(room).to(this.agentRoom(socket.user.id)).emit('messages_read', receipt);
+          }
+        } catch (error) {
+          this.emitError(socket, 'mark_read', 'mark_read_failed', error.message);
         }
       });
 
       // Handle typing indicators
-      socket.on('typing', (data) => {
-        const { siteId, sessionId, isTyping } = data;
-        const room = `site_${siteId}`;
+      socket.on('typing', (data = {}) => {
+        const { isTyping } = data;
+        const siteId = socket.siteId;
+        const sessionId = socket.userType === 'visitor' ? socket.sessionId : data.sessionId;
+
+        if (!siteId || !sessionId) return;
+
+        const room = this.sessionRoom(siteId, sessionId);
         
         socket.to(room).emit('user_typing', {
           sessionId,
@@ -95,17 +318,273 @@ export default class SocketService {
         });
       });
 
+      // Edit a sent message (agent action, within the site's edit window)
+      socket.on('edit_message', async (data = {}) => {
+        const { sessionId, messageId, text } = data;
+
+        const site = await this.findAgentSite(socket, 'edit_message');
+        if (!site) return;
+
+        try {
+          const message = await this.messageService.editMessage(site, sessionId, messageId, text, socket.user);
+          this.publishMessageChange('message_updated', message);
+        } catch (error) {
+          this.emitError(socket, 'edit_message', 'edit_failed', error.message);
+        }
+      });
+
+      // Soft-delete a message (its author within the edit window, or a supervisor)
+      socket.on('delete_message', async (data = {}) => {
+        const { sessionId, messageId } = data;
+
+        const site = await this.findAgentSite(socket, 'delete_message');
+        if (!site) return;
+
+        try {
+          const message = await this.messageService.deleteMessage(site, sessionId, messageId, socket.user);
+          this.publishMessageChange('message_deleted', message);
+        } catch (error) {
+          this.emitError(socket, 'delete_message', 'delete_failed', error.message);
+        }
+      });
+
+      // React to a message with an emoji; reacting again with the same emoji takes it back
+      socket.on('react_message', async (data = {}) => {
+        const { messageId, emoji } = data;
+        const isVisitor = socket.userType === 'visitor';
+
+        let siteId = socket.siteId;
+        if (!isVisitor) {
+          const site = await this.findAgentSite(socket, 'react_message');
+          if (!site) return;
+          siteId = site.site_id;
+        }
+        const sessionId = isVisitor ? socket.sessionId : data.sessionId;
+
+        if (!siteId || !sessionId) {
+          this.emitError(socket, 'react_message', 'not_joined', 'Not joined to any site');
+          return;
+        }
+
+        try {
+          const message = await this.messageService.toggleReaction(
+            siteId,
+            sessionId,
+            messageId,
+            emoji,
+            isVisitor ? { sender: 'visitor' } : { sender: 'admin', userId: socket.user.id }
+          );
+          this.publishMessageChange('message_reacted', message);
+        } catch (error) {
+          this.emitError(socket, 'react_message', 'react_failed', error.message);
+        }
+      });
+
+      // Visitor picks a quick-reply button; the choice is posted as their own message
+      socket.on('choose_quick_reply', async (data = {}, ack) => {
+        const reject = (error, message) => {
+          this.emitError(socket, 'choose_quick_reply', error, message);
+          if (typeof ack === 'function') ack({ success: false, error, message });
+        };
+
+        const { messageId, optionId } = data;
+        const siteId = socket.siteId;
+        const sessionId = socket.sessionId;
+
+        if (socket.userType !== 'visitor' || !siteId || !sessionId) {
+          reject('forbidden', 'Only the visitor can answer quick replies');
+          return;
+        }
+
+        try {
+          const { message, option } = await this.messageService.chooseQuickReply(siteId, sessionId, messageId, optionId);
+          this.publishMessageChange('message_updated', message);
+
+          const selection = await this.postMessage({
+            siteId,
+            sessionId,
+            sender: 'visitor',
+            type: 'message',
+            text: option.label,
+            payload: {
+              type: 'quick_reply_selection',
+              messageId: String(message._id),
+              optionId: option.id,
+              value: option.value
+            },
+            timestamp: new Date()
+          }, { visitorId: socket.visitorSession?.visitorId });
+
+          if (typeof ack === 'function') {
+            ack({ success: true, messageId: selection._id, createdAt: selection.createdAt });
+          }
+        } catch (error) {
+          reject('choose_failed', error.message);
+        }
+      });
+
+      // Transfer a conversation to another agent or department (agent action)
+      socket.on('transfer_conversation', async (data = {}) => {
+        const { conversationId, agentId, departmentId, note } = data;
+
+        if (socket.userType !== 'admin' || !socket.siteId) {
+          this.emitError(socket, 'transfer_conversation', 'forbidden', 'Join a site as an agent first');
+          return;
+        }
+
+        try {
+          await this.transferConversation(socket.siteId, conversationId, { agentId, departmentId, note }, socket.user.id);
+        } catch (error) {
+          this.emitError(socket, 'transfer_conversation', 'transfer_failed', error.message);
+        }
+      });
+
+      // Silently watch a conversation (supervisor action)
+      socket.on('monitor_conversation', async (data = {}) => {
+        const { sessionId } = data;
+        const conversation = await this.findSupervisedConversation(socket, 'monitor_conversation', sessionId);
+        if (!conversation) return;
+
+        // No user_joined: neither the visitor nor the agent is told
+        socket.join(this.sessionRoom(socket.siteId, sessionId));
+        socket.data.monitoring = (socket.data.monitoring || new Set()).add(sessionId);
+
+        const messages = await this.messageModel.getSessionMessages(socket.siteId, sessionId, 20, { viewerId: socket.user.id });
+        socket.emit('chat_history', messages);
+        socket.emit('monitoring_started', { sessionId, conversation });
+      });
+
+      // Stop watching a conversation (supervisor action)
+      socket.on('stop_monitoring', async (data = {}) => {
+        const { sessionId } = data;
+        if (!socket.data.monitoring?.has(sessionId)) return;
+
+        socket.data.monitoring.delete(sessionId);
+        socket.leave(this.sessionRoom(socket.siteId, sessionId));
+        socket.emit('monitoring_stopped', { sessionId });
+      });
+
+      // Message only the agent handling a conversation (supervisor action)
+      socket.on('whisper', async (data = {}) => {
+        const { sessionId, text } = data;
+        const conversation = await this.findSupervisedConversation(socket, 'whisper', sessionId);
+        if (!conversation) return;
+
+        if (typeof text !== 'string' || !text.trim()) {
+          this.emitError(socket, 'whisper', 'invalid_message', 'Message text is required');
+          return;
+        }
+
+        const agentId = conversation.assigned_agent_id;
+        if (!agentId || agentId === socket.user.id) {
+          this.emitError(socket, 'whisper', 'no_agent', 'Nobody else is handling this conversation');
+          return;
+        }
+
+        try {
+          // Stored as an internal note, so the visitor never sees it
+          const whisper = await this.messageModel.create({
+            siteId: socket.siteId,
+            sessionId,
+            sender: 'admin',
+            type: 'internal',
+            whisper: true,
+            fromAgentId: socket.user.id,
+            toAgentId: agentId,
+            text: text.trim(),
+            timestamp: new Date()
+          });
+
+          this.io.to(this.agentRoom(agentId)).to(this.agentRoom(socket.user.id)).emit('new_message', whisper);
+        } catch (error) {
+          console.error('❌ Error saving whisper:', error);
+          this.emitError(socket, 'whisper', 'send_failed', 'Failed to send whisper');
+        }
+      });
+
+      // Join a conversation openly, optionally taking it over (supervisor action)
+      socket.on('barge_conversation', async (data = {}) => {
+        const { sessionId, takeOver = false } = data;
+        const conversation = await this.findSupervisedConversation(socket, 'barge_conversation', sessionId);
+        if (!conversation) return;
+
+        const siteId = socket.siteId;
+        const room = this.sessionRoom(siteId, sessionId);
+        socket.join(room);
+        socket.data.monitoring?.delete(sessionId);
+
+        try {
+          if (takeOver && conversation.assigned_agent_id !== socket.user.id) {
+            await this.transferConversation(
+              siteId,
+              conversation.id,
+              { agentId: socket.user.id, note: 'Taken over by a supervisor', ignoreCapacity: true },
+              socket.user.id
+            );
+          } else {
+            const agent = await this.getAgentProfile(socket.user.id);
+            const systemMessage = await this.messageModel.create({
+              siteId,
+              sessionId,
+              sender: 'system',
+              type: 'message',
+              text: `${agent.name} joined the chat`,
+              timestamp: new Date()
+            });
+            this.broadcastToSession(siteId, sessionId, 'new_message', systemMessage);
+          }
+
+          socket.to(room).emit('user_joined', {
+            sessionId,
+            userType: 'admin',
+            supervisor: true,
+            timestamp: new Date()
+          });
+        } catch (error) {
+          this.emitError(socket, 'barge_conversation', 'barge_failed', error.message);
+        }
+      });
+
+      // Agent picks a presence status
+      socket.on('set_status', async (data = {}) => {
+        if (socket.userType !== 'admin') {
+          this.emitError(socket, 'set_status', 'forbidden', 'Only agents have a presence status');
+          return;
+        }
+
+        try {
+          this.presence.setStatus(socket.user.id, data.status);
+        } catch (error) {
+          this.emitError(socket, 'set_status', 'invalid_status', error.message);
+          return;
+        }
+
+        await this.syncPresence();
+      });
+
       // Handle disconnect
-      socket.on('disconnect', () => {
+      socket.on('disconnect', async () => {
         console.log('🔌 Client disconnected:', socket.id);
+
+        if (socket.userType === 'admin') {
+          const sites = this.presence.getSocketSites(socket.user.id, socket.id);
+          this.presence.disconnect(socket.user.id, socket.id);
+          for (const siteId of sites) {
+            await this.refreshSitePresence(siteId, socket.user.id);
+          }
+          await this.syncPresence();
+          return;
+        }
         
-        // Clean up active session
+        // Clean up active session, unless the visitor already reconnected on another socket
         if (socket.sessionId) {
-          this.activeSessions.delete(socket.sessionId);
+          if (this.activeSessions.get(socket.sessionId)?.socketId === socket.id) {
+            this.activeSessions.delete(socket.sessionId);
+          }
           
-          // Notify others in room
-          const room = `site_${socket.siteId}`;
-          socket.to(room).emit('user_left', {
+          // Notify the conversation and the site's agents
+          const room = this.sessionRoom(socket.siteId, socket.sessionId);
+          socket.to(room).to(this.agentsRoom(socket.siteId)).emit('user_left', {
             sessionId: socket.sessionId,
             userType: socket.userType,
             timestamp: new Date()
@@ -114,13 +593,24 @@ export default class SocketService {
       });
 
       // Handle admin join
-      socket.on('admin_join', async (data) => {
+      socket.on('admin_join', async (data = {}) => {
         const { siteId } = data;
-        const room = `site_${siteId}`;
+
+        if (socket.userType !== 'admin') {
+          this.emitError(socket, 'admin_join', 'unauthorized', 'Agent authentication required');
+          return;
+        }
+
+        if (!(await findAccessibleSite(socket.user, siteId))) {
+          this.emitError(socket, 'admin_join', 'forbidden', 'You do not have access to this site');
+          return;
+        }
+
+        const room = this.agentsRoom(siteId);
         
         socket.join(room);
         socket.siteId = siteId;
-        socket.userType = 'admin';
+        await this.agentJoinedSite(socket, siteId);
         
         console.log(`👨‍💼 Admin joined room: ${room}`);
         
@@ -134,19 +624,56 @@ export default class SocketService {
           }));
         
         socket.emit('active_sessions', activeSessions);
+        socket.emit('agents_presence', this.presence.getSiteAgents(siteId));
+
+        // A newly available agent may be able to take queued visitors
+        await this.rebalance(siteId);
+      });
+
+      // Manually claim a conversation (agent action)
+      socket.on('claim_conversation', async (data = {}) => {
+        const { conversationId } = data;
+
+        if (socket.userType !== 'admin' || !socket.siteId) {
+          this.emitError(socket, 'claim_conversation', 'forbidden', 'Join a site as an agent first');
+          return;
+        }
+
+        try {
+          const conversation = await this.routingService.claimConversation(socket.siteId, conversationId, socket.user.id);
+          await this.announceAssignment(socket.siteId, conversation);
+          await this.emitQueuePositions(socket.siteId);
+        } catch (error) {
+          this.emitError(socket, 'claim_conversation', 'claim_failed', error.message);
+        }
       });
 
       // Handle session close (admin action)
-      socket.on('close_session', async (data) => {
+      socket.on('close_session', async (data = {}) => {
         const { sessionId } = data;
         
         if (socket.userType !== 'admin') {
-          socket.emit('error', { message: 'Only admins can close sessions' });
+          this.emitError(socket, 'close_session', 'forbidden', 'Only admins can close sessions');
+          return;
+        }
+
+        if (!socket.siteId || !sessionId) {
+          this.emitError(socket, 'close_session', 'not_joined', 'Not joined to any site');
           return;
         }
 
+        let conversation = null;
+        try {
+          conversation = await this.conversationService.closeSession(socket.siteId, sessionId, socket.user.id);
+        } catch (error) {
+          console.error('❌ Error closing conversation:', error);
+        }
+
+        // Ask for a rating while the visitor is still connected
+        await this.requestRating(socket.siteId, conversation);
+
         const session = this.activeSessions.get(sessionId);
-        if (session) {
+        if (session && session.siteId === socket.siteId) {
           // Find socket and disconnect
           const targetSocket = this.io.sockets.sockets.get(session.socketId);
           if (targetSocket) {
@@ -155,15 +682,337 @@ export default class SocketService {
           }
           
           this.activeSessions.delete(sessionId);
-          
-          // Notify room
-          const room = `site_${session.siteId}`;
-          socket.to(room).emit('session_closed', { sessionId });
         }
+
+        // Notify the conversation's agents and the rest of the team
+        const room = this.sessionRoom(socket.siteId, sessionId);
+        socket.to(room).to(this.agentsRoom(socket.siteId)).emit('session_closed', { sessionId, conversation });
+
+        // The closing agent has capacity again
+        await this.rebalance(socket.siteId);
       });
     });
   }
 
+  // Keep the conversation record in step with a stored message; never blocks delivery
+  async recordConversationMessage(message, visitorId = null) {
+    try {
+      return await this.conversationService.recordMessage(
+        message.siteId,
+        message.sessionId,
+        message,
+        visitorId || null
+      );
+    } catch (error) {
+      console.error('❌ Error updating conversation:', error);
+      return null;
+    }
+  }
+
+  // Deliver a stored message to its conversation (internal notes skip the visitor),
+  // let the rest of the team update their inbox and route new or reopened conversations
+  async deliverMessage(message, conversation) {
+    const { siteId, sessionId } = message;
+    const room = this.sessionRoom(siteId, sessionId);
+
+    if (message.type === 'internal') {
+      this.io.to(room).except(this.visitorsRoom(siteId)).emit('new_message', message);
+    } else {
+      this.io.to(room).emit('new_message', message);
+    }
+    this.io.to(this.agentsRoom(siteId)).except(room).emit('conversation_updated', {
+      sessionId,
+      conversation,
+      lastMessage: message
+    });
+
+    if (conversation && message.sender === 'visitor' && conversation.status === 'open') {
+      await this.routeConversation(siteId, conversation);
+    }
+
+    // A visitor who left a message and went away gets the answer by email
+    if (this.offlineMessageService.shouldEmailReply(message, conversation) && !this.activeSessions.has(sessionId)) {
+      this.offlineMessageService.emailReply(message, conversation);
+    }
+  }
+
+  // Send the site's post-chat survey to the visitor of a closed conversation
+  async requestRating(siteId, conversation) {
+    try {
+      const survey = await this.satisfactionService.getSurveyRequest(siteId, conversation);
+      if (survey) {
+        this.broadcastToSession(siteId, conversation.session_id, 'csat_request', survey);
+      }
+    } catch (error) {
+      console.error('❌ Error requesting rating:', error);
+    }
+  }
+
+  // Store a message created outside a socket (uploads) and deliver it like a sent message
+  async postMessage(messageData, { visitorId = null } = {}) {
+    const message = await this.messageModel.create(messageData);
+    const conversation = await this.recordConversationMessage(message, visitorId);
+    await this.deliverMessage(message, conversation);
+    return message;
+  }
+
+  // Register an agent socket on a site and publish the presence change
+  async agentJoinedSite(socket, siteId) {
+    this.presence.joinSite(socket.user.id, socket.id, siteId);
+    await this.refreshSitePresence(siteId, socket.user.id);
+    await this.syncPresence();
+  }
+
+  // Broadcast an agent's presence on one site and the resulting widget availability
+  async refreshSitePresence(siteId, userId) {
+    this.broadcastToAgents(siteId, 'agent_presence', {
+      userId,
+      status: this.presence.getSiteStatus(userId, siteId)
+    });
+    this.io.to(this.visitorsRoom(siteId)).emit('agent_availability', await this.getAvailability(siteId));
+  }
+
+  // Publish global status changes (manual or auto-away) and route waiting visitors
+  async syncPresence() {
+    const changes = this.presence.collectChanges();
+
+    for (const { userId, status, sites } of changes) {
+      for (const siteId of sites) {
+        await this.refreshSitePresence(siteId, userId);
+        if (status === 'online') {
+          await this.rebalance(siteId);
+        }
+      }
+    }
+  }
+
+  // What the widget shows: live chat, or leave a message when nobody can answer or the site is closed
+  async getAvailability(siteId) {
+    const agentsOnline = this.presence.getAvailableAgentIds(siteId).length;
+
+    let hours = { open: true, nextOpenAt: null };
+    try {
+      hours = await this.businessHoursService.getSiteStatusById(siteId);
+    } catch (error) {
+      console.error('❌ Error reading business hours:', error);
+    }
+
+    return {
+      online: agentsOnline > 0 && hours.open,
+      agentsOnline,
+      withinBusinessHours: hours.open,
+      nextOpenAt: hours.nextOpenAt
+    };
+  }
+
+  // Assign a conversation or queue it, and tell everyone involved
+  async routeConversation(siteId, conversation) {
+    try {
+      const onlineAgentIds = await this.getOnlineAgentIds(siteId);
+      const result = await this.routingService.routeConversation(siteId, conversation, onlineAgentIds);
+
+      if (result.assigned) {
+        await this.announceAssignment(siteId, result.conversation);
+      }
+      if (result.queued) {
+        await this.emitQueuePositions(siteId);
+      }
+      return result.conversation;
+    } catch (error) {
+      console.error('❌ Error routing conversation:', error);
+      return conversation;
+    }
+  }
+
+  // Hand queued conversations to agents with free capacity
+  async rebalance(siteId) {
+    try {
+      const onlineAgentIds = await this.getOnlineAgentIds(siteId);
+      const assignments = await this.routingService.drainQueue(siteId, onlineAgentIds);
+
+      for (const conversation of assignments) {
+        await this.announceAssignment(siteId, conversation);
+      }
+      await this.emitQueuePositions(siteId);
+    } catch (error) {
+      console.error('❌ Error rebalancing queue:', error);
+    }
+  }
+
+  // Transfer a conversation and notify the agents, the visitor and the transcript
+  async transferConversation(siteId, conversationId, target, transferredBy) {
+    const result = await this.transferService.transfer(siteId, conversationId, target, transferredBy);
+    const { conversation, transfer, fromAgentId, agent, department } = result;
+    const sessionId = conversation.session_id;
+
+    // The previous owner stops receiving the conversation
+    if (fromAgentId && fromAgentId !== conversation.assigned_agent_id) {
+      this.io.in(this.agentRoom(fromAgentId)).socketsLeave(this.sessionRoom(siteId, sessionId));
+    }
+
+    // System message in the transcript (the note stays between agents)
+    const systemMessage = await this.messageModel.create({
+      siteId,
+      sessionId,
+      sender: 'system',
+      type: 'message',
+      text: agent
+        ? `Chat transferred to ${agent.name}`
+        : `Chat transferred to ${department.name}`,
+      timestamp: new Date()
+    });
+    this.broadcastToSession(siteId, sessionId, 'new_message', systemMessage);
+
+    const notification = {
+      sessionId,
+      conversation,
+      transfer,
+      fromAgentId,
+      agent,
+      department,
+      note: transfer.note
+    };
+    [fromAgentId, agent?.id].filter(Boolean).forEach((userId) => {
+      this.io.to(this.agentRoom(userId)).emit('conversation_transferred', notification);
+    });
+    this.broadcastToAgents(siteId, 'conversation_updated', { sessionId, conversation });
+
+    if (agent) {
+      await this.announceAssignment(siteId, conversation);
+    } else {
+      await this.routeConversation(siteId, conversation);
+    }
+
+    // The previous owner may have room for a queued visitor now
+    await this.rebalance(siteId);
+
+    return result;
+  }
+
+  // Site record of the socket's current site, if the socket is an agent with access to it
+  async findAgentSite(socket, event) {
+    const site = socket.userType === 'admin' && socket.siteId
+      ? await findAccessibleSite(socket.user, socket.siteId)
+      : null;
+    if (!site) {
+      this.emitError(socket, event, 'forbidden', 'Join a site as an agent first');
+    }
+    return site;
+  }
+
+  // Tell everyone who can see a message that it was edited, deleted or reacted to
+  publishMessageChange(event, message) {
+    const { siteId, sessionId } = message;
+    const payload = { sessionId, messageId: message._id, message };
+
+    // Whispers only ever reached the two agents involved
+    if (message.whisper) {
+      this.io.to(this.agentRoom(message.fromAgentId)).to(this.agentRoom(message.toAgentId)).emit(event, payload);
+      return;
+    }
+
+    const room = this.sessionRoom(siteId, sessionId);
+    if (message.type === 'internal') {
+      this.io.to(room).except(this.visitorsRoom(siteId)).emit(event, payload);
+    } else {
+      this.io.to(room).emit(event, payload);
+    }
+    this.io.to(this.agentsRoom(siteId)).except(room).emit(event, payload);
+  }
+
+  // Conversation behind a session on the socket's site, if the socket may supervise it
+  async findSupervisedConversation(socket, event, sessionId) {
+    if (socket.userType !== 'admin' || !socket.siteId) {
+      this.emitError(socket, event, 'forbidden', 'Join a site as an agent first');
+      return null;
+    }
+
+    const site = await findAccessibleSite(socket.user, socket.siteId);
+    if (!(await canSupervise(socket.user, site))) {
+      this.emitError(socket, event, 'forbidden', 'Supervisor access required');
+      return null;
+    }
+
+    const conversation = sessionId
+      ? await this.conversationService.findForSession(socket.siteId, sessionId)
+      : null;
+    if (!conversation || conversation.status === 'closed') {
+      this.emitError(socket, event, 'not_found', 'No live conversation for this session');
+      return null;
+    }
+
+    return conversation;
+  }
+
+  // Add the assigned agent to the conversation and broadcast the change
+  async announceAssignment(siteId, conversation) {
+    const sessionId = conversation.session_id;
+    const room = this.sessionRoom(siteId, sessionId);
+    const agent = await this.getAgentProfile(conversation.assigned_agent_id);
+
+    this.io.in(this.agentRoom(conversation.assigned_agent_id)).socketsJoin(room);
+
+    this.broadcastToAgents(siteId, 'conversation_assigned', { sessionId, conversation, agent });
+    this.broadcastToSession(siteId, sessionId, 'agent_assigned', { sessionId, agent });
+  }
+
+  // Tell every queued visitor where they stand
+  async emitQueuePositions(siteId) {
+    const queue = await this.routingService.getQueue(siteId);
+
+    queue.forEach((conversation, index) => {
+      this.broadcastToSession(siteId, conversation.session_id, 'queue_position', {
+        sessionId: conversation.session_id,
+        position: index + 1,
+        queueLength: queue.length
+      });
+    });
+
+    this.broadcastToAgents(siteId, 'queue_updated', {
+      queue: queue.map(conversation => ({
+        conversationId: conversation.id,
+        sessionId: conversation.session_id,
+        queuedAt: conversation.queued_at
+      }))
+    });
+  }
+
+  // User ids of agents on a site who accept new chats (online, not away or busy)
+  async getOnlineAgentIds(siteId) {
+    return this.presence.getAvailableAgentIds(siteId);
+  }
+
+  // Public agent details shown to visitors and teammates
+  async getAgentProfile(userId) {
+    const user = await this.userModel.findById(userId);
+    return user ? { id: user.id, name: user.name } : null;
+  }
+
+  // Room shared by a visitor and the agents handling their conversation
+  sessionRoom(siteId, sessionId) {
+    return `session_${siteId}_${sessionId}`;
+  }
+
+  // Agents-only room for site-wide inbox updates
+  agentsRoom(siteId) {
+    return `agents_${siteId}`;
+  }
+
+  // Every connected socket of one agent
+  agentRoom(userId) {
+    return `agent_${userId}`;
+  }
+
+  // Every visitor on a site
+  visitorsRoom(siteId) {
+    return `visitors_${siteId}`;
+  }
+
+  // Emit a structured error back to the client that triggered `event`
+  emitError(socket, event, error, message) {
+    socket.emit('error', { event, error, message });
+  }
+
   // Get active sessions for a site
   getActiveSessions(siteId) {
     return Array.from(this.activeSessions.entries())
@@ -177,21 +1026,22 @@ export default class SocketService {
 
   // Broadcast to specific session
   broadcastToSession(siteId, sessionId, event, data) {
-    const room = `site_${siteId}`;
-    this.io.to(room).emit(event, {
-      ...data,
-      targetSessionId: sessionId
-    });
+    this.io.to(this.sessionRoom(siteId, sessionId)).emit(event, data);
+  }
+
+  // Broadcast to every agent watching a site
+  broadcastToAgents(siteId, event, data) {
+    this.io.to(this.agentsRoom(siteId)).emit(event, data);
   }
 
   // Get room stats
   getRoomStats(siteId) {
-    const room = `site_${siteId}`;
+    const room = this.agentsRoom(siteId);
     const sockets = this.io.sockets.adapter.rooms.get(room);
     
     return {
       room,
-      connectedUsers: sockets ? sockets.size : 0,
+      connectedAgents: sockets ? sockets.size : 0,
       activeSessions: this.getActiveSessions(siteId).length
     };
   }
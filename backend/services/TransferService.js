@@ -0,0 +1,120 @@
+/**
+ * Transfer Service - hands conversations between agents and departments
+ * Updates the conversation owner and records the transfer history
+ */
+import ConversationModel from '../models/ConversationModel.js';
+import ConversationTransferModel from '../models/ConversationTransferModel.js';
+import DepartmentModel from '../models/DepartmentModel.js';
+import SiteModel from '../models/SiteModel.js';
+import UserModel from '../models/UserModel.js';
+import RoutingService from './RoutingService.js';
+import { findAccessibleSite } from '../middlewares/socketAuth.js';
+import {
+  SiteNotFoundError,
+  ConversationNotFoundError,
+  AgentAtCapacityError,
+  ConversationClosedError,
+  DepartmentNotFoundError,
+  AgentNotFoundError,
+  AgentNotInDepartmentError,
+  TransferTargetRequiredError
+} from '../utils/ApiError.js';
+
+export default class TransferService {
+  constructor() {
+    this.conversationModel = new ConversationModel();
+    this.transferModel = new ConversationTransferModel();
+    this.departmentModel = new DepartmentModel();
+    this.siteModel = new SiteModel();
+    this.userModel = new UserModel();
+    this.routingService = new RoutingService();
+  }
+
+  // Transfer a conversation to an agent, a department, or an agent within a department;
+  // `ignoreCapacity` lets a supervisor take over even when at their chat limit
+  async transfer(siteId, conversationId, { agentId = null, departmentId = null, note = null, ignoreCapacity = false }, transferredBy) {
+    if (!agentId && !departmentId) {
+      throw new TransferTargetRequiredError();
+    }
+
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+
+    const conversation = await this.conversationModel.findForSite(site.id, conversationId);
+    if (!conversation) {
+      throw new ConversationNotFoundError();
+    }
+    if (conversation.status === 'closed') {
+      throw new ConversationClosedError();
+    }
+
+    let department = null;
+    if (departmentId) {
+      department = await this.departmentModel.findForSite(site.id, departmentId);
+      if (!department) {
+        throw new DepartmentNotFoundError();
+      }
+    }
+
+    let agent = null;
+    if (agentId) {
+      agent = await this.userModel.findById(agentId);
+      if (!agent || !(await findAccessibleSite(agent, siteId))) {
+        throw new AgentNotFoundError();
+      }
+      if (department && !(await this.departmentModel.hasAgent(department.id, agent.id))) {
+        throw new AgentNotInDepartmentError();
+      }
+
+      const available = await this.routingService.getAvailableAgents(site, [agent.id]);
+      if (!ignoreCapacity && available.length === 0 && conversation.assigned_agent_id !== agent.id) {
+        throw new AgentAtCapacityError();
+      }
+    }
+
+    const departmentUpdate = department ? { department_id: department.id } : {};
+    let updated;
+    if (agent) {
+      await this.conversationModel.assign(conversation.id, agent.id);
+      updated = await this.conversationModel.update(conversation.id, departmentUpdate);
+    } else {
+      // Department-only transfers go back through routing within that department
+      updated = await this.conversationModel.unassign(conversation.id, departmentUpdate);
+    }
+
+    const transfer = await this.transferModel.record({
+      conversation_id: conversation.id,
+      from_agent_id: conversation.assigned_agent_id,
+      to_agent_id: agent ? agent.id : null,
+      from_department_id: conversation.department_id,
+      to_department_id: department ? department.id : conversation.department_id,
+      transferred_by: transferredBy,
+      note
+    });
+
+    return {
+      conversation: updated,
+      transfer,
+      fromAgentId: conversation.assigned_agent_id,
+      agent: agent ? { id: agent.id, name: agent.name } : null,
+      department: department ? { id: department.id, name: department.name } : null
+    };
+  }
+
+  // Transfer history for a conversation
+  async getTransfers(siteId, conversationId) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+
+    const conversation = await this.conversationModel.findForSite(site.id, conversationId);
+    if (!conversation) {
+      throw new ConversationNotFoundError();
+    }
+
+    return this.transferModel.getConversationTransfers(conversation.id);
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * Visitor Identity Service - recognises returning visitors
+ * /api/widget/visit hands out a signed visitor token that the widget keeps in a first-party cookie and
+ * localStorage. The token identifies the visitor on later visits; the fingerprint is only a fallback for
+ * legacy visitors recorded before tokens existed, and never reopens their conversations. Merging moves one visitor's conversations and history to another.
+ * Sites can also identify their logged-in users: the customer's server signs the user data with the site's
+ * identity secret (HMAC-SHA256), and every device of that user becomes the same visitor
+ */
+import crypto from 'crypto';
+import SiteModel from '../models/SiteModel.js';
+import VisitorModel from '../models/VisitorModel.js';
+import TokenManager from '../utils/TokenManager.js';
+import {
+  SiteNotFoundError,
+  InvalidIdentityError,
+  IdentityExpiredError,
+  IdentityDisabledError,
+  MergeNotAllowedError
+} from '../utils/ApiError.js';
+
+// Fields copied from a merged visitor when the visitor it is merged into has none
+const MERGED_FIELDS = ['name', 'email', 'prechat_data', 'prechat_submitted_at', 'contact_id'];
+const LOCATION_FIELDS = ['country', 'region', 'city', 'timezone', 'located_ip', 'located_at'];
+const JSON_FIELDS = ['prechat_data', 'user_attributes'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_USER_DATA_LENGTH = 8000;
+const MAX_ATTRIBUTES = 50;
+const MAX_ATTRIBUTE_KEY_LENGTH = 50;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 500;
+
+// Copy of a visitor field for an update (JSON columns come back parsed on some drivers)
+function copyField(visitor, field) {
+  const value = visitor[field];
+  return JSON_FIELDS.includes(field) && value && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+export default class VisitorIdentityService {
+  constructor() {
+    this.siteModel = new SiteModel();
+    this.visitorModel = new VisitorModel();
+  }
+
+  // Identity verification settings of a site record; without a secret sites cannot identify users
+  getIdentitySettings(site) {
+    const identity = this.siteModel.getSettings(site).identity || {};
+    return {
+      enabled: !!identity.secret,
+      secret: identity.secret || null,
+      rotatedAt: identity.rotatedAt || null
+    };
+  }
+
+  // Create a new identity secret for a site; user data signed with the previous one stops verifying
+  async rotateIdentitySecret(siteId) {
+    const site = await this.siteModel.updateSettings(siteId, 'identity', {
+      secret: crypto.randomBytes(32).toString('hex'),
+      rotatedAt: new Date().toISOString()
+    });
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return this.getIdentitySettings(site);
+  }
+
+  // Remove the identity secret of a site, turning identification off
+  async disableIdentity(siteId) {
+    const site = await this.siteModel.updateSettings(siteId, 'identity', { secret: null, rotatedAt: null });
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+    return this.getIdentitySettings(site);
+  }
+
+  // Check signed user data from the customer's site: `user` is a JSON string and `signature` its hex HMAC-SHA256
+  // with the site's identity secret. Returns the user's account id and attributes
+  verifyIdentity(site, { user, signature } = {}) {
+    const { secret } = this.getIdentitySettings(site);
+    if (!secret) {
+      throw new IdentityDisabledError();
+    }
+    if (typeof user !== 'string' || user.length > MAX_USER_DATA_LENGTH || typeof signature !== 'string') {
+      throw new InvalidIdentityError();
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(user).digest('hex'));
+    const given = Buffer.from(signature.trim().toLowerCase());
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new InvalidIdentityError();
+    }
+
+    let data;
+    try {
+      data = JSON.parse(user);
+    } catch (error) {
+      throw new InvalidIdentityError();
+    }
+    return this.normalizeUser(data);
+  }
+
+  // Check the fields of verified user data
+  normalizeUser(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new InvalidIdentityError();
+    }
+
+    const { id, email, name, attributes, expiresAt } = data;
+    const externalId = typeof id === 'number' || typeof id === 'string' ? String(id).trim() : '';
+    if (!externalId || externalId.length > 255) {
+      throw new InvalidIdentityError();
+    }
+    if (email !== undefined && email !== null &&
+      (typeof email !== 'string' || email.trim().length > 255 || !EMAIL_PATTERN.test(email.trim()))) {
+      throw new InvalidIdentityError();
+    }
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > 255)) {
+      throw new InvalidIdentityError();
+    }
+
+    // Signed data may be given an expiry (unix seconds) so a copied snippet stops working
+    if (expiresAt !== undefined && expiresAt !== null) {
+      if (typeof expiresAt !== 'number') throw new InvalidIdentityError();
+      if (expiresAt * 1000 < Date.now()) throw new IdentityExpiredError();
+    }
+
+    let userAttributes = null;
+    if (attributes !== undefined && attributes !== null) {
+      const entries = typeof attributes === 'object' && !Array.isArray(attributes) ? Object.entries(attributes) : null;
+      if (!entries || entries.length > MAX_ATTRIBUTES || entries.some(([key, value]) =>
+        key.length > MAX_ATTRIBUTE_KEY_LENGTH ||
+        !(value === null || ['number', 'boolean'].includes(typeof value) ||
+          (typeof value === 'string' && value.length <= MAX_ATTRIBUTE_VALUE_LENGTH)))) {
+        throw new InvalidIdentityError();
+      }
+      userAttributes = Object.fromEntries(entries);
+    }
+
+    return {
+      externalId,
+      email: email?.trim().toLowerCase() || null,
+      name: name?.trim() || null,
+      attributes: userAttributes
+    };
+  }
+
+  // Attach a verified user to the visitor of this browser. The user's visitor from another device takes over an
+  // anonymous visitor (merging its history); a visitor already identified as someone else is left alone
+  async identifyUser(site, visitor, user, mergedVisitorIds = []) {
+    const existing = await this.visitorModel.resolveMerged(
+      await this.visitorModel.findOne({ site_id: site.id, external_id: user.externalId })
+    );
+    let target = visitor;
+
+    if (existing && existing.id !== visitor.id) {
+      target = existing;
+      if (!visitor.external_id) {
+        target = await this.mergeVisitors(site, existing, visitor);
+        mergedVisitorIds.push(visitor.id);
+      }
+    } else if (!existing && visitor.external_id && visitor.external_id !== user.externalId) {
+      // Another user signed in on a shared browser: they get a visitor of their own
+      target = await this.visitorModel.create({
+        site_id: site.id,
+        fingerprint: this.generateFingerprint(),
+        last_seen: new Date(),
+        token_issued_at: new Date()
+      });
+    }
+
+    return this.visitorModel.update(target.id, {
+      external_id: user.externalId,
+      ...(user.name ? { name: user.name } : {}),
+      ...(user.email ? { email: user.email } : {}),
+      ...(user.attributes ? { user_attributes: JSON.stringify(user.attributes) } : {}),
+      identified_at: new Date(),
+      last_seen: new Date()
+    });
+  }
+
+  // Visitor id of a visitor token issued for this site, or null
+  readVisitorToken(site, token) {
+    if (typeof token !== 'string' || !token) return null;
+    try {
+      const { siteId, visitorId } = TokenManager.verifyVisitorIdToken(token);
+      return siteId === site.site_id ? visitorId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A visitor of the site, as it is after any merges
+  async findVisitor(site, visitorId) {
+    const visitor = await this.visitorModel.resolveMerged(await this.visitorModel.findById(visitorId));
+    return visitor && Number(visitor.site_id) === Number(site.id) ? visitor : null;
+  }
+
+  // A visitor of the site by fingerprint, as it is after any merges
+  async findByFingerprint(site, fingerprint) {
+    if (typeof fingerprint !== 'string' || !fingerprint) return null;
+    return this.visitorModel.resolveMerged(await this.visitorModel.findOne({ site_id: site.id, fingerprint }));
+  }
+
+  // Whether a visitor may be recognised by fingerprint alone: only legacy records that were never handed a
+  // token nor identified as a user (fingerprints can be guessed or shared between browsers)
+  isLegacyVisitor(visitor) {
+    return !!visitor && !visitor.token_issued_at && !visitor.external_id;
+  }
+
+  // Placeholder fingerprint for visitors who only have a token (the column is unique per site)
+  generateFingerprint() {
+    return `vid-${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  // The visitor a browser belongs to without starting a visit: its token, else the legacy visitor of its fingerprint.
+  // Unknown browsers get no visitor here; only a visit creates one (with a token), so a stored fingerprint is never
+  // a fresh record that a later visit could claim
+  async resolveVisitor(site, { visitorToken, fingerprint }) {
+    const visitorId = this.readVisitorToken(site, visitorToken);
+    const visitor = visitorId ? await this.findVisitor(site, visitorId) : null;
+    if (visitor) return visitor;
+
+    if (!fingerprint) return null;
+    const fingerprintVisitor = await this.findByFingerprint(site, fingerprint);
+    return this.isLegacyVisitor(fingerprintVisitor) ? fingerprintVisitor : null;
+  }
+
+  // Identify the visitor of a visit and issue a fresh visitor token.
+  // A fingerprint record made before this browser held a token is merged into the token's visitor;
+  // `matchedByFingerprint` tells that the visitor was found by fingerprint alone
+  async identify(site, { visitorToken, fingerprint, identity }, visitorData = {}) {
+    // Signed user data is checked before anything is stored
+    const user = identity ? this.verifyIdentity(site, identity) : null;
+
+    const visitorId = this.readVisitorToken(site, visitorToken);
+    const tokenVisitor = visitorId ? await this.findVisitor(site, visitorId) : null;
+    const fingerprintRecord = await this.findByFingerprint(site, fingerprint);
+    const fingerprintVisitor = this.isLegacyVisitor(fingerprintRecord) ? fingerprintRecord : null;
+    const mergedVisitorIds = [];
+    let visitor = null;
+
+    if (tokenVisitor) {
+      visitor = tokenVisitor;
+      if (fingerprintVisitor && fingerprintVisitor.id !== tokenVisitor.id) {
+        visitor = await this.mergeVisitors(site, tokenVisitor, fingerprintVisitor);
+        mergedVisitorIds.push(fingerprintVisitor.id);
+      }
+    } else if (fingerprintVisitor) {
+      visitor = fingerprintVisitor;
+    }
+
+    if (visitor) {
+      visitor = await this.visitorModel.update(visitor.id, {
+        ...visitorData,
+        last_seen: new Date(),
+        ...(visitor.token_issued_at ? {} : { token_issued_at: new Date() })
+      });
+    } else {
+      visitor = await this.visitorModel.create({
+        site_id: site.id,
+        // The fingerprint is unique per site, so a browser without a token never takes over someone else's
+        fingerprint: fingerprint && !fingerprintRecord ? fingerprint : this.generateFingerprint(),
+        ...visitorData,
+        last_seen: new Date(),
+        token_issued_at: new Date()
+      });
+    }
+
+    if (user) {
+      visitor = await this.identifyUser(site, visitor, user, mergedVisitorIds);
+    }
+
+    return {
+      visitor,
+      // Re-issued on every visit so the token only expires after a long absence
+      visitorToken: TokenManager.generateVisitorIdToken({ siteId: site.site_id, visitorId: visitor.id }),
+      mergedVisitorIds,
+      matchedByFingerprint: !tokenVisitor && !!fingerprintVisitor
+    };
+  }
+
+  // Merge one visitor of a site into another: conversations, ratings, visits and page views move over,
+  // and old tokens or fingerprints of the merged visitor lead to the one it was merged into
+  async mergeVisitors(site, target, source) {
+    if (!target || !source || target.id === source.id || source.merged_into_id || target.merged_into_id ||
+      Number(target.site_id) !== Number(site.id) || Number(source.site_id) !== Number(site.id)) {
+      throw new MergeNotAllowedError();
+    }
+    // Two identified users are never the same visitor
+    if (source.external_id && target.external_id && source.external_id !== target.external_id) {
+      throw new MergeNotAllowedError();
+    }
+
+    const details = {};
+    const sourceChanges = {};
+    for (const field of MERGED_FIELDS) {
+      if (!target[field] && source[field]) {
+        details[field] = copyField(source, field);
+      }
+    }
+    // The location is kept as a whole so city and country always belong together
+    if (!target.located_at && source.located_at) {
+      for (const field of LOCATION_FIELDS) {
+        details[field] = source[field];
+      }
+    }
+    // The account id moves with the identity (it is unique per site)
+    if (source.external_id && !target.external_id) {
+      details.external_id = source.external_id;
+      details.user_attributes = copyField(source, 'user_attributes');
+      details.identified_at = source.identified_at;
+      sourceChanges.external_id = null;
+    }
+
+    return this.visitorModel.mergeInto(source, target, details, sourceChanges);
+  }
+}
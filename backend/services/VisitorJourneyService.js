@@ -0,0 +1,218 @@
+/**
+ * Visitor Journey Service - page views, visits and what a visitor is looking at right now
+ * The widget reports `page_view` on every page, `heartbeat` while the page stays open and `page_leave` when it
+ * closes. Thirty minutes without activity ends a visit; the next page view starts a new one
+ */
+import VisitorModel from '../models/VisitorModel.js';
+import VisitorSessionModel from '../models/VisitorSessionModel.js';
+import PageViewModel from '../models/PageViewModel.js';
+import { InvalidActivityError, VisitorNotFoundError } from '../utils/ApiError.js';
+
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+const UTM_KEYS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_URL_LENGTH = 2000;
+const MAX_TITLE_LENGTH = 500;
+
+// Parse an http(s) URL, or null
+function parseUrl(value) {
+  if (typeof value !== 'string' || !value || value.length > MAX_URL_LENGTH) return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export default class VisitorJourneyService {
+  constructor() {
+    this.visitorModel = new VisitorModel();
+    this.sessionModel = new VisitorSessionModel();
+    this.pageViewModel = new PageViewModel();
+  }
+
+  // Check a reported page and pull out its path and UTM parameters
+  normalizePage({ url, title, referrer }) {
+    const parsed = parseUrl(url);
+    if (!parsed || (title !== undefined && title !== null && typeof title !== 'string')) {
+      throw new InvalidActivityError();
+    }
+
+    const utm = {};
+    for (const key of UTM_KEYS) {
+      const value = parsed.searchParams.get(`utm_${key}`);
+      if (value) utm[key] = value.slice(0, 200);
+    }
+
+    return {
+      url: parsed.href,
+      path: (parsed.pathname + parsed.search).slice(0, 500),
+      title: title?.trim().slice(0, MAX_TITLE_LENGTH) || null,
+      // An unreadable referrer is dropped rather than rejecting the page view
+      referrer: parseUrl(referrer)?.href || null,
+      utm: Object.keys(utm).length > 0 ? utm : null
+    };
+  }
+
+  // Chat session ids end with the visitor id (see WidgetService.generateSessionId)
+  isVisitorChatSession(visitor, sessionId) {
+    return typeof sessionId === 'string' && sessionId.length <= 100 &&
+      sessionId.endsWith(`-${visitor.id.toString(36)}`);
+  }
+
+  // The visitor's ongoing visit; a visit idle for too long is closed at its last activity
+  async getActiveSession(visitorId, at) {
+    const session = await this.sessionModel.findLatest(visitorId);
+    if (!session || session.ended_at) return null;
+
+    if (at - new Date(session.last_activity_at) < SESSION_TIMEOUT_MS) {
+      return session;
+    }
+
+    const current = await this.pageViewModel.findCurrent(visitorId);
+    if (current) {
+      await this.pageViewModel.leave(current, current.last_seen_at);
+    }
+    await this.sessionModel.end(session);
+    return null;
+  }
+
+  // Record a widget activity report; returns the current page and whether it changed (null for other activities)
+  async recordActivity(site, visitor, activity = {}, chatSessionId = null) {
+    const at = new Date();
+    const chatSession = this.isVisitorChatSession(visitor, chatSessionId) ? chatSessionId : null;
+
+    switch (activity?.type) {
+      case 'page_view': {
+        const page = this.normalizePage(activity);
+        let session = await this.getActiveSession(visitor.id, at);
+
+        // Moving to another page ends the time on the previous one
+        const previous = await this.pageViewModel.findCurrent(visitor.id);
+        if (previous) {
+          await this.pageViewModel.leave(previous, at);
+        }
+
+        if (!session) {
+          session = await this.sessionModel.start({
+            site_id: site.id,
+            visitor_id: visitor.id,
+            chat_session_id: chatSession,
+            landing_page: page.url,
+            referrer: page.referrer,
+            utm: page.utm,
+            started_at: at,
+            last_activity_at: at
+          });
+        }
+
+        const pageView = await this.pageViewModel.record({
+          site_id: site.id,
+          visitor_id: visitor.id,
+          visitor_session_id: session.id,
+          ...page,
+          viewed_at: at,
+          last_seen_at: at
+        });
+        await this.sessionModel.touch(session.id, { at, pageView: true, chatSessionId: chatSession });
+
+        return { currentPage: this.formatPageView(pageView), changed: true };
+      }
+
+      case 'heartbeat': {
+        const session = await this.getActiveSession(visitor.id, at);
+        if (!session) {
+          return { currentPage: null, changed: false };
+        }
+
+        await this.sessionModel.touch(session.id, { at, chatSessionId: chatSession });
+        const current = await this.pageViewModel.findCurrent(visitor.id);
+        return {
+          currentPage: current ? this.formatPageView(await this.pageViewModel.touch(current.id, at)) : null,
+          changed: false
+        };
+      }
+
+      case 'page_leave': {
+        const session = await this.getActiveSession(visitor.id, at);
+        const current = session ? await this.pageViewModel.findCurrent(visitor.id) : null;
+        if (!current) {
+          return { currentPage: null, changed: false };
+        }
+
+        await this.pageViewModel.leave(current, at);
+        await this.sessionModel.touch(session.id, { at, chatSessionId: chatSession });
+        return { currentPage: null, changed: true };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Page view as returned by the API; an open page counts time until its last heartbeat
+  formatPageView(pageView) {
+    const end = pageView.left_at || pageView.last_seen_at;
+    return {
+      id: pageView.id,
+      url: pageView.url,
+      path: pageView.path,
+      title: pageView.title,
+      referrer: pageView.referrer,
+      utm: pageView.utm,
+      viewedAt: pageView.viewed_at,
+      leftAt: pageView.left_at,
+      timeOnPageSeconds: pageView.duration_seconds ??
+        Math.max(0, Math.round((new Date(end) - new Date(pageView.viewed_at)) / 1000))
+    };
+  }
+
+  // A visitor's recent visits with their page views, newest visit first
+  async getTimeline(site, visitorId, limit = 10) {
+    const visitor = await this.visitorModel.findById(visitorId);
+    if (!visitor || Number(visitor.site_id) !== Number(site.id)) {
+      throw new VisitorNotFoundError();
+    }
+
+    const sessions = await this.sessionModel.getVisitorSessions(visitor.id, limit);
+    const pageViews = await this.pageViewModel.getSessionPageViews(sessions.map(session => session.id));
+    const now = new Date();
+
+    const timeline = sessions.map((session) => {
+      // A visit nobody has closed yet ends by itself once it has been idle too long
+      const idle = now - new Date(session.last_activity_at) >= SESSION_TIMEOUT_MS;
+      const endedAt = session.ended_at || (idle ? session.last_activity_at : null);
+
+      return {
+        id: session.id,
+        chatSessionId: session.chat_session_id,
+        landingPage: session.landing_page,
+        referrer: session.referrer,
+        utm: session.utm,
+        pageCount: session.page_count,
+        startedAt: session.started_at,
+        lastActivityAt: session.last_activity_at,
+        endedAt,
+        active: !endedAt,
+        pageViews: pageViews
+          .filter(pageView => pageView.visitor_session_id === session.id)
+          .map(pageView => this.formatPageView(pageView))
+      };
+    });
+
+    const activeSession = timeline.find(session => session.active);
+    const currentPage = activeSession?.pageViews.find(pageView => !pageView.leftAt) || null;
+
+    return {
+      visitor: {
+        id: visitor.id,
+        name: visitor.name || null,
+        email: visitor.email || null,
+        firstSeen: visitor.created_at,
+        lastSeen: visitor.last_seen
+      },
+      currentPage,
+      sessions: timeline
+    };
+  }
+}
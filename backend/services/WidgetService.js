@@ -5,20 +5,35 @@
 import SiteModel from '../models/SiteModel.js';
 import VisitorModel from '../models/VisitorModel.js';
 import PaymentModel from '../models/PaymentModel.js';
+import TokenManager from '../utils/TokenManager.js';
+import ConversationModel from '../models/ConversationModel.js';
+import PrechatService from './PrechatService.js';
+import BusinessHoursService from './BusinessHoursService.js';
+import VisitorJourneyService from './VisitorJourneyService.js';
+import GeoIpService from './GeoIpService.js';
+import VisitorIdentityService from './VisitorIdentityService.js';
+import { SiteNotFoundError, VisitorNotFoundError } from '../utils/ApiError.js';
 
 export default class WidgetService {
   constructor() {
     this.siteModel = new SiteModel();
     this.visitorModel = new VisitorModel();
     this.paymentModel = new PaymentModel();
+    this.conversationModel = new ConversationModel();
+    this.prechatService = new PrechatService();
+    this.businessHoursService = new BusinessHoursService();
+    this.journeyService = new VisitorJourneyService();
+    this.geoIpService = new GeoIpService();
+    this.identityService = new VisitorIdentityService();
   }
 
-  // Process visitor visit
-  async processVisit(siteId, fingerprint, visitorData) {
+  // Process visitor visit; the visitor token from an earlier visit identifies the visitor, else the fingerprint.
+  // Signed user data (`identity`) from the customer's site turns the visitor into that user
+  async processVisit(siteId, { visitorToken, fingerprint, identity }, visitorData) {
     // Find site
     const site = await this.siteModel.findBySiteId(siteId);
     if (!site) {
-      throw new Error('Site not found');
+      throw new SiteNotFoundError();
     }
 
     // Check if site is active
@@ -43,56 +58,115 @@ export default class WidgetService {
     }
 
     // Find or create visitor
-    const visitor = await this.visitorModel.findOrCreate(
-      site.id,
-      fingerprint,
+    const identification = await this.identityService.identify(
+      site,
+      { visitorToken, fingerprint, identity },
       {
         ip_address: visitorData.ip,
         meta: JSON.stringify({
           userAgent: visitorData.userAgent,
           referrer: visitorData.referrer,
           page: visitorData.page
-        }),
-        last_seen: new Date()
+        })
       }
     );
+    let visitor = identification.visitor;
 
-    // Generate session ID for this visit
-    const sessionId = this.generateSessionId(visitor.id);
+    // Country, region, city and timezone from the local GeoIP database (when configured)
+    visitor = await this.geoIpService.enrichVisitor(visitor);
+
+    // A visitor who left a message continues that thread; otherwise this visit gets a new session.
+    // A fingerprint match alone is not enough to reopen a conversation
+    const resumable = identification.matchedByFingerprint
+      ? null
+      : await this.conversationModel.findResumable(site.id, visitor.id);
+    const sessionId = resumable ? resumable.session_id : this.generateSessionId(visitor.id);
+
+    // Signed token the widget presents in the Socket.IO handshake
+    const sessionToken = TokenManager.generateVisitorSessionToken({
+      siteId,
+      sessionId,
+      visitorId: visitor.id
+    });
 
     return {
       status: 'ok',
       siteStatus: site.status,
       sessionId,
+      sessionToken,
+      resumed: !!resumable,
+      // Kept by the widget (cookie and localStorage) and sent back as visitorToken on the next visit
+      visitorToken: identification.visitorToken,
       visitor: {
         id: visitor.id,
         fingerprint: visitor.fingerprint,
-        lastSeen: visitor.last_seen
+        mergedVisitorIds: identification.mergedVisitorIds,
+        identified: !!visitor.identified_at,
+        lastSeen: visitor.last_seen,
+        // Returning visitors who already filled in the pre-chat form skip it
+        prechatSubmitted: !!visitor.prechat_submitted_at
       }
     };
   }
 
+  // Identify the visitor of a running chat session (e.g. after logging in on the customer's site).
+  // The session's conversation follows the user; the widget gets new tokens for the identified visitor
+  async identifySession(siteId, sessionId, visitorId, identity) {
+    const site = await this.siteModel.findBySiteId(siteId);
+    if (!site) {
+      throw new SiteNotFoundError();
+    }
+
+    const user = this.identityService.verifyIdentity(site, identity);
+    const current = await this.identityService.findVisitor(site, visitorId);
+    if (!current) {
+      throw new VisitorNotFoundError();
+    }
+
+    const mergedVisitorIds = [];
+    const visitor = await this.identityService.identifyUser(site, current, user, mergedVisitorIds);
+
+    const conversation = await this.conversationModel.findBySession(site.id, sessionId);
+    if (conversation && Number(conversation.visitor_id) !== Number(visitor.id)) {
+      await this.conversationModel.update(conversation.id, { visitor_id: visitor.id, updated_at: new Date() });
+    }
+
+    return {
+      sessionToken: TokenManager.generateVisitorSessionToken({ siteId, sessionId, visitorId: visitor.id }),
+      visitorToken: TokenManager.generateVisitorIdToken({ siteId, visitorId: visitor.id }),
+      visitor,
+      mergedVisitorIds
+    };
+  }
+
   // Get site configuration for widget
   async getSiteConfig(siteId) {
     const site = await this.siteModel.findBySiteId(siteId);
     if (!site) {
-      throw new Error('Site not found');
+      throw new SiteNotFoundError();
     }
 
     return {
       siteId: site.site_id,
       domain: site.domain,
       status: site.status,
-      createdAt: site.created_at
+      createdAt: site.created_at,
+      prechat: await this.prechatService.getPublicForm(site),
+      // open, closesAt and nextOpenAt in the site's schedule (always open without one)
+      businessHours: this.businessHoursService.getSiteStatus(site)
     };
   }
 
   // Track visitor activity
-  async trackActivity(siteId, fingerprint, activity) {
+  async trackActivity(siteId, { visitorToken, fingerprint }, activity, chatSessionId = null) {
     const site = await this.siteModel.findBySiteId(siteId);
-    if (!site) return null;
+    if (!site) return { visitor: null, journey: null };
+
+    const visitor = await this.identityService.resolveVisitor(site, { visitorToken, fingerprint });
+    if (!visitor) return { visitor: null, journey: null };
 
-    const visitor = await this.visitorModel.findOrCreate(site.id, fingerprint);
+    // Page views, heartbeats and page leaves also go to the visitor's journey
+    const journey = await this.journeyService.recordActivity(site, visitor, activity, chatSessionId);
     
     // Update visitor metadata with activity
     await this.visitorModel.updateMeta(visitor.id, {
@@ -100,7 +174,7 @@ export default class WidgetService {
       lastSeen: new Date()
     });
 
-    return visitor;
+    return { visitor, journey };
   }
 
   // Get widget status
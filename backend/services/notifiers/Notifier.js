@@ -0,0 +1,10 @@
+/**
+ * Notifier - how email notifications leave the server
+ * Implemented by SmtpNotifier and StubNotifier; a mail is { to, subject, text, replyTo, headers }
+ */
+export default class Notifier {
+  // Send one email
+  async send(mail) {
+    throw new Error('Not implemented');
+  }
+}
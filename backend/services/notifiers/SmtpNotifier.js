@@ -0,0 +1,44 @@
+/**
+ * SMTP Notifier - sends email through an SMTP server
+ * Needs the optional `nodemailer` package (npm install nodemailer)
+ */
+import Notifier from './Notifier.js';
+
+export default class SmtpNotifier extends Notifier {
+  constructor({ host, port, secure, user, pass, from }) {
+    super();
+    if (!host) {
+      throw new Error('SMTP_HOST is required for the SMTP notifier');
+    }
+
+    this.options = {
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    };
+    this.from = from;
+    this.transport = null;
+  }
+
+  // Get the nodemailer transport, loading nodemailer on first use
+  async getTransport() {
+    if (!this.transport) {
+      let nodemailer;
+      try {
+        nodemailer = (await import('nodemailer')).default;
+      } catch (error) {
+        throw new Error('The SMTP notifier requires the nodemailer package');
+      }
+
+      this.transport = nodemailer.createTransport(this.options);
+    }
+    return this.transport;
+  }
+
+  // Send one email
+  async send({ to, subject, text, replyTo, headers }) {
+    const transport = await this.getTransport();
+    await transport.sendMail({ from: this.from, to, subject, text, replyTo, headers });
+  }
+}
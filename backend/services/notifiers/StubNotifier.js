@@ -0,0 +1,24 @@
+/**
+ * Stub Notifier - keeps emails in memory and logs them instead of sending
+ * Used for development and tests; `outbox` holds every mail "sent" since startup
+ */
+import Notifier from './Notifier.js';
+
+const MAX_OUTBOX = 100;
+
+export default class StubNotifier extends Notifier {
+  constructor({ from }) {
+    super();
+    this.from = from;
+    this.outbox = [];
+  }
+
+  // Record one email
+  async send(mail) {
+    this.outbox.push({ from: this.from, ...mail, sentAt: new Date() });
+    if (this.outbox.length > MAX_OUTBOX) {
+      this.outbox.shift();
+    }
+    console.log(`📧 [stub] ${mail.subject} -> ${mail.to}`);
+  }
+}
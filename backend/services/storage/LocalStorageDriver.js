@@ -0,0 +1,41 @@
+/**
+ * Local Storage Driver - attachment files on the server's disk
+ * Served by server.js under /uploads
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import StorageDriver from './StorageDriver.js';
+
+export default class LocalStorageDriver extends StorageDriver {
+  constructor({ directory, publicUrl }) {
+    super();
+    this.directory = path.resolve(directory);
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  // Absolute path of a key, refusing anything that escapes the upload directory
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  // Store a file under a key
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  // Remove a stored file
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  // Public URL of a stored file
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
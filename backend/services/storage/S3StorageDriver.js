@@ -0,0 +1,66 @@
+/**
+ * S3 Storage Driver - attachment files in an S3-compatible bucket
+ * Needs the optional `@aws-sdk/client-s3` package (npm install @aws-sdk/client-s3)
+ */
+import StorageDriver from './StorageDriver.js';
+
+export default class S3StorageDriver extends StorageDriver {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) {
+    super();
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for S3 upload storage');
+    }
+
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = endpoint;
+    this.credentials = accessKeyId ? { accessKeyId, secretAccessKey } : undefined;
+    this.publicUrl = (publicUrl || (endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+    this.client = null;
+  }
+
+  // Get the SDK client, loading the SDK on first use
+  async getClient() {
+    if (!this.client) {
+      let sdk;
+      try {
+        sdk = await import('@aws-sdk/client-s3');
+      } catch (error) {
+        throw new Error('S3 upload storage requires the @aws-sdk/client-s3 package');
+      }
+
+      this.sdk = sdk;
+      this.client = new sdk.S3Client({
+        region: this.region,
+        endpoint: this.endpoint,
+        forcePathStyle: !!this.endpoint, // Most S3-compatible services expect bucket/key paths
+        credentials: this.credentials
+      });
+    }
+    return this.client;
+  }
+
+  // Store a file under a key
+  async put(key, buffer, contentType) {
+    const client = await this.getClient();
+    await client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  // Remove a stored file
+  async remove(key) {
+    const client = await this.getClient();
+    await client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  // Public URL of a stored file
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
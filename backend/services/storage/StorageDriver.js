@@ -0,0 +1,20 @@
+/**
+ * Storage Driver - where uploaded attachment files are kept
+ * Implemented by LocalStorageDriver and S3StorageDriver; keys are relative paths like `<siteId>/<file>`
+ */
+export default class StorageDriver {
+  // Store a file under a key
+  async put(key, buffer, contentType) {
+    throw new Error('Not implemented');
+  }
+
+  // Remove a stored file (missing files are ignored)
+  async remove(key) {
+    throw new Error('Not implemented');
+  }
+
+  // Public URL of a stored file
+  getUrl(key) {
+    throw new Error('Not implemented');
+  }
+}
@@ -0,0 +1,76 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import authGuard from '../middlewares/authGuard.js';
+import socketAuth from '../middlewares/socketAuth.js';
+import AuthService from '../services/AuthService.js';
+import TokenManager from '../utils/TokenManager.js';
+
+const user = { id: 7, email: 'agent@example.com', role: 'user' };
+
+// Run authGuard with a bearer token; returns the status it sent, or 'next'
+function runAuthGuard(token) {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  let outcome;
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  authGuard(req, res, () => {
+    outcome = 'next';
+  });
+  return { outcome, req };
+}
+
+// Run the socket handshake with a dashboard token; returns the error or the socket
+function runSocketAuth(token) {
+  const socket = { handshake: { auth: { token } } };
+  let result;
+  socketAuth(socket, (error) => {
+    result = error || socket;
+  });
+  return result;
+}
+
+test('dashboard tokens pass the auth guard', () => {
+  const { outcome, req } = runAuthGuard(new AuthService().generateToken(user));
+  assert.equal(outcome, 'next');
+  assert.equal(req.user.id, user.id);
+  assert.equal(req.user.aud, 'dashboard');
+});
+
+test('dashboard tokens signed before the audience was added stay valid', () => {
+  const token = jwt.sign({ id: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  assert.equal(runAuthGuard(token).outcome, 'next');
+  assert.equal(TokenManager.verifyToken(token).id, user.id);
+});
+
+test('visitor id tokens get a 401 from the auth guard', () => {
+  const token = TokenManager.generateVisitorIdToken({ siteId: 'site-1', visitorId: 7 });
+  assert.equal(runAuthGuard(token).outcome, 401);
+});
+
+test('widget session tokens get a 401 from the auth guard', () => {
+  const token = TokenManager.generateVisitorSessionToken({ siteId: 'site-1', sessionId: 'session-1', visitorId: 7 });
+  assert.equal(runAuthGuard(token).outcome, 401);
+});
+
+test('TokenManager only verifies dashboard tokens', () => {
+  assert.equal(TokenManager.verifyToken(TokenManager.generateToken(user)).id, user.id);
+  assert.throws(() => TokenManager.verifyToken(TokenManager.generateVisitorIdToken({ siteId: 'site-1', visitorId: 7 })));
+});
+
+test('the socket handshake only treats dashboard tokens as agents', () => {
+  const agent = runSocketAuth(TokenManager.generateToken(user));
+  assert.equal(agent.userType, 'admin');
+
+  const visitor = runSocketAuth(TokenManager.generateVisitorIdToken({ siteId: 'site-1', visitorId: 7 }));
+  assert.ok(visitor instanceof Error);
+  assert.equal(visitor.data.error, 'invalid_token');
+});
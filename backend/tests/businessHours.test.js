@@ -0,0 +1,65 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BusinessHoursService from '../services/BusinessHoursService.js';
+
+const service = new BusinessHoursService();
+
+const weekdays = [{ open: '09:00', close: '17:00' }];
+
+// New York switches to daylight time on 2026-03-08 and back on 2026-11-01
+function schedule(overrides = {}) {
+  return {
+    enabled: true,
+    timezone: 'America/New_York',
+    weekly: { monday: weekdays, tuesday: weekdays, wednesday: weekdays, thursday: weekdays, friday: weekdays },
+    holidays: [],
+    ...overrides
+  };
+}
+
+test('a disabled schedule is always open', () => {
+  assert.deepEqual(service.getStatus(schedule({ enabled: false }), new Date('2026-03-08T07:00:00Z')), {
+    open: true, closesAt: null, nextOpenAt: null
+  });
+});
+
+test('open hours follow standard time before the change', () => {
+  const status = service.getStatus(schedule(), new Date('2026-03-06T15:30:00Z'));
+  assert.equal(status.open, true);
+  assert.equal(status.closesAt.toISOString(), '2026-03-06T22:00:00.000Z');
+});
+
+test('the next opening after the spring change uses daylight time', () => {
+  const status = service.getStatus(schedule(), new Date('2026-03-07T12:00:00Z'));
+  assert.equal(status.open, false);
+  assert.equal(status.nextOpenAt.toISOString(), '2026-03-09T13:00:00.000Z');
+
+  // 08:30 local on the Monday is 12:30Z, still before opening
+  assert.equal(service.getStatus(schedule(), new Date('2026-03-09T12:30:00Z')).open, false);
+  assert.equal(service.getStatus(schedule(), new Date('2026-03-09T13:00:00Z')).open, true);
+});
+
+test('the next opening after the autumn change uses standard time', () => {
+  // Friday 17:00 daylight time is 21:00Z
+  const status = service.getStatus(schedule(), new Date('2026-10-30T21:30:00Z'));
+  assert.equal(status.open, false);
+  assert.equal(status.nextOpenAt.toISOString(), '2026-11-02T14:00:00.000Z');
+});
+
+test('a closed holiday moves the next opening to the following day', () => {
+  const status = service.getStatus(
+    schedule({ holidays: [{ date: '2026-03-09', name: 'Closed', hours: [] }] }),
+    new Date('2026-03-07T12:00:00Z')
+  );
+  assert.equal(status.nextOpenAt.toISOString(), '2026-03-10T13:00:00.000Z');
+});
+
+test('business time across the skipped hour counts real time', () => {
+  // 01:00 to 04:00 on the night the clocks jump from 02:00 to 03:00 is two hours
+  const night = schedule({ weekly: { sunday: [{ open: '01:00', close: '04:00' }] } });
+  assert.equal(
+    service.businessTimeBetween(night, '2026-03-07T12:00:00Z', '2026-03-08T12:00:00Z'),
+    2 * 60 * 60 * 1000
+  );
+});
@@ -0,0 +1,29 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CannedResponseService from '../services/CannedResponseService.js';
+
+const service = new CannedResponseService();
+
+const context = {
+  visitor: { name: 'Ada', email: undefined },
+  agent: { name: 'Grace', email: 'grace@example.com' },
+  site: { domain: 'example.com' }
+};
+
+test('expand fills in known variables', () => {
+  assert.equal(
+    service.expand('Hi {{visitor.name}}, this is {{ agent.name }} from {{site.domain}}', context),
+    'Hi Ada, this is Grace from example.com'
+  );
+});
+
+test('expand uses the fallback for empty values', () => {
+  assert.equal(service.expand('Reply to {{visitor.email | your inbox}}', context), 'Reply to your inbox');
+  assert.equal(service.expand('Reply to {{visitor.email}}', context), 'Reply to ');
+});
+
+test('expand leaves unknown and inherited fields as written', () => {
+  assert.equal(service.expand('{{visitor.phone}}', context), '{{visitor.phone}}');
+  assert.equal(service.expand('{{visitor.constructor}} {{agent.valueOf|x}}', context), '{{visitor.constructor}} {{agent.valueOf|x}}');
+});
@@ -0,0 +1,51 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import ConversationService from '../services/ConversationService.js';
+import MessageModel from '../models/MessageModel.js';
+
+let db;
+let owner;
+let site;
+
+const conversationService = new ConversationService();
+const messageModel = new MessageModel();
+
+before(async () => {
+  db = await createTestDatabase();
+  ({ user: owner, site } = await createSiteWithOwner(db));
+});
+
+after(() => db.destroy());
+
+test('listConversations counts unread visitor messages after each agent read marker', async () => {
+  const at = minutes => new Date(Date.UTC(2026, 2, 1, 9, minutes));
+  // Stored directly so each message gets the given time
+  const write = (sessionId, minutes, fields = {}) => messageModel.store.insert({
+    siteId: site.site_id,
+    sessionId,
+    sender: 'visitor',
+    type: 'message',
+    text: `At ${minutes}`,
+    timestamp: at(minutes),
+    createdAt: at(minutes),
+    updatedAt: at(minutes),
+    ...fields
+  });
+
+  const read = await conversationService.recordMessage(site.site_id, 'list-read', await write('list-read', 1));
+  await write('list-read', 2);
+  await write('list-read', 3, { sender: 'admin', agentId: owner.id });
+  await write('list-read', 4);
+  await conversationService.recordMessage(site.site_id, 'list-new', await write('list-new', 5));
+  await write('list-new', 6);
+  await conversationService.readModel.markRead(read.id, 'agent', owner.id, { readAt: at(2) });
+
+  const { conversations } = await conversationService.listConversations(site.site_id, {}, 1, 20, owner.id);
+  const unread = Object.fromEntries(conversations.map(conversation => [conversation.session_id, conversation.unreadCount]));
+  assert.deepEqual(unread, { 'list-read': 1, 'list-new': 2 });
+
+  const { conversations: withoutAgent } = await conversationService.listConversations(site.site_id);
+  assert.ok(withoutAgent.every(conversation => conversation.unreadCount === undefined));
+});
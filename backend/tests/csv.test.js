@@ -0,0 +1,46 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Csv from '../utils/Csv.js';
+
+test('parse reads quoted fields with commas, quotes and line breaks', () => {
+  const text = 'name,notes\r\n"Lovelace, Ada","Said ""hi""\nthen left"\r\nGrace,\n';
+  assert.deepEqual(Csv.parse(text), [
+    ['name', 'notes'],
+    ['Lovelace, Ada', 'Said "hi"\nthen left'],
+    ['Grace', '']
+  ]);
+});
+
+test('parse skips a byte order mark and blank lines', () => {
+  assert.deepEqual(Csv.parse('\uFEFFemail\r\n\r\n , \r\na@example.com'), [['email'], ['a@example.com']]);
+});
+
+test('parse rejects an unterminated quote', () => {
+  assert.throws(() => Csv.parse('name\n"Ada'), { message: 'Invalid CSV' });
+});
+
+test('escape quotes cells that need it', () => {
+  assert.equal(Csv.escape('plain'), 'plain');
+  assert.equal(Csv.escape('a,b'), '"a,b"');
+  assert.equal(Csv.escape('say "hi"'), '"say ""hi"""');
+  assert.equal(Csv.escape('two\nlines'), '"two\nlines"');
+  assert.equal(Csv.escape(null), '');
+  assert.equal(Csv.escape(undefined), '');
+  assert.equal(Csv.escape(42), '42');
+});
+
+test('escape defuses spreadsheet formulas but keeps phone and signed numbers', () => {
+  assert.equal(Csv.escape('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+  assert.equal(Csv.escape('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(Csv.escape('+cmd|calc'), "'+cmd|calc");
+  assert.equal(Csv.escape('\tvalue'), "'\tvalue");
+  assert.equal(Csv.escape('+1 (555) 123-4567'), '+1 (555) 123-4567');
+  assert.equal(Csv.escape('-42.5'), '-42.5');
+  assert.equal(Csv.escape(-3), '-3');
+});
+
+test('stringify output parses back to the same rows', () => {
+  const rows = [['name', 'email'], ['Lovelace, Ada', 'ada@example.com'], ['Say "hi"', '']];
+  assert.deepEqual(Csv.parse(Csv.stringify(rows)), rows);
+});
@@ -0,0 +1,70 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import errorHandler from '../middlewares/errorHandler.js';
+import {
+  ApiError,
+  SiteNotFoundError,
+  InvalidBusinessHoursError,
+  InvalidContactFilterError,
+  FileTooLargeError
+} from '../utils/ApiError.js';
+import BusinessHoursService from '../services/BusinessHoursService.js';
+import ContactService from '../services/ContactService.js';
+
+// Run the error handler quietly; returns the status and body it answered with
+function handle(err) {
+  const sent = {};
+  const res = {
+    status(code) {
+      sent.status = code;
+      return this;
+    },
+    json(body) {
+      sent.body = body;
+      return this;
+    }
+  };
+  const log = console.error;
+  console.error = () => {};
+  try {
+    errorHandler(err, { path: '/api/test' }, res, () => {});
+  } finally {
+    console.error = log;
+  }
+  return sent;
+}
+
+test('API errors answer with their status, code and client message', () => {
+  const { status, body } = handle(new FileTooLargeError());
+  assert.equal(status, 413);
+  assert.equal(body.error, 'file_too_large');
+  assert.equal(body.message, 'File exceeds the upload size limit');
+});
+
+test('API errors keep their short message and class', () => {
+  const error = new SiteNotFoundError();
+  assert.ok(error instanceof ApiError);
+  assert.ok(error instanceof Error);
+  assert.equal(error.name, 'SiteNotFoundError');
+  assert.equal(error.message, 'Site not found');
+  assert.equal(handle(error).status, 404);
+});
+
+test('services throw API errors', () => {
+  assert.throws(
+    () => new BusinessHoursService().normalizeIntervals([{ open: '17:00', close: '09:00' }]),
+    InvalidBusinessHoursError
+  );
+  assert.throws(
+    () => new ContactService().normalizeValue({ type: 'number' }, 'many', InvalidContactFilterError),
+    InvalidContactFilterError
+  );
+});
+
+test('other errors are hidden behind a 500', () => {
+  const { status, body } = handle(new Error('Site not found'));
+  assert.equal(status, 500);
+  assert.equal(body.error, 'server_error');
+  assert.equal(body.message, 'Something went wrong');
+});
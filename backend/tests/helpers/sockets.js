@@ -0,0 +1,67 @@
+/**
+ * Socket test server - a SocketService on a random local port and Socket.IO clients to talk to it
+ * Use together with createTestDatabase; close() disconnects every client and stops the server
+ */
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import SocketService from '../../services/SocketService.js';
+
+export async function startSocketServer() {
+  // SocketService logs every connection and join; that much output can garble the test runner's report in Node 20
+  const log = console.log;
+  console.log = () => {};
+
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  const socketService = new SocketService(io);
+  socketService.initialize();
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${httpServer.address().port}`;
+  const clients = [];
+
+  return {
+    socketService,
+
+    // Connect with the given handshake auth; rejects with the handshake error (its `data` holds error and message)
+    connect(auth = {}) {
+      const client = connectClient(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true });
+      clients.push(client);
+
+      return new Promise((resolve, reject) => {
+        client.once('connect', () => resolve(client));
+        client.once('connect_error', reject);
+      });
+    },
+
+    async close() {
+      clients.forEach(client => client.close());
+      clearInterval(socketService.presenceTimer);
+      await new Promise(resolve => io.close(resolve));
+      console.log = log;
+    }
+  };
+}
+
+// The next `event` a client receives; rejects after `timeout` ms
+export function nextEvent(client, event, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, onEvent);
+      reject(new Error(`No ${event} event within ${timeout}ms`));
+    }, timeout);
+    function onEvent(data) {
+      clearTimeout(timer);
+      resolve(data);
+    }
+    client.once(event, onEvent);
+  });
+}
+
+// Every `event` a client receives from now on, in order
+export function collectEvents(client, event) {
+  const received = [];
+  client.on(event, data => received.push(data));
+  return received;
+}
@@ -0,0 +1,96 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import { startSocketServer, nextEvent, collectEvents } from './helpers/sockets.js';
+import MessageModel from '../models/MessageModel.js';
+import TokenManager from '../utils/TokenManager.js';
+import { getChatHistory } from '../controllers/widgetController.js';
+
+let db;
+let server;
+let owner;
+let site;
+let first;
+
+const messageModel = new MessageModel();
+const sessionId = 'session-notes';
+
+function send(fields) {
+  return messageModel.create({ siteId: site.site_id, sessionId, timestamp: new Date(), ...fields });
+}
+
+// Answer GET /api/widget/history for the session's visitor; returns the response body
+async function fetchHistory(query = {}) {
+  let body;
+  let failure;
+  const req = { visitorSession: { siteId: site.site_id, sessionId, visitorId: 1 }, query };
+  const res = {
+    json(data) {
+      body = data;
+      return this;
+    }
+  };
+  await getChatHistory(req, res, error => { failure = error; });
+  if (failure) throw failure;
+  return body;
+}
+
+before(async () => {
+  db = await createTestDatabase();
+  ({ user: owner, site } = await createSiteWithOwner(db));
+
+  first = await send({ sender: 'visitor', type: 'message', text: 'Can I get a refund?' });
+  await send({ sender: 'admin', type: 'internal', agentId: owner.id, text: 'Check the order first' });
+  await send({ sender: 'admin', type: 'message', agentId: owner.id, text: 'Let me look into it' });
+});
+
+after(async () => {
+  await server?.close();
+  await db.destroy();
+});
+
+test('getVisitorMessages leaves out internal notes', async () => {
+  const visitorTexts = (await messageModel.getVisitorMessages(site.site_id, sessionId)).map(message => message.text);
+  assert.deepEqual(visitorTexts, ['Can I get a refund?', 'Let me look into it']);
+
+  const agentTexts = (await messageModel.getSessionMessages(site.site_id, sessionId)).map(message => message.text);
+  assert.ok(agentTexts.includes('Check the order first'));
+});
+
+test('the widget history never returns internal notes', async () => {
+  const { data } = await fetchHistory();
+  assert.deepEqual(data.messages.map(message => message.text), ['Can I get a refund?', 'Let me look into it']);
+
+  const { data: newer } = await fetchHistory({ after: String(first._id) });
+  assert.deepEqual(newer.messages.map(message => message.text), ['Let me look into it']);
+});
+
+test('internal notes sent over the socket reach the agents but not the visitor', async () => {
+  server = await startSocketServer();
+  const sessionToken = TokenManager.generateVisitorSessionToken({ siteId: site.site_id, sessionId, visitorId: 1 });
+  const visitor = await server.connect({ sessionToken });
+  const visitorHistory = nextEvent(visitor, 'chat_history');
+  visitor.emit('join_site', { siteId: site.site_id });
+  assert.ok((await visitorHistory).every(message => message.type !== 'internal'));
+
+  const agent = await server.connect({ token: TokenManager.generateToken({ id: owner.id, role: owner.role }) });
+  const agentHistory = nextEvent(agent, 'chat_history');
+  agent.emit('join_site', { siteId: site.site_id, sessionId });
+  await agentHistory;
+
+  const refused = await visitor.emitWithAck('send_message', { text: 'Pretend note', type: 'internal' });
+  assert.equal(refused.error, 'invalid_type');
+
+  const receivedByVisitor = collectEvents(visitor, 'new_message');
+  const delivered = nextEvent(agent, 'new_message');
+  const ack = await agent.emitWithAck('send_message', { sessionId, text: 'Refund approved', type: 'internal' });
+  assert.equal(ack.success, true);
+  assert.equal((await delivered).type, 'internal');
+
+  // Events reach a socket in order: once the visitor has this one, a leaked note would have arrived too
+  const marker = nextEvent(visitor, 'test_marker');
+  server.socketService.broadcastToSession(site.site_id, sessionId, 'test_marker', {});
+  await marker;
+  assert.deepEqual(receivedByVisitor, []);
+});
@@ -0,0 +1,106 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import MessageService from '../services/MessageService.js';
+import AttachmentService from '../services/AttachmentService.js';
+import MessageModel from '../models/MessageModel.js';
+
+let db;
+let owner;
+let site;
+let removedKeys;
+
+const messageModel = new MessageModel();
+const messageService = new MessageService();
+
+before(async () => {
+  db = await createTestDatabase();
+  ({ user: owner, site } = await createSiteWithOwner(db));
+
+  removedKeys = [];
+  messageService.attachmentService = new AttachmentService({
+    async remove(key) {
+      removedKeys.push(key);
+    },
+    getUrl(key) {
+      return `https://files.example.com/${key}`;
+    }
+  });
+});
+
+after(() => db.destroy());
+
+test('deleting a message clears its attachment and payload and removes the stored files', async () => {
+  const sessionId = 'session-delete';
+  const message = await messageModel.create({
+    siteId: site.site_id,
+    sessionId,
+    sender: 'admin',
+    type: 'message',
+    agentId: owner.id,
+    text: 'Here is the invoice',
+    attachment: {
+      id: '0f8b2d4e-1c3a-4b5d-8e9f-a1b2c3d4e5f6',
+      name: 'invoice.png',
+      mimeType: 'image/png',
+      url: 'https://files.example.com/invoice.png',
+      thumbnailUrl: 'https://files.example.com/invoice_thumb.webp'
+    },
+    payload: { type: 'card', title: 'Pay now' },
+    timestamp: new Date()
+  });
+
+  const deleted = await messageService.deleteMessage(site, sessionId, message._id, owner);
+
+  assert.equal(deleted.text, null);
+  assert.equal(deleted.attachment, null);
+  assert.equal(deleted.payload, null);
+  assert.ok(deleted.deletedAt);
+  assert.deepEqual(removedKeys, [
+    `${site.site_id}/${sessionId}/0f8b2d4e-1c3a-4b5d-8e9f-a1b2c3d4e5f6.png`,
+    `${site.site_id}/${sessionId}/0f8b2d4e-1c3a-4b5d-8e9f-a1b2c3d4e5f6_thumb.webp`
+  ]);
+
+  const stored = await messageModel.findSessionMessage(site.site_id, sessionId, message._id);
+  assert.equal(stored.attachment, null);
+  assert.equal(stored.payload, null);
+});
+
+test('deleting a message without an attachment leaves storage alone', async () => {
+  removedKeys.length = 0;
+  const message = await messageModel.create({
+    siteId: site.site_id,
+    sessionId: 'session-delete',
+    sender: 'admin',
+    type: 'message',
+    agentId: owner.id,
+    text: 'Typo',
+    timestamp: new Date()
+  });
+
+  await messageService.deleteMessage(site, 'session-delete', message._id, owner);
+
+  assert.deepEqual(removedKeys, []);
+});
+
+test('concurrent reactions are all kept and each reactor can take theirs back', async () => {
+  const sessionId = 'session-reactions';
+  const message = await messageModel.create({ siteId: site.site_id, sessionId, sender: 'visitor', type: 'message', text: 'Hi' });
+  const agents = [owner.id, owner.id + 100, owner.id + 200, owner.id + 300];
+  const react = (emoji, reactor) => messageService.toggleReaction(site.site_id, sessionId, String(message._id), emoji, reactor);
+
+  await Promise.all([
+    react('👍', { sender: 'visitor' }),
+    ...agents.map(userId => react('👍', { sender: 'admin', userId })),
+    react('🎉', { sender: 'admin', userId: owner.id })
+  ]);
+
+  let stored = await messageModel.findSessionMessage(site.site_id, sessionId, String(message._id));
+  assert.equal(stored.reactions.length, 6);
+
+  await Promise.all([react('👍', { sender: 'visitor' }), react('🎉', { sender: 'admin', userId: owner.id })]);
+
+  stored = await messageModel.findSessionMessage(site.site_id, sessionId, String(message._id));
+  assert.deepEqual(stored.reactions.map(reaction => [reaction.emoji, reaction.sender]).sort(), agents.map(() => ['👍', 'admin']));
+});
@@ -0,0 +1,146 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { createTestDatabase } from './helpers/database.js';
+import SqlMessageStore from '../models/stores/SqlMessageStore.js';
+import { copyMessages } from '../models/stores/MessageStore.js';
+import { DuplicateMessageError } from '../utils/ApiError.js';
+
+let db;
+const store = new SqlMessageStore();
+
+// A message as another store would hand it over, with its own id
+function exported(fields = {}) {
+  const createdAt = new Date(Date.UTC(2026, 0, 1, 12, 0, 0) + Math.floor(Math.random() * 1000000));
+  return {
+    _id: new ObjectId().toHexString(),
+    siteId: 'site-import',
+    sessionId: 'session-import',
+    sender: 'visitor',
+    type: 'message',
+    text: 'Hello',
+    createdAt,
+    updatedAt: createdAt,
+    ...fields
+  };
+}
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+after(() => db.destroy());
+
+test('importMessages copies messages and keeps their ids', async () => {
+  const messages = [exported({ text: 'One' }), exported({ text: 'Two', payload: { type: 'card', title: 'Plans' } })];
+
+  assert.equal(await store.importMessages(messages), 2);
+
+  const stored = await store.findSessionMessage('site-import', 'session-import', messages[1]._id);
+  assert.equal(stored.text, 'Two');
+  assert.deepEqual(stored.payload, { type: 'card', title: 'Plans' });
+});
+
+test('importMessages counts only new messages when run again', async () => {
+  const messages = [exported(), exported()];
+  await store.importMessages(messages.slice(0, 1));
+
+  assert.equal(await store.importMessages(messages), 1);
+  assert.equal(await store.importMessages(messages), 0);
+});
+
+test('importMessages does not count messages skipped for a duplicate clientMessageId', async () => {
+  const original = exported({ clientMessageId: 'client-1' });
+  await store.importMessages([original]);
+
+  // Same send stored under another id (e.g. a retry that reached both stores)
+  const retry = exported({ clientMessageId: 'client-1' });
+  const other = exported({ clientMessageId: 'client-2' });
+
+  assert.equal(await store.importMessages([retry, other]), 1);
+  assert.equal(await store.findSessionMessage('site-import', 'session-import', retry._id), null);
+});
+
+test('insert rejects a second message with the same clientMessageId', async () => {
+  const { _id, ...message } = exported({ sessionId: 'session-retry', clientMessageId: 'client-retry' });
+  await store.insert(message);
+
+  await assert.rejects(store.insert({ ...message }), DuplicateMessageError);
+});
+
+test('countMessagesBySession counts each session after its own read marker', async () => {
+  const at = minutes => new Date(Date.UTC(2026, 1, 1, 12, minutes));
+  const messages = [
+    exported({ sessionId: 'unread-a', createdAt: at(1) }),
+    exported({ sessionId: 'unread-a', createdAt: at(2) }),
+    exported({ sessionId: 'unread-a', createdAt: at(3) }),
+    exported({ sessionId: 'unread-a', createdAt: at(4), sender: 'admin' }),
+    exported({ sessionId: 'unread-a', createdAt: at(5), type: 'internal' }),
+    exported({ sessionId: 'unread-b', createdAt: at(1) }),
+    exported({ sessionId: 'unread-b', createdAt: at(2) })
+  ];
+  await store.importMessages(messages);
+
+  const counts = await store.countMessagesBySession('site-import', ['unread-a', 'unread-b', 'unread-c'], {
+    sender: 'visitor',
+    since: new Map([['unread-a', at(1)]])
+  });
+
+  assert.deepEqual([...counts.entries()].sort(), [['unread-a', 2], ['unread-b', 2]]);
+});
+
+test('findActiveSessionIds lists each recent session once, most recently active first', async () => {
+  const at = minutes => new Date(Date.UTC(2026, 3, 1, 12, minutes));
+  await store.importMessages([
+    exported({ siteId: 'site-active', sessionId: 'active-old', createdAt: at(0) }),
+    exported({ siteId: 'site-active', sessionId: 'active-a', createdAt: at(10) }),
+    exported({ siteId: 'site-active', sessionId: 'active-a', createdAt: at(30) }),
+    exported({ siteId: 'site-active', sessionId: 'active-b', createdAt: at(20) }),
+    exported({ siteId: 'site-active', sessionId: 'active-c', createdAt: at(25) })
+  ]);
+
+  assert.deepEqual(await store.findActiveSessionIds('site-active', { since: at(5) }), ['active-a', 'active-c', 'active-b']);
+  assert.deepEqual(await store.findActiveSessionIds('site-active', { since: at(5), limit: 2 }), ['active-a', 'active-c']);
+});
+
+test('iterateAll reads every message oldest first in batches', async () => {
+  await db('chat_messages').del();
+  const messages = Array.from({ length: 5 }, (_, index) => exported({
+    text: `Message ${index}`,
+    createdAt: new Date(Date.UTC(2026, 1, 1, 0, 0, index)),
+    updatedAt: new Date(Date.UTC(2026, 1, 1, 0, 0, index))
+  }));
+  await store.importMessages([...messages].reverse());
+
+  const batches = [];
+  for await (const batch of store.iterateAll(2)) {
+    batches.push(batch.map(message => message.text));
+  }
+
+  assert.deepEqual(batches, [['Message 0', 'Message 1'], ['Message 2', 'Message 3'], ['Message 4']]);
+});
+
+test('copyMessages reports how many messages were read and copied', async () => {
+  await db('chat_messages').del();
+  const messages = [exported(), exported(), exported({ clientMessageId: 'client-copy' })];
+  const duplicate = exported({ clientMessageId: 'client-copy' });
+  await store.importMessages([messages[0]]);
+
+  // Any store works as a source; this one hands over its messages in batches of two
+  const source = {
+    async *iterateAll(batchSize) {
+      const all = [...messages, duplicate];
+      for (let i = 0; i < all.length; i += batchSize) {
+        yield all.slice(i, i + batchSize);
+      }
+    }
+  };
+
+  const progress = [];
+  const totals = await copyMessages(source, store, { batchSize: 2, onBatch: (entry) => progress.push(entry) });
+
+  assert.deepEqual(totals, { read: 4, copied: 2 });
+  assert.deepEqual(progress, [{ read: 2, copied: 1 }, { read: 4, copied: 2 }]);
+  assert.deepEqual(await copyMessages(source, store, { batchSize: 2 }), { read: 4, copied: 0 });
+});
@@ -0,0 +1,113 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import RoutingService from '../services/RoutingService.js';
+import ConversationModel from '../models/ConversationModel.js';
+import { AgentAtCapacityError } from '../utils/ApiError.js';
+
+let db;
+let sites = 0;
+const conversationModel = new ConversationModel();
+
+async function createAgent(email, capacity = 5) {
+  const [id] = await db('users').insert({ name: email, email, password_hash: 'x', max_concurrent_chats: capacity });
+  return id;
+}
+
+// A site of its own for every test, so assignments and the round-robin position do not carry over
+async function createSite(strategy) {
+  sites += 1;
+  const { site } = await createSiteWithOwner(db, {
+    email: `routing-${sites}@example.com`,
+    settings: strategy ? { routing: { strategy } } : null
+  });
+  return site;
+}
+
+function createConversation(site, sessionId) {
+  return conversationModel.findOrCreate(site.id, sessionId);
+}
+
+before(async () => {
+  db = await createTestDatabase();
+});
+
+after(() => db.destroy());
+
+test('round-robin takes turns between the online agents', async () => {
+  const site = await createSite();
+  const first = await createAgent('rr-1@example.com');
+  const second = await createAgent('rr-2@example.com');
+  const routingService = new RoutingService();
+
+  const picks = [];
+  for (const sessionId of ['rr-a', 'rr-b', 'rr-c']) {
+    const result = await routingService.routeConversation(site.site_id, await createConversation(site, sessionId), [first, second]);
+    assert.equal(result.assigned, true);
+    picks.push(result.conversation.assigned_agent_id);
+  }
+
+  assert.deepEqual(picks, [first, second, first]);
+});
+
+test('least-busy picks the agent with the fewest open chats', async () => {
+  const site = await createSite('least_busy');
+  const busy = await createAgent('busy@example.com');
+  const idle = await createAgent('idle@example.com');
+  const routingService = new RoutingService();
+  await conversationModel.assign((await createConversation(site, 'lb-a')).id, busy);
+
+  const result = await routingService.routeConversation(site.site_id, await createConversation(site, 'lb-b'), [busy, idle]);
+
+  assert.equal(result.conversation.assigned_agent_id, idle);
+});
+
+test('agents at capacity are skipped and the visitor is queued when everyone is full', async () => {
+  const site = await createSite();
+  const agent = await createAgent('full@example.com', 1);
+  const routingService = new RoutingService();
+
+  const assigned = await routingService.routeConversation(site.site_id, await createConversation(site, 'cap-a'), [agent]);
+  assert.equal(assigned.conversation.assigned_agent_id, agent);
+
+  const queued = await routingService.routeConversation(site.site_id, await createConversation(site, 'cap-b'), [agent]);
+  assert.equal(queued.assigned, false);
+  assert.equal(queued.queued, true);
+  assert.equal(queued.conversation.status, 'pending');
+  assert.equal(queued.conversation.assigned_agent_id, null);
+  assert.deepEqual((await routingService.getQueue(site.site_id)).map(conversation => conversation.id), [queued.conversation.id]);
+
+  await assert.rejects(routingService.claimConversation(site.site_id, queued.conversation.id, agent), AgentAtCapacityError);
+});
+
+test('draining the queue assigns waiting visitors once an agent has room again', async () => {
+  const site = await createSite();
+  const agent = await createAgent('drain@example.com', 1);
+  const routingService = new RoutingService();
+
+  const first = await routingService.routeConversation(site.site_id, await createConversation(site, 'drain-a'), [agent]);
+  const waiting = await routingService.routeConversation(site.site_id, await createConversation(site, 'drain-b'), [agent]);
+  assert.deepEqual(await routingService.drainQueue(site.site_id, [agent]), []);
+
+  await conversationModel.close(first.conversation.id);
+  const assignments = await routingService.drainQueue(site.site_id, [agent]);
+
+  assert.deepEqual(assignments.map(conversation => conversation.id), [waiting.conversation.id]);
+  assert.equal(assignments[0].assigned_agent_id, agent);
+  assert.deepEqual(await routingService.getQueue(site.site_id), []);
+});
+
+test('manual routing queues every conversation until an agent claims it', async () => {
+  const site = await createSite('manual');
+  const agent = await createAgent('manual@example.com');
+  const routingService = new RoutingService();
+
+  const result = await routingService.routeConversation(site.site_id, await createConversation(site, 'manual-a'), [agent]);
+  assert.equal(result.queued, true);
+  assert.deepEqual(await routingService.drainQueue(site.site_id, [agent]), []);
+
+  const claimed = await routingService.claimConversation(site.site_id, result.conversation.id, agent);
+  assert.equal(claimed.status, 'assigned');
+  assert.equal(claimed.assigned_agent_id, agent);
+});
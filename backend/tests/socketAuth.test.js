@@ -0,0 +1,86 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import { startSocketServer, nextEvent } from './helpers/sockets.js';
+import TokenManager from '../utils/TokenManager.js';
+
+let db;
+let server;
+let owner;
+let site;
+
+before(async () => {
+  db = await createTestDatabase();
+  ({ user: owner, site } = await createSiteWithOwner(db));
+  server = await startSocketServer();
+});
+
+after(async () => {
+  await server.close();
+  await db.destroy();
+});
+
+function sessionToken(sessionId = 'session-auth') {
+  return TokenManager.generateVisitorSessionToken({ siteId: site.site_id, sessionId, visitorId: 1 });
+}
+
+test('a socket without a token is refused', async () => {
+  const error = await server.connect({}).then(() => null, error => error);
+  assert.ok(error, 'the connection should be refused');
+  assert.equal(error.data.error, 'unauthorized');
+});
+
+test('a visitor socket with a forged or tampered session token is refused', async () => {
+  const forged = jwt.sign(
+    { siteId: site.site_id, sessionId: 'session-auth', visitorId: 1 },
+    'another-secret',
+    { audience: 'widget', expiresIn: '1h' }
+  );
+  const [header, , signature] = sessionToken().split('.');
+  const payload = Buffer.from(JSON.stringify({ siteId: site.site_id, sessionId: 'someone-else', aud: 'widget' }))
+    .toString('base64url');
+
+  for (const token of [forged, `${header}.${payload}.${signature}`, 'not-a-token']) {
+    const error = await server.connect({ sessionToken: token }).then(() => null, error => error);
+    assert.ok(error, 'the connection should be refused');
+    assert.equal(error.data.error, 'invalid_session_token');
+  }
+});
+
+test('a visitor id token is not a session token', async () => {
+  const token = TokenManager.generateVisitorIdToken({ siteId: site.site_id, visitorId: 1 });
+  const error = await server.connect({ sessionToken: token }).then(() => null, error => error);
+  assert.equal(error?.data.error, 'invalid_session_token');
+});
+
+test('a visitor can only join the site and session of their token', async () => {
+  const visitor = await server.connect({ sessionToken: sessionToken() });
+
+  const otherSite = nextEvent(visitor, 'error');
+  visitor.emit('join_site', { siteId: 'site-other', sessionId: 'session-auth' });
+  assert.equal((await otherSite).error, 'session_mismatch');
+
+  const otherSession = nextEvent(visitor, 'error');
+  visitor.emit('join_site', { siteId: site.site_id, sessionId: 'session-other' });
+  assert.equal((await otherSession).error, 'session_mismatch');
+
+  const history = nextEvent(visitor, 'chat_history');
+  visitor.emit('join_site', { siteId: site.site_id });
+  assert.deepEqual(await history, []);
+});
+
+test('an agent can only join sites they have access to', async () => {
+  const [outsiderId] = await db('users').insert({ name: 'Outsider', email: 'outsider@example.com', password_hash: 'x' });
+  const outsider = await server.connect({ token: TokenManager.generateToken({ id: outsiderId, role: 'user' }) });
+
+  const refused = nextEvent(outsider, 'error');
+  outsider.emit('join_site', { siteId: site.site_id, sessionId: 'session-auth' });
+  assert.equal((await refused).error, 'forbidden');
+
+  const agent = await server.connect({ token: TokenManager.generateToken({ id: owner.id, role: owner.role }) });
+  const history = nextEvent(agent, 'chat_history');
+  agent.emit('join_site', { siteId: site.site_id, sessionId: 'session-auth' });
+  assert.deepEqual(await history, []);
+});
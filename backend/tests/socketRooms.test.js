@@ -0,0 +1,82 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import { startSocketServer, nextEvent, collectEvents } from './helpers/sockets.js';
+import TokenManager from '../utils/TokenManager.js';
+
+let db;
+let server;
+let owner;
+let site;
+
+before(async () => {
+  db = await createTestDatabase();
+  ({ user: owner, site } = await createSiteWithOwner(db));
+  server = await startSocketServer();
+});
+
+after(async () => {
+  await server.close();
+  await db.destroy();
+});
+
+async function joinAsVisitor(sessionId, visitorId) {
+  const sessionToken = TokenManager.generateVisitorSessionToken({ siteId: site.site_id, sessionId, visitorId });
+  const visitor = await server.connect({ sessionToken });
+  const history = nextEvent(visitor, 'chat_history');
+  visitor.emit('join_site', { siteId: site.site_id });
+  await history;
+  return visitor;
+}
+
+async function joinAsAgent(sessionId) {
+  const agent = await server.connect({ token: TokenManager.generateToken({ id: owner.id, role: owner.role }) });
+  const history = nextEvent(agent, 'chat_history');
+  agent.emit('join_site', { siteId: site.site_id, sessionId });
+  await history;
+  return agent;
+}
+
+// Events reach a socket in order, so once `client` has this one it has everything sent to it before
+async function flush(client, sessionId) {
+  const marker = nextEvent(client, 'test_marker');
+  server.socketService.broadcastToSession(site.site_id, sessionId, 'test_marker', {});
+  await marker;
+}
+
+test('a visitor receives nothing from another visitor session on the same site', async () => {
+  const visitorA = await joinAsVisitor('session-a', 1);
+  const agent = await joinAsAgent('session-a');
+  // Visitor A is told that the agent joined their chat; collect only what comes after
+  await flush(visitorA, 'session-a');
+  const receivedByA = ['new_message', 'user_joined', 'conversation_updated'].map(event => collectEvents(visitorA, event));
+  const agentMessages = collectEvents(agent, 'new_message');
+
+  const visitorB = await joinAsVisitor('session-b', 2);
+  const ownMessage = nextEvent(visitorB, 'new_message');
+  const inboxUpdate = nextEvent(agent, 'conversation_updated');
+  const ack = await visitorB.emitWithAck('send_message', { text: 'Only for my agent' });
+  assert.equal(ack.success, true);
+
+  assert.equal((await ownMessage).text, 'Only for my agent');
+  // The site's agents see the inbox change without the message being pushed into the chat they have open
+  assert.equal((await inboxUpdate).sessionId, 'session-b');
+  assert.deepEqual(agentMessages, []);
+
+  await flush(visitorA, 'session-a');
+  assert.deepEqual(receivedByA, [[], [], []]);
+});
+
+test('broadcastToSession reaches only the sockets of that session', async () => {
+  const visitorC = await joinAsVisitor('session-c', 3);
+  const visitorD = await joinAsVisitor('session-d', 4);
+  const receivedByD = collectEvents(visitorD, 'session_notice');
+
+  const notice = nextEvent(visitorC, 'session_notice');
+  server.socketService.broadcastToSession(site.site_id, 'session-c', 'session_notice', { text: 'For C' });
+  assert.deepEqual(await notice, { text: 'For C' });
+
+  await flush(visitorD, 'session-d');
+  assert.deepEqual(receivedByD, []);
+});
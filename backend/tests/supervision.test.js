@@ -0,0 +1,124 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import { getSiteRole, canSupervise, findAccessibleSite } from '../middlewares/socketAuth.js';
+import SiteAgentModel from '../models/SiteAgentModel.js';
+import MessageModel from '../models/MessageModel.js';
+
+let db;
+let owner;
+let site;
+let agent;
+let supervisor;
+let outsider;
+
+const messageModel = new MessageModel();
+
+async function createUser(email, role = 'user') {
+  const [id] = await db('users').insert({ name: email, email, password_hash: 'x', role });
+  return db('users').where({ id }).first();
+}
+
+before(async () => {
+  db = await createTestDatabase();
+  ({ user: owner, site } = await createSiteWithOwner(db));
+  agent = await createUser('agent@example.com');
+  supervisor = await createUser('supervisor@example.com');
+  outsider = await createUser('outsider@example.com');
+
+  const siteAgentModel = new SiteAgentModel();
+  await siteAgentModel.setMember(site.id, agent.id, 'agent');
+  await siteAgentModel.setMember(site.id, supervisor.id, 'supervisor');
+});
+
+after(() => db.destroy());
+
+test('team agents can access a site but not supervise it', async () => {
+  assert.equal(await getSiteRole(agent, site), 'agent');
+  assert.ok(await findAccessibleSite(agent, site.site_id));
+  assert.equal(await canSupervise(agent, site), false);
+});
+
+test('owners, platform admins and supervisors can supervise', async () => {
+  const admin = await createUser('admin@example.com', 'admin');
+
+  assert.equal(await canSupervise(owner, site), true);
+  assert.equal(await canSupervise(admin, site), true);
+  assert.equal(await canSupervise(supervisor, site), true);
+});
+
+test('users outside the team have no access', async () => {
+  assert.equal(await getSiteRole(outsider, site), null);
+  assert.equal(await findAccessibleSite(outsider, site.site_id), null);
+  assert.equal(await canSupervise(outsider, site), false);
+});
+
+test('removing a member takes them out of the site departments', async () => {
+  const member = await createUser('member@example.com');
+  const siteAgentModel = new SiteAgentModel();
+  await siteAgentModel.setMember(site.id, member.id, 'agent');
+  const [departmentId] = await db('departments').insert({ site_id: site.id, name: 'Sales' });
+  await db('department_agents').insert({ department_id: departmentId, user_id: member.id });
+
+  assert.equal(await siteAgentModel.removeMember(site.id, member.id), true);
+  assert.equal(await getSiteRole(member, site), null);
+  assert.equal((await db('department_agents').where({ user_id: member.id })).length, 0);
+});
+
+test('whispers are only read back by the two agents involved', async () => {
+  const sessionId = 'session-whisper';
+  const send = (fields) => messageModel.create({ siteId: site.site_id, sessionId, timestamp: new Date(), ...fields });
+
+  const first = await send({ sender: 'visitor', type: 'message', text: 'Hello' });
+  await send({
+    sender: 'admin',
+    type: 'internal',
+    whisper: true,
+    fromAgentId: supervisor.id,
+    toAgentId: agent.id,
+    text: 'Offer the discount'
+  });
+  await send({ sender: 'admin', type: 'message', agentId: agent.id, text: 'Hi there' });
+
+  const texts = messages => messages.map(message => message.text);
+
+  assert.deepEqual(texts(await messageModel.getSessionMessages(site.site_id, sessionId, 20, { viewerId: agent.id })),
+    ['Hello', 'Offer the discount', 'Hi there']);
+  assert.deepEqual(texts(await messageModel.getSessionMessages(site.site_id, sessionId, 20, { viewerId: owner.id })),
+    ['Hello', 'Hi there']);
+  assert.deepEqual(texts(await messageModel.getSessionMessages(site.site_id, sessionId)), ['Hello', 'Hi there']);
+
+  const missed = await messageModel.getMessagesAfter(site.site_id, sessionId, first._id, { viewerId: owner.id });
+  assert.deepEqual(texts(missed), ['Hi there']);
+
+  const page = await messageModel.getMessagesPage(site.site_id, sessionId, { viewerId: supervisor.id });
+  assert.deepEqual(texts(page.messages), ['Hello', 'Offer the discount', 'Hi there']);
+});
+
+test('a page of hidden whispers still moves the cursor on', async () => {
+  const sessionId = 'session-cursor';
+  const send = (fields) => messageModel.create({ siteId: site.site_id, sessionId, timestamp: new Date(), ...fields });
+
+  await send({ sender: 'visitor', type: 'message', text: 'Older' });
+  const whisper = await send({
+    sender: 'admin',
+    type: 'internal',
+    whisper: true,
+    fromAgentId: supervisor.id,
+    toAgentId: agent.id,
+    text: 'Whisper'
+  });
+
+  const page = await messageModel.getMessagesPage(site.site_id, sessionId, { limit: 1, viewerId: owner.id });
+  assert.deepEqual(page.messages, []);
+  assert.equal(page.pagination.before, whisper._id);
+  assert.equal(page.pagination.hasMore, true);
+
+  const older = await messageModel.getMessagesPage(site.site_id, sessionId, {
+    before: page.pagination.before,
+    limit: 1,
+    viewerId: owner.id
+  });
+  assert.deepEqual(older.messages.map(message => message.text), ['Older']);
+});
@@ -0,0 +1,176 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createTestDatabase, createSiteWithOwner } from './helpers/database.js';
+import VisitorIdentityService from '../services/VisitorIdentityService.js';
+import WidgetService from '../services/WidgetService.js';
+import { InvalidIdentityError, IdentityExpiredError, IdentityDisabledError } from '../utils/ApiError.js';
+
+let db;
+let site;
+
+const identityService = new VisitorIdentityService();
+const widgetService = new WidgetService();
+
+before(async () => {
+  db = await createTestDatabase();
+  ({ site } = await createSiteWithOwner(db));
+  // PaymentModel queries the configured database directly, so the subscription check is answered here
+  widgetService.paymentModel = { hasActivePayment: async () => true };
+});
+
+after(() => db.destroy());
+
+// A visitor recorded by fingerprint before visitor tokens existed
+async function createLegacyVisitor(fingerprint, fields = {}) {
+  const [id] = await db('visitors').insert({ site_id: site.id, fingerprint, last_seen: new Date(), ...fields });
+  return db('visitors').where({ id }).first();
+}
+
+// A site with an identity secret, and user data signed the way the customer's server does it
+async function createIdentitySite(name) {
+  const { site: identitySite } = await createSiteWithOwner(db, { email: `${name}@example.com` });
+  const { secret } = await identityService.rotateIdentitySecret(identitySite.site_id);
+  return {
+    site: await db('sites').where({ id: identitySite.id }).first(),
+    sign: (data, key = secret) => {
+      const user = JSON.stringify(data);
+      return { user, signature: crypto.createHmac('sha256', key).update(user).digest('hex') };
+    }
+  };
+}
+
+// An unfinished offline-form conversation the visitor could resume
+async function createOfflineConversation(visitorId, sessionId) {
+  await db('conversations').insert({
+    site_id: site.id,
+    visitor_id: visitorId,
+    session_id: sessionId,
+    source: 'offline_form',
+    status: 'pending'
+  });
+}
+
+test('the visitor token identifies the visitor whatever the fingerprint', async () => {
+  const first = await identityService.identify(site, { fingerprint: 'fp-token' });
+  const again = await identityService.identify(site, { visitorToken: first.visitorToken, fingerprint: 'fp-other' });
+
+  assert.equal(again.visitor.id, first.visitor.id);
+  assert.equal(again.matchedByFingerprint, false);
+  assert.deepEqual(again.mergedVisitorIds, []);
+});
+
+test('a legacy visitor is found by fingerprint and handed a token', async () => {
+  const legacy = await createLegacyVisitor('fp-legacy');
+  const result = await identityService.identify(site, { fingerprint: 'fp-legacy' });
+
+  assert.equal(result.visitor.id, legacy.id);
+  assert.equal(result.matchedByFingerprint, true);
+  assert.ok(result.visitor.token_issued_at);
+});
+
+test('the fingerprint of a visitor holding a token does not identify them', async () => {
+  const owner = await identityService.identify(site, { fingerprint: 'fp-taken' });
+  const stranger = await identityService.identify(site, { fingerprint: 'fp-taken' });
+
+  assert.notEqual(stranger.visitor.id, owner.visitor.id);
+  assert.notEqual(stranger.visitor.fingerprint, 'fp-taken');
+  assert.equal(stranger.matchedByFingerprint, false);
+  assert.equal(await identityService.resolveVisitor(site, { fingerprint: 'fp-taken' }), null);
+});
+
+test('the fingerprint of an identified visitor does not identify them', async () => {
+  const user = await createLegacyVisitor('fp-user', { external_id: 'user-1', identified_at: new Date() });
+  const stranger = await identityService.identify(site, { fingerprint: 'fp-user' });
+
+  assert.notEqual(stranger.visitor.id, user.id);
+  assert.equal(await identityService.resolveVisitor(site, { fingerprint: 'fp-user' }), null);
+});
+
+test('an unknown fingerprint resolves to no visitor and stores nothing a visit could claim', async () => {
+  assert.equal(await identityService.resolveVisitor(site, { fingerprint: 'fp-unknown' }), null);
+  assert.equal(await db('visitors').where({ site_id: site.id, fingerprint: 'fp-unknown' }).first(), undefined);
+
+  const result = await identityService.identify(site, { fingerprint: 'fp-unknown' });
+  assert.equal(result.matchedByFingerprint, false);
+  assert.ok(result.visitor.token_issued_at);
+});
+
+test('a legacy fingerprint visitor is merged into the visitor of the token', async () => {
+  const current = await identityService.identify(site, { fingerprint: 'fp-current' });
+  const legacy = await createLegacyVisitor('fp-old', { name: 'Ada', email: 'ada@example.com' });
+  await createOfflineConversation(legacy.id, 'session-old');
+
+  const result = await identityService.identify(site, { visitorToken: current.visitorToken, fingerprint: 'fp-old' });
+
+  assert.equal(result.visitor.id, current.visitor.id);
+  assert.deepEqual(result.mergedVisitorIds, [legacy.id]);
+  assert.equal(result.visitor.name, 'Ada');
+  assert.equal(result.visitor.email, 'ada@example.com');
+  assert.equal((await db('conversations').where({ session_id: 'session-old' }).first()).visitor_id, current.visitor.id);
+  assert.equal((await db('visitors').where({ id: legacy.id }).first()).merged_into_id, current.visitor.id);
+
+  // The merged fingerprint now leads to a visitor holding a token, so it no longer identifies anyone
+  assert.equal(await identityService.resolveVisitor(site, { fingerprint: 'fp-old' }), null);
+});
+
+test('a visit matched by fingerprint alone never resumes a conversation', async () => {
+  const legacy = await createLegacyVisitor('fp-resume');
+  await createOfflineConversation(legacy.id, 'session-resume');
+
+  const byFingerprint = await widgetService.processVisit(site.site_id, { fingerprint: 'fp-resume' }, {});
+  assert.equal(byFingerprint.visitor.id, legacy.id);
+  assert.equal(byFingerprint.resumed, false);
+  assert.notEqual(byFingerprint.sessionId, 'session-resume');
+
+  const byToken = await widgetService.processVisit(site.site_id, { visitorToken: byFingerprint.visitorToken }, {});
+  assert.equal(byToken.visitor.id, legacy.id);
+  assert.equal(byToken.resumed, true);
+  assert.equal(byToken.sessionId, 'session-resume');
+});
+
+test('user data signed with the site secret identifies the user on every device', async () => {
+  const { site: identitySite, sign } = await createIdentitySite('identified');
+  const identity = sign({ id: 'account-42', email: 'grace@example.com', name: 'Grace' });
+
+  const laptop = await identityService.identify(identitySite, { fingerprint: 'fp-laptop', identity });
+  const phone = await identityService.identify(identitySite, { fingerprint: 'fp-phone', identity });
+
+  assert.equal(laptop.visitor.external_id, 'account-42');
+  assert.equal(laptop.visitor.email, 'grace@example.com');
+  assert.equal(phone.visitor.id, laptop.visitor.id);
+});
+
+test('a wrong or tampered signature is rejected and nothing is stored', async () => {
+  const { site: identitySite, sign } = await createIdentitySite('tampered');
+  const signed = sign({ id: 'account-7', email: 'victim@example.com' });
+  const attempts = [
+    sign({ id: 'account-7', email: 'victim@example.com' }, 'guessed-secret'),
+    { user: JSON.stringify({ id: 'account-8', email: 'victim@example.com' }), signature: signed.signature },
+    { user: signed.user, signature: `${signed.signature.slice(0, -1)}${signed.signature.endsWith('0') ? '1' : '0'}` },
+    { user: signed.user, signature: signed.signature.slice(0, 32) },
+    { user: signed.user }
+  ];
+
+  for (const identity of attempts) {
+    await assert.rejects(
+      identityService.identify(identitySite, { fingerprint: 'fp-attacker', identity }),
+      InvalidIdentityError
+    );
+  }
+  await assert.rejects(
+    widgetService.processVisit(identitySite.site_id, { fingerprint: 'fp-attacker', identity: attempts[1] }, {}),
+    InvalidIdentityError
+  );
+  assert.equal(await db('visitors').where({ site_id: identitySite.id }).first(), undefined);
+});
+
+test('expired user data and sites without a secret are rejected', async () => {
+  const { site: identitySite, sign } = await createIdentitySite('expired');
+  const expired = sign({ id: 'account-9', expiresAt: Math.floor(Date.now() / 1000) - 60 });
+  assert.throws(() => identityService.verifyIdentity(identitySite, expired), IdentityExpiredError);
+
+  const identity = sign({ id: 'account-9' });
+  assert.throws(() => identityService.verifyIdentity(site, identity), IdentityDisabledError);
+});
@@ -0,0 +1,162 @@
+/**
+ * API Errors - errors a request can end with, each with its HTTP status, error code and client message
+ * Services throw them and errorHandler answers with their status and code. `message` stays the short
+ * internal text, which socket handlers pass on to clients as it is
+ */
+export class ApiError extends Error {
+  constructor(message, statusCode, code, publicMessage = message) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.publicMessage = publicMessage;
+  }
+}
+
+// A subclass of ApiError for one kind of error; thrown with `new` and no arguments
+function defineError(name, statusCode, code, message, publicMessage = message) {
+  const ErrorClass = class extends ApiError {
+    constructor() {
+      super(message, statusCode, code, publicMessage);
+      this.name = name;
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+}
+
+// Accounts and dashboard tokens
+export const UserExistsError = defineError('UserExistsError', 409, 'user_exists', 'User already exists');
+export const InvalidCredentialsError = defineError('InvalidCredentialsError', 401, 'invalid_credentials',
+  'Invalid credentials', 'Invalid email or password');
+export const InvalidTokenError = defineError('InvalidTokenError', 401, 'invalid_token', 'Invalid token',
+  'Invalid or expired token');
+
+// Sites
+export const SiteNotFoundError = defineError('SiteNotFoundError', 404, 'site_not_found', 'Site not found');
+
+// Conversations, routing and transfers
+export const ConversationNotFoundError = defineError('ConversationNotFoundError', 404, 'conversation_not_found',
+  'Conversation not found');
+export const AgentAtCapacityError = defineError('AgentAtCapacityError', 409, 'agent_at_capacity', 'Agent at capacity',
+  'Agent has reached their concurrent chat limit');
+export const ConversationClosedError = defineError('ConversationClosedError', 409, 'conversation_closed',
+  'Conversation is closed');
+export const DepartmentNotFoundError = defineError('DepartmentNotFoundError', 404, 'department_not_found',
+  'Department not found');
+export const AgentNotFoundError = defineError('AgentNotFoundError', 404, 'agent_not_found', 'Agent not found',
+  'Agent not found or has no access to this site');
+export const AgentNotInDepartmentError = defineError('AgentNotInDepartmentError', 400, 'agent_not_in_department',
+  'Agent not in department', 'Agent is not a member of that department');
+export const TransferTargetRequiredError = defineError('TransferTargetRequiredError', 400, 'missing_fields',
+  'Transfer target required', 'agentId or departmentId is required');
+
+// Messages
+export const InvalidCursorError = defineError('InvalidCursorError', 400, 'invalid_cursor', 'Invalid cursor',
+  'before/after must be a message id or a timestamp');
+export const MessageNotFoundError = defineError('MessageNotFoundError', 404, 'message_not_found', 'Message not found');
+export const MessageTextRequiredError = defineError('MessageTextRequiredError', 400, 'invalid_message',
+  'Message text is required');
+export const MessageDeletedError = defineError('MessageDeletedError', 409, 'message_deleted', 'Message already deleted',
+  'Message has already been deleted');
+export const MessageChangeForbiddenError = defineError('MessageChangeForbiddenError', 403, 'forbidden',
+  'Message change not allowed', 'You can only edit or delete your own messages');
+export const EditWindowExpiredError = defineError('EditWindowExpiredError', 403, 'edit_window_expired',
+  'Edit window expired', 'The edit window for this message has passed');
+export const InvalidEditWindowError = defineError('InvalidEditWindowError', 400, 'invalid_edit_window',
+  'Invalid edit window', 'editWindowMinutes must be a whole number of minutes between 0 and 10080');
+export const InvalidReactionError = defineError('InvalidReactionError', 400, 'invalid_reaction', 'Invalid reaction',
+  'emoji must be a single emoji');
+export const InvalidQuickReplyError = defineError('InvalidQuickReplyError', 400, 'invalid_quick_reply',
+  'Invalid quick reply', 'optionId must be one of the options of this quick-reply message');
+export const QuickReplyAnsweredError = defineError('QuickReplyAnsweredError', 409, 'quick_reply_answered',
+  'Quick reply already answered');
+export const DuplicateMessageError = defineError('DuplicateMessageError', 409, 'duplicate_message',
+  'Duplicate message', 'A message with this clientMessageId was already stored');
+
+// Canned responses
+export const CannedResponseNotFoundError = defineError('CannedResponseNotFoundError', 404, 'canned_response_not_found',
+  'Canned response not found');
+export const InvalidShortcutError = defineError('InvalidShortcutError', 400, 'invalid_shortcut', 'Invalid shortcut',
+  'Shortcuts are 1-20 lowercase letters, digits, - or _');
+export const InvalidCannedResponseError = defineError('InvalidCannedResponseError', 400, 'invalid_canned_response',
+  'Invalid canned response',
+  'A canned response needs a shortcut and a message (max 5000 characters); folder max 50 characters, up to 10 tags');
+export const DuplicateShortcutError = defineError('DuplicateShortcutError', 409, 'duplicate_shortcut',
+  'Shortcut already exists', 'This shortcut is already in use');
+export const CannedResponseChangeForbiddenError = defineError('CannedResponseChangeForbiddenError', 403, 'forbidden',
+  'Canned response change not allowed', 'Only supervisors can manage site-wide canned responses');
+
+// Widget: pre-chat form, offline messages, ratings and business hours
+export const InvalidPrechatFormError = defineError('InvalidPrechatFormError', 400, 'invalid_prechat_form',
+  'Invalid pre-chat form', 'Invalid pre-chat form fields');
+export const PrechatDisabledError = defineError('PrechatDisabledError', 400, 'prechat_disabled',
+  'Pre-chat form not enabled', 'This site has no pre-chat form');
+export const PrechatRequiredError = defineError('PrechatRequiredError', 403, 'prechat_required',
+  'Pre-chat form required', 'Please fill in the pre-chat form first');
+export const InvalidOfflineMessageError = defineError('InvalidOfflineMessageError', 400, 'invalid_offline_message',
+  'Invalid offline message', 'A valid email address and a message (max 5000 characters) are required');
+export const InvalidRatingError = defineError('InvalidRatingError', 400, 'invalid_rating', 'Invalid rating',
+  'score must be 0 or 1 (thumbs) or 1-5 (stars); comment max 1000 characters');
+export const RatingNotAvailableError = defineError('RatingNotAvailableError', 409, 'rating_not_available',
+  'Rating not available', 'This conversation cannot be rated');
+export const InvalidSurveySettingsError = defineError('InvalidSurveySettingsError', 400, 'invalid_survey_settings',
+  'Invalid survey settings',
+  'scale must be thumbs or stars; enabled and allowComment true or false; question max 200 characters');
+export const InvalidBusinessHoursError = defineError('InvalidBusinessHoursError', 400, 'invalid_business_hours',
+  'Invalid business hours',
+  'Hours are up to 4 non-overlapping HH:MM-HH:MM intervals per day; holidays need a YYYY-MM-DD date (max 100)');
+export const InvalidTimezoneError = defineError('InvalidTimezoneError', 400, 'invalid_timezone', 'Invalid timezone',
+  'timezone must be an IANA timezone such as Europe/Berlin');
+
+// Visitors and identity
+export const InvalidActivityError = defineError('InvalidActivityError', 400, 'invalid_activity', 'Invalid activity',
+  'page_view activities need an http(s) url (max 2000 characters) and an optional title');
+export const VisitorNotFoundError = defineError('VisitorNotFoundError', 404, 'visitor_not_found', 'Visitor not found');
+export const InvalidIdentityError = defineError('InvalidIdentityError', 401, 'invalid_identity', 'Invalid identity',
+  'The user data or its signature is invalid');
+export const IdentityExpiredError = defineError('IdentityExpiredError', 401, 'identity_expired', 'Identity expired',
+  'The signed user data has expired');
+export const IdentityDisabledError = defineError('IdentityDisabledError', 400, 'identity_disabled',
+  'Identity verification not enabled', 'This site has no identity secret; create one in the dashboard first');
+export const MergeNotAllowedError = defineError('MergeNotAllowedError', 409, 'merge_not_allowed',
+  'Cannot merge visitors', 'These visitors cannot be merged (same visitor or already merged)');
+
+// Contacts
+export const ContactNotFoundError = defineError('ContactNotFoundError', 404, 'contact_not_found', 'Contact not found');
+export const InvalidContactError = defineError('InvalidContactError', 400, 'invalid_contact', 'Invalid contact',
+  'A contact needs a name (max 255 characters); email must be valid, phone max 50 characters, up to 20 tags, attribute values must match their type');
+export const InvalidContactFilterError = defineError('InvalidContactFilterError', 400, 'invalid_contact_filter',
+  'Invalid contact filter', 'attributes filters need a known attribute key and a value of its type');
+export const DuplicateContactEmailError = defineError('DuplicateContactEmailError', 409, 'duplicate_contact_email',
+  'Contact email already exists', 'Another contact already has this email address');
+export const AttributeNotFoundError = defineError('AttributeNotFoundError', 404, 'attribute_not_found',
+  'Attribute not found', 'Contact attribute not found');
+export const InvalidContactAttributeError = defineError('InvalidContactAttributeError', 400, 'invalid_contact_attribute',
+  'Invalid contact attribute',
+  'Attributes need a key (lowercase letters, digits, _), a label, a type of string, number, date or enum, and options for enums; key and type cannot change');
+export const DuplicateAttributeKeyError = defineError('DuplicateAttributeKeyError', 409, 'duplicate_attribute_key',
+  'Attribute key already exists', 'This attribute key is already in use');
+export const ContactAttributeChangeForbiddenError = defineError('ContactAttributeChangeForbiddenError', 403, 'forbidden',
+  'Contact attribute change not allowed', 'Only supervisors can manage contact attributes');
+export const NoteNotFoundError = defineError('NoteNotFoundError', 404, 'note_not_found', 'Note not found');
+export const InvalidNoteError = defineError('InvalidNoteError', 400, 'invalid_note', 'Invalid note',
+  'A note needs text (max 5000 characters)');
+export const NoteChangeForbiddenError = defineError('NoteChangeForbiddenError', 403, 'forbidden',
+  'Note change not allowed', 'You can only edit or delete your own notes');
+export const InvalidCsvError = defineError('InvalidCsvError', 400, 'invalid_csv', 'Invalid CSV',
+  'The CSV file needs a header row with a name or email column and 1-5000 rows');
+
+// Uploads
+export const FileRequiredError = defineError('FileRequiredError', 400, 'missing_file', 'File is required',
+  'A file is required');
+export const FileTooLargeError = defineError('FileTooLargeError', 413, 'file_too_large', 'File too large',
+  'File exceeds the upload size limit');
+export const UnsupportedFileTypeError = defineError('UnsupportedFileTypeError', 415, 'unsupported_file_type',
+  'Unsupported file type', 'Only JPEG, PNG, GIF, WebP images and PDF files can be shared');
+export const InvalidImageError = defineError('InvalidImageError', 400, 'invalid_image', 'Invalid image',
+  'The image could not be read');
+export const ImageTooLargeError = defineError('ImageTooLargeError', 400, 'image_too_large',
+  'Image dimensions too large', 'Images can be at most 4096x4096 pixels');
+export const UnexpectedUploadFieldError = defineError('UnexpectedUploadFieldError', 400, 'invalid_upload',
+  'Unexpected upload field', 'Upload one file in the "file" field');
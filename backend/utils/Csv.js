@@ -0,0 +1,73 @@
+/**
+ * CSV Utility - reads and writes RFC 4180 CSV (comma separated, double-quoted fields)
+ * Used for contact import and export
+ */
+import { InvalidCsvError } from './ApiError.js';
+
+// Spreadsheet apps run cells starting with these as formulas; phone numbers and signed numbers are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-][\d\s().-]*$/;
+
+export default class Csv {
+  // Parse CSV text into rows of strings; blank lines are skipped
+  static parse(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw new InvalidCsvError();
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  // Quote a value for a CSV cell; text that would run as a spreadsheet formula is prefixed with '
+  static escape(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Write rows (arrays of values) as CSV text
+  static stringify(rows) {
+    return rows.map(row => row.map(value => Csv.escape(value)).join(',')).join('\r\n') + '\r\n';
+  }
+}
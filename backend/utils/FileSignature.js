@@ -0,0 +1,42 @@
+/**
+ * File Signature Utility - detect file types from their magic bytes
+ * The client-supplied MIME type and file name are never trusted
+ */
+
+// Leading bytes of each supported format
+const SIGNATURES = [
+  { mime: 'image/jpeg', extension: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mime: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mime: 'image/gif', extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8(7|9)a
+  { mime: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] } // %PDF-
+];
+
+// Whether the buffer holds `bytes` at `offset`
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+export default class FileSignature {
+  // { mime, extension } of a buffer, or null when the format is not recognised
+  static detect(buffer) {
+    if (!Buffer.isBuffer(buffer)) return null;
+
+    const match = SIGNATURES.find(signature => startsWith(buffer, signature.bytes));
+    if (match) {
+      return { mime: match.mime, extension: match.extension };
+    }
+
+    // WebP: RIFF container with a WEBP form type
+    if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+      return { mime: 'image/webp', extension: 'webp' };
+    }
+
+    return null;
+  }
+
+  // Whether a detected type is an image (gets re-encoded and thumbnailed)
+  static isImage(mime) {
+    return typeof mime === 'string' && mime.startsWith('image/');
+  }
+}
@@ -1,20 +1,20 @@
 /**
  * Fingerprint Utility - generates browser fingerprints
- * Simple fingerprinting for visitor identification
+ * Only a fallback signal: returning visitors are identified by the visitor token from /api/widget/visit
  */
 
 
 export default class Fingerprint {
   static generate() {
-    // Simple fingerprint based on timestamp and random data
-    // In production, you'd want more sophisticated fingerprinting
+    // Same browser, same fingerprint: nothing random goes into the hash
     const components = [
       navigator.userAgent || '',
       navigator.language || '',
       screen.width || '',
       screen.height || '',
+      screen.colorDepth || '',
       new Date().getTimezoneOffset(),
-      Math.random().toString(36).substr(2, 9)
+      Intl.DateTimeFormat().resolvedOptions().timeZone || ''
     ];
 
     return this.hash(components.join('|'));
@@ -4,13 +4,27 @@
  */
 import jwt from 'jsonwebtoken';
 
+// Audience claim of dashboard tokens. Tokens issued before it was added carry none and stay valid until they expire
+export const DASHBOARD_AUDIENCE = 'dashboard';
+
+// Audience claim that separates widget session tokens from dashboard tokens
+export const VISITOR_SESSION_AUDIENCE = 'widget';
+
+// Audience claim of the long-lived visitor id tokens the widget keeps between visits
+export const VISITOR_ID_AUDIENCE = 'visitor';
+
 export default class TokenManager {
   static generateToken(payload, expiresIn = '7d') {
-    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn, audience: DASHBOARD_AUDIENCE });
   }
 
+  // Dashboard tokens only: widget tokens carry an audience of their own
   static verifyToken(token) {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.aud !== undefined && decoded.aud !== DASHBOARD_AUDIENCE) {
+      throw new jwt.JsonWebTokenError('jwt audience invalid');
+    }
+    return decoded;
   }
 
   static decodeToken(token) {
@@ -18,7 +32,7 @@ export default class TokenManager {
   }
 
   static generateRefreshToken(payload) {
-    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '30d' });
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '30d', audience: DASHBOARD_AUDIENCE });
   }
 
   static generateTemporaryToken(payload, expiresIn = '1h') {
@@ -34,6 +48,32 @@ export default class TokenManager {
     }
   }
 
+  // Signed session token handed to the widget by /api/widget/visit
+  static generateVisitorSessionToken({ siteId, sessionId, visitorId }, expiresIn = '24h') {
+    return jwt.sign(
+      { siteId, sessionId, visitorId },
+      process.env.JWT_SECRET,
+      { expiresIn, audience: VISITOR_SESSION_AUDIENCE }
+    );
+  }
+
+  static verifyVisitorSessionToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: VISITOR_SESSION_AUDIENCE });
+  }
+
+  // Visitor id token handed to the widget by /api/widget/visit and sent back on later visits
+  static generateVisitorIdToken({ siteId, visitorId }, expiresIn = '400d') {
+    return jwt.sign(
+      { siteId, visitorId },
+      process.env.JWT_SECRET,
+      { expiresIn, audience: VISITOR_ID_AUDIENCE }
+    );
+  }
+
+  static verifyVisitorIdToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: VISITOR_ID_AUDIENCE });
+  }
+
   static isTokenExpired(token) {
     const expiration = this.getTokenExpiration(token);
     if (!expiration) return true;
@@ -10,22 +10,28 @@ class ChatService {
     this.connected = false
     this.siteId = null
     this.sessionId = null
+    this.lastMessageId = null // Cursor for replaying missed messages after a reconnect
     this.messageHandlers = new Set()
     this.connectionHandlers = new Set()
   }
 
   // Connect to chat server
-  connect(serverUrl, siteId, sessionId, userType = 'admin') {
+  // Agents authenticate with the dashboard token, visitors with the session token from /api/widget/visit
+  connect(serverUrl, siteId, sessionId, userType = 'admin', sessionToken = null) {
     if (this.socket) {
       this.disconnect()
     }
 
     this.siteId = siteId
     this.sessionId = sessionId
+    this.lastMessageId = null
 
     this.socket = io(serverUrl, {
       transports: ['websocket', 'polling'],
       timeout: 10000,
+      auth: userType === 'visitor'
+        ? { sessionToken }
+        : { token: localStorage.getItem('token') },
     })
 
     this.socket.on('connect', () => {
@@ -33,12 +39,20 @@ class ChatService {
       this.connected = true
       this.notifyConnectionHandlers(true)
 
-      // Join site room
-      this.socket.emit('join_site', {
-        siteId: this.siteId,
-        sessionId: this.sessionId,
-        userType: userType
-      })
+      // Join the conversation room (agents watching the whole site use adminJoin instead)
+      if (this.sessionId) {
+        this.socket.emit('join_site', {
+          siteId: this.siteId,
+          sessionId: this.sessionId,
+          userType: userType,
+          lastMessageId: this.lastMessageId
+        })
+      }
+    })
+
+    this.socket.on('connect_error', (error) => {
+      console.error('❌ Socket handshake rejected:', error.data || error.message)
+      this.notifyMessageHandlers('error', error.data || { error: 'connect_error', message: error.message })
     })
 
     this.socket.on('disconnect', () => {
@@ -48,13 +62,25 @@ class ChatService {
     })
 
     this.socket.on('new_message', (message) => {
+      this.trackLastMessage([message])
       this.notifyMessageHandlers('new_message', message)
     })
 
+    this.socket.on('conversation_updated', (data) => {
+      this.notifyMessageHandlers('conversation_updated', data)
+    })
+
     this.socket.on('chat_history', (messages) => {
+      this.trackLastMessage(messages)
       this.notifyMessageHandlers('chat_history', messages)
     })
 
+    // Messages sent while this client was disconnected, in order
+    this.socket.on('missed_messages', (data) => {
+      this.trackLastMessage(data.messages)
+      this.notifyMessageHandlers('missed_messages', data)
+    })
+
     this.socket.on('user_joined', (data) => {
       this.notifyMessageHandlers('user_joined', data)
     })
@@ -75,6 +101,62 @@ class ChatService {
       this.notifyMessageHandlers('session_closed', data)
     })
 
+    this.socket.on('conversation_assigned', (data) => {
+      this.notifyMessageHandlers('conversation_assigned', data)
+    })
+
+    this.socket.on('agent_assigned', (data) => {
+      this.notifyMessageHandlers('agent_assigned', data)
+    })
+
+    this.socket.on('queue_updated', (data) => {
+      this.notifyMessageHandlers('queue_updated', data)
+    })
+
+    this.socket.on('queue_position', (data) => {
+      this.notifyMessageHandlers('queue_position', data)
+    })
+
+    this.socket.on('agent_presence', (data) => {
+      this.notifyMessageHandlers('agent_presence', data)
+    })
+
+    this.socket.on('agents_presence', (agents) => {
+      this.notifyMessageHandlers('agents_presence', agents)
+    })
+
+    this.socket.on('agent_availability', (data) => {
+      this.notifyMessageHandlers('agent_availability', data)
+    })
+
+    this.socket.on('message_updated', (data) => {
+      this.notifyMessageHandlers('message_updated', data)
+    })
+
+    this.socket.on('message_deleted', (data) => {
+      this.notifyMessageHandlers('message_deleted', data)
+    })
+
+    this.socket.on('message_reacted', (data) => {
+      this.notifyMessageHandlers('message_reacted', data)
+    })
+
+    this.socket.on('conversation_transferred', (data) => {
+      this.notifyMessageHandlers('conversation_transferred', data)
+    })
+
+    this.socket.on('messages_read', (receipt) => {
+      this.notifyMessageHandlers('messages_read', receipt)
+    })
+
+    this.socket.on('monitoring_started', (data) => {
+      this.notifyMessageHandlers('monitoring_started', data)
+    })
+
+    this.socket.on('monitoring_stopped', (data) => {
+      this.notifyMessageHandlers('monitoring_stopped', data)
+    })
+
     this.socket.on('error', (error) => {
       console.error('❌ Socket error:', error)
       this.notifyMessageHandlers('error', error)
@@ -91,19 +173,103 @@ class ChatService {
     }
   }
 
-  // Send message
-  sendMessage(text, targetSessionId = null) {
+  // Send message; type 'internal' sends an agent-only note (admin only)
+  // payload adds quick-reply buttons or a card (admin only), e.g. { type: 'quick_replies', options: [{ label }] }
+  // onAck receives { success, messageId, createdAt } once the server stored the message
+  sendMessage(text, targetSessionId = null, type = 'message', onAck = null, payload = null) {
     if (!this.socket || !this.connected) {
       console.error('❌ Not connected to chat server')
       return false
     }
 
+    // Retries reuse the same id so the server stores the message only once
     const messageData = {
       text: text.trim(),
-      sessionId: targetSessionId || this.sessionId
+      sessionId: targetSessionId || this.sessionId,
+      type,
+      clientMessageId: this.generateClientMessageId(),
+      ...(payload ? { payload } : {})
+    }
+
+    if (onAck) {
+      this.socket.emit('send_message', messageData, onAck)
+    } else {
+      this.socket.emit('send_message', messageData)
+    }
+    return true
+  }
+
+  // Edit a sent message (admin only, within the site's edit window)
+  editMessage(messageId, text, targetSessionId = null) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('edit_message', {
+      sessionId: targetSessionId || this.sessionId,
+      messageId,
+      text: text.trim()
+    })
+    return true
+  }
+
+  // Delete a sent message (admin only; supervisors may delete any message)
+  deleteMessage(messageId, targetSessionId = null) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('delete_message', {
+      sessionId: targetSessionId || this.sessionId,
+      messageId
+    })
+    return true
+  }
+
+  // Toggle an emoji reaction on a message
+  react(messageId, emoji, targetSessionId = null) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('react_message', {
+      sessionId: targetSessionId || this.sessionId,
+      messageId,
+      emoji
+    })
+    return true
+  }
+
+  // Answer a quick-reply message (visitor only); the choice is posted as a visitor message
+  chooseQuickReply(messageId, optionId, onAck = null) {
+    if (!this.socket || !this.connected) return false
+
+    if (onAck) {
+      this.socket.emit('choose_quick_reply', { messageId, optionId }, onAck)
+    } else {
+      this.socket.emit('choose_quick_reply', { messageId, optionId })
+    }
+    return true
+  }
+
+  // Remember the newest message of our own session as the replay cursor
+  trackLastMessage(messages = []) {
+    const own = messages.filter(message => !message.sessionId || message.sessionId === this.sessionId)
+    if (own.length > 0) {
+      this.lastMessageId = own[own.length - 1]._id
+    }
+  }
+
+  // Unique id for an outgoing message
+  generateClientMessageId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID()
     }
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  }
 
-    this.socket.emit('send_message', messageData)
+  // Mark a session as read up to a message (or up to now)
+  markRead(messageId = null, targetSessionId = null) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('mark_read', {
+      sessionId: targetSessionId || this.sessionId,
+      messageId
+    })
     return true
   }
 
@@ -126,6 +292,62 @@ class ChatService {
     return true
   }
 
+  // Claim a queued conversation (admin only)
+  claimConversation(conversationId) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('claim_conversation', { conversationId })
+    return true
+  }
+
+  // Transfer a conversation to another agent and/or department (admin only)
+  transferConversation(conversationId, { agentId = null, departmentId = null, note = null } = {}) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('transfer_conversation', { conversationId, agentId, departmentId, note })
+    return true
+  }
+
+  // Silently watch a conversation (supervisor only)
+  monitorConversation(sessionId) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('monitor_conversation', { sessionId })
+    return true
+  }
+
+  // Stop watching a conversation (supervisor only)
+  stopMonitoring(sessionId) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('stop_monitoring', { sessionId })
+    return true
+  }
+
+  // Message only the agent handling a conversation (supervisor only)
+  whisper(sessionId, text) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('whisper', { sessionId, text: text.trim() })
+    return true
+  }
+
+  // Join a conversation openly, optionally taking it over (supervisor only)
+  bargeConversation(sessionId, takeOver = false) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('barge_conversation', { sessionId, takeOver })
+    return true
+  }
+
+  // Set agent presence status: online, away or busy (admin only)
+  setStatus(status) {
+    if (!this.socket || !this.connected) return false
+
+    this.socket.emit('set_status', { status })
+    return true
+  }
+
   // Admin join specific site
   adminJoin(siteId) {
     if (!this.socket || !this.connected) return false
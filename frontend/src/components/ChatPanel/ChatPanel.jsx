@@ -5,10 +5,21 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { useChatStore } from '../../stores'
 
+// Reactions offered in the picker
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '🙏']
+
 const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production.up.railway.app' }) => {
   const [message, setMessage] = useState('')
   const [isTyping, setIsTyping] = useState(false)
+  const [isInternal, setIsInternal] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [editText, setEditText] = useState('')
+  const [isUploading, setIsUploading] = useState(false)
+  const [quickReplies, setQuickReplies] = useState('')
+  const [showQuickReplies, setShowQuickReplies] = useState(false)
+  const [reactingId, setReactingId] = useState(null)
   const messagesEndRef = useRef(null)
+  const fileInputRef = useRef(null)
   const typingTimeoutRef = useRef(null)
 
   const {
@@ -16,7 +27,16 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
     isConnected,
     typingUsers,
     currentSession,
+    cannedResponses,
+    conversation,
     sendMessage: sendChatMessage,
+    editMessage,
+    deleteMessage,
+    uploadAttachment,
+    reactToMessage,
+    loadCannedResponses,
+    expandCannedResponse,
+    loadSessionConversation,
     sendTypingIndicator,
     loadMessages,
     setMessages,
@@ -26,17 +46,24 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
   useEffect(() => {
     if (siteId && sessionId) {
       loadMessages(siteId, sessionId)
+      loadSessionConversation(siteId, sessionId)
     }
-  }, [siteId, sessionId, loadMessages])
+  }, [siteId, sessionId, loadMessages, loadSessionConversation])
+
+  useEffect(() => {
+    if (siteId) {
+      loadCannedResponses(siteId)
+    }
+  }, [siteId, loadCannedResponses])
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     scrollToBottom()
   }, [messages])
 
-  // Handle typing indicator
+  // Handle typing indicator (internal notes are not announced to the visitor)
   useEffect(() => {
-    if (message.trim()) {
+    if (message.trim() && !isInternal) {
       if (!isTyping) {
         setIsTyping(true)
         sendTypingIndicator(true)
@@ -62,7 +89,7 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
         clearTimeout(typingTimeoutRef.current)
       }
     }
-  }, [message, sendTypingIndicator, isTyping])
+  }, [message, sendTypingIndicator, isTyping, isInternal])
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -72,12 +99,39 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
     e.preventDefault()
     if (!message.trim()) return
 
-    sendChatMessage(message, 'admin')
+    // Comma-separated options turn the message into a quick-reply button set
+    const options = showQuickReplies && !isInternal
+      ? quickReplies.split(',').map(label => label.trim()).filter(Boolean).map(label => ({ label }))
+      : []
+    const payload = options.length > 0 ? { type: 'quick_replies', options } : null
+
+    sendChatMessage(message, 'admin', isInternal ? 'internal' : 'message', payload)
     setMessage('')
+    setQuickReplies('')
+    setShowQuickReplies(false)
     setIsTyping(false)
     sendTypingIndicator(false)
   }
 
+  // Typing "/shortcut" suggests matching canned responses
+  const shortcutQuery = /^\/([a-z0-9_-]*)$/i.exec(message)?.[1]?.toLowerCase()
+  const cannedSuggestions = shortcutQuery !== undefined
+    ? cannedResponses.filter(response => response.shortcut.startsWith(shortcutQuery)).slice(0, 5)
+    : []
+
+  const insertCannedResponse = async (response) => {
+    const result = await expandCannedResponse(siteId, sessionId, response.id)
+    setMessage(result.success ? result.text : response.message)
+  }
+
+  // Tab or Enter picks the first suggestion instead of sending "/shortcut"
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) && cannedSuggestions.length > 0) {
+      e.preventDefault()
+      insertCannedResponse(cannedSuggestions[0])
+    }
+  }
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -85,6 +139,137 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
     }
   }
 
+  const startEditing = (chatMessage) => {
+    setEditingId(chatMessage._id)
+    setEditText(chatMessage.text)
+  }
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault()
+    if (!editText.trim()) return
+
+    const result = await editMessage(siteId, sessionId, editingId, editText)
+    if (result.success) {
+      setEditingId(null)
+    } else {
+      window.alert(result.error)
+    }
+  }
+
+  const handleDeleteMessage = async (messageId) => {
+    if (window.confirm('Delete this message? The visitor will see that it was removed.')) {
+      const result = await deleteMessage(siteId, sessionId, messageId)
+      if (!result.success) {
+        window.alert(result.error)
+      }
+    }
+  }
+
+  // Send the chosen file, using the typed text as its caption
+  const handleFileSelected = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setIsUploading(true)
+    const result = await uploadAttachment(siteId, sessionId, file, message, isInternal ? 'internal' : 'message')
+    setIsUploading(false)
+
+    if (result.success) {
+      setMessage('')
+    } else {
+      window.alert(result.error)
+    }
+  }
+
+  const renderAttachment = (attachment) => {
+    if (attachment.thumbnailUrl) {
+      return (
+        <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="d-block mb-1">
+          <img src={attachment.thumbnailUrl} alt={attachment.name} className="message-attachment" />
+        </a>
+      )
+    }
+
+    return (
+      <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="d-block mb-1">
+        <i className="fas fa-file-pdf me-1"></i>
+        {attachment.name}
+      </a>
+    )
+  }
+
+  const handleReact = async (messageId, emoji) => {
+    setReactingId(null)
+    const result = await reactToMessage(siteId, sessionId, messageId, emoji)
+    if (!result.success) {
+      window.alert(result.error)
+    }
+  }
+
+  const renderPayload = (payload) => {
+    if (payload.type === 'card') {
+      return (
+        <div className="message-card mt-1">
+          {payload.imageUrl && <img src={payload.imageUrl} alt="" className="message-attachment mb-1" />}
+          <div className="fw-bold">{payload.title}</div>
+          {payload.description && <small className="d-block">{payload.description}</small>}
+          {payload.url && (
+            <a href={payload.url} target="_blank" rel="noopener noreferrer" className="btn btn-sm btn-outline-primary mt-1">
+              {payload.buttonLabel || 'Open link'}
+            </a>
+          )}
+        </div>
+      )
+    }
+
+    if (payload.type === 'quick_replies') {
+      return (
+        <div className="mt-1">
+          {payload.options.map(option => (
+            <span
+              key={option.id}
+              className={`badge rounded-pill me-1 ${payload.selectedOptionId === option.id ? 'bg-success' : 'bg-light text-dark border'}`}
+            >
+              {option.label}
+            </span>
+          ))}
+          {!payload.selectedOptionId && <small className="d-block text-muted">Waiting for the visitor to choose</small>}
+        </div>
+      )
+    }
+
+    if (payload.type === 'quick_reply_selection') {
+      return (
+        <small className="d-block text-muted">
+          <i className="fas fa-reply me-1"></i>
+          Chose a quick reply
+        </small>
+      )
+    }
+
+    return null
+  }
+
+  // Reactions grouped by emoji, with how many people left each
+  const renderReactions = (chatMessage) => {
+    const counts = (chatMessage.reactions || []).reduce((groups, reaction) => {
+      groups[reaction.emoji] = (groups[reaction.emoji] || 0) + 1
+      return groups
+    }, {})
+
+    return Object.entries(counts).map(([emoji, count]) => (
+      <button
+        key={emoji}
+        className="btn btn-sm btn-light py-0 px-1 me-1 message-reaction"
+        onClick={() => handleReact(chatMessage._id, emoji)}
+        title="Toggle your reaction"
+      >
+        {emoji} {count}
+      </button>
+    ))
+  }
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { 
       hour: '2-digit', 
@@ -100,6 +285,55 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
     }
   }
 
+  // Who the agent is talking to, from the pre-chat form or the host site's signed user data
+  const renderVisitorDetails = () => {
+    const visitor = conversation?.visitor
+    if (!visitor || (!visitor.name && !visitor.email && !visitor.prechat && !visitor.identified)) return null
+
+    const fields = Object.entries(visitor.prechat?.fields || {})
+    const attributes = Object.entries(visitor.attributes || {})
+
+    return (
+      <div className="visitor-details">
+        <small className="d-block">
+          <i className="fas fa-user me-1"></i>
+          {visitor.name || 'Visitor'}
+          {visitor.email && <> &middot; <a href={`mailto:${visitor.email}`} className="text-white">{visitor.email}</a></>}
+          {visitor.identified && (
+            <span className="badge bg-light text-primary ms-2" title={`User ID ${visitor.externalId}`}>
+              <i className="fas fa-check-circle me-1"></i>
+              Verified
+            </span>
+          )}
+        </small>
+        {attributes.length > 0 && (
+          <small className="d-block opacity-75">
+            {attributes.map(([key, value]) => (
+              <span key={key} className="me-2">
+                {key.replace(/_/g, ' ')}: {typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value ?? '')}
+              </span>
+            ))}
+          </small>
+        )}
+        {fields.length > 0 && (
+          <small className="d-block opacity-75">
+            {fields.map(([key, value]) => (
+              <span key={key} className="me-2">
+                {key.replace(/_/g, ' ')}: {typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value)}
+              </span>
+            ))}
+          </small>
+        )}
+        {conversation.source === 'offline_form' && visitor.email && (
+          <small className="d-block opacity-75">
+            <i className="fas fa-envelope me-1"></i>
+            Left while offline &middot; replies are emailed while the visitor is away
+          </small>
+        )}
+      </div>
+    )
+  }
+
   const handleClearMessages = () => {
     setMessages([])
   }
@@ -127,6 +361,7 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
                 </>
               )}
             </small>
+            {renderVisitorDetails()}
           </div>
           <div>
             <button 
@@ -161,11 +396,70 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
           messages.map((message, index) => (
             <div
               key={index}
-              className={`message ${message.sender === 'visitor' ? 'visitor' : 'admin'}`}
+              className={`message ${message.sender === 'visitor' ? 'visitor' : 'admin'}${message.type === 'internal' ? ' internal' : ''}${message.deletedAt ? ' deleted' : ''}`}
             >
-              <div>{message.text}</div>
+              {message.type === 'internal' && (
+                <small className="d-block fw-bold">
+                  <i className="fas fa-lock me-1"></i>
+                  Internal note
+                </small>
+              )}
+              {editingId && editingId === message._id ? (
+                <form onSubmit={handleSaveEdit} className="d-flex">
+                  <input
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    className="form-control form-control-sm me-2"
+                    autoFocus
+                  />
+                  <button type="submit" className="btn btn-sm btn-primary me-1" title="Save">
+                    <i className="fas fa-check"></i>
+                  </button>
+                  <button type="button" className="btn btn-sm btn-outline-secondary" onClick={() => setEditingId(null)} title="Cancel">
+                    <i className="fas fa-times"></i>
+                  </button>
+                </form>
+              ) : (
+                <>
+                  {message.attachment && !message.deletedAt && renderAttachment(message.attachment)}
+                  <div>{message.deletedAt ? 'This message was deleted' : message.text}</div>
+                  {message.payload && !message.deletedAt && renderPayload(message.payload)}
+                </>
+              )}
+              {!message.deletedAt && message.reactions?.length > 0 && (
+                <div className="mt-1">{renderReactions(message)}</div>
+              )}
+              {reactingId === message._id && (
+                <div className="mt-1">
+                  {QUICK_REACTIONS.map(emoji => (
+                    <button key={emoji} className="btn btn-sm btn-link p-0 me-1" onClick={() => handleReact(message._id, emoji)}>
+                      {emoji}
+                    </button>
+                  ))}
+                </div>
+              )}
               <div className="message-time">
                 {formatTime(message.createdAt || message.timestamp)}
+                {message.editedAt && !message.deletedAt && ' (edited)'}
+                {message._id && !message.deletedAt && message.sender !== 'system' && editingId !== message._id && (
+                  <>
+                    <button
+                      className="btn btn-link btn-sm p-0 ms-2"
+                      onClick={() => setReactingId(reactingId === message._id ? null : message._id)}
+                      title="React"
+                    >
+                      <i className="far fa-smile"></i>
+                    </button>
+                    {message.sender === 'admin' && !message.attachment && (
+                      <button className="btn btn-link btn-sm p-0 ms-2" onClick={() => startEditing(message)} title="Edit message">
+                        <i className="fas fa-pen"></i>
+                      </button>
+                    )}
+                    <button className="btn btn-link btn-sm p-0 ms-2" onClick={() => handleDeleteMessage(message._id)} title="Delete message">
+                      <i className="fas fa-trash-alt"></i>
+                    </button>
+                  </>
+                )}
               </div>
             </div>
           ))
@@ -187,13 +481,81 @@ const ChatPanel = ({ siteId, sessionId, serverUrl = 'https://talkavax-production
 
       {/* Input Area */}
       <div className="chat-input">
+        <div className="form-check form-switch mb-2">
+          <input
+            id="internal-note-toggle"
+            type="checkbox"
+            className="form-check-input"
+            checked={isInternal}
+            onChange={(e) => setIsInternal(e.target.checked)}
+          />
+          <label className="form-check-label" htmlFor="internal-note-toggle">
+            Internal note (only visible to agents)
+          </label>
+        </div>
+        {!isInternal && (
+          <div className="form-check form-switch mb-2">
+            <input
+              id="quick-replies-toggle"
+              type="checkbox"
+              className="form-check-input"
+              checked={showQuickReplies}
+              onChange={(e) => setShowQuickReplies(e.target.checked)}
+            />
+            <label className="form-check-label" htmlFor="quick-replies-toggle">
+              Add quick-reply buttons
+            </label>
+            {showQuickReplies && (
+              <input
+                value={quickReplies}
+                onChange={(e) => setQuickReplies(e.target.value)}
+                className="form-control form-control-sm mt-1"
+                placeholder="Options, separated by commas (e.g. Sales, Support, Billing)"
+              />
+            )}
+          </div>
+        )}
+        {cannedSuggestions.length > 0 && (
+          <div className="list-group mb-2">
+            {cannedSuggestions.map(response => (
+              <button
+                key={response.id}
+                type="button"
+                className="list-group-item list-group-item-action py-1"
+                onClick={() => insertCannedResponse(response)}
+              >
+                <strong>/{response.shortcut}</strong>
+                {response.folder && <span className="badge bg-secondary ms-2">{response.folder}</span>}
+                {response.user_id === null && <span className="badge bg-info ms-1">Shared</span>}
+                <small className="d-block text-muted text-truncate">{response.message}</small>
+              </button>
+            ))}
+          </div>
+        )}
         <form onSubmit={handleSendMessage} className="d-flex">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/jpeg,image/png,image/gif,image/webp,application/pdf"
+            onChange={handleFileSelected}
+            className="d-none"
+          />
+          <button
+            type="button"
+            className="btn btn-outline-secondary me-2"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={!isConnected || isUploading}
+            title="Attach a file (the message text becomes its caption)"
+          >
+            <i className={`fas ${isUploading ? 'fa-spinner fa-spin' : 'fa-paperclip'}`}></i>
+          </button>
           <textarea
             value={message}
             onChange={(e) => setMessage(e.target.value)}
             onKeyPress={handleKeyPress}
-            className="form-control me-2"
-            placeholder="Type your message..."
+            onKeyDown={handleKeyDown}
+            className={`form-control me-2${isInternal ? ' border-warning' : ''}`}
+            placeholder={isInternal ? 'Write an internal note...' : 'Type your message, or / for canned responses...'}
             rows="1"
             disabled={!isConnected}
             style={{ resize: 'none' }}
@@ -0,0 +1,310 @@
+/**
+ * Contacts Panel Component
+ * The site's contacts with search and filters, a contact's details and notes,
+ * and CSV import/export
+ */
+import React, { useEffect, useRef, useState } from 'react'
+import { useDashboardStore } from '../stores'
+
+const emptyFilters = { search: '', tag: '', attribute: '', value: '' }
+
+const formatValue = (attribute, value) => {
+  if (value === undefined || value === null || value === '') return '–'
+  if (attribute.type === 'date') return new Date(`${value}T00:00:00`).toLocaleDateString()
+  return String(value)
+}
+
+const ContactsPanel = ({ siteId }) => {
+  const [filters, setFilters] = useState(emptyFilters)
+  const [page, setPage] = useState(1)
+  const [selectedId, setSelectedId] = useState(null)
+  const [newContact, setNewContact] = useState(null)
+  const [note, setNote] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileInput = useRef(null)
+
+  const {
+    contacts,
+    contactTags,
+    contactAttributes,
+    contactsPagination,
+    currentContact,
+    fetchContacts,
+    fetchContact,
+    saveContact,
+    deleteContact,
+    addContactNote,
+    importContacts,
+    exportContacts,
+  } = useDashboardStore()
+
+  useEffect(() => {
+    if (siteId) {
+      fetchContacts(siteId, { ...filters, page })
+    }
+  }, [siteId, filters, page, fetchContacts])
+
+  useEffect(() => {
+    if (siteId && selectedId) {
+      fetchContact(siteId, selectedId)
+    }
+  }, [siteId, selectedId, fetchContact])
+
+  const updateFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value, ...(key === 'attribute' ? { value: '' } : {}) }))
+    setPage(1)
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const result = await saveContact(siteId, {
+      name: newContact.name,
+      email: newContact.email || null,
+      company: newContact.company || null,
+      tags: newContact.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    })
+    if (!result.success) {
+      setMessage({ type: 'danger', text: result.error })
+      return
+    }
+    setNewContact(null)
+    setSelectedId(result.data.data.contact.id)
+    fetchContacts(siteId, { ...filters, page })
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${currentContact.name}? Their visitors and chats are kept.`)) return
+    await deleteContact(siteId, currentContact.id)
+    setSelectedId(null)
+    fetchContacts(siteId, { ...filters, page })
+  }
+
+  const handleAddNote = async (e) => {
+    e.preventDefault()
+    if (!note.trim()) return
+    const result = await addContactNote(siteId, currentContact.id, note)
+    if (result.success) setNote('')
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const result = await importContacts(siteId, file)
+    if (!result.success) {
+      setMessage({ type: 'danger', text: result.error })
+      return
+    }
+    const { created, updated, errors } = result.data
+    setMessage({
+      type: errors.length > 0 ? 'warning' : 'success',
+      text: `Imported ${created} new and ${updated} updated contacts` +
+        (errors.length > 0 ? `; rows skipped: ${errors.map(error => error.row).join(', ')}` : ''),
+    })
+    fetchContacts(siteId, { ...filters, page })
+  }
+
+  const filterAttribute = contactAttributes.find(attribute => attribute.key === filters.attribute)
+  const contact = selectedId && currentContact?.id === selectedId ? currentContact : null
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="card-title mb-0">
+          <i className="fas fa-address-book me-2"></i>
+          Contacts
+          {contactsPagination && <span className="badge bg-secondary ms-2">{contactsPagination.total}</span>}
+        </h5>
+        <div className="btn-group btn-group-sm">
+          <button className="btn btn-outline-primary" onClick={() => setNewContact({ name: '', email: '', company: '', tags: '' })}>
+            <i className="fas fa-plus me-1"></i>
+            New
+          </button>
+          <button className="btn btn-outline-secondary" onClick={() => fileInput.current.click()}>
+            <i className="fas fa-file-import me-1"></i>
+            Import
+          </button>
+          <button className="btn btn-outline-secondary" onClick={() => exportContacts(siteId, filters)}>
+            <i className="fas fa-file-export me-1"></i>
+            Export
+          </button>
+        </div>
+        <input ref={fileInput} type="file" accept=".csv,text/csv" className="d-none" onChange={handleImport} />
+      </div>
+
+      <div className="card-body">
+        {message && (
+          <div className={`alert alert-${message.type} py-2 d-flex justify-content-between`}>
+            <small>{message.text}</small>
+            <button type="button" className="btn-close btn-sm" onClick={() => setMessage(null)}></button>
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="row g-2 mb-3">
+          <div className="col-md-4">
+            <input
+              type="search"
+              className="form-control form-control-sm"
+              placeholder="Search name, email, phone, company"
+              value={filters.search}
+              onChange={(e) => updateFilter('search', e.target.value)}
+            />
+          </div>
+          <div className="col-md-3">
+            <select className="form-select form-select-sm" value={filters.tag} onChange={(e) => updateFilter('tag', e.target.value)}>
+              <option value="">All tags</option>
+              {contactTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+            </select>
+          </div>
+          <div className="col-md-2">
+            <select className="form-select form-select-sm" value={filters.attribute} onChange={(e) => updateFilter('attribute', e.target.value)}>
+              <option value="">Attribute</option>
+              {contactAttributes.map(attribute => <option key={attribute.key} value={attribute.key}>{attribute.label}</option>)}
+            </select>
+          </div>
+          <div className="col-md-3">
+            {filterAttribute?.type === 'enum' ? (
+              <select className="form-select form-select-sm" value={filters.value} onChange={(e) => updateFilter('value', e.target.value)}>
+                <option value="">Any</option>
+                {filterAttribute.options.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            ) : (
+              <input
+                type={filterAttribute?.type === 'date' ? 'date' : filterAttribute?.type === 'number' ? 'number' : 'text'}
+                className="form-control form-control-sm"
+                placeholder="Value"
+                disabled={!filterAttribute}
+                value={filters.value}
+                onChange={(e) => updateFilter('value', e.target.value)}
+              />
+            )}
+          </div>
+        </div>
+
+        {/* New contact */}
+        {newContact && (
+          <form className="border rounded p-2 mb-3" onSubmit={handleCreate}>
+            <div className="row g-2">
+              {['name', 'email', 'company', 'tags'].map(field => (
+                <div key={field} className="col-md-3">
+                  <input
+                    className="form-control form-control-sm"
+                    placeholder={field === 'tags' ? 'tags, comma separated' : field}
+                    required={field === 'name'}
+                    type={field === 'email' ? 'email' : 'text'}
+                    value={newContact[field]}
+                    onChange={(e) => setNewContact({ ...newContact, [field]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="mt-2 d-flex gap-2">
+              <button type="submit" className="btn btn-primary btn-sm">Save</button>
+              <button type="button" className="btn btn-link btn-sm" onClick={() => setNewContact(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        <div className="row">
+          {/* List */}
+          <div className={contact ? 'col-md-6' : 'col-12'}>
+            {contacts.length === 0 ? (
+              <div className="text-center text-muted py-4">
+                <small>No contacts found</small>
+              </div>
+            ) : (
+              <div className="list-group list-group-flush">
+                {contacts.map(item => (
+                  <button
+                    key={item.id}
+                    type="button"
+                    className={`list-group-item list-group-item-action ${item.id === selectedId ? 'active' : ''}`}
+                    onClick={() => setSelectedId(item.id)}
+                  >
+                    <div className="d-flex justify-content-between">
+                      <span className="fw-semibold">{item.name}</span>
+                      <small>{item.company}</small>
+                    </div>
+                    <small className="d-block">{item.email}</small>
+                    {item.tags.map(tag => <span key={tag} className="badge bg-info me-1">{tag}</span>)}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {contactsPagination?.pages > 1 && (
+              <div className="d-flex justify-content-between align-items-center mt-2">
+                <button className="btn btn-sm btn-outline-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  Previous
+                </button>
+                <small className="text-muted">Page {page} of {contactsPagination.pages}</small>
+                <button className="btn btn-sm btn-outline-secondary" disabled={page >= contactsPagination.pages} onClick={() => setPage(page + 1)}>
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Details */}
+          {contact && (
+            <div className="col-md-6">
+              <div className="d-flex justify-content-between align-items-start">
+                <div>
+                  <h6 className="mb-0">{contact.name}</h6>
+                  <small className="text-muted">
+                    {[contact.email, contact.phone, contact.company].filter(Boolean).join(' · ')}
+                  </small>
+                </div>
+                <button className="btn btn-sm btn-outline-danger" onClick={handleDelete} title="Delete contact">
+                  <i className="fas fa-trash"></i>
+                </button>
+              </div>
+
+              {contactAttributes.length > 0 && (
+                <dl className="row small mt-2 mb-0">
+                  {contactAttributes.map(attribute => (
+                    <React.Fragment key={attribute.key}>
+                      <dt className="col-6 text-muted fw-normal">{attribute.label}</dt>
+                      <dd className="col-6 mb-1">{formatValue(attribute, contact.attributes[attribute.key])}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              )}
+
+              <small className="text-muted d-block mt-2">
+                <i className="fas fa-user-friends me-1"></i>
+                {contact.visitors.length} linked {contact.visitors.length === 1 ? 'visitor' : 'visitors'}
+              </small>
+
+              <form className="mt-3" onSubmit={handleAddNote}>
+                <textarea
+                  className="form-control form-control-sm"
+                  rows="2"
+                  placeholder="Add a note"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                ></textarea>
+                <button type="submit" className="btn btn-sm btn-primary mt-1" disabled={!note.trim()}>Add note</button>
+              </form>
+
+              <ul className="list-unstyled mt-2 mb-0">
+                {contact.notes.map(item => (
+                  <li key={item.id} className="border-start ps-2 mb-2">
+                    <small className="d-block" style={{ whiteSpace: 'pre-wrap' }}>{item.body}</small>
+                    <small className="text-muted">
+                      {item.authorName || 'Former agent'} · {new Date(item.createdAt).toLocaleString()}
+                    </small>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ContactsPanel
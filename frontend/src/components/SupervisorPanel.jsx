@@ -0,0 +1,219 @@
+/**
+ * Supervisor Panel Component
+ * Lists every live chat on a site with wait time and assigned agent,
+ * and lets supervisors monitor, whisper to the agent or barge in
+ */
+import React, { useState, useEffect } from 'react'
+import { useDashboardStore } from '../stores'
+import chatService from '../api/chatAPI'
+
+const SupervisorPanel = ({ siteId, onMonitor, serverUrl = 'https://talkavax-production.up.railway.app' }) => {
+  const [refreshing, setRefreshing] = useState(false)
+  const [monitoring, setMonitoring] = useState(null)
+  const [whisperText, setWhisperText] = useState('')
+  const [notice, setNotice] = useState(null)
+
+  const {
+    activeChats,
+    fetchActiveChats,
+  } = useDashboardStore()
+
+  useEffect(() => {
+    if (siteId) {
+      fetchActiveChats(siteId)
+    }
+  }, [siteId, fetchActiveChats])
+
+  // Keep a site-wide agent connection and refresh the list on inbox changes
+  useEffect(() => {
+    if (!siteId) return
+
+    if (!chatService.isConnected() || chatService.getSiteId() !== siteId) {
+      chatService.connect(serverUrl, siteId, null, 'admin')
+    }
+
+    const offConnection = chatService.onConnection((connected) => {
+      if (connected) chatService.adminJoin(siteId)
+    })
+
+    const refreshEvents = ['conversation_updated', 'conversation_assigned', 'conversation_transferred', 'queue_updated', 'session_closed']
+    const offMessage = chatService.onMessage((event, data) => {
+      if (refreshEvents.includes(event)) {
+        fetchActiveChats(siteId)
+      } else if (event === 'error' && data?.message) {
+        setNotice(data.message)
+      }
+    })
+
+    return () => {
+      offConnection()
+      offMessage()
+    }
+  }, [siteId, serverUrl, fetchActiveChats])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await fetchActiveChats(siteId)
+    setRefreshing(false)
+  }
+
+  const handleMonitor = (sessionId) => {
+    if (monitoring) {
+      chatService.stopMonitoring(monitoring)
+    }
+    if (monitoring === sessionId) {
+      setMonitoring(null)
+      return
+    }
+
+    chatService.monitorConversation(sessionId)
+    setMonitoring(sessionId)
+    onMonitor?.(sessionId)
+  }
+
+  const handleWhisper = (e) => {
+    e.preventDefault()
+    if (!monitoring || !whisperText.trim()) return
+
+    chatService.whisper(monitoring, whisperText)
+    setWhisperText('')
+  }
+
+  const handleBarge = (sessionId, takeOver) => {
+    chatService.bargeConversation(sessionId, takeOver)
+    setMonitoring(null)
+    onMonitor?.(sessionId)
+  }
+
+  const formatWait = (seconds) => {
+    const minutes = Math.floor(seconds / 60)
+    if (minutes > 0) {
+      return `${minutes}m ${seconds % 60}s`
+    }
+    return `${seconds}s`
+  }
+
+  const getStatusBadge = (status) => {
+    if (status === 'assigned') return 'bg-success'
+    if (status === 'pending') return 'bg-warning'
+    return 'bg-secondary'
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="fas fa-user-shield me-2"></i>
+          Live Chats ({activeChats.length})
+        </h5>
+        <button
+          className={`btn btn-sm btn-outline-primary ${refreshing ? 'disabled' : ''}`}
+          onClick={handleRefresh}
+          disabled={refreshing}
+        >
+          <i className={`fas fa-sync-alt ${refreshing ? 'fa-spin' : ''}`}></i>
+        </button>
+      </div>
+
+      {notice && (
+        <div className="alert alert-warning m-2 mb-0 py-2 small d-flex justify-content-between">
+          {notice}
+          <button className="btn-close btn-sm" onClick={() => setNotice(null)}></button>
+        </div>
+      )}
+
+      <div className="card-body p-0">
+        {activeChats.length === 0 ? (
+          <div className="text-center py-4">
+            <i className="fas fa-comment-slash text-muted" style={{ fontSize: '2rem' }}></i>
+            <p className="text-muted mt-2">No live chats</p>
+          </div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Visitor</th>
+                  <th>Status</th>
+                  <th>Waited</th>
+                  <th>Agent</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {activeChats.map((chat) => (
+                  <tr key={chat.id} className={monitoring === chat.session_id ? 'table-active' : ''}>
+                    <td>
+                      <span className={`status-indicator ${chat.visitorOnline ? 'status-online' : 'status-offline'}`}></span>
+                      <small>#{chat.session_id.slice(-6)}</small>
+                    </td>
+                    <td>
+                      <span className={`badge ${getStatusBadge(chat.status)}`}>{chat.status}</span>
+                    </td>
+                    <td>
+                      <small>{formatWait(chat.waitSeconds)}</small>
+                    </td>
+                    <td>
+                      {chat.agent ? (
+                        <small>
+                          <span className={`status-indicator status-${chat.agent.status === 'online' ? 'online' : chat.agent.status === 'offline' ? 'offline' : 'away'}`}></span>
+                          {chat.agent.name}
+                        </small>
+                      ) : (
+                        <small className="text-muted">Unassigned</small>
+                      )}
+                    </td>
+                    <td className="text-end">
+                      <div className="btn-group btn-group-sm">
+                        <button
+                          className={`btn ${monitoring === chat.session_id ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                          onClick={() => handleMonitor(chat.session_id)}
+                          title="Monitor silently"
+                        >
+                          <i className="fas fa-eye"></i>
+                        </button>
+                        <button
+                          className="btn btn-outline-primary"
+                          onClick={() => handleBarge(chat.session_id, false)}
+                          title="Join the chat"
+                        >
+                          <i className="fas fa-sign-in-alt"></i>
+                        </button>
+                        <button
+                          className="btn btn-outline-danger"
+                          onClick={() => handleBarge(chat.session_id, true)}
+                          title="Take over"
+                        >
+                          <i className="fas fa-hand-paper"></i>
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {monitoring && (
+        <div className="card-footer">
+          <form onSubmit={handleWhisper} className="d-flex">
+            <input
+              type="text"
+              value={whisperText}
+              onChange={(e) => setWhisperText(e.target.value)}
+              className="form-control form-control-sm me-2"
+              placeholder="Whisper to the agent..."
+            />
+            <button type="submit" className="btn btn-sm btn-warning" disabled={!whisperText.trim()}>
+              <i className="fas fa-user-secret"></i>
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SupervisorPanel
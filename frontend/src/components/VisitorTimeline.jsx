@@ -0,0 +1,104 @@
+/**
+ * Visitor Timeline Component
+ * The page a visitor is on right now and the pages of their recent visits,
+ * shown next to the chat so agents know what the visitor looked at
+ */
+import React, { useEffect } from 'react'
+import { useChatStore } from '../stores'
+
+const formatTime = (timestamp) => {
+  return new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.floor(seconds / 60)
+  return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+const formatSource = (session) => {
+  if (session.utm?.source) {
+    return [session.utm.source, session.utm.medium, session.utm.campaign].filter(Boolean).join(' / ')
+  }
+  if (session.referrer) {
+    try {
+      return new URL(session.referrer).hostname
+    } catch (error) {
+      return session.referrer
+    }
+  }
+  return 'Direct'
+}
+
+const VisitorTimeline = ({ siteId, visitorId }) => {
+  const { visitorTimeline, loadVisitorTimeline } = useChatStore()
+
+  useEffect(() => {
+    if (siteId && visitorId) {
+      loadVisitorTimeline(siteId, visitorId)
+    }
+  }, [siteId, visitorId, loadVisitorTimeline])
+
+  if (!visitorTimeline || visitorTimeline.visitor.id !== visitorId) {
+    return (
+      <div className="text-center text-muted py-3">
+        <small>No page views yet</small>
+      </div>
+    )
+  }
+
+  const { currentPage, sessions } = visitorTimeline
+
+  return (
+    <div className="visitor-timeline">
+      <div className="px-3 py-2 border-bottom">
+        <small className="text-muted d-block">Currently viewing</small>
+        {currentPage ? (
+          <a href={currentPage.url} target="_blank" rel="noopener noreferrer" className="text-truncate d-block">
+            <i className="fas fa-eye me-1 text-success"></i>
+            {currentPage.title || currentPage.path}
+          </a>
+        ) : (
+          <span className="text-muted">Not on the site</span>
+        )}
+      </div>
+
+      {sessions.length === 0 ? (
+        <div className="text-center text-muted py-3">
+          <small>No page views yet</small>
+        </div>
+      ) : (
+        <ul className="list-group list-group-flush">
+          {sessions.map(session => (
+            <li key={session.id} className="list-group-item">
+              <div className="d-flex justify-content-between mb-1">
+                <small className="fw-bold">
+                  {new Date(session.startedAt).toLocaleDateString()} {formatTime(session.startedAt)}
+                  {session.active && <span className="badge bg-success ms-2">Active</span>}
+                </small>
+                <small className="text-muted">{formatSource(session)}</small>
+              </div>
+              <ol className="list-unstyled mb-0 ps-2 border-start">
+                {session.pageViews.map(pageView => (
+                  <li key={pageView.id} className="d-flex justify-content-between small">
+                    <span className="text-truncate me-2" title={pageView.url}>
+                      {pageView.title || pageView.path}
+                    </span>
+                    <span className="text-muted text-nowrap">
+                      {formatTime(pageView.viewedAt)} · {formatDuration(pageView.timeOnPageSeconds)}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default VisitorTimeline
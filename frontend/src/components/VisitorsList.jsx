@@ -150,10 +150,12 @@ const VisitorsList = ({ siteId }) => {
                   </div>
                 </div>
                 
-                {visitor.meta?.location && (
+                {(visitor.country || visitor.meta?.location) && (
                   <div className="mt-2 small text-muted">
                     <i className="fas fa-map-marker-alt me-1"></i>
-                    {visitor.meta.location.city}, {visitor.meta.location.country}
+                    {visitor.country
+                      ? [visitor.city, visitor.region, visitor.country].filter(Boolean).join(', ')
+                      : `${visitor.meta.location.city}, ${visitor.meta.location.country}`}
                   </div>
                 )}
                 
@@ -3,9 +3,14 @@
  * Main user dashboard with Zustand state management
  */
 import React, { useState, useEffect } from 'react'
-import { useDashboardStore } from '../stores'
+import { useDashboardStore, useChatStore } from '../stores'
 import VisitorsList from '../components/VisitorsList'
+import SupervisorPanel from '../components/SupervisorPanel'
 import ChatPanel from '../components/ChatPanel/ChatPanel'
+import VisitorTimeline from '../components/VisitorTimeline'
+import ContactsPanel from '../components/ContactsPanel'
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' })
 
 const Dashboard = () => {
   const [selectedSite, setSelectedSite] = useState(null)
@@ -21,6 +26,8 @@ const Dashboard = () => {
     selectSite,
   } = useDashboardStore()
 
+  const conversation = useChatStore((state) => state.conversation)
+
   useEffect(() => {
     // Fetch sites on component mount
     fetchSites()
@@ -159,6 +166,15 @@ const Dashboard = () => {
             <div className="mb-4">
               <VisitorsList siteId={selectedSite.site_id} />
             </div>
+            <div className="mb-4">
+              <SupervisorPanel
+                siteId={selectedSite.site_id}
+                onMonitor={setSelectedSession}
+              />
+            </div>
+            <div className="mb-4">
+              <ContactsPanel siteId={selectedSite.site_id} />
+            </div>
           </div>
 
           {/* Right Column - Chat & Stats */}
@@ -181,6 +197,24 @@ const Dashboard = () => {
               </div>
             </div>
 
+            {/* Visitor Journey */}
+            {conversation?.visitor?.id && (
+              <div className="card mb-4">
+                <div className="card-header">
+                  <h6 className="card-title mb-0">
+                    <i className="fas fa-route me-2"></i>
+                    Visitor Journey
+                  </h6>
+                </div>
+                <div className="card-body p-0">
+                  <VisitorTimeline
+                    siteId={selectedSite.site_id}
+                    visitorId={conversation.visitor.id}
+                  />
+                </div>
+              </div>
+            )}
+
             {/* Site Stats */}
             <div className="card">
               <div className="card-header">
@@ -220,6 +254,33 @@ const Dashboard = () => {
                   </div>
                 </div>
                 <hr />
+                <div className="row text-center">
+                  <div className="col-6">
+                    <div className="display-6 text-success">
+                      {analytics?.data?.csat?.csat ?? '–'}{analytics?.data?.csat?.csat != null && '%'}
+                    </div>
+                    <small className="text-muted">CSAT (30 days)</small>
+                  </div>
+                  <div className="col-6">
+                    <div className="display-6 text-secondary">
+                      {analytics?.data?.csat?.responses || 0}
+                    </div>
+                    <small className="text-muted">Ratings</small>
+                  </div>
+                </div>
+                {analytics?.data?.countries?.some(entry => entry.country) && (
+                  <>
+                    <hr />
+                    <small className="text-muted d-block mb-1">Top Countries (30 days)</small>
+                    {analytics.data.countries.filter(entry => entry.country).slice(0, 5).map(entry => (
+                      <div key={entry.country} className="d-flex justify-content-between small">
+                        <span>{countryNames.of(entry.country)}</span>
+                        <span className="text-muted">{entry.visitors}</span>
+                      </div>
+                    ))}
+                  </>
+                )}
+                <hr />
                 <div className="d-flex justify-content-between align-items-center">
                   <span>Status:</span>
                   <span className={`badge bg-${selectedSite.status === 'active' ? 'success' : selectedSite.status === 'trial' ? 'warning' : 'danger'}`}>
@@ -2,6 +2,32 @@ import { create } from 'zustand'
 import { immer } from 'zustand/middleware/immer'
 import { io } from 'socket.io-client'
 
+const VISITOR_TOKEN_KEY = 'visitorToken'
+const VISITOR_TOKEN_MAX_AGE = 400 * 24 * 60 * 60 // seconds, as long as the token is valid
+
+// Visitor token from an earlier visit: localStorage first, the first-party cookie if storage was cleared
+const readVisitorToken = () => {
+  const stored = localStorage.getItem(VISITOR_TOKEN_KEY)
+  if (stored) return stored
+
+  const cookie = document.cookie.split('; ').find(entry => entry.startsWith(`${VISITOR_TOKEN_KEY}=`))
+  return cookie ? decodeURIComponent(cookie.slice(VISITOR_TOKEN_KEY.length + 1)) : null
+}
+
+const storeVisitorToken = (token) => {
+  if (!token) return
+  localStorage.setItem(VISITOR_TOKEN_KEY, token)
+  document.cookie = `${VISITOR_TOKEN_KEY}=${encodeURIComponent(token)}; max-age=${VISITOR_TOKEN_MAX_AGE}; path=/; SameSite=Lax`
+}
+
+// Unique id for an outgoing message
+const newClientMessageId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
+
 const useChatStore = create(
   immer((set, get) => ({
     // State
@@ -13,6 +39,9 @@ const useChatStore = create(
     isLoading: false,
     error: null,
     typingUsers: [],
+    cannedResponses: [],
+    conversation: null,
+    visitorTimeline: null,
 
     // Actions
     setSocket: (socket) => set((state) => {
@@ -31,6 +60,14 @@ const useChatStore = create(
       state.messages.push(message)
     }),
 
+    // Replace an edited or deleted message in place
+    replaceMessage: (message) => set((state) => {
+      const index = state.messages.findIndex(existing => existing._id === message._id)
+      if (index !== -1) {
+        state.messages[index] = message
+      }
+    }),
+
     setCurrentSession: (session) => set((state) => {
       state.currentSession = session
     }),
@@ -53,7 +90,7 @@ const useChatStore = create(
 
     // Chat actions
     initializeSocket: (siteId, serverUrl = 'https://talkavax-production.up.railway.app') => {
-      const { setSocket, setConnectionStatus, handleSocketEvents } = get()
+      const { setSocket, setConnectionStatus, handleSocketEvents, currentSession } = get()
       
       if (get().socket) {
         get().disconnectSocket()
@@ -62,6 +99,7 @@ const useChatStore = create(
       const socket = io(serverUrl, {
         query: { siteId },
         transports: ['websocket', 'polling'],
+        auth: { sessionToken: currentSession?.sessionToken },
       })
 
       setSocket(socket)
@@ -69,7 +107,7 @@ const useChatStore = create(
     },
 
     handleSocketEvents: (socket) => {
-      const { setConnectionStatus, addMessage, setTypingUsers } = get()
+      const { setConnectionStatus, addMessage, replaceMessage, setTypingUsers } = get()
 
       socket.on('connect', () => {
         setConnectionStatus(true)
@@ -81,8 +119,57 @@ const useChatStore = create(
         console.log('Disconnected from chat server')
       })
 
-      socket.on('message', (message) => {
-        addMessage(message)
+      // Our own sends come back with the clientMessageId of the pending copy shown while sending
+      socket.on('new_message', (message) => {
+        const pending = message.clientMessageId &&
+          get().messages.some(existing => existing.pending && existing.clientMessageId === message.clientMessageId)
+        if (pending) {
+          set((state) => {
+            const index = state.messages.findIndex(existing => existing.clientMessageId === message.clientMessageId)
+            state.messages[index] = message
+          })
+        } else {
+          addMessage(message)
+        }
+      })
+
+      socket.on('message_updated', ({ message }) => {
+        replaceMessage(message)
+      })
+
+      socket.on('message_deleted', ({ message }) => {
+        replaceMessage(message)
+      })
+
+      socket.on('message_reacted', ({ message }) => {
+        replaceMessage(message)
+      })
+
+      // Pre-chat answers arrive with the conversation before the first message
+      socket.on('conversation_updated', ({ sessionId, conversation, visitor }) => {
+        if (!visitor || get().currentSession?.id !== sessionId) return
+        set((state) => {
+          state.conversation = { ...conversation, visitor }
+        })
+      })
+
+      // A visitor logged in on the host site: show the account they chat from
+      socket.on('visitor_identified', ({ sessionId, visitor }) => {
+        if (get().conversation?.session_id !== sessionId) return
+        set((state) => {
+          state.conversation.visitor = visitor
+          state.conversation.visitor_id = visitor.id
+        })
+      })
+
+      // The visitor moved to another page: show it at once, then refresh their timeline
+      socket.on('visitor_activity', ({ visitorId, currentPage }) => {
+        const { visitorTimeline } = get()
+        if (!visitorTimeline || visitorTimeline.visitor.id !== visitorId) return
+        set((state) => {
+          state.visitorTimeline.currentPage = currentPage
+        })
+        get().loadVisitorTimeline(visitorTimeline.siteId, visitorId)
       })
 
       socket.on('typing', ({ userId, isTyping }) => {
@@ -103,22 +190,233 @@ const useChatStore = create(
       })
     },
 
-    sendMessage: (text, sender = 'visitor') => {
+    sendMessage: (text, sender = 'visitor', type = 'message', payload = null) => {
       const { socket, currentSession } = get()
       
       if (!socket || !currentSession) return
 
+      // Same shape as chatAPI.sendMessage; the id lets the server drop a retried send
       const message = {
-        text,
-        sender,
+        text: text.trim(),
         sessionId: currentSession.id,
-        timestamp: new Date().toISOString(),
+        type,
+        clientMessageId: newClientMessageId(),
+        ...(payload ? { payload } : {}),
       }
 
-      socket.emit('message', message)
+      socket.emit('send_message', message, (ack) => {
+        if (ack?.success) return
+        set((state) => {
+          state.messages = state.messages.filter(existing => existing.clientMessageId !== message.clientMessageId)
+          state.error = ack?.message || 'Failed to send message'
+        })
+      })
       
-      // Add to local state immediately for better UX
-      get().addMessage(message)
+      // Add to local state immediately for better UX; replaced by the stored message when it comes back
+      get().addMessage({ ...message, sender, timestamp: new Date().toISOString(), pending: true })
+    },
+
+    // Edit a sent message through the dashboard API; the visitor gets the update over their socket
+    editMessage: async (siteId, sessionId, messageId, text) => {
+      if (!text.trim()) return { success: false, error: 'Message text is required' }
+
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/messages/${sessionId}/${messageId}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: JSON.stringify({ text: text.trim() }),
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to edit message')
+        }
+
+        get().replaceMessage(data.data.message)
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Delete a sent message through the dashboard API
+    deleteMessage: async (siteId, sessionId, messageId) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/messages/${sessionId}/${messageId}`, {
+          method: 'DELETE',
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to delete message')
+        }
+
+        get().replaceMessage(data.data.message)
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Load the conversation of a session, with the visitor's pre-chat answers
+    loadSessionConversation: async (siteId, sessionId) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/sessions/${sessionId}/conversation`, {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        // No conversation yet: the visitor has not written or filled in the form
+        if (response.status === 404) {
+          set((state) => {
+            state.conversation = null
+          })
+          return { success: true, data: null }
+        }
+        if (!response.ok) {
+          throw new Error('Failed to load conversation')
+        }
+
+        const data = await response.json()
+        set((state) => {
+          state.conversation = data.data.conversation
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Load a visitor's recent visits and the pages they viewed
+    loadVisitorTimeline: async (siteId, visitorId) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/visitors/${visitorId}/timeline`, {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to load visitor timeline')
+        }
+
+        const data = await response.json()
+        set((state) => {
+          state.visitorTimeline = { ...data.data, siteId }
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Load the canned responses the agent can use on a site
+    loadCannedResponses: async (siteId) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/canned-responses`, {
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to load canned responses')
+        }
+
+        const data = await response.json()
+        set((state) => {
+          state.cannedResponses = data.data.responses
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Expand a canned response for a conversation (fills in visitor/agent variables)
+    expandCannedResponse: async (siteId, sessionId, responseId) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/canned-responses/expand`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: JSON.stringify({ id: responseId, sessionId }),
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to expand canned response')
+        }
+
+        return { success: true, text: data.data.text }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Upload a file into the conversation; the attachment message arrives through the socket
+    uploadAttachment: async (siteId, sessionId, file, caption = '', type = 'message') => {
+      const { setError } = get()
+
+      try {
+        setError(null)
+
+        const formData = new FormData()
+        formData.append('file', file)
+        formData.append('caption', caption)
+        formData.append('type', type)
+
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/messages/${sessionId}/attachments`, {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: formData,
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to upload file')
+        }
+
+        return { success: true, data }
+      } catch (error) {
+        setError(error.message)
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Toggle the agent's emoji reaction on a message through the dashboard API
+    reactToMessage: async (siteId, sessionId, messageId, emoji) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/messages/${sessionId}/${messageId}/reactions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: JSON.stringify({ emoji }),
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to react to message')
+        }
+
+        get().replaceMessage(data.data.message)
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
     },
 
     sendTypingIndicator: (isTyping) => {
@@ -141,7 +439,8 @@ const useChatStore = create(
     },
 
     // Widget initialization
-    initializeWidget: async (siteId, serverUrl = 'https://talkavax-production.up.railway.app') => {
+    // `identity` is the signed user data ({ user, signature }) of a visitor logged in on the host site
+    initializeWidget: async (siteId, serverUrl = 'https://talkavax-production.up.railway.app', identity = null) => {
       const { setLoading, setError, setCurrentSession, setSiteConfig, initializeSocket } = get()
       
       try {
@@ -156,8 +455,10 @@ const useChatStore = create(
           },
           body: JSON.stringify({
             siteId,
+            visitorToken: readVisitorToken(),
             fingerprint: localStorage.getItem('visitorFingerprint') || `visitor-${Date.now()}`,
             page: window.location.pathname,
+            ...(identity ? { identity } : {}),
           }),
         })
 
@@ -167,7 +468,8 @@ const useChatStore = create(
 
         const visitorData = await visitorResponse.json()
         
-        // Store fingerprint for future visits
+        // Store the visitor token (and fingerprint as a fallback) for future visits
+        storeVisitorToken(visitorData.data.visitorToken)
         localStorage.setItem('visitorFingerprint', visitorData.data.visitor.fingerprint)
         
         setCurrentSession(visitorData.data)
@@ -191,6 +493,38 @@ const useChatStore = create(
       }
     },
 
+    // Identify the visitor after they logged in on the host site; the chat carries on as that user
+    identifyVisitor: async (identity, serverUrl = 'https://talkavax-production.up.railway.app') => {
+      const { currentSession } = get()
+
+      if (!currentSession) return { success: false, error: 'No active session' }
+
+      try {
+        const response = await fetch(`${serverUrl}/api/widget/identify`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${currentSession.sessionToken}`,
+          },
+          body: JSON.stringify(identity),
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to identify visitor')
+        }
+
+        storeVisitorToken(data.data.visitorToken)
+        set((state) => {
+          state.currentSession.sessionToken = data.data.sessionToken
+          state.currentSession.visitor = { ...state.currentSession.visitor, id: data.data.visitor.id, identified: true }
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
     // Load message history
     loadMessages: async (siteId, sessionId) => {
       const { setLoading, setError, setMessages } = get()
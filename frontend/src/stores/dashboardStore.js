@@ -9,6 +9,12 @@ const useDashboardStore = create(
     analytics: null,
     visitors: [],
     messages: [],
+    activeChats: [],
+    contacts: [],
+    contactTags: [],
+    contactAttributes: [],
+    contactsPagination: null,
+    currentContact: null,
     isLoading: false,
     error: null,
     stats: {
@@ -39,6 +45,10 @@ const useDashboardStore = create(
       state.messages = messages
     }),
 
+    setActiveChats: (activeChats) => set((state) => {
+      state.activeChats = activeChats
+    }),
+
     setLoading: (loading) => set((state) => {
       state.isLoading = loading
     }),
@@ -196,6 +206,37 @@ const useDashboardStore = create(
       }
     },
 
+    fetchActiveChats: async (siteId) => {
+      const { setError, setActiveChats } = get()
+      
+      try {
+        setError(null)
+
+        const token = localStorage.getItem('token')
+        if (!token) {
+          throw new Error('No authentication token')
+        }
+
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/supervision`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to fetch active chats')
+        }
+
+        const data = await response.json()
+        setActiveChats(data.data?.chats || [])
+        
+        return { success: true, data }
+      } catch (error) {
+        setError(error.message)
+        return { success: false, error: error.message }
+      }
+    },
+
     createSite: async (siteData) => {
       const { setLoading, setError, fetchSites } = get()
       
@@ -309,6 +350,195 @@ const useDashboardStore = create(
       }
     },
 
+    // Contacts (CRM): list with a search, tags (comma separated) and one attribute filter
+    fetchContacts: async (siteId, { search = '', tag = '', attribute = '', value = '', page = 1 } = {}) => {
+      try {
+        const params = new URLSearchParams({ page })
+        if (search) params.set('search', search)
+        if (tag) params.set('tag', tag)
+        if (attribute && value) params.set(`attributes[${attribute}]`, value)
+
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch contacts')
+        }
+
+        set((state) => {
+          state.contacts = data.data.contacts
+          state.contactTags = data.data.tags
+          state.contactAttributes = data.data.attributes
+          state.contactsPagination = data.data.pagination
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Load a contact with its visitors and notes
+    fetchContact: async (siteId, contactId) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts/${contactId}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch contact')
+        }
+
+        set((state) => {
+          state.currentContact = data.data.contact
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Create a contact, or update it when a contact id is given
+    saveContact: async (siteId, contact, contactId = null) => {
+      try {
+        const url = contactId
+          ? `https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts/${contactId}`
+          : `https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts`
+        const response = await fetch(url, {
+          method: contactId ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: JSON.stringify(contact),
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to save contact')
+        }
+
+        set((state) => {
+          state.currentContact = data.data.contact
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    deleteContact: async (siteId, contactId) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts/${contactId}`, {
+          method: 'DELETE',
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to delete contact')
+        }
+
+        set((state) => {
+          state.contacts = state.contacts.filter(contact => contact.id !== contactId)
+          state.currentContact = null
+        })
+        return { success: true }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    addContactNote: async (siteId, contactId, body) => {
+      try {
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts/${contactId}/notes`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: JSON.stringify({ body }),
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to add note')
+        }
+
+        set((state) => {
+          if (state.currentContact?.id === contactId) {
+            state.currentContact.notes.unshift(data.data.note)
+          }
+        })
+        return { success: true, data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Import contacts from a CSV file; returns how many were created and updated and the rows that failed
+    importContacts: async (siteId, file) => {
+      try {
+        const formData = new FormData()
+        formData.append('file', file)
+
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts/import`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+          body: formData,
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to import contacts')
+        }
+
+        return { success: true, data: data.data }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
+    // Download the contacts matching the filters as CSV
+    exportContacts: async (siteId, { search = '', tag = '', attribute = '', value = '' } = {}) => {
+      try {
+        const params = new URLSearchParams()
+        if (search) params.set('search', search)
+        if (tag) params.set('tag', tag)
+        if (attribute && value) params.set(`attributes[${attribute}]`, value)
+
+        const response = await fetch(`https://talkavax-production.up.railway.app/api/dashboard/sites/${siteId}/contacts/export?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          },
+        })
+
+        if (!response.ok) {
+          throw new Error('Failed to export contacts')
+        }
+
+        const url = URL.createObjectURL(await response.blob())
+        const link = document.createElement('a')
+        link.href = url
+        link.download = `contacts-${new Date().toISOString().slice(0, 10)}.csv`
+        link.click()
+        URL.revokeObjectURL(url)
+
+        return { success: true }
+      } catch (error) {
+        return { success: false, error: error.message }
+      }
+    },
+
     // Admin actions
     fetchAdminStats: async () => {
       const { setLoading, setError, setStats } = get()
@@ -370,6 +600,12 @@ const useDashboardStore = create(
         state.analytics = null
         state.visitors = []
         state.messages = []
+        state.activeChats = []
+        state.contacts = []
+        state.contactTags = []
+        state.contactAttributes = []
+        state.contactsPagination = null
+        state.currentContact = null
         state.error = null
         state.stats = {
           totalVisitors: 0,